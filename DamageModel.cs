@@ -2,6 +2,11 @@ using PacketCapture;
 
 public class DamageModel
 {
+    /// <summary>
+    /// 로그 메시지 프로토콜 버전 (wwwroot/protocol.js의 SCHEMAS와 일치해야 함)
+    /// </summary>
+    public const int ProtocolVersion = 1;
+
     public string UsedBy { get; set; } = string.Empty;
     public string Target { get; set; } = string.Empty;
     public int Damage { get; set; } = 0;
@@ -17,6 +22,7 @@ public class DamageModel
 
     /// <summary>
     /// 로그 형식으로 데이터를 변환합니다.
+    /// 첫 필드는 프로토콜 버전 접두사(v1)이며, 필드 순서를 바꾸거나 추가할 때는 버전을 올려야 합니다.
     /// </summary>
     /// <returns>로그 문자열</returns>
     public string ToLog()
@@ -28,6 +34,7 @@ public class DamageModel
         // 컬렉션 표현식으로 값들을 배열로 생성
         object[] values =
         [
+            $"v{ProtocolVersion}",
             DateTimeOffset.Now.ToUnixTimeMilliseconds(),
             UsedBy,
             Target,
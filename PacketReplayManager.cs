@@ -172,6 +172,8 @@ public class PacketReplayManager : IDisposable
         logger.Info($"Playback state changed to: {state}");
 
         // WebSocket을 통해 재생 상태를 클라이언트에 알림
+        // 데미지 로그(파이프 구분)와 같은 소켓이므로 Type 필드가 있는 JSON 객체로 보냄
+        // (클라이언트는 protocol.js의 parseControlMessage로 제어 메시지로 구분하고 거부로 세지 않음)
         if (_webSocketServer != null)
         {
             var message = new
@@ -0,0 +1,277 @@
+// ========== 목업 캡처 서버 ==========
+// C# 캡처 서버 없이 웹 화면을 개발/시연하기 위한 대체 서버입니다. (외부 패키지 없음)
+//   - WebSocket(기본 9001): 실제 서버와 같은 파이프 형식(v1|...) 메시지 전송, "ping"에 "pong" 응답
+//   - HTTP(기본 8080): wwwroot 정적 파일 제공 (index.html, MDM.html)
+//
+// 사용 예:
+//   node mock-server/server.js                          합성 전투를 반복 생성
+//   node mock-server/server.js --replay fight.csv -x 4  원본 이벤트 CSV를 4배속 재생
+//   node mock-server/server.js --replay capture.log --loop
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const { acceptUpgrade } = require('./websocket');
+const { DamageProtocol, loadRecording, createSyntheticFight } = require('./sources');
+
+const WWWROOT = path.join(__dirname, '..', 'wwwroot');
+const TICK_INTERVAL = 20; // 재생 타이머 간격 (ms)
+
+const CONTENT_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.js': 'text/javascript; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.json': 'application/json; charset=utf-8',
+    '.png': 'image/png',
+    '.svg': 'image/svg+xml',
+    '.ico': 'image/x-icon'
+};
+
+const HELP = `목업 캡처 서버
+
+사용법: node mock-server/server.js [옵션]
+
+  --replay, -r <파일>   파이프 형식 로그 또는 원본 이벤트 CSV 재생 (없으면 합성 전투)
+  --speed, -x <배속>    재생 속도 (기본 1)
+  --loop                재생이 끝나면 처음부터 반복 (합성 전투는 항상 반복)
+  --pause <초>          반복 사이 대기 시간 (기본 25초, 자동 세션 종료 시간보다 길게)
+  --players <수>        합성 전투 참가자 수 (기본 4, 최대 8)
+  --duration <초>       합성 전투 길이 (기본 90)
+  --boss <이름>         합성 전투 보스 이름
+  --seed <숫자>         합성 전투 난수 시드 (같은 시드는 같은 전투)
+  --ws-port <포트>      WebSocket 포트 (기본 9001)
+  --http-port <포트>    정적 파일 포트 (기본 8080, 0이면 사용 안 함)
+  --help, -h            도움말
+`;
+
+function parseArgs(argv) {
+    const options = {
+        replay: null,
+        speed: 1,
+        loop: false,
+        pause: 25,
+        players: 4,
+        duration: 90,
+        boss: null,
+        seed: null,
+        wsPort: 9001,
+        httpPort: 8080,
+        help: false
+    };
+    const aliases = { '-r': '--replay', '-x': '--speed', '-h': '--help' };
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = aliases[argv[i]] || argv[i];
+        const next = () => {
+            if (i + 1 >= argv.length) throw new Error(`${arg} 옵션에 값이 필요합니다.`);
+            return argv[++i];
+        };
+        const nextNumber = () => {
+            const value = parseFloat(next());
+            if (Number.isNaN(value)) throw new Error(`${arg} 옵션에는 숫자가 필요합니다.`);
+            return value;
+        };
+
+        switch (arg) {
+            case '--replay': options.replay = next(); break;
+            case '--speed': options.speed = Math.max(0.1, nextNumber()); break;
+            case '--loop': options.loop = true; break;
+            case '--pause': options.pause = Math.max(0, nextNumber()); break;
+            case '--players': options.players = Math.max(1, Math.round(nextNumber())); break;
+            case '--duration': options.duration = Math.max(10, nextNumber()); break;
+            case '--boss': options.boss = next(); break;
+            case '--seed': options.seed = Math.round(nextNumber()); break;
+            case '--ws-port': options.wsPort = Math.round(nextNumber()); break;
+            case '--http-port': options.httpPort = Math.round(nextNumber()); break;
+            case '--help': options.help = true; break;
+            default: throw new Error(`알 수 없는 옵션: ${argv[i]}`);
+        }
+    }
+    return options;
+}
+
+// ========== WebSocket 서버 ==========
+class MockCaptureServer {
+    constructor(options) {
+        this.options = options;
+        this.clients = new Set();
+        this.round = 0;
+        this.playback = null;
+        this.started = false;
+    }
+
+    listen() {
+        const server = http.createServer((request, response) => {
+            response.writeHead(426, { 'Content-Type': 'text/plain; charset=utf-8' });
+            response.end('WebSocket 전용 포트입니다.');
+        });
+
+        server.on('upgrade', (request, socket) => {
+            const client = acceptUpgrade(request, socket);
+            if (!client) return;
+
+            this.clients.add(client);
+            console.log(`클라이언트 연결됨 (${this.clients.size}명)`);
+
+            client.on('message', (message) => {
+                // 실제 서버(ModernWebSocketServer)와 같이 ping이 포함된 메시지에 pong 응답
+                if (message.toLowerCase().includes('ping')) {
+                    client.send('pong');
+                }
+            });
+            client.on('close', () => {
+                this.clients.delete(client);
+                console.log(`클라이언트 연결 종료 (${this.clients.size}명)`);
+            });
+
+            // 첫 클라이언트가 연결되면 재생 시작
+            if (!this.started) {
+                this.started = true;
+                this.startRound();
+            }
+        });
+
+        server.listen(this.options.wsPort, () => {
+            console.log(`WebSocket 서버: ws://localhost:${this.options.wsPort}`);
+        });
+        return server;
+    }
+
+    broadcast(message) {
+        this.clients.forEach(client => client.send(message));
+    }
+
+    loadHits() {
+        if (this.options.replay) {
+            const recording = loadRecording(this.options.replay);
+            if (this.round === 1) {
+                console.log(`녹화 파일 불러옴 (${recording.format}): ${recording.hits.length}개 타격` +
+                    (recording.skipped > 0 ? `, 해석할 수 없는 줄 ${recording.skipped}개 건너뜀` : ''));
+            }
+            return recording.hits;
+        }
+
+        // 합성 전투는 시드가 지정되면 회차마다 시드를 1씩 증가
+        const seed = this.options.seed !== null ? this.options.seed + this.round - 1 : Date.now();
+        return createSyntheticFight({
+            players: this.options.players,
+            duration: this.options.duration,
+            boss: this.options.boss,
+            seed
+        });
+    }
+
+    startRound() {
+        this.round++;
+        const hits = this.loadHits();
+        if (hits.length === 0) {
+            console.error('재생할 타격이 없습니다.');
+            return;
+        }
+
+        const baseTime = hits[0].timestamp;
+        const length = (hits[hits.length - 1].timestamp - baseTime) / 1000 / this.options.speed;
+        console.log(`${this.round}회차 재생 시작: ${hits.length}개 타격, 약 ${Math.round(length)}초 (${this.options.speed}배속)`);
+
+        const startedAt = Date.now();
+        let index = 0;
+        this.playback = setInterval(() => {
+            const elapsed = (Date.now() - startedAt) * this.options.speed;
+            while (index < hits.length && hits[index].timestamp - baseTime <= elapsed) {
+                // 전송 시각을 타임스탬프로 사용 (실제 서버와 동일)
+                this.broadcast(DamageProtocol.formatMessage({ ...hits[index], timestamp: Date.now() }));
+                index++;
+            }
+
+            if (index >= hits.length) {
+                clearInterval(this.playback);
+                this.playback = null;
+                this.finishRound();
+            }
+        }, TICK_INTERVAL);
+    }
+
+    finishRound() {
+        const repeat = this.options.loop || !this.options.replay;
+        if (!repeat) {
+            console.log('재생 완료');
+            return;
+        }
+        console.log(`${this.round}회차 완료, ${this.options.pause}초 후 다음 회차 시작`);
+        setTimeout(() => this.startRound(), this.options.pause * 1000);
+    }
+}
+
+// ========== 정적 파일 서버 ==========
+function startStaticServer(port) {
+    const server = http.createServer((request, response) => {
+        // 잘못된 퍼센트 인코딩(예: /%E0%A4%A)은 URIError를 던지므로 서버가 죽지 않게 400으로 응답
+        let urlPath;
+        try {
+            urlPath = decodeURIComponent(new URL(request.url, 'http://localhost').pathname);
+        } catch {
+            response.writeHead(400);
+            response.end();
+            return;
+        }
+        const filePath = path.join(WWWROOT, urlPath === '/' ? 'index.html' : urlPath);
+
+        // wwwroot 밖의 파일 접근 차단
+        if (!filePath.startsWith(WWWROOT + path.sep)) {
+            response.writeHead(403);
+            response.end();
+            return;
+        }
+
+        fs.readFile(filePath, (error, content) => {
+            if (error) {
+                response.writeHead(404, { 'Content-Type': 'text/plain; charset=utf-8' });
+                response.end('파일을 찾을 수 없습니다.');
+                return;
+            }
+            const contentType = CONTENT_TYPES[path.extname(filePath).toLowerCase()] || 'application/octet-stream';
+            response.writeHead(200, { 'Content-Type': contentType });
+            response.end(content);
+        });
+    });
+
+    server.listen(port, () => {
+        console.log(`웹 인터페이스: http://localhost:${port}/ (MDM: http://localhost:${port}/MDM.html)`);
+    });
+    return server;
+}
+
+function main() {
+    let options;
+    try {
+        options = parseArgs(process.argv.slice(2));
+    } catch (error) {
+        console.error(error.message);
+        console.error(HELP);
+        process.exit(1);
+    }
+
+    if (options.help) {
+        console.log(HELP);
+        return;
+    }
+    if (options.replay && !fs.existsSync(options.replay)) {
+        console.error(`녹화 파일을 찾을 수 없습니다: ${options.replay}`);
+        process.exit(1);
+    }
+
+    new MockCaptureServer(options).listen();
+    if (options.httpPort > 0) {
+        startStaticServer(options.httpPort);
+    }
+    console.log(options.replay ? `재생 모드: ${options.replay}` : '합성 전투 모드');
+    console.log('첫 클라이언트가 연결되면 재생을 시작합니다. (종료: Ctrl+C)');
+}
+
+if (require.main === module) {
+    main();
+}
+
+module.exports = {
+    parseArgs,
+    MockCaptureServer
+};
@@ -0,0 +1,344 @@
+// ========== 목업 서버 데이터 소스 ==========
+// 1) 녹화 재생: 파이프 형식 로그(서버 메시지를 한 줄씩 저장한 파일) 또는 원본 이벤트 CSV(데이터 내보내기, 예전 CSV 내보내기 파일 포함)
+// 2) 합성 전투: SKILL_MAPPINGS의 직업별 스킬로 파티 전투를 생성 (힐러 역할 직업은 치유/버프 이벤트도 생성)
+// 반환하는 타격의 timestamp는 재생 기준 시각(ms)이며, 서버가 전송 시점의 시각으로 바꿔 보냅니다.
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const WWWROOT = path.join(__dirname, '..', 'wwwroot');
+
+// 브라우저용 스크립트(window.X = ...)를 별도 컨텍스트에서 실행해 전역 객체를 얻음
+function loadBrowserGlobals(files) {
+    const window = {};
+    const context = vm.createContext({ window, console });
+    files.forEach(file => {
+        vm.runInContext(fs.readFileSync(path.join(WWWROOT, file), 'utf8'), context, { filename: file });
+    });
+    return window;
+}
+
+const browserGlobals = loadBrowserGlobals(['protocol.js', 'translation.js', 'classes.js']);
+const DamageProtocol = browserGlobals.DamageProtocol;
+const PlayerClasses = browserGlobals.PlayerClasses;
+const SKILL_MAPPINGS = browserGlobals.SKILL_MAPPINGS || {};
+
+const FLAG_FIELDS = DamageProtocol.SCHEMAS[DamageProtocol.CURRENT_VERSION]
+    .filter(field => field.type === 'flag')
+    .map(field => field.name);
+
+// ========== 녹화 파일 ==========
+
+// CSV 헤더 이름 -> 메시지 필드 이름 (나머지는 소문자로 바꾸면 같음: Is_Crit -> is_crit)
+const CSV_HEADER_ALIASES = {
+    user: 'user_name',
+    target: 'target_name',
+    skill: 'skill_name'
+};
+
+function splitCsvLine(line, delimiter) {
+    const values = [];
+    let current = '';
+    let quoted = false;
+    for (let i = 0; i < line.length; i++) {
+        const char = line[i];
+        if (quoted) {
+            if (char === '"' && line[i + 1] === '"') {
+                current += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                current += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === delimiter) {
+            values.push(current);
+            current = '';
+        } else {
+            current += char;
+        }
+    }
+    values.push(current);
+    return values;
+}
+
+// 에포크(ms/초), ISO 8601, toLocaleString('ko-KR') 형식("2025. 6. 27. 오후 3:04:05") 지원
+function parseTimestamp(value) {
+    const text = String(value).trim();
+    if (/^\d+$/.test(text)) {
+        const number = parseInt(text, 10);
+        return number < 1e12 ? number * 1000 : number;
+    }
+
+    const korean = /^(\d{4})\.\s*(\d{1,2})\.\s*(\d{1,2})\.\s*(오전|오후)\s*(\d{1,2}):(\d{2}):(\d{2})$/.exec(text);
+    if (korean) {
+        const [, year, month, day, meridiem, hour, minute, second] = korean;
+        let hours = parseInt(hour, 10) % 12;
+        if (meridiem === '오후') hours += 12;
+        return new Date(+year, +month - 1, +day, hours, +minute, +second).getTime();
+    }
+
+    const parsed = Date.parse(text);
+    return Number.isNaN(parsed) ? null : parsed;
+}
+
+function parseCsv(text) {
+    const lines = text.replace(/^\uFEFF/, '').split(/\r?\n/).filter(line => line.trim() !== '');
+    if (lines.length === 0) return { hits: [], skipped: 0 };
+
+    // 구분자 자동 감지 (쉼표/세미콜론/탭)
+    const header = lines[0];
+    const delimiter = [',', ';', '\t'].sort((a, b) => header.split(b).length - header.split(a).length)[0];
+    const columns = splitCsvLine(header, delimiter).map(name => {
+        const key = name.trim().toLowerCase();
+        return CSV_HEADER_ALIASES[key] || key;
+    });
+
+    // 예전 CSV 내보내기 파일은 스킬 표시 이름을 저장하므로 원래 스킬 키로 되돌림
+    const displayToSkill = new Map(Object.entries(SKILL_MAPPINGS).map(([key, name]) => [name, key]));
+
+    const hits = [];
+    let skipped = 0;
+    lines.slice(1).forEach(line => {
+        const values = splitCsvLine(line, delimiter);
+        const row = {};
+        columns.forEach((column, index) => { row[column] = values[index]; });
+
+        const timestamp = parseTimestamp(row.timestamp || '');
+        const damage = parseInt(row.damage, 10);
+        if (timestamp === null || Number.isNaN(damage) || !row.user_name || !row.skill_name) {
+            skipped++;
+            return;
+        }
+
+        const hit = {
+            timestamp,
+            user_name: row.user_name,
+            target_name: row.target_name || '',
+            skill_name: displayToSkill.get(row.skill_name) || row.skill_name,
+            damage,
+            skill_id: parseInt(row.skill_id, 10) || 0
+        };
+        FLAG_FIELDS.forEach(flag => { hit[flag] = row[flag] === '1' || row[flag] === 'true'; });
+        hits.push(hit);
+    });
+
+    return { hits, skipped };
+}
+
+// 서버 메시지 한 줄씩 (v2|..., v1|... 또는 버전 접두사 없는 레거시 형식)
+function parsePipeLog(text) {
+    const hits = [];
+    let skipped = 0;
+    text.split(/\r?\n/).forEach(line => {
+        if (line.trim() === '') return;
+        const result = DamageProtocol.parseMessage(line.trim());
+        if (result.ok) {
+            hits.push(result.data);
+        } else {
+            skipped++;
+        }
+    });
+    return { hits, skipped };
+}
+
+/**
+ * 녹화 파일을 읽어 시간순 타격 목록을 반환합니다.
+ * 반환: { hits, skipped, format }
+ */
+function loadRecording(filePath) {
+    const text = fs.readFileSync(filePath, 'utf8');
+    const firstLine = text.replace(/^\uFEFF/, '').split(/\r?\n/, 1)[0];
+    const isCsv = filePath.toLowerCase().endsWith('.csv') || /^"?timestamp"?[,;\t]/i.test(firstLine);
+
+    const result = isCsv ? parseCsv(text) : parsePipeLog(text);
+    result.hits.sort((a, b) => a.timestamp - b.timestamp);
+    return { ...result, format: isCsv ? 'csv' : 'pipe' };
+}
+
+// ========== 합성 전투 ==========
+
+// 재현 가능한 난수 (mulberry32)
+function createRandom(seed) {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+const NON_CLASS_PREFIXES = new Set(['MeleeDefaultAttack', 'RangeDefaultAttack', 'DOT', 'UNKNOWN', 'Idle']);
+const RANGED_CLASS_PATTERN = /Mage|Bow|Archer|Arbalist|Bard|Musician|Priest|Healer/;
+const ELEMENTS = ['ice', 'fire', 'electric', 'poison', 'bleed', 'holy', 'dark', 'mind'];
+const PLAYER_NAMES = ['루에리', '나오', '타르라크', '마리', '던컨', '카이', '벨리타', '모리안'];
+const TRASH_TARGETS = ['고블린 전사', '고블린 궁수', '회색 늑대'];
+const DEFAULT_BOSS = '글라스 기브넨';
+
+// SKILL_MAPPINGS 키의 접두사(SwordMaster_...)로 직업별 스킬 목록 구성
+function getClassSkills(minSkills = 4) {
+    const classes = new Map();
+    Object.keys(SKILL_MAPPINGS).forEach(skillName => {
+        const match = /^([A-Z][A-Za-z]+)_/.exec(skillName);
+        if (!match || NON_CLASS_PREFIXES.has(match[1])) return;
+        if (!classes.has(match[1])) classes.set(match[1], []);
+        classes.get(match[1]).push(skillName);
+    });
+    return new Map(Array.from(classes.entries()).filter(([, skills]) => skills.length >= minSkills));
+}
+
+function getDefaultAttacks(classCode) {
+    const prefix = RANGED_CLASS_PATTERN.test(classCode) ? 'RangeDefaultAttack_' : 'MeleeDefaultAttack_';
+    return Object.keys(SKILL_MAPPINGS).filter(skillName => /^(Melee|Range)DefaultAttack_\d$/.test(skillName) && skillName.startsWith(prefix));
+}
+
+function createHit(timestamp, user, target, skillName, damage, flags = {}, kind = 'damage') {
+    const hit = { kind, timestamp, user_name: user, target_name: target, skill_name: skillName, damage: Math.round(damage), skill_id: 0 };
+    FLAG_FIELDS.forEach(flag => { hit[flag] = !!flags[flag]; });
+    return hit;
+}
+
+// 힐러 역할 플레이어의 치유(대상 한 명)와 파티 버프(15초마다 10초 지속) 이벤트
+function addSupportEvents(events, options) {
+    const { user, party, skills, duration, power, random } = options;
+    const pick = (list) => list[Math.floor(random() * list.length)];
+    const buffSkill = skills[0];
+
+    let time = 500 + random() * 1500;
+    let nextBuff = time;
+    while (time < duration) {
+        if (time >= nextBuff) {
+            events.push(createHit(time, user, '', buffSkill, 10000, {}, 'buff'));
+            nextBuff += 15000;
+        }
+        const isCrit = random() < 0.2;
+        const amount = (800 + random() * 2200) * power * (isCrit ? 1.5 : 1);
+        events.push(createHit(time + 200, user, pick(party), pick(skills), amount, { is_crit: isCrit }, 'heal'));
+        time += 2000 + random() * 2000;
+    }
+}
+
+/**
+ * 파티 전투를 생성합니다. 처음 일부 구간은 잡몹, 이후는 보스를 공격합니다.
+ * options: { players, duration(초), boss, seed }
+ */
+function createSyntheticFight(options = {}) {
+    const random = createRandom(options.seed ?? Date.now());
+    const pick = (list) => list[Math.floor(random() * list.length)];
+    const between = (min, max) => min + random() * (max - min);
+
+    const duration = (options.duration || 90) * 1000;
+    const trashEnd = duration * 0.25;
+    const boss = options.boss || DEFAULT_BOSS;
+    const classSkills = getClassSkills();
+    const classCodes = Array.from(classSkills.keys());
+
+    const hits = [];
+    const firstHitTargets = new Set();
+    const playerCount = Math.min(options.players || 4, PLAYER_NAMES.length);
+    const party = PLAYER_NAMES.slice(0, playerCount);
+
+    // 세 명 이상이면 마지막 플레이어는 힐러 역할 직업 (치유/버프 이벤트 확인용)
+    const healerCodes = classCodes.filter(code => PlayerClasses.getRole(code) === 'healer');
+    const classOf = party.map(() => pick(classCodes));
+    if (playerCount >= 3 && healerCodes.length > 0 && !classOf.some(code => healerCodes.includes(code))) {
+        classOf[playerCount - 1] = pick(healerCodes);
+    }
+
+    for (let p = 0; p < playerCount; p++) {
+        const user = party[p];
+        const classCode = classOf[p];
+        const skills = classSkills.get(classCode);
+        const defaultAttacks = getDefaultAttacks(classCode);
+        const power = between(0.8, 1.25);
+
+        if (PlayerClasses.getRole(classCode) === 'healer') {
+            addSupportEvents(hits, { user, party, skills, duration, power, random });
+        }
+
+        // 스킬별 기본 데미지 (플레이어마다 고정)
+        const baseDamage = new Map(skills.map(skillName => [skillName, between(1500, 6000) * power]));
+
+        const rollDamage = (base, isFirstHit) => {
+            const flags = {
+                is_crit: random() < 0.25,
+                is_unguarded: random() < 0.1,
+                is_break: random() < 0.05,
+                is_power: random() < 0.08,
+                is_fast: random() < 0.08,
+                is_first_hit: isFirstHit
+            };
+            let damage = base * between(0.9, 1.1);
+            if (flags.is_crit) damage *= between(1.8, 2.2);
+            if (flags.is_unguarded) damage *= 1.3;
+            if (flags.is_break) damage *= 1.5;
+            if (flags.is_power) damage *= 1.4;
+            if (flags.is_fast) damage *= 0.9;
+            return { damage, flags };
+        };
+
+        let time = between(0, 1500);
+        while (time < duration) {
+            const target = time < trashEnd ? pick(TRASH_TARGETS) : boss;
+            const firstKey = `${user}|${target}`;
+            const isFirstHit = !firstHitTargets.has(firstKey);
+            firstHitTargets.add(firstKey);
+
+            if (defaultAttacks.length > 0 && random() < 0.35) {
+                // 기본 공격 연계 (1타 ~ 마지막 타)
+                defaultAttacks.forEach((skillName, index) => {
+                    const { damage, flags } = rollDamage(between(300, 900) * power, isFirstHit && index === 0);
+                    hits.push(createHit(time, user, target, skillName, damage, { ...flags, is_default_attack: true }));
+                    time += 400;
+                });
+            } else {
+                const skillName = pick(skills);
+                const hitCount = random() < 0.3 ? 2 + Math.floor(random() * 4) : 1;
+                for (let i = 0; i < hitCount; i++) {
+                    const { damage, flags } = rollDamage(baseDamage.get(skillName) / hitCount, isFirstHit && i === 0);
+                    hits.push(createHit(time + i * 180, user, target, skillName, damage, { ...flags, is_multi_attack: hitCount > 1 }));
+                }
+
+                // 추가타
+                if (random() < 0.15) {
+                    const { damage, flags } = rollDamage(baseDamage.get(skillName) * 0.3, false);
+                    hits.push(createHit(time + hitCount * 180 + 100, user, target, skillName, damage, { ...flags, is_add_hit: true }));
+                }
+
+                // 지속 피해: 1초 간격 틱
+                if (random() < 0.12) {
+                    const element = pick(ELEMENTS);
+                    const ticks = 5 + Math.floor(random() * 4);
+                    const tickDamage = baseDamage.get(skillName) * 0.08;
+                    for (let i = 1; i <= ticks && time + i * 1000 < duration; i++) {
+                        hits.push(createHit(time + i * 1000, user, target, `DOT_${element.toUpperCase()}`, tickDamage * between(0.9, 1.1), {
+                            is_dot: true,
+                            [`is_${element}`]: true
+                        }));
+                    }
+                }
+                time += hitCount * 180;
+            }
+
+            time += between(600, 1800);
+        }
+    }
+
+    return hits.sort((a, b) => a.timestamp - b.timestamp);
+}
+
+module.exports = {
+    DamageProtocol,
+    PlayerClasses,
+    SKILL_MAPPINGS,
+    parseTimestamp,
+    parseCsv,
+    parsePipeLog,
+    loadRecording,
+    getClassSkills,
+    createSyntheticFight
+};
@@ -0,0 +1,159 @@
+// ========== 최소 WebSocket 서버 구현 ==========
+// 외부 패키지 없이 Node 기본 모듈만으로 RFC 6455 핸드셰이크와 텍스트 프레임을 처리합니다.
+// 목업 서버 용도이므로 텍스트 메시지, ping/pong, close만 지원합니다.
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+
+const HANDSHAKE_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+
+const OPCODES = {
+    continuation: 0x0,
+    text: 0x1,
+    binary: 0x2,
+    close: 0x8,
+    ping: 0x9,
+    pong: 0xa
+};
+
+function encodeFrame(opcode, payload) {
+    const length = payload.length;
+    let header;
+    if (length < 126) {
+        header = Buffer.alloc(2);
+        header[1] = length;
+    } else if (length < 65536) {
+        header = Buffer.alloc(4);
+        header[1] = 126;
+        header.writeUInt16BE(length, 2);
+    } else {
+        header = Buffer.alloc(10);
+        header[1] = 127;
+        header.writeBigUInt64BE(BigInt(length), 2);
+    }
+    header[0] = 0x80 | opcode; // FIN + opcode (서버 프레임은 마스킹하지 않음)
+    return Buffer.concat([header, payload]);
+}
+
+/**
+ * 연결 하나. 'message'(text), 'close' 이벤트를 발생시킵니다.
+ */
+class WebSocketConnection extends EventEmitter {
+    constructor(socket) {
+        super();
+        this.socket = socket;
+        this.buffer = Buffer.alloc(0);
+        this.fragments = [];
+        this.closed = false;
+
+        socket.on('data', (chunk) => this.handleData(chunk));
+        socket.on('close', () => this.handleClose());
+        socket.on('error', () => this.handleClose());
+    }
+
+    send(text) {
+        if (this.closed) return;
+        this.socket.write(encodeFrame(OPCODES.text, Buffer.from(String(text), 'utf8')));
+    }
+
+    close() {
+        if (this.closed) return;
+        this.socket.write(encodeFrame(OPCODES.close, Buffer.alloc(0)));
+        this.socket.end();
+        this.handleClose();
+    }
+
+    handleClose() {
+        if (this.closed) return;
+        this.closed = true;
+        this.emit('close');
+    }
+
+    handleData(chunk) {
+        this.buffer = Buffer.concat([this.buffer, chunk]);
+
+        // 버퍼에 완성된 프레임이 있는 동안 계속 처리
+        while (this.buffer.length >= 2) {
+            const first = this.buffer[0];
+            const second = this.buffer[1];
+            const fin = (first & 0x80) !== 0;
+            const opcode = first & 0x0f;
+            const masked = (second & 0x80) !== 0;
+            let length = second & 0x7f;
+            let offset = 2;
+
+            if (length === 126) {
+                if (this.buffer.length < 4) return;
+                length = this.buffer.readUInt16BE(2);
+                offset = 4;
+            } else if (length === 127) {
+                if (this.buffer.length < 10) return;
+                length = Number(this.buffer.readBigUInt64BE(2));
+                offset = 10;
+            }
+
+            const maskLength = masked ? 4 : 0;
+            if (this.buffer.length < offset + maskLength + length) return;
+
+            const mask = masked ? this.buffer.subarray(offset, offset + 4) : null;
+            const payload = Buffer.from(this.buffer.subarray(offset + maskLength, offset + maskLength + length));
+            if (mask) {
+                for (let i = 0; i < payload.length; i++) payload[i] ^= mask[i % 4];
+            }
+            this.buffer = this.buffer.subarray(offset + maskLength + length);
+
+            this.handleFrame(fin, opcode, payload);
+        }
+    }
+
+    handleFrame(fin, opcode, payload) {
+        switch (opcode) {
+            case OPCODES.text:
+            case OPCODES.binary:
+            case OPCODES.continuation:
+                this.fragments.push(payload);
+                if (fin) {
+                    const message = Buffer.concat(this.fragments).toString('utf8');
+                    this.fragments = [];
+                    this.emit('message', message);
+                }
+                break;
+            case OPCODES.ping:
+                this.socket.write(encodeFrame(OPCODES.pong, payload));
+                break;
+            case OPCODES.close:
+                this.close();
+                break;
+            default:
+                break;
+        }
+    }
+}
+
+/**
+ * HTTP 서버의 'upgrade' 요청을 WebSocket 연결로 전환합니다. 잘못된 요청이면 null.
+ */
+function acceptUpgrade(request, socket) {
+    const key = request.headers['sec-websocket-key'];
+    if (!key || (request.headers.upgrade || '').toLowerCase() !== 'websocket') {
+        socket.end('HTTP/1.1 400 Bad Request\r\n\r\n');
+        return null;
+    }
+
+    const accept = crypto.createHash('sha1').update(key + HANDSHAKE_GUID).digest('base64');
+    socket.write([
+        'HTTP/1.1 101 Switching Protocols',
+        'Upgrade: websocket',
+        'Connection: Upgrade',
+        `Sec-WebSocket-Accept: ${accept}`,
+        '',
+        ''
+    ].join('\r\n'));
+    socket.setNoDelay(true);
+
+    return new WebSocketConnection(socket);
+}
+
+module.exports = {
+    acceptUpgrade,
+    WebSocketConnection
+};
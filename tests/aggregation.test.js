@@ -0,0 +1,141 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { DamageAnalysis, FIXTURE_BASE_TIME, loadFixtureSession } = require('./helpers');
+
+describe('recordHit', () => {
+    const { session, entries } = loadFixtureSession('boss-fight.log');
+
+    it('사용자별 데미지/타수/추가타/크리티컬을 집계한다', () => {
+        const tarlach = session.damageData.get('타르라크');
+        assert.equal(tarlach.totalDamage, 24700);
+        assert.equal(tarlach.hits, 5);
+        assert.equal(tarlach.addHits, 2);
+        assert.equal(tarlach.crits, 3);
+
+        const nao = session.damageData.get('나오');
+        assert.equal(nao.totalDamage, 4100);
+        assert.equal(nao.hits, 4);
+        assert.equal(nao.crits, 2);
+
+        const mari = session.damageData.get('마리');
+        assert.equal(mari.totalDamage, 3500);
+        assert.equal(mari.hits, 5);
+        assert.equal(mari.crits, 0);
+    });
+
+    it('스킬별 최소/최대 데미지와 분포 샘플을 기록한다', () => {
+        const steelWedge = session.damageData.get('타르라크').skills.get('SwordMaster_SteelWedge');
+        assert.equal(steelWedge.damage, 10500);
+        assert.equal(steelWedge.hits, 1);
+        assert.equal(steelWedge.addHits, 1);
+        assert.equal(steelWedge.crits, 2);
+        assert.equal(steelWedge.minDamage, 3500);
+        assert.equal(steelWedge.maxDamage, 7000);
+        assert.deepEqual(steelWedge.critSamples, [7000, 3500]);
+        assert.deepEqual(steelWedge.normalSamples, []);
+        assert.equal(steelWedge.lastHitTime, FIXTURE_BASE_TIME + 4300);
+    });
+
+    it('전투 구간 집계처럼 samples: false로 기록하면 타격 값은 보관하지 않는다', () => {
+        const users = new Map();
+        entries.forEach(entry => DamageAnalysis.recordUserHit(users, entry, undefined, { samples: false }));
+
+        const steelWedge = users.get('타르라크').skills.get('SwordMaster_SteelWedge');
+        assert.equal(steelWedge.damage, 10500);
+        assert.equal(steelWedge.crits, 2);
+        assert.deepEqual(steelWedge.critSamples, []);
+        assert.deepEqual(steelWedge.normalSamples, []);
+    });
+
+    it('타겟별 데미지와 타격 수를 집계한다', () => {
+        assert.deepEqual(session.targetData.get('고블린'), { name: '고블린', totalDamage: 4100, hits: 4 });
+        assert.deepEqual(session.targetData.get('글라스 기브넨'), { name: '글라스 기브넨', totalDamage: 28200, hits: 12 });
+    });
+
+    it('초 단위 타임라인 버킷에 사용자/타겟별 데미지를 나눠 담는다', () => {
+        const firstSecond = session.damageTimeline.get(FIXTURE_BASE_TIME / 1000);
+        assert.equal(firstSecond.get('타르라크').get('고블린'), 2700);
+        assert.equal(firstSecond.get('나오').get('고블린'), 800);
+
+        const rebuilt = DamageAnalysis.buildTimeline(session.logStore);
+        assert.deepEqual(rebuilt, session.damageTimeline);
+    });
+
+    it('모든 로그를 시간순으로 보관한다', () => {
+        assert.equal(session.logStore.length, 16);
+        assert.equal(session.logStore.getChronological(0).timestamp, FIXTURE_BASE_TIME);
+        assert.equal(session.logStore.at(0).timestamp, FIXTURE_BASE_TIME + 10000);
+    });
+
+    it('표시 이름 함수로 스킬 표시 이름을 정한다', () => {
+        const { session: named } = loadFixtureSession('boss-fight.log', {
+            getSkillDisplayName: (skillName) => skillName === 'DOT_DARK' ? '지속 피해: 암흑' : skillName
+        });
+        assert.equal(named.damageData.get('마리').skills.get('DOT_DARK').displayName, '지속 피해: 암흑');
+    });
+});
+
+describe('computeStatistics', () => {
+    it('사용자 집계를 합산하고 플래그 통계를 합친다', () => {
+        const { session } = loadFixtureSession('boss-fight.log');
+        const statistics = session.statistics;
+
+        assert.equal(statistics.totalDamage, 32300);
+        assert.equal(statistics.totalHits, 14);
+        assert.equal(statistics.totalAddHits, 2);
+        assert.equal(statistics.totalCrits, 5);
+        assert.equal(statistics.flagStats.entries, 16);
+        assert.deepEqual(statistics.flagStats.flags.is_crit, { hits: 5, damage: 14200 });
+        assert.deepEqual(statistics.flagStats.combos['is_crit+is_break'], { hits: 1, damage: 7000 });
+    });
+
+    it('플래그 집계가 없는 예전 데이터도 합산한다', () => {
+        const statistics = DamageAnalysis.computeStatistics([{ totalDamage: 10, hits: 1, crits: 0, addHits: 0 }]);
+        assert.equal(statistics.totalDamage, 10);
+    });
+});
+
+describe('DPS', () => {
+    it('세션 경과 시간으로 사용자별 DPS를 반올림해 계산한다', () => {
+        const { session } = loadFixtureSession('boss-fight.log');
+        session.sessionEndTime = FIXTURE_BASE_TIME + 10000;
+
+        const elapsed = DamageAnalysis.getSessionElapsed(session);
+        assert.equal(elapsed, 10);
+
+        DamageAnalysis.calculateDPS(session.damageData, elapsed);
+        assert.equal(session.damageData.get('타르라크').dps, 2470);
+        assert.equal(session.damageData.get('나오').dps, 410);
+        assert.equal(session.damageData.get('마리').dps, 350);
+    });
+
+    it('데이터 누락 구간은 경과 시간에서 뺀다', () => {
+        const { session } = loadFixtureSession('boss-fight.log');
+        session.sessionEndTime = FIXTURE_BASE_TIME + 10000;
+        session.dataGaps = [{ start: FIXTURE_BASE_TIME + 6000, end: FIXTURE_BASE_TIME + 8000 }];
+
+        const elapsed = DamageAnalysis.getSessionElapsed(session);
+        assert.equal(elapsed, 8);
+
+        DamageAnalysis.calculateDPS(session.damageData, elapsed);
+        assert.equal(session.damageData.get('타르라크').dps, 3088);
+        assert.equal(session.damageData.get('나오').dps, 513);
+        assert.equal(session.damageData.get('마리').dps, 438);
+    });
+
+    it('진행 중인 세션과 끝나지 않은 누락 구간은 now까지 계산한다', () => {
+        const session = DamageAnalysis.createSession();
+        session.sessionStartTime = 1000;
+        session.dataGaps = [{ start: 3000, end: null }];
+
+        assert.equal(DamageAnalysis.getSessionElapsed(session, 5000), 2);
+        assert.equal(DamageAnalysis.getDataGapDuration(session.dataGaps, 0, 10000, 5000), 2000);
+    });
+
+    it('경과 시간이 없으면 DPS를 바꾸지 않는다', () => {
+        const users = new Map([['A', { totalDamage: 100, dps: 7 }]]);
+        DamageAnalysis.calculateDPS(users, 0);
+        assert.equal(users.get('A').dps, 7);
+        assert.equal(DamageAnalysis.getSessionElapsed(DamageAnalysis.createSession()), 0);
+    });
+});
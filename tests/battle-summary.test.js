@@ -0,0 +1,57 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { DamageAnalysis, loadFixtureSession } = require('./helpers');
+
+// MDM.html의 전투 요약 (일반 객체 집계)
+function buildBattle() {
+    const { entries } = loadFixtureSession('boss-fight.log');
+    const players = {};
+    const targets = {};
+    entries.forEach(entry => DamageAnalysis.recordBattleHit(players, targets, entry));
+    return { players, targets };
+}
+
+describe('recordBattleHit', () => {
+    const { players, targets } = buildBattle();
+
+    it('사용자 전체 집계는 세션 집계와 같은 숫자를 낸다', () => {
+        assert.equal(players['타르라크'].totalDamage, 24700);
+        assert.equal(players['타르라크'].hitCount, 5);
+        assert.equal(players['타르라크'].critCount, 3);
+        assert.equal(players['타르라크'].addHitCount, 2);
+        assert.equal(targets['고블린'].totalDamage, 4100);
+        assert.equal(targets['글라스 기브넨'].totalDamage, 28200);
+    });
+
+    it('사용자별 타겟/스킬 세부 집계를 유지한다', () => {
+        const tarlach = players['타르라크'];
+        assert.equal(tarlach.targets['고블린'].totalDamage, 2700);
+        assert.deepEqual(tarlach.skills['SwordMaster_SteelWedge'].targets['글라스 기브넨'], { damage: 10500, hits: 1, crits: 2, addHits: 1 });
+        assert.deepEqual(tarlach.targets['글라스 기브넨'].skills['SwordMaster_SwordDance'], { damage: 7500, hits: 1, crits: 0, addHits: 1 });
+    });
+
+    it('JSON으로 저장해도 같은 값을 가진다', () => {
+        assert.deepEqual(JSON.parse(JSON.stringify(players)), players);
+    });
+});
+
+describe('getPlayerView / calculateRaidDps', () => {
+    const { players } = buildBattle();
+
+    it('선택된 타겟 기준으로 사용자 집계를 보고, 없는 타겟은 빈 집계를 돌려준다', () => {
+        assert.equal(DamageAnalysis.getPlayerView(players['나오']).totalDamage, 4100);
+        assert.equal(DamageAnalysis.getPlayerView(players['나오'], '고블린').totalDamage, 800);
+        assert.equal(DamageAnalysis.getPlayerView(players['나오'], '없는 타겟').totalDamage, 0);
+    });
+
+    it('사용자별 DPS를 내림해 합산한다', () => {
+        assert.deepEqual(DamageAnalysis.calculateRaidDps(players, 10), { raidDps: 3230, playerCount: 3 });
+        assert.deepEqual(DamageAnalysis.calculateRaidDps(players, 10, { target: '고블린' }), { raidDps: 410, playerCount: 3 });
+        assert.deepEqual(DamageAnalysis.calculateRaidDps(players, 0), { raidDps: 0, playerCount: 3 });
+    });
+
+    it('include 조건을 만족하는 사용자만 포함한다', () => {
+        const raid = DamageAnalysis.calculateRaidDps(players, 10, { include: (userId) => userId !== '마리' });
+        assert.deepEqual(raid, { raidDps: 2880, playerCount: 2 });
+    });
+});
@@ -0,0 +1,69 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const PlayerClasses = require('../wwwroot/classes.js');
+const { loadFixtureSession } = require('./helpers');
+
+describe('PlayerClasses.detect', () => {
+    it('세션 집계(Map)의 스킬 접두사로 클래스를 판별한다', () => {
+        const { session } = loadFixtureSession('boss-fight.log');
+        assert.equal(PlayerClasses.detect(session.damageData.get('타르라크').skills), 'SwordMaster');
+    });
+
+    it('MDM 전투 요약처럼 객체로 된 스킬 집계도 받는다', () => {
+        assert.equal(PlayerClasses.detect({ Bard_TripleStroke: { damage: 100 } }), 'Bard');
+    });
+
+    it('여러 클래스의 스킬이 섞이면 데미지가 큰 클래스를 고른다', () => {
+        const skills = new Map([
+            ['Fighter_ChargingFist_End_LV3', { damage: 500 }],
+            ['Monk_Skill_SurgeOfLight_01', { damage: 2000 }]
+        ]);
+        assert.equal(PlayerClasses.detect(skills), 'Monk');
+    });
+
+    it('더 긴 접두사(별칭 포함)를 우선한다', () => {
+        assert.equal(PlayerClasses.matchSkill('HighThief_Skill_Ambush'), 'HighThief');
+        assert.equal(PlayerClasses.matchSkill('Thief_Skill_Hide_Buff_End'), 'HighThief');
+        assert.equal(PlayerClasses.matchSkill('ExpertBard_StringShot_Tier1A'), 'Bard');
+        assert.equal(PlayerClasses.matchSkill('GreatSwordWarrior_Slash'), 'GreatSwordWarrior');
+    });
+
+    it('공용 계열 스킬은 구체적인 클래스 스킬이 없을 때만 사용한다', () => {
+        const novice = new Map([['NoviceWarrior_RapidSlash_1', { damage: 9000 }]]);
+        assert.equal(PlayerClasses.detect(novice), 'NoviceWarrior');
+
+        novice.set('SwordMaster_SteelWedge', { damage: 100 });
+        assert.equal(PlayerClasses.detect(novice), 'SwordMaster');
+    });
+
+    it('공용 스킬만 사용했으면 null이고 표시 정보는 미확인이다', () => {
+        const skills = new Map([['MeleeDefaultAttack_1', { damage: 100 }], ['DOT_FIRE', { damage: 50 }]]);
+        assert.equal(PlayerClasses.detect(skills), null);
+        assert.equal(PlayerClasses.detect(null), null);
+
+        const info = PlayerClasses.getInfo(null);
+        assert.equal(info.code, 'unknown');
+        assert.equal(info.role, null);
+        assert.match(info.gradient, /^linear-gradient/);
+    });
+});
+
+describe('PlayerClasses.getInfo / register', () => {
+    it('클래스 이름/아이콘/역할/색상을 제공한다', () => {
+        const info = PlayerClasses.getInfo('ExpertWarrior');
+        assert.equal(info.code, 'ExpertWarrior');
+        assert.equal(info.name, '전사');
+        assert.equal(info.role, 'tank');
+        assert.equal(PlayerClasses.getRole('Healer'), 'healer');
+        assert.equal(PlayerClasses.getRole('unknown'), null);
+        assert.ok(PlayerClasses.ROLES[info.role]);
+    });
+
+    it('새 클래스를 등록하면 판별과 목록에 반영된다', () => {
+        assert.equal(PlayerClasses.matchSkill('Gunslinger_Shot'), null);
+        PlayerClasses.register('Gunslinger', { name: '총잡이', icon: '🔫', role: 'dps', colors: ['#111111', '#333333'] });
+
+        assert.equal(PlayerClasses.detect({ Gunslinger_Shot: { damage: 10 } }), 'Gunslinger');
+        assert.ok(PlayerClasses.list().some(info => info.code === 'Gunslinger'));
+    });
+});
@@ -0,0 +1,101 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { DamageAnalysis, FIXTURE_BASE_TIME, loadFixtureSession, loadFixtureProfile } = require('./helpers');
+const ProfileComparison = require('../wwwroot/comparison.js');
+
+describe('ProfileComparison.summarize / compare', () => {
+    it('같은 세션끼리 비교하면 모든 사용자/스킬이 양쪽에 있고 변화가 없다', () => {
+        const profile = loadFixtureProfile(20000);
+        const summary = ProfileComparison.summarize(profile, ProfileComparison.getSnapshotDuration(profile));
+        const result = ProfileComparison.compare(summary, summary);
+
+        assert.equal(result.totals.current.damage, 32300);
+        assert.equal(result.totals.dpsChange, 0);
+        assert.deepEqual(result.users.map(user => user.name), ['타르라크', '나오', '마리']);
+        result.users.forEach(user => {
+            assert.equal(user.status, 'both');
+            assert.ok(user.skills.every(skill => skill.status === 'both'));
+        });
+    });
+
+    it('DPS는 각 세션의 전투 시간으로 나눈다', () => {
+        const longFight = loadFixtureProfile(20000);
+        const shortFight = loadFixtureProfile(10000);
+        const result = ProfileComparison.compare(
+            ProfileComparison.summarize(shortFight, ProfileComparison.getSnapshotDuration(shortFight)),
+            ProfileComparison.summarize(longFight, ProfileComparison.getSnapshotDuration(longFight))
+        );
+
+        assert.equal(result.totals.damageChange, 0);
+        assert.equal(result.totals.dpsChange, 1);
+        assert.equal(result.totals.durationChange, -0.5);
+        assert.equal(result.users[0].dpsChange, 1);
+    });
+
+    it('한쪽에만 있는 사용자와 스킬을 새로 생김/사라짐으로 표시한다', () => {
+        const { session } = loadFixtureSession('boss-fight.log');
+        const baseline = ProfileComparison.summarize(session, 20);
+
+        session.damageData.delete('나오');
+        session.damageData.get('타르라크').skills.delete('SwordMaster_SteelWedge');
+        DamageAnalysis.recordHit(session, {
+            timestamp: FIXTURE_BASE_TIME + 15000,
+            user_name: '타르라크',
+            target_name: '글라스 기브넨',
+            skill_name: 'SwordMaster_Counter',
+            damage: 3000
+        });
+        DamageAnalysis.recordHit(session, {
+            timestamp: FIXTURE_BASE_TIME + 16000,
+            user_name: '카즈윈',
+            target_name: '글라스 기브넨',
+            skill_name: 'Fighter_Punch',
+            damage: 900
+        });
+        const result = ProfileComparison.compare(ProfileComparison.summarize(session, 20), baseline);
+
+        const status = Object.fromEntries(result.users.map(user => [user.name, user.status]));
+        assert.deepEqual(status, { 타르라크: 'both', 나오: 'removed', 마리: 'both', 카즈윈: 'added' });
+
+        const tarlach = result.users.find(user => user.name === '타르라크');
+        const skillStatus = Object.fromEntries(tarlach.skills.map(skill => [skill.name, skill.status]));
+        assert.equal(skillStatus.SwordMaster_SteelWedge, 'removed');
+        assert.equal(skillStatus.SwordMaster_Counter, 'added');
+        assert.equal(skillStatus.SwordMaster_SwordDance, 'both');
+        assert.equal(result.users.find(user => user.name === '나오').dpsChange, null);
+    });
+});
+
+describe('ProfileComparison 유의성', () => {
+    it('크리티컬 확률 차이는 표본이 충분할 때만 판단한다', () => {
+        assert.equal(ProfileComparison.testProportions(500, 1000, 300, 1000).level, 'significant');
+        assert.equal(ProfileComparison.testProportions(330, 1000, 300, 1000).level, 'none');
+        assert.equal(ProfileComparison.testProportions(5, 10, 3, 10).level, 'insufficient');
+        assert.equal(ProfileComparison.testProportions(0, 0, 3, 100).level, 'insufficient');
+    });
+
+    it('평균 데미지 차이는 타격 값의 분산으로 판단한다', () => {
+        const steady = ProfileComparison.describeSamples(Array.from({ length: 50 }, (_, i) => 1000 + (i % 5)));
+        const stronger = ProfileComparison.describeSamples(Array.from({ length: 50 }, (_, i) => 1100 + (i % 5)));
+        const noisy = ProfileComparison.describeSamples(Array.from({ length: 50 }, (_, i) => (i % 2 ? 200 : 2000)));
+
+        assert.equal(ProfileComparison.testMeans(stronger, steady).level, 'significant');
+        assert.equal(ProfileComparison.testMeans(noisy, steady).level, 'none');
+        assert.equal(ProfileComparison.testMeans(stronger, null).level, 'insufficient');
+    });
+});
+
+describe('ProfileComparison.getSnapshotDuration', () => {
+    it('종료 시각이 없으면 마지막 로그까지, 데이터 누락 구간은 제외한다', () => {
+        // 저장 형식과 같이 최신순
+        const logData = [{ timestamp: FIXTURE_BASE_TIME + 30000 }, { timestamp: FIXTURE_BASE_TIME }];
+        assert.equal(ProfileComparison.getSnapshotDuration({ logData }), 30);
+        assert.equal(ProfileComparison.getSnapshotDuration({
+            logData,
+            sessionStartTime: FIXTURE_BASE_TIME,
+            sessionEndTime: FIXTURE_BASE_TIME + 40000,
+            dataGaps: [{ start: FIXTURE_BASE_TIME + 10000, end: FIXTURE_BASE_TIME + 15000 }]
+        }), 35);
+        assert.equal(ProfileComparison.getSnapshotDuration({}), 0);
+    });
+});
@@ -0,0 +1,95 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { FIXTURE_BASE_TIME, loadFixtureSession } = require('./helpers');
+const ExportFormats = require('../wwwroot/export-formats.js');
+const { parseCsv } = require('../mock-server/sources.js');
+
+function loadSource() {
+    const { session } = loadFixtureSession('boss-fight.log');
+    return {
+        session,
+        source: {
+            logs: session.logStore.toArray(),
+            users: session.damageData.values(),
+            bossTargets: new Set(['글라스 기브넨'])
+        }
+    };
+}
+
+describe('ExportFormats 원본 이벤트', () => {
+    it('JSON Lines는 시간순으로 내부/표시 스킬 이름과 타입이 맞는 값을 쓴다', () => {
+        const { session, source } = loadSource();
+        const rows = ExportFormats.buildRows('events', source);
+        const text = ExportFormats.serialize('events', rows, {
+            format: 'jsonl',
+            timestamp: 'epoch_ms',
+            getSkillName: name => `${name} 표시`
+        });
+        const lines = text.trim().split('\n').map(line => JSON.parse(line));
+
+        assert.equal(lines.length, session.logStore.toArray().length);
+        assert.ok(lines.every((line, i) => i === 0 || lines[i - 1].timestamp <= line.timestamp));
+        assert.equal(lines[0].timestamp, FIXTURE_BASE_TIME);
+        assert.equal(lines[0].skill_display_name, `${lines[0].skill_name} 표시`);
+        assert.equal(typeof lines[0].is_crit, 'boolean');
+        assert.deepEqual(Object.keys(lines[0]), ExportFormats.getColumnNames('events'));
+    });
+
+    it('CSV는 ISO 시각, 고른 열, 구분자와 BOM 설정을 따르고 목업 서버 재생으로 다시 읽힌다', () => {
+        const { session, source } = loadSource();
+        const rows = ExportFormats.buildRows('events', source);
+        const text = ExportFormats.serialize('events', rows, { format: 'csv', delimiter: ';', bom: true });
+
+        assert.ok(text.startsWith('\uFEFFtimestamp;user_name;target_name;skill_name;skill_display_name;damage;is_crit'));
+        assert.ok(text.split('\r\n')[1].startsWith(`${new Date(FIXTURE_BASE_TIME).toISOString()};`));
+
+        const { hits, skipped } = parseCsv(text);
+        assert.equal(skipped, 0);
+        assert.equal(hits.length, session.logStore.toArray().length);
+        assert.equal(hits.reduce((sum, hit) => sum + hit.damage, 0), session.statistics.totalDamage);
+        assert.equal(hits.filter(hit => hit.is_crit).length, session.logStore.toArray().filter(log => log.is_crit).length);
+
+        const narrow = ExportFormats.serialize('events', rows, { columns: ['damage', 'user_name'] });
+        assert.equal(narrow.split('\r\n')[0], 'user_name,damage');
+        assert.throws(() => ExportFormats.serialize('events', rows, { columns: [] }), /하나 이상/);
+    });
+
+    it('구분자나 따옴표가 든 값은 따옴표로 감싼다', () => {
+        const rows = [{ timestamp: 0, user_name: '나오; "별명"', target_name: '', skill_name: 'A', damage: 1 }];
+        const text = ExportFormats.serialize('events', rows, { columns: ['user_name', 'damage'], delimiter: ';' });
+        assert.equal(text.split('\r\n')[1], '"나오; ""별명""";1');
+    });
+});
+
+describe('ExportFormats 요약', () => {
+    it('플레이어 x 스킬 요약은 사용자 집계와 합계가 같다', () => {
+        const { session, source } = loadSource();
+        const rows = ExportFormats.buildRows('playerSkills', source);
+        const lines = ExportFormats.serialize('playerSkills', rows, {
+            format: 'jsonl',
+            getClassCode: () => 'SwordMaster'
+        }).trim().split('\n').map(line => JSON.parse(line));
+
+        const tarlach = session.damageData.get('타르라크');
+        const tarlachRows = lines.filter(line => line.user_name === '타르라크');
+        assert.equal(tarlachRows.length, tarlach.skills.size);
+        assert.equal(tarlachRows.reduce((sum, row) => sum + row.damage, 0), tarlach.totalDamage);
+        assert.equal(tarlachRows[0].class_code, 'SwordMaster');
+        assert.ok(Math.abs(tarlachRows.reduce((sum, row) => sum + row.damage_share, 0) - 1) < 0.001);
+    });
+
+    it('타겟 요약은 받은 데미지 순이고 보스 지정과 가장 많이 때린 사람을 담는다', () => {
+        const { session, source } = loadSource();
+        const targets = ExportFormats.summarizeTargets(source.logs, source.bossTargets);
+
+        assert.deepEqual(targets.map(target => target.name), ['글라스 기브넨', '고블린']);
+        assert.equal(targets[0].boss, true);
+        assert.equal(targets[1].boss, false);
+        assert.equal(targets.reduce((sum, target) => sum + target.damage, 0), session.statistics.totalDamage);
+
+        const schema = ExportFormats.getSchema('targets', { timestamp: 'epoch_ms' });
+        assert.deepEqual(schema.columns.find(column => column.name === 'first_hit_time'),
+            { name: 'first_hit_time', type: 'timestamp', encoding: 'epoch_ms' });
+        assert.deepEqual(schema.columns.find(column => column.name === 'is_boss'), { name: 'is_boss', type: 'boolean' });
+    });
+});
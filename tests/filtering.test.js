@@ -0,0 +1,44 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { DamageAnalysis, FIXTURE_BASE_TIME, loadFixtureSession } = require('./helpers');
+
+describe('filterLogs', () => {
+    const { session } = loadFixtureSession('boss-fight.log');
+    const logs = session.logStore.toArray(); // 최신순
+    const displayNames = { DOT_DARK: '지속 피해: 암흑' };
+    const getSkillDisplayName = (skillName) => displayNames[skillName] || skillName;
+
+    it('필터가 없으면 입력을 그대로 반환한다', () => {
+        assert.deepEqual(DamageAnalysis.filterLogs(logs), logs);
+    });
+
+    it('타겟과 사용자로 거른다', () => {
+        assert.equal(DamageAnalysis.filterLogs(logs, { target: '고블린' }).length, 4);
+        assert.equal(DamageAnalysis.filterLogs(logs, { user: '마리' }).length, 5);
+        assert.equal(DamageAnalysis.filterLogs(logs, { target: '고블린', user: '마리' }).length, 1);
+    });
+
+    it('스킬 키와 표시 이름 모두 대소문자 없이 검색한다', () => {
+        assert.equal(DamageAnalysis.filterLogs(logs, { skill: 'dot_' }).length, 3);
+        assert.equal(DamageAnalysis.filterLogs(logs, { skill: '암흑' }, getSkillDisplayName).length, 3);
+        assert.equal(DamageAnalysis.filterLogs(logs, { skill: '암흑' }).length, 0);
+    });
+
+    it('도트 데미지를 제외한다', () => {
+        const filtered = DamageAnalysis.filterLogs(logs, { excludeDot: true });
+        assert.equal(filtered.length, 13);
+        assert.equal(filtered.some(log => log.skill_name === 'DOT_DARK'), false);
+    });
+
+    it('전투 구간의 시작~끝 시각에 포함된 로그만 남기고 순서를 유지한다', () => {
+        const encounter = { startTime: FIXTURE_BASE_TIME + 2000, endTime: FIXTURE_BASE_TIME + 6000 };
+        const filtered = DamageAnalysis.filterLogs(logs, { encounter });
+        assert.equal(filtered.length, 10);
+        assert.equal(filtered[0].timestamp, FIXTURE_BASE_TIME + 6000);
+        assert.equal(filtered[filtered.length - 1].timestamp, FIXTURE_BASE_TIME + 2000);
+
+        // 진행 중인 전투는 마지막 타격 시각까지
+        const ongoing = { startTime: FIXTURE_BASE_TIME + 9000, endTime: null, lastHitTime: FIXTURE_BASE_TIME + 9500 };
+        assert.equal(DamageAnalysis.filterLogs(logs, { encounter: ongoing }).length, 1);
+    });
+});
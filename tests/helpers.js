@@ -0,0 +1,53 @@
+// 테스트 공용 도우미: 녹화된 메시지 파일(fixtures/*.log)을 분석 코어에 흘려보냅니다.
+const fs = require('fs');
+const path = require('path');
+const DamageAnalysis = require('../wwwroot/analysis.js');
+
+const { DamageProtocol } = globalThis;
+
+// boss-fight.log의 첫 타격 시각
+const FIXTURE_BASE_TIME = 1760000000000;
+
+function readFixture(name) {
+    return fs.readFileSync(path.join(__dirname, 'fixtures', name), 'utf8')
+        .split(/\r?\n/)
+        .filter(line => line.length > 0);
+}
+
+/**
+ * 녹화 파일을 한 줄씩 파싱해 세션에 집계합니다. (app.js의 메시지 처리 순서와 동일)
+ * 반환: { session, counter, entries }
+ */
+function loadFixtureSession(name, options = {}) {
+    const session = DamageAnalysis.createSession();
+    const counter = DamageProtocol.createRejectionCounter();
+    const entries = [];
+
+    readFixture(name).forEach(line => {
+        const result = DamageAnalysis.parseMessage(line, counter);
+        if (!result.ok) return;
+        if (!session.sessionStartTime) session.sessionStartTime = result.data.timestamp;
+        entries.push(DamageAnalysis.recordHit(session, result.data, options));
+    });
+    session.statistics = DamageAnalysis.computeStatistics(session.damageData.values());
+
+    return { session, counter, entries };
+}
+
+/**
+ * boss-fight.log를 종료 시각만 바꿔 저장된 프로필과 같은 형식(damageData가 배열)으로 만듭니다.
+ */
+function loadFixtureProfile(sessionEndOffset) {
+    const { session } = loadFixtureSession('boss-fight.log');
+    session.sessionEndTime = FIXTURE_BASE_TIME + sessionEndOffset;
+    return JSON.parse(JSON.stringify(DamageAnalysis.serializeSession(session)));
+}
+
+module.exports = {
+    DamageAnalysis,
+    DamageProtocol,
+    FIXTURE_BASE_TIME,
+    readFixture,
+    loadFixtureSession,
+    loadFixtureProfile
+};
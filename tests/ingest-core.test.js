@@ -0,0 +1,191 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { DamageAnalysis, DamageProtocol, FIXTURE_BASE_TIME, readFixture, loadFixtureSession } = require('./helpers');
+const { IngestCore, applyDiff, MAX_REJECTED_SAMPLES } = require('../wwwroot/ingest-core.js');
+
+function toItems(lines, source = null) {
+    return lines.map(raw => ({ raw, source }));
+}
+
+function formatHit(overrides = {}) {
+    return DamageProtocol.formatMessage({
+        timestamp: FIXTURE_BASE_TIME,
+        user_name: '타르라크',
+        target_name: '고블린',
+        skill_name: 'MeleeDefaultAttack_1',
+        damage: 1000,
+        ...overrides
+    });
+}
+
+describe('IngestCore', () => {
+    it('묶음으로 나눠 받은 변경분을 반영하면 한 줄씩 집계한 세션과 같다', () => {
+        const { session: expected } = loadFixtureSession('boss-fight.log');
+        const lines = readFixture('boss-fight.log');
+        const core = new IngestCore();
+        const session = DamageAnalysis.createSession();
+
+        for (let start = 0; start < lines.length; start += 4) {
+            core.ingest(toItems(lines.slice(start, start + 4)));
+            applyDiff(session, core.takeDiff());
+        }
+
+        assert.deepEqual(session.damageData, expected.damageData);
+        assert.deepEqual(session.targetData, expected.targetData);
+        assert.deepEqual(session.damageTimeline, expected.damageTimeline);
+        assert.deepEqual(session.logStore.toArray(), expected.logStore.toArray());
+        assert.deepEqual(session.statistics, expected.statistics);
+    });
+
+    it('바뀐 사용자/타겟/타임라인 버킷만 변경분에 담는다', () => {
+        const core = new IngestCore();
+        core.ingest(toItems([formatHit(), formatHit({ user_name: '나오', target_name: '글라스 기브넨', timestamp: FIXTURE_BASE_TIME + 5000 })]));
+        core.takeDiff();
+
+        core.ingest(toItems([formatHit({ damage: 500, timestamp: FIXTURE_BASE_TIME + 200 })]));
+        const diff = core.takeDiff();
+        assert.deepEqual(diff.users.map(([name]) => name), ['타르라크']);
+        assert.deepEqual(diff.targets, [['고블린', { name: '고블린', totalDamage: 1500, hits: 2 }]]);
+        assert.deepEqual(diff.timeline.map(([second]) => second), [FIXTURE_BASE_TIME / 1000]);
+        assert.equal(diff.statistics.totalDamage, 2500);
+        assert.equal(diff.received, 1);
+
+        // 분포 샘플은 보내지 않고 로그 항목으로 이어 붙임
+        const [, skill] = diff.users[0][1].skills[0];
+        assert.equal(skill.normalSamples, undefined);
+        assert.equal(diff.entries[0].damage, 500);
+    });
+
+    it('변경이 없으면 통계를 다시 계산하지 않는다', () => {
+        const core = new IngestCore();
+        core.ingest(toItems([formatHit()]));
+        core.takeDiff();
+
+        const diff = core.takeDiff();
+        assert.equal(diff.statistics, null);
+        assert.deepEqual(diff.entries, []);
+        assert.equal(diff.messageStats.accepted, 1);
+    });
+
+    it('거부된 메시지는 사유와 함께 일부만 보고하고 통계에 누적한다', () => {
+        const core = new IngestCore();
+        const invalid = Array.from({ length: MAX_REJECTED_SAMPLES + 5 }, () => 'v1|abc');
+        core.ingest(toItems([...invalid, formatHit()]));
+
+        const diff = core.takeDiff();
+        assert.equal(diff.rejected.length, MAX_REJECTED_SAMPLES);
+        assert.equal(diff.rejected[0].raw, 'v1|abc');
+        assert.ok(diff.rejected[0].reason.length > 0);
+        assert.equal(diff.messageStats.rejected, MAX_REJECTED_SAMPLES + 5);
+        assert.equal(diff.messageStats.accepted, 1);
+        assert.equal(diff.entries.length, 1);
+        assert.equal(diff.received, MAX_REJECTED_SAMPLES + 6);
+    });
+
+    it('다른 서버에서 이미 받은 타격은 한 번만 집계한다', () => {
+        const core = new IngestCore({ dedupTolerance: 500 });
+        core.ingest([
+            { raw: formatHit(), source: 'a' },
+            { raw: formatHit({ timestamp: FIXTURE_BASE_TIME + 100 }), source: 'b' }
+        ]);
+
+        const diff = core.takeDiff();
+        assert.equal(diff.entries.length, 1);
+        assert.equal(diff.entries[0].source, 'a');
+        assert.deepEqual(new Map(diff.sources).get('b'), { accepted: 0, duplicates: 1 });
+    });
+
+    it('스킬 표시 이름은 전달받은 매핑을 사용한다', () => {
+        const core = new IngestCore({ skillMappings: { MeleeDefaultAttack_1: '근접 기본 공격1' } });
+        core.ingest(toItems([formatHit(), formatHit({ skill_name: 'Unknown_Skill' })]));
+
+        const skills = new Map(core.takeDiff().users[0][1].skills);
+        assert.equal(skills.get('MeleeDefaultAttack_1').displayName, '근접 기본 공격1');
+        assert.equal(skills.get('Unknown_Skill').displayName, 'Unknown_Skill');
+    });
+
+    it('종료된 세션에 타격이 들어오면 새 세션을 시작하고 reset을 알린다', () => {
+        const core = new IngestCore();
+        core.ingest(toItems([formatHit()]));
+        core.takeDiff();
+        core.end();
+
+        core.ingest(toItems([formatHit({ user_name: '나오', damage: 300 })]));
+        const diff = core.takeDiff();
+        assert.equal(diff.reset, true);
+        assert.deepEqual(diff.users.map(([name]) => name), ['나오']);
+        assert.equal(diff.statistics.totalDamage, 300);
+        assert.equal(core.damageData.has('타르라크'), false);
+
+        core.ingest(toItems([formatHit({ user_name: '나오' })]));
+        assert.equal(core.takeDiff().reset, false);
+    });
+
+    it('치유/버프 이벤트는 데미지 집계에 넣지 않고 지원 이벤트로 보낸다', () => {
+        const core = new IngestCore();
+        core.ingest(toItems([formatHit(), formatHit({ kind: 'heal', user_name: '마리', target_name: '타르라크', damage: 800 })]));
+
+        const diff = core.takeDiff();
+        assert.equal(diff.entries.length, 1);
+        assert.deepEqual(diff.support.map(entry => [entry.kind, entry.user_name, entry.damage]), [['heal', '마리', 800]]);
+        assert.deepEqual(diff.users.map(([name]) => name), ['타르라크']);
+        assert.equal(diff.statistics.totalDamage, 1000);
+
+        const session = DamageAnalysis.createSession();
+        applyDiff(session, diff);
+        assert.equal(session.logStore.length, 1);
+        assert.equal(session.supportLog.length, 1);
+    });
+
+    it('종료된 세션에 들어온 지원 이벤트는 새 세션을 시작하지 않고 버린다', () => {
+        const core = new IngestCore();
+        core.ingest(toItems([formatHit()]));
+        core.takeDiff();
+        core.end();
+
+        core.ingest(toItems([formatHit({ kind: 'buff', user_name: '마리', damage: 10000 })]));
+        const diff = core.takeDiff();
+        assert.equal(diff.reset, false);
+        assert.deepEqual(diff.support, []);
+        assert.equal(core.damageData.has('타르라크'), true);
+    });
+
+    it('불러온 세션에 이어서 집계한다', () => {
+        const { session } = loadFixtureSession('boss-fight.log');
+        const core = new IngestCore();
+        core.load(DamageAnalysis.serializeSession(session));
+
+        core.ingest(toItems([formatHit({ timestamp: FIXTURE_BASE_TIME + 60000 })]));
+        const diff = core.takeDiff();
+        assert.equal(diff.reset, false);
+        assert.equal(diff.statistics.totalDamage, session.statistics.totalDamage + 1000);
+        assert.equal(new Map(diff.users).get('타르라크').totalDamage, session.damageData.get('타르라크').totalDamage + 1000);
+
+        // 종료된 세션으로 불러오면 다음 타격에서 새 세션
+        core.load(DamageAnalysis.serializeSession(session), true);
+        core.ingest(toItems([formatHit()]));
+        assert.equal(core.takeDiff().reset, true);
+    });
+});
+
+describe('applyDiff', () => {
+    it('기존 사용자 집계의 DPS와 분포 샘플을 유지한다', () => {
+        const core = new IngestCore();
+        const session = DamageAnalysis.createSession();
+        core.ingest(toItems([formatHit({ damage: 1000 }), formatHit({ damage: 2000, is_crit: true })]));
+        applyDiff(session, core.takeDiff());
+        session.damageData.get('타르라크').dps = 123;
+
+        core.ingest(toItems([formatHit({ damage: 1500 })]));
+        const entries = applyDiff(session, core.takeDiff());
+
+        const userData = session.damageData.get('타르라크');
+        assert.equal(userData.dps, 123);
+        assert.equal(userData.totalDamage, 4500);
+        const skill = userData.skills.get('MeleeDefaultAttack_1');
+        assert.deepEqual(skill.normalSamples, [1000, 1500]);
+        assert.deepEqual(skill.critSamples, [2000]);
+        assert.equal(entries.length, 1);
+        assert.equal(session.logStore.length, 3);
+    });
+});
@@ -0,0 +1,105 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { DamageAnalysis, DamageProtocol, FIXTURE_BASE_TIME, readFixture } = require('./helpers');
+
+describe('parseMessage', () => {
+    it('녹화 파일의 정상/레거시/잘못된 메시지를 구분해 통계에 기록한다', () => {
+        const counter = DamageProtocol.createRejectionCounter();
+        const results = readFixture('boss-fight.log').map(line => DamageAnalysis.parseMessage(line, counter));
+
+        assert.equal(results.filter(result => result.ok).length, 16);
+        assert.equal(counter.accepted, 16);
+        assert.equal(counter.rejected, 4);
+        assert.equal(results.filter(result => result.ok && result.legacy).length, 1);
+        assert.deepEqual(Object.values(counter.reasons).reduce((a, b) => a + b, 0), 4);
+    });
+
+    it('재생 상태 같은 서버 제어 메시지는 거부로 세지 않는다', () => {
+        const counter = DamageProtocol.createRejectionCounter();
+        const raw = JSON.stringify({ Type: 'PlaybackState', State: 'Playing', Timestamp: '2025-10-09T12:00:00' });
+        const result = DamageAnalysis.parseMessage(raw, counter);
+
+        assert.equal(result.ok, false);
+        assert.equal(result.control.State, 'Playing');
+        assert.equal(counter.control, 1);
+        assert.equal(counter.rejected, 0);
+
+        // Type이 없는 JSON이나 깨진 JSON은 그대로 거부
+        DamageAnalysis.parseMessage('{"State":"Playing"}', counter);
+        DamageAnalysis.parseMessage('{broken', counter);
+        assert.equal(counter.rejected, 2);
+    });
+
+    it('필드를 스키마 타입으로 변환한다', () => {
+        const [first] = readFixture('boss-fight.log');
+        const result = DamageAnalysis.parseMessage(first);
+
+        assert.equal(result.ok, true);
+        assert.equal(result.data.timestamp, FIXTURE_BASE_TIME);
+        assert.equal(result.data.user_name, '타르라크');
+        assert.equal(result.data.target_name, '고블린');
+        assert.equal(result.data.damage, 1200);
+        assert.equal(result.data.is_default_attack, true);
+        assert.equal(result.data.is_first_hit, true);
+        assert.equal(result.data.is_crit, false);
+    });
+
+    it('v1/레거시 메시지는 데미지 이벤트로 채우고 v2는 이벤트 종류를 읽는다', () => {
+        const [first] = readFixture('boss-fight.log');
+        assert.equal(DamageAnalysis.parseMessage(first).data.kind, 'damage');
+
+        const heal = DamageAnalysis.parseMessage(first.replace(/^v1\|/, 'v2|heal|'));
+        assert.equal(heal.ok, true);
+        assert.equal(heal.version, 2);
+        assert.equal(heal.data.kind, 'heal');
+        assert.equal(heal.data.damage, 1200);
+        assert.equal(DamageProtocol.isDamageEvent(heal.data), false);
+    });
+
+    it('모르는 이벤트 종류도 받아들이고 형식이 틀린 종류만 거부한다', () => {
+        const [first] = readFixture('boss-fight.log');
+        const future = DamageAnalysis.parseMessage(first.replace(/^v1\|/, 'v2|taunt_v2|'));
+        assert.equal(future.ok, true);
+        assert.equal(future.data.kind, 'taunt_v2');
+
+        const invalid = DamageAnalysis.parseMessage(first.replace(/^v1\|/, 'v2|Heal!|'));
+        assert.equal(invalid.ok, false);
+        assert.equal(invalid.reason, 'invalid_kind');
+        assert.equal(invalid.field, 'kind');
+    });
+
+    it('formatMessage는 현재 버전으로 쓰고 kind가 없으면 데미지로 기록한다', () => {
+        const raw = DamageProtocol.formatMessage({ timestamp: FIXTURE_BASE_TIME, user_name: '나오', target_name: '', skill_name: 'Priest_Heal', damage: 500 });
+        assert.match(raw, /^v2\|damage\|/);
+
+        const buff = DamageProtocol.parseMessage(DamageProtocol.formatMessage({ kind: 'buff', timestamp: FIXTURE_BASE_TIME, user_name: '나오', target_name: '', skill_name: 'Bard_Song', damage: 10000 }));
+        assert.equal(buff.data.kind, 'buff');
+        assert.equal(buff.data.target_name, '');
+    });
+
+    it('counter 없이도 파싱 결과를 반환한다', () => {
+        const result = DamageAnalysis.parseMessage('');
+        assert.equal(result.ok, false);
+        assert.equal(result.reason, 'empty');
+    });
+});
+
+describe('createLogEntry', () => {
+    it('로그에 필요한 필드만 복사하고 타임스탬프가 없으면 now를 사용한다', () => {
+        const entry = DamageAnalysis.createLogEntry({
+            user_name: '나오',
+            target_name: '고블린',
+            skill_name: 'RangeDefaultAttack_1',
+            damage: 100,
+            is_crit: true,
+            extra: 'ignored'
+        }, 1234);
+
+        assert.equal(entry.timestamp, 1234);
+        assert.equal(entry.is_crit, true);
+        assert.equal(entry.source, null);
+        assert.equal(entry.kind, 'damage');
+        assert.equal('extra' in entry, false);
+        assert.deepEqual(Object.keys(entry).slice(1, -1), DamageAnalysis.LOG_FIELDS);
+    });
+});
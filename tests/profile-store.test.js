@@ -0,0 +1,71 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { DamageAnalysis, loadFixtureSession } = require('./helpers');
+const ProfileStore = require('../wwwroot/profile-store.js');
+
+function createProfiles() {
+    const { session } = loadFixtureSession('boss-fight.log');
+    const snapshot = DamageAnalysis.serializeSession(session);
+    return new Map([
+        ['보스 1회차', { name: '보스 1회차', createdAt: '2025-10-09T00:00:00.000Z', ...snapshot }],
+        ['보스 2회차', { name: '보스 2회차', createdAt: '2025-10-16T00:00:00.000Z', ...snapshot }]
+    ]);
+}
+
+describe('ProfileStore 묶음', () => {
+    it('gzip으로 압축해 내보내고 다시 읽으면 프로필이 그대로다', async () => {
+        const bundle = ProfileStore.createBundle(createProfiles(), new Date('2025-10-20T00:00:00.000Z'));
+        const { blob, compressed } = await ProfileStore.encodeBundle(bundle);
+
+        assert.equal(compressed, true);
+        const header = new Uint8Array(await blob.slice(0, 2).arrayBuffer());
+        assert.deepEqual(Array.from(header), [0x1f, 0x8b]);
+        assert.ok(blob.size < JSON.stringify(bundle).length);
+
+        const profiles = await ProfileStore.decodeBundle(blob);
+        assert.deepEqual(Array.from(profiles.keys()), ['보스 1회차', '보스 2회차']);
+        const profile = profiles.get('보스 2회차');
+        assert.equal(profile.name, '보스 2회차');
+        assert.equal(profile.createdAt, '2025-10-16T00:00:00.000Z');
+        assert.equal(profile.damageData.get('타르라크').skills.get('SwordMaster_SteelWedge').damage, 10500);
+        assert.equal(DamageAnalysis.restoreSession(profile).statistics.totalDamage, 32300);
+    });
+
+    it('압축하지 않은 JSON 묶음도 읽는다', async () => {
+        const bundle = ProfileStore.createBundle(createProfiles());
+        const profiles = await ProfileStore.decodeBundle(new Blob([JSON.stringify(bundle)]));
+        assert.equal(profiles.size, 2);
+    });
+
+    it('형식이 맞지 않는 묶음은 거부한다', async () => {
+        await assert.rejects(ProfileStore.decodeBundle(new Blob(['not json'])), /형식/);
+        assert.throws(() => ProfileStore.parseBundle({ profiles: {} }), /형식/);
+        assert.throws(() => ProfileStore.parseBundle({ format: ProfileStore.BUNDLE_FORMAT, version: 99, profiles: {} }), /새 버전/);
+        assert.throws(() => ProfileStore.parseBundle({ format: ProfileStore.BUNDLE_FORMAT, version: 1, profiles: {} }), /프로필이 없습니다/);
+        assert.throws(() => ProfileStore.parseBundle({
+            format: ProfileStore.BUNDLE_FORMAT,
+            version: 1,
+            profiles: { 빈: { damageData: [], logData: [] } }
+        }), /올바르지 않은/);
+    });
+
+    it('이름이 겹치면 번호를 붙인 새 이름을 만든다', () => {
+        const existing = new Set(['보스', '보스 (2)']);
+        assert.equal(ProfileStore.getUniqueName('보스', existing), '보스 (3)');
+        assert.equal(ProfileStore.getUniqueName('잡몹', existing), '잡몹');
+    });
+});
+
+describe('ProfileStore 저장 공간', () => {
+    it('브라우저의 저장 공간 추정치를 돌려주고, 지원하지 않으면 null', async () => {
+        const store = new ProfileStore({ storageManager: { estimate: async () => ({ usage: 1024, quota: 4096 }) } });
+        assert.deepEqual(await store.estimate(), { usage: 1024, quota: 4096 });
+        assert.equal(await new ProfileStore({ storageManager: {} }).estimate(), null);
+    });
+
+    it('저장 공간 부족 오류를 구분한다', () => {
+        assert.equal(ProfileStore.isQuotaError({ name: 'QuotaExceededError' }), true);
+        assert.equal(ProfileStore.isQuotaError(new Error('다른 오류')), false);
+        assert.equal(ProfileStore.isQuotaError(null), false);
+    });
+});
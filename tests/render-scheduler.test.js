@@ -0,0 +1,75 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { RenderScheduler } = require('../wwwroot/panel-render.js');
+
+// 프레임 예약을 직접 실행하는 스케줄러와 패널별 그리기 횟수
+function createScheduler({ hidden = false } = {}) {
+    const frames = [];
+    const counts = { battle: 0, ranking: 0, debuffs: 0 };
+    const visibleTabs = new Set(['ranking']);
+    const state = { hidden };
+
+    const scheduler = new RenderScheduler({
+        battle: { render: () => counts.battle++ },
+        ranking: { render: () => counts.ranking++, isVisible: () => visibleTabs.has('ranking') },
+        debuffs: { render: () => counts.debuffs++, isVisible: () => visibleTabs.has('debuffs') }
+    }, {
+        requestFrame: (callback) => frames.push(callback),
+        isHidden: () => state.hidden
+    });
+
+    const runFrames = () => frames.splice(0).forEach(callback => callback());
+    return { scheduler, counts, visibleTabs, state, frames, runFrames };
+}
+
+describe('RenderScheduler', () => {
+    it('변경 표시만으로는 그리지 않고, 여러 번 요청해도 한 프레임에 한 번만 그린다', () => {
+        const { scheduler, counts, frames, runFrames } = createScheduler();
+
+        scheduler.markDirty('battle');
+        scheduler.markDirty('battle', 'ranking');
+        assert.equal(frames.length, 0);
+
+        scheduler.request();
+        scheduler.request();
+        assert.equal(frames.length, 1);
+        runFrames();
+
+        assert.deepEqual(counts, { battle: 1, ranking: 1, debuffs: 0 });
+        assert.equal(scheduler.isDirty('battle'), false);
+    });
+
+    it('변경이 없으면 프레임을 예약하지 않는다', () => {
+        const { scheduler, frames } = createScheduler();
+        scheduler.request();
+        assert.equal(frames.length, 0);
+    });
+
+    it('보이지 않는 탭의 패널은 변경 표시를 유지했다가 탭이 보이면 그린다', () => {
+        const { scheduler, counts, visibleTabs, runFrames } = createScheduler();
+
+        scheduler.invalidate();
+        runFrames();
+        assert.deepEqual(counts, { battle: 1, ranking: 1, debuffs: 0 });
+        assert.equal(scheduler.isDirty('debuffs'), true);
+
+        visibleTabs.add('debuffs');
+        scheduler.request();
+        runFrames();
+        assert.deepEqual(counts, { battle: 1, ranking: 1, debuffs: 1 });
+    });
+
+    it('문서가 숨겨진 동안에는 아무것도 그리지 않는다', () => {
+        const { scheduler, counts, state, runFrames } = createScheduler({ hidden: true });
+
+        scheduler.invalidate('battle');
+        runFrames();
+        assert.equal(counts.battle, 0);
+        assert.equal(scheduler.isDirty('battle'), true);
+
+        state.hidden = false;
+        scheduler.request();
+        runFrames();
+        assert.equal(counts.battle, 1);
+    });
+});
@@ -0,0 +1,112 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadFixtureSession } = require('./helpers');
+const FightReport = require('../wwwroot/report.js');
+
+// app.js의 buildReportData와 같은 형태를 녹화 파일 집계로 만듦
+function createReport(overrides = {}) {
+    const { session } = loadFixtureSession('boss-fight.log');
+    const users = Array.from(session.damageData.values()).sort((a, b) => b.totalDamage - a.totalDamage);
+    const toSkillRow = skill => ({ label: skill.name, ...skill });
+
+    return {
+        title: '전투 보고서',
+        generatedAt: 0,
+        session: {
+            startTime: session.sessionStartTime,
+            endTime: null,
+            duration: 20,
+            totalDamage: session.statistics.totalDamage,
+            hits: session.statistics.totalHits,
+            crits: session.statistics.totalCrits,
+            gapCount: 0,
+            gapSeconds: 0,
+            filters: []
+        },
+        ranking: {
+            scoreLabel: '데미지',
+            rows: users.map((user, index) => ({
+                rank: index + 1,
+                name: user.name,
+                className: '검술',
+                color: '#8B4513',
+                score: user.totalDamage,
+                damage: user.totalDamage,
+                dps: user.totalDamage / 20,
+                hps: 0,
+                hits: user.hits,
+                crits: user.crits
+            }))
+        },
+        skills: [],
+        players: users.map(user => ({
+            name: user.name,
+            damage: user.totalDamage,
+            skills: Array.from(user.skills.values()).map(toSkillRow)
+        })),
+        timeline: {
+            series: [{ label: users[0].name, color: '#007bff', points: [{ x: 0, y: 100 }, { x: 1, y: 300 }] }],
+            bands: [],
+            windowSize: 5
+        },
+        targets: [{ name: '글라스 기브넨', damage: 30000, boss: true }, { name: '고블린', damage: 2300, boss: false }],
+        ...overrides
+    };
+}
+
+describe('FightReport.build', () => {
+    it('외부 파일이나 스크립트 없이 모든 구역이 들어간 HTML 문서를 만든다', () => {
+        const html = FightReport.build(createReport());
+
+        assert.ok(html.startsWith('<!DOCTYPE html>'));
+        assert.ok(!/<script|<link|\ssrc=|\shref=/.test(html));
+        assert.ok(html.includes('<svg') && html.includes('<polyline'));
+        ['타르라크', '나오', '마리', '글라스 기브넨', '고블린', 'SwordMaster_SteelWedge'].forEach(name => {
+            assert.ok(html.includes(name), name);
+        });
+        assert.match(html, /<span class="boss"[^>]*>★<\/span> 글라스 기브넨/);
+        // 치유 기록이 없으면 HPS 열을 넣지 않음
+        assert.ok(!html.includes('HPS'));
+    });
+
+    it('이름과 제목은 HTML 이스케이프한다', () => {
+        const report = createReport({ title: '<b>보고서</b>' });
+        report.ranking.rows[0].name = '<img onerror=alert(1)>';
+        report.targets[0].name = '"&보스';
+        const html = FightReport.build(report);
+
+        assert.ok(!html.includes('<img') && !html.includes('<b>'));
+        assert.ok(html.includes('&lt;img onerror=alert(1)&gt;'));
+        assert.ok(html.includes('&quot;&amp;보스'));
+    });
+
+    it('번역 함수와 숫자 형식을 옵션으로 받는다', () => {
+        const html = FightReport.build(createReport(), {
+            t: (text, params = {}) => (text === '🎯 타겟' ? 'Targets' : text.replace(/\{(\w+)\}/g, (m, name) => params[name])),
+            formatNumber: value => `#${value}`
+        });
+        assert.ok(html.includes('<h2>Targets</h2>'));
+        assert.ok(html.includes('<td>#30000</td>'));
+    });
+});
+
+describe('FightReport.renderLineChart', () => {
+    it('시리즈가 없으면 안내 문구만 그린다', () => {
+        const svg = FightReport.renderLineChart([], { emptyMessage: '데이터 없음' });
+        assert.ok(svg.includes('데이터 없음'));
+        assert.ok(!svg.includes('<polyline'));
+    });
+
+    it('긴 시리즈는 최고치를 남기고 점 수를 줄이며 누락 구간을 음영으로 그린다', () => {
+        const points = Array.from({ length: 3600 }, (_, x) => ({ x, y: x === 1234 ? 9000 : 100 }));
+        const svg = FightReport.renderLineChart([{ label: 'a', color: '#000', points }], {
+            bands: [{ from: 100, to: 200 }]
+        });
+
+        const drawn = svg.match(/points="([^"]*)"/)[1].split(' ');
+        assert.ok(drawn.length <= 600);
+        // 최고치(9000 -> 눈금 최대 10000) 지점이 남아 있어야 함
+        assert.ok(drawn.some(point => Number(point.split(',')[1]) < 50));
+        assert.equal((svg.match(/<rect class="gap"/g) || []).length, 1);
+    });
+});
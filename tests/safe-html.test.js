@@ -0,0 +1,79 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const SafeHtml = require('../wwwroot/safe-html.js');
+
+describe('escapeHtml', () => {
+    it('태그와 따옴표를 모두 변환해 텍스트와 속성 값 어디에나 넣을 수 있다', () => {
+        assert.equal(
+            SafeHtml.escapeHtml(`<img src=x onerror="alert('x')">`),
+            '&lt;img src=x onerror=&quot;alert(&#39;x&#39;)&quot;&gt;'
+        );
+        assert.equal(SafeHtml.escapeHtml('A&B `c`'), 'A&amp;B &#96;c&#96;');
+    });
+
+    it('일반 이름은 그대로 두고, 숫자는 문자열로, null/undefined는 빈 문자열로 바꾼다', () => {
+        assert.equal(SafeHtml.escapeHtml('글라스 기브넨'), '글라스 기브넨');
+        assert.equal(SafeHtml.escapeHtml(9001), '9001');
+        assert.equal(SafeHtml.escapeHtml(null), '');
+        assert.equal(SafeHtml.escapeHtml(undefined), '');
+    });
+});
+
+describe('bindActions', () => {
+    // DOM 없이 closest/contains/dataset만 흉내 낸 최소 요소
+    function createElement(dataset, parent = null) {
+        return {
+            dataset,
+            parent,
+            closest(selector) {
+                assert.equal(selector, '[data-action]');
+                let element = this;
+                while (element && !element.dataset.action) element = element.parent;
+                return element;
+            }
+        };
+    }
+
+    function createRoot() {
+        const root = createElement({});
+        root.listeners = {};
+        root.addEventListener = (type, listener) => { root.listeners[type] = listener; };
+        root.contains = (element) => {
+            for (let current = element; current; current = current.parent) {
+                if (current === root) return true;
+            }
+            return false;
+        };
+        return root;
+    }
+
+    it('가장 가까운 data-action 요소의 핸들러에 dataset을 넘긴다', () => {
+        const root = createRoot();
+        const calls = [];
+        SafeHtml.bindActions(root, {
+            'select-target': (data) => calls.push(['select', data.target]),
+            'toggle-boss': (data) => calls.push(['boss', data.target])
+        });
+
+        const item = createElement({ action: 'select-target', target: `O'Brien "보스"` }, root);
+        const label = createElement({}, item);
+        const star = createElement({ action: 'toggle-boss', target: `O'Brien "보스"` }, item);
+
+        root.listeners.click({ target: label });
+        root.listeners.click({ target: star });
+        root.listeners.click({ target: root });
+
+        assert.deepEqual(calls, [['select', `O'Brien "보스"`], ['boss', `O'Brien "보스"`]]);
+    });
+
+    it('등록되지 않은 동작과 컨테이너 밖의 요소는 무시한다', () => {
+        const root = createRoot();
+        let called = false;
+        SafeHtml.bindActions(root, { known: () => { called = true; } });
+
+        root.listeners.click({ target: createElement({ action: 'unknown' }, root) });
+        root.listeners.click({ target: createElement({ action: 'known' }) });
+
+        assert.equal(called, false);
+    });
+});
@@ -0,0 +1,96 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { DamageAnalysis, FIXTURE_BASE_TIME, loadFixtureSession } = require('./helpers');
+
+// JSON 백업/프로필 저장과 같은 경로 (JSON 문자열을 거침)
+function roundTrip(session, now) {
+    return DamageAnalysis.restoreSession(JSON.parse(JSON.stringify(DamageAnalysis.serializeSession(session, now))));
+}
+
+describe('serializeSession / restoreSession', () => {
+    it('JSON을 거쳐도 집계와 로그가 그대로 복원된다', () => {
+        const { session } = loadFixtureSession('boss-fight.log');
+        session.sessionEndTime = FIXTURE_BASE_TIME + 10000;
+        const restored = roundTrip(session);
+
+        assert.deepEqual(restored.damageData, session.damageData);
+        assert.deepEqual(restored.targetData, session.targetData);
+        assert.deepEqual(restored.damageTimeline, session.damageTimeline);
+        assert.deepEqual(restored.statistics, session.statistics);
+        assert.deepEqual(restored.logStore.toArray(), session.logStore.toArray());
+        assert.equal(restored.sessionStartTime, FIXTURE_BASE_TIME);
+        assert.equal(restored.sessionEndTime, FIXTURE_BASE_TIME + 10000);
+    });
+
+    it('지원 이벤트 로그도 저장하고, 없는 예전 스냅샷은 빈 로그로 복원한다', () => {
+        const { session } = loadFixtureSession('boss-fight.log');
+        DamageAnalysis.recordSupportEvent(session, { kind: 'heal', timestamp: FIXTURE_BASE_TIME + 500, user_name: '마리', target_name: '나오', skill_name: 'Healer_Heal', damage: 900 });
+        const restored = roundTrip(session);
+
+        assert.deepEqual(restored.supportLog.toArray().map(entry => [entry.kind, entry.user_name, entry.damage]), [['heal', '마리', 900]]);
+        assert.equal(restored.logStore.length, 16);
+        assert.equal(DamageAnalysis.restoreSession({ damageData: [] }).supportLog.length, 0);
+    });
+
+    it('로그는 최신순 배열로 저장한다', () => {
+        const { session } = loadFixtureSession('boss-fight.log');
+        const snapshot = DamageAnalysis.serializeSession(session);
+
+        assert.equal(snapshot.logData.length, 16);
+        assert.equal(snapshot.logData[0].timestamp, FIXTURE_BASE_TIME + 10000);
+        assert.ok(Array.isArray(snapshot.damageData[0][1].skills));
+    });
+
+    it('끝나지 않은 데이터 누락 구간은 저장 시각으로 닫는다', () => {
+        const { session } = loadFixtureSession('boss-fight.log');
+        session.dataGaps = [{ start: FIXTURE_BASE_TIME + 6000, end: null }];
+        const snapshot = DamageAnalysis.serializeSession(session, FIXTURE_BASE_TIME + 7000);
+
+        assert.deepEqual(snapshot.dataGaps, [{ start: FIXTURE_BASE_TIME + 6000, end: FIXTURE_BASE_TIME + 7000 }]);
+        assert.equal(session.dataGaps[0].end, null);
+    });
+
+    it('JSON에서 null이 된 최소 데미지를 Infinity로 되돌린다', () => {
+        const restored = DamageAnalysis.restoreSession({
+            damageData: [['A', { name: 'A', totalDamage: 0, hits: 0, crits: 0, addHits: 0, skills: [['S', { name: 'S', minDamage: null }]] }]]
+        });
+        assert.equal(restored.damageData.get('A').skills.get('S').minDamage, Infinity);
+    });
+
+    it('분포/플래그 집계가 없는 예전 데이터에도 새 타격을 더할 수 있다', () => {
+        const session = DamageAnalysis.restoreSession({
+            damageData: [['A', { name: 'A', totalDamage: 100, hits: 1, crits: 0, addHits: 0, skills: [['S', { name: 'S', damage: 100, hits: 1, crits: 0, addHits: 0, minDamage: 100, maxDamage: 100 }]] }]],
+            logData: []
+        });
+        DamageAnalysis.recordHit(session, { timestamp: 5000, user_name: 'A', target_name: 'T', skill_name: 'S', damage: 50, is_crit: true });
+
+        const skill = session.damageData.get('A').skills.get('S');
+        assert.equal(skill.damage, 150);
+        assert.equal(skill.minDamage, 50);
+        assert.deepEqual(skill.critSamples, [50]);
+        assert.equal(session.damageData.get('A').flagStats.entries, 1);
+    });
+});
+
+describe('encodeProfiles / decodeProfiles', () => {
+    it('localStorage 형식을 거쳐도 프로필의 사용자/스킬 Map이 유지된다', () => {
+        const { session } = loadFixtureSession('boss-fight.log');
+        const profiles = new Map([
+            ['보스 1회차', { name: '보스 1회차', createdAt: '2025-10-09T00:00:00.000Z', ...DamageAnalysis.serializeSession(session) }]
+        ]);
+
+        // 불러온 프로필(Map)을 다시 저장해도 스킬이 사라지지 않아야 함
+        const decoded = DamageAnalysis.decodeProfiles(JSON.parse(JSON.stringify(DamageAnalysis.encodeProfiles(profiles))));
+        const again = DamageAnalysis.decodeProfiles(JSON.parse(JSON.stringify(DamageAnalysis.encodeProfiles(decoded))));
+
+        const profile = again.get('보스 1회차');
+        assert.equal(profile.createdAt, '2025-10-09T00:00:00.000Z');
+        assert.ok(profile.damageData instanceof Map);
+        assert.equal(profile.damageData.get('타르라크').skills.get('SwordMaster_SteelWedge').damage, 10500);
+        assert.equal(profile.targetData.get('고블린').totalDamage, 4100);
+        assert.equal(profile.logData.length, 16);
+
+        const restored = DamageAnalysis.restoreSession(profile);
+        assert.equal(restored.statistics.totalDamage, 32300);
+    });
+});
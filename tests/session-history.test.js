@@ -0,0 +1,122 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const SessionHistoryStore = require('../wwwroot/session-history.js');
+
+const DAY = 24 * 60 * 60 * 1000;
+const NOW = Date.UTC(2025, 9, 20);
+
+function createSummary(id, daysAgo, changes = {}) {
+    const endTime = NOW - daysAgo * DAY;
+    return {
+        id,
+        startTime: endTime - 60000,
+        endTime,
+        targets: ['글라스 기브넨'],
+        participants: [{ name: '타르라크', damage: 1000 }],
+        tags: [],
+        pinned: false,
+        ...changes
+    };
+}
+
+// IndexedDB 대신 목록/삭제만 흉내 낸 저장소
+function createStore(summaries) {
+    const store = new SessionHistoryStore();
+    store.deleted = [];
+    store.list = async () => summaries.slice().sort((a, b) => b.startTime - a.startTime);
+    store.delete = async (ids) => {
+        store.deleted = ids.slice().sort((a, b) => a - b);
+    };
+    return store;
+}
+
+describe('SessionHistoryStore.buildSummary', () => {
+    it('최신순 로그에서 대상(받은 데미지 순), 참가자, 시간 범위를 뽑는다', () => {
+        const summary = SessionHistoryStore.buildSummary({
+            sessionStartTime: NOW - 30000,
+            damageData: [['나오', { totalDamage: 500 }], ['타르라크', { totalDamage: 2000 }]],
+            logData: [
+                { timestamp: NOW, target_name: '고블린', damage: 500 },
+                { timestamp: NOW - 10000, target_name: '글라스 기브넨', damage: 2000 }
+            ],
+            statistics: { totalDamage: 2500 }
+        });
+
+        assert.equal(summary.startTime, NOW - 30000);
+        assert.equal(summary.endTime, NOW);
+        assert.equal(summary.duration, 30);
+        assert.equal(summary.totalDamage, 2500);
+        assert.equal(summary.logCount, 2);
+        assert.deepEqual(summary.targets, ['글라스 기브넨', '고블린']);
+        assert.deepEqual(summary.participants.map(participant => participant.name), ['타르라크', '나오']);
+        assert.equal(summary.pinned, false);
+    });
+});
+
+describe('SessionHistoryStore.matchesQuery', () => {
+    const summary = createSummary(1, 3, {
+        targets: ['글라스 기브넨', '고블린'],
+        participants: [{ name: '타르라크', damage: 1000 }, { name: '나오', damage: 500 }],
+        tags: ['하드']
+    });
+
+    it('기간은 세션이 겹치면 맞는 것으로 본다', () => {
+        assert.equal(SessionHistoryStore.matchesQuery(summary, { from: NOW - 4 * DAY, to: NOW - 2 * DAY }), true);
+        assert.equal(SessionHistoryStore.matchesQuery(summary, { from: NOW - 2 * DAY }), false);
+        assert.equal(SessionHistoryStore.matchesQuery(summary, { to: NOW - 4 * DAY }), false);
+    });
+
+    it('검색어는 대상, 참가자, 태그에서 대소문자 없이 찾는다', () => {
+        assert.equal(SessionHistoryStore.matchesQuery(summary, { text: '기브넨' }), true);
+        assert.equal(SessionHistoryStore.matchesQuery(summary, { text: '나오' }), true);
+        assert.equal(SessionHistoryStore.matchesQuery(summary, { text: '하드' }), true);
+        assert.equal(SessionHistoryStore.matchesQuery(summary, { text: '마리' }), false);
+        assert.equal(SessionHistoryStore.matchesQuery(summary, { text: '  ' }), true);
+    });
+
+    it('태그와 고정 여부는 정확히 맞아야 한다', () => {
+        assert.equal(SessionHistoryStore.matchesQuery(summary, { tag: '하드' }), true);
+        assert.equal(SessionHistoryStore.matchesQuery(summary, { tag: '하' }), false);
+        assert.equal(SessionHistoryStore.matchesQuery(summary, { pinnedOnly: true }), false);
+        assert.equal(SessionHistoryStore.matchesQuery({ ...summary, pinned: true }, { pinnedOnly: true }), true);
+    });
+});
+
+describe('SessionHistoryStore.applyRetention', () => {
+    it('보관 기간이 지난 고정하지 않은 세션만 지운다', async () => {
+        const store = createStore([
+            createSummary(1, 1),
+            createSummary(2, 40),
+            createSummary(3, 40, { pinned: true })
+        ]);
+        const removed = await store.applyRetention({ maxSessions: 0, maxAgeDays: 30 }, NOW);
+
+        assert.equal(removed, 1);
+        assert.deepEqual(store.deleted, [2]);
+    });
+
+    it('개수 제한은 고정한 세션을 빼고 최신 세션부터 남긴다', async () => {
+        const store = createStore([
+            createSummary(1, 1, { pinned: true }),
+            createSummary(2, 2),
+            createSummary(3, 3),
+            createSummary(4, 4),
+            createSummary(5, 5, { pinned: true })
+        ]);
+        const removed = await store.applyRetention({ maxSessions: 2, maxAgeDays: 0 }, NOW);
+
+        assert.equal(removed, 1);
+        assert.deepEqual(store.deleted, [4]);
+    });
+
+    it('두 제한에 모두 걸려도 한 번만 세고, 제한이 0이면 지우지 않는다', async () => {
+        const summaries = [createSummary(1, 1), createSummary(2, 40), createSummary(3, 50)];
+        const store = createStore(summaries);
+        assert.equal(await store.applyRetention({ maxSessions: 1, maxAgeDays: 30 }, NOW), 2);
+        assert.deepEqual(store.deleted, [2, 3]);
+
+        const unlimited = createStore(summaries);
+        assert.equal(await unlimited.applyRetention({ maxSessions: 0, maxAgeDays: 0 }, NOW), 0);
+        assert.deepEqual(unlimited.deleted, []);
+    });
+});
@@ -0,0 +1,102 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { DamageAnalysis, FIXTURE_BASE_TIME } = require('./helpers');
+const SupportAnalysis = require('../wwwroot/support.js');
+
+function supportEvent(kind, offset, overrides = {}) {
+    return DamageAnalysis.createLogEntry({
+        kind,
+        timestamp: FIXTURE_BASE_TIME + offset,
+        user_name: '마리',
+        target_name: '',
+        skill_name: 'Healer_Heal',
+        damage: 1000,
+        ...overrides
+    });
+}
+
+// 초마다 같은 데미지를 넣고 buffedSeconds 구간에는 두 배를 넣는 타임라인
+function createTimeline(userName, seconds, buffedSeconds = []) {
+    const session = DamageAnalysis.createSession();
+    for (let second = 0; second < seconds; second++) {
+        const damage = buffedSeconds.includes(second) ? 2000 : 1000;
+        DamageAnalysis.addTimelineDamage(session.damageTimeline, FIXTURE_BASE_TIME + second * 1000, userName, '고블린', damage);
+    }
+    return session.damageTimeline;
+}
+
+describe('SupportAnalysis.analyze', () => {
+    it('시전자별 치유량/보호막/HPS를 집계한다', () => {
+        const events = [
+            supportEvent('heal', 0, { target_name: '나오', damage: 3000, is_crit: true }),
+            supportEvent('heal', 2000, { target_name: '타르라크', damage: 2000 }),
+            supportEvent('shield', 3000, { damage: 1500 }),
+            supportEvent('heal', 4000, { user_name: '나오', damage: 500 })
+        ];
+        const result = SupportAnalysis.analyze(events, null, { rangeStart: FIXTURE_BASE_TIME, rangeEnd: FIXTURE_BASE_TIME + 10000 });
+
+        const mari = result.users.get('마리');
+        assert.equal(mari.healing, 5000);
+        assert.equal(mari.heals, 2);
+        assert.equal(mari.crits, 1);
+        assert.equal(mari.shielding, 1500);
+        assert.equal(mari.hps, 500);
+        assert.equal(result.totals.healing, 5500);
+    });
+
+    it('구간 밖의 치유는 빼고 구간에 걸친 버프는 잘라서 유지율을 계산한다', () => {
+        const events = [
+            supportEvent('buff', -3000, { skill_name: 'Bard_Song', damage: 5000 }),
+            supportEvent('buff', 4000, { skill_name: 'Bard_Song', damage: 4000 }),
+            supportEvent('buff', 6000, { skill_name: 'Bard_Song', damage: 2000 }),
+            supportEvent('heal', 20000)
+        ];
+        const result = SupportAnalysis.analyze(events, null, { rangeStart: FIXTURE_BASE_TIME, rangeEnd: FIXTURE_BASE_TIME + 10000 });
+
+        assert.equal(result.users.get('마리').healing, 0);
+        assert.equal(result.buffs.length, 1);
+        const [song] = result.buffs;
+        assert.equal(song.applications, 3);
+        assert.equal(song.uptime, 6000); // 0~2초 + 4~8초 (겹치는 6~8초는 한 번만)
+        assert.equal(song.uptimeRate, 0.6);
+        assert.equal(song.target, '');
+        assert.equal(song.contribution, null);
+    });
+
+    it('버프 구간에 늘어난 데미지를 버프 기여로 추정한다', () => {
+        const timeline = createTimeline('나오', 10, [2, 3, 4]);
+        const events = [supportEvent('buff', 2000, { skill_name: 'Bard_Song', damage: 3000 })];
+        const result = SupportAnalysis.analyze(events, timeline, { rangeStart: FIXTURE_BASE_TIME, rangeEnd: FIXTURE_BASE_TIME + 9999 });
+
+        // 버프 구간 3초 × (2000 - 1000)
+        assert.equal(result.buffs[0].contribution, 3000);
+        assert.equal(result.users.get('마리').buffContribution, 3000);
+    });
+
+    it('버프가 없던 구간이 없으면 기여를 추정하지 않는다', () => {
+        const timeline = createTimeline('나오', 3);
+        const events = [supportEvent('buff', 0, { target_name: '나오', damage: 5000 })];
+        const result = SupportAnalysis.analyze(events, timeline, { rangeStart: FIXTURE_BASE_TIME, rangeEnd: FIXTURE_BASE_TIME + 2999 });
+
+        assert.equal(result.buffs[0].contribution, null);
+        assert.equal(result.users.get('마리').buffContribution, 0);
+    });
+
+    it('모르는 이벤트 종류는 기타 이벤트로 센다', () => {
+        const result = SupportAnalysis.analyze([supportEvent('taunt', 0), supportEvent('taunt', 100)]);
+        assert.equal(result.users.get('마리').otherEvents, 2);
+        assert.deepEqual(Array.from(result.otherKinds), [['taunt', 2]]);
+    });
+});
+
+describe('SupportAnalysis.mergeIntervals', () => {
+    it('구간을 자르고 겹치는 구간을 합친다', () => {
+        const merged = SupportAnalysis.mergeIntervals([
+            { start: 5, end: 8 },
+            { start: -2, end: 3 },
+            { start: 2, end: 4 },
+            { start: 9, end: 20 }
+        ], 0, 10);
+        assert.deepEqual(merged, [{ start: 0, end: 4 }, { start: 5, end: 8 }, { start: 9, end: 10 }]);
+    });
+});
@@ -0,0 +1,103 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const I18n = require('../wwwroot/i18n.js');
+const SkillTranslations = require('../wwwroot/skill-translations.js');
+
+// localStorage 대용 (getItem/setItem만 사용)
+function createStorage(initial = {}) {
+    const items = new Map(Object.entries(initial));
+    return {
+        getItem: key => (items.has(key) ? items.get(key) : null),
+        setItem: (key, value) => items.set(key, String(value)),
+        items
+    };
+}
+
+const BUILT_IN = { ko: { SwordMaster_SteelWedge: '강철 쐐기' } };
+
+describe('I18n', () => {
+    I18n.register('xx', 'Test', { '총 데미지': 'Total damage', '타격: {count}회': 'Hits: {count}' });
+
+    it('현재 언어의 번역을 돌려주고 없는 문구는 원문을 그대로 쓴다', () => {
+        assert.equal(I18n.setLocale('xx'), true);
+        assert.equal(I18n.t('총 데미지'), 'Total damage');
+        assert.equal(I18n.t('타격: {count}회', { count: 3 }), 'Hits: 3');
+        assert.equal(I18n.t('번역 없는 문구'), '번역 없는 문구');
+        assert.equal(I18n.has('번역 없는 문구'), false);
+
+        assert.equal(I18n.setLocale('zz'), false);
+        assert.equal(I18n.getLocale(), 'xx');
+        I18n.setLocale('ko');
+        assert.equal(I18n.t('총 데미지'), '총 데미지');
+    });
+
+    it('저장된 언어, 브라우저 언어, 기본 언어 순으로 고른다', () => {
+        assert.equal(I18n.loadLocale(createStorage({ uiLocale: 'xx' }), ['ko-KR']), 'xx');
+        assert.equal(I18n.loadLocale(createStorage({ uiLocale: 'zz' }), ['xx-YY', 'ko']), 'xx');
+        assert.equal(I18n.loadLocale(createStorage(), ['fr-FR']), 'ko');
+    });
+});
+
+describe('SkillTranslations', () => {
+    it('사용자 번역이 기본 번역보다 우선하고, 비우면 기본 번역으로 돌아간다', () => {
+        const storage = createStorage();
+        const names = new SkillTranslations({ storage, builtIn: BUILT_IN });
+
+        assert.equal(names.getDisplayName('SwordMaster_SteelWedge'), '강철 쐐기');
+        names.setOverride('SwordMaster_SteelWedge', '쐐기 찌르기');
+        assert.equal(names.getDisplayName('SwordMaster_SteelWedge'), '쐐기 찌르기');
+        assert.equal(names.getMappings().SwordMaster_SteelWedge, '쐐기 찌르기');
+
+        // 다시 불러와도 유지
+        const reloaded = new SkillTranslations({ storage, builtIn: BUILT_IN });
+        assert.equal(reloaded.getDisplayName('SwordMaster_SteelWedge'), '쐐기 찌르기');
+
+        reloaded.setOverride('SwordMaster_SteelWedge', '  ');
+        assert.equal(reloaded.getDisplayName('SwordMaster_SteelWedge'), '강철 쐐기');
+    });
+
+    it('받은 스킬을 수집하고 현재 언어의 번역이 없는 스킬만 골라낸다', () => {
+        const names = new SkillTranslations({ storage: createStorage(), builtIn: BUILT_IN });
+
+        assert.equal(names.noteSkill('SwordMaster_SteelWedge', 101, 1000), true);
+        assert.equal(names.noteSkill('Unknown_Skill', 202, 2000), true);
+        assert.equal(names.noteSkill('Unknown_Skill', 203, 3000), false);
+
+        const untranslated = names.getUntranslated();
+        assert.deepEqual(untranslated.map(item => item.skillName), ['Unknown_Skill']);
+        assert.equal(untranslated[0].count, 2);
+        assert.deepEqual(untranslated[0].skillIds, [202, 203]);
+        assert.equal(names.getDisplayName('Unknown_Skill'), 'Unknown_Skill');
+
+        // 기본 번역이 없는 언어에서는 모두 번역 대상
+        names.setLocale('en');
+        assert.equal(names.getUntranslated().length, 2);
+        assert.equal(names.getDisplayName('SwordMaster_SteelWedge'), 'SwordMaster_SteelWedge');
+    });
+
+    it('번역 팩으로 내보내고 다른 저장소에서 가져온다', () => {
+        const source = new SkillTranslations({ storage: createStorage(), builtIn: BUILT_IN, locale: 'en' });
+        source.setOverride('SwordMaster_SteelWedge', 'Steel Wedge');
+        const pack = JSON.parse(JSON.stringify(source.exportPack()));
+        assert.equal(pack.format, SkillTranslations.PACK_FORMAT);
+        assert.deepEqual(pack.mappings, { SwordMaster_SteelWedge: 'Steel Wedge' });
+
+        const target = new SkillTranslations({ storage: createStorage(), builtIn: BUILT_IN });
+        target.setOverride('Other_Skill', 'Other', 'en');
+        const result = target.importPack(pack);
+        assert.deepEqual(result, { locale: 'en', added: 1, updated: 0, unchanged: 0 });
+        assert.equal(target.getOverride('SwordMaster_SteelWedge', 'en'), 'Steel Wedge');
+        assert.equal(target.getOverride('Other_Skill', 'en'), 'Other');
+
+        target.importPack(pack, { replace: true });
+        assert.equal(target.getOverride('Other_Skill', 'en'), null);
+    });
+
+    it('형식이 맞지 않는 번역 팩은 거부한다', () => {
+        const names = new SkillTranslations({ storage: createStorage(), builtIn: BUILT_IN });
+        assert.throws(() => names.importPack({ mappings: {} }), /형식/);
+        assert.throws(() => names.importPack({ format: SkillTranslations.PACK_FORMAT, version: 1, locale: '../x', mappings: {} }), /언어 코드/);
+        assert.throws(() => names.importPack({ format: SkillTranslations.PACK_FORMAT, version: 99, locale: 'en', mappings: {} }), /버전/);
+        assert.equal(names.getOverrides('en').length, 0);
+    });
+});
@@ -0,0 +1,106 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { FIXTURE_BASE_TIME, loadFixtureSession, loadFixtureProfile } = require('./helpers');
+const ProfileComparison = require('../wwwroot/comparison.js');
+const SessionTrends = require('../wwwroot/trends.js');
+
+const WEEK = 7 * 24 * 60 * 60 * 1000;
+
+function toEntry(key, time, snapshot) {
+    return {
+        key,
+        label: key,
+        time,
+        summary: ProfileComparison.summarize(snapshot, ProfileComparison.getSnapshotDuration(snapshot))
+    };
+}
+
+describe('SessionTrends.build', () => {
+    it('세션을 시간순으로 놓고 플레이어별 DPS 최고 기록을 표시한다', () => {
+        const trend = SessionTrends.build([
+            toEntry('3주차', FIXTURE_BASE_TIME + 2 * WEEK, loadFixtureProfile(16000)),
+            toEntry('1주차', FIXTURE_BASE_TIME, loadFixtureProfile(20000)),
+            toEntry('2주차', FIXTURE_BASE_TIME + WEEK, loadFixtureProfile(10000))
+        ]);
+
+        assert.deepEqual(trend.sessions.map(session => session.label), ['1주차', '2주차', '3주차']);
+        assert.deepEqual(trend.players.map(player => player.name), ['타르라크', '나오', '마리']);
+
+        const tarlach = trend.players[0];
+        assert.equal(tarlach.sessionCount, 3);
+        assert.equal(tarlach.points[1].dps, tarlach.points[0].dps * 2);
+        assert.deepEqual(tarlach.points.map(point => point.best.dps), [false, true, false]);
+    });
+
+    it('주력 스킬과 비중을 계산하고, 빠진 세션은 null로 둔다', () => {
+        const { session } = loadFixtureSession('boss-fight.log');
+        const first = ProfileComparison.summarize(session, 20);
+        session.damageData.delete('나오');
+        const second = ProfileComparison.summarize(session, 20);
+
+        const trend = SessionTrends.build([
+            { key: 'a', label: 'a', time: 1, summary: first },
+            { key: 'b', label: 'b', time: 2, summary: second }
+        ]);
+        const nao = trend.players.find(player => player.name === '나오');
+        assert.equal(nao.sessionCount, 1);
+        assert.equal(nao.points[1], null);
+
+        const tarlach = trend.players.find(player => player.name === '타르라크');
+        const user = session.damageData.get('타르라크');
+        const topSkill = Array.from(user.skills.entries()).sort(([, a], [, b]) => b.damage - a.damage)[0];
+        assert.equal(tarlach.points[0].topSkill, topSkill[0]);
+        assert.equal(tarlach.points[0].topSkillShare, topSkill[1].damage / user.totalDamage);
+    });
+
+    it('타격이 적은 세션은 크리티컬 확률 최고 기록으로 보지 않는다', () => {
+        const trend = SessionTrends.build([toEntry('a', 1, loadFixtureProfile(20000))]);
+        trend.players.forEach(player => {
+            assert.ok(player.points[0].hits < ProfileComparison.MIN_SAMPLES);
+            assert.equal(player.points[0].best.critRate, false);
+        });
+    });
+});
+
+describe('SessionTrends.getTargets / summarizeTarget / toCSV', () => {
+    it('대상은 받은 데미지 큰 순으로 돌려준다', () => {
+        assert.deepEqual(SessionTrends.getTargets(loadFixtureProfile(20000)), ['글라스 기브넨', '고블린']);
+        assert.deepEqual(SessionTrends.getTargets({}), []);
+    });
+
+    it('대상별 요약은 그 대상에 준 타격과 그 대상과 싸운 시간만으로 계산한다', () => {
+        const profile = loadFixtureProfile(20000);
+        const bossLogs = profile.logData.filter(log => log.target_name === '글라스 기브넨');
+        const bossTimes = bossLogs.map(log => log.timestamp);
+        const duration = (Math.max(...bossTimes) - Math.min(...bossTimes)) / 1000;
+
+        const summary = SessionTrends.summarizeTarget(profile, '글라스 기브넨');
+        assert.equal(summary.duration, duration);
+        assert.ok(duration < ProfileComparison.getSnapshotDuration(profile));
+        assert.equal(summary.damage, bossLogs.reduce((sum, log) => sum + log.damage, 0));
+
+        const whole = ProfileComparison.summarize(profile, ProfileComparison.getSnapshotDuration(profile));
+        assert.ok(summary.damage < whole.damage);
+        summary.users.forEach((user, name) => {
+            const damage = bossLogs.filter(log => log.user_name === name).reduce((sum, log) => sum + log.damage, 0);
+            assert.equal(user.damage, damage);
+            assert.equal(user.dps, damage / duration);
+        });
+
+        const trend = SessionTrends.build([{ key: 'a', label: 'a', time: 1, summary }]);
+        assert.equal(trend.sessions[0].duration, duration);
+        assert.equal(SessionTrends.summarizeTarget(profile, '없는 대상').users.size, 0);
+    });
+
+    it('세션 x 플레이어 한 행씩 내보내고 쉼표가 든 값은 따옴표로 감싼다', () => {
+        const trend = SessionTrends.build([
+            toEntry('1주차, 하드', FIXTURE_BASE_TIME, loadFixtureProfile(20000))
+        ]);
+        const lines = SessionTrends.toCSV(trend, { getSkillName: name => `${name}!` }).trim().split('\n');
+
+        assert.equal(lines[0], SessionTrends.CSV_COLUMNS.join(','));
+        assert.equal(lines.length, 1 + trend.players.length);
+        assert.ok(lines[1].startsWith(`"1주차, 하드",${new Date(FIXTURE_BASE_TIME).toISOString()},20.0,타르라크,`));
+        assert.ok(lines[1].includes(`${trend.players[0].points[0].topSkill}!`));
+    });
+});
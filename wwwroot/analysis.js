@@ -0,0 +1,534 @@
+// ========== 분석 코어 ==========
+// DOM에 의존하지 않는 파싱/집계/DPS 계산/필터링/직렬화 함수 모음입니다.
+// 메인 대시보드(app.js), MDM.html, 전투 구분(encounters.js)이 같은 계산을 공유하고,
+// Node에서도 불러올 수 있어 tests/의 단위 테스트로 숫자가 바뀌는 회귀를 잡습니다.
+//
+// 세션 상태(session)는 아래 필드를 가진 객체입니다. DamageMeterApp 인스턴스도 같은 필드를 가집니다.
+//   damageData      Map(userName -> 사용자 집계 { name, totalDamage, skills: Map, hits, crits, addHits, dps, flagStats })
+//   targetData      Map(targetName -> { name, totalDamage, hits })
+//   damageTimeline  Map(초 단위 버킷 -> Map(userName -> Map(targetName -> damage)))
+//   logStore        SessionLogStore (시간순 타격 로그)
+//   supportLog      SessionLogStore (치유/보호막/버프 등 데미지 외 이벤트 로그, support.js에서 분석)
+//   statistics      { totalHits, totalCrits, totalAddHits, totalDamage, flagStats }
+//   sessionStartTime, sessionEndTime, dataGaps [{ start, end }]
+(function (global) {
+    // Node에서는 의존 모듈을 직접 불러옴 (브라우저에서는 <script> 순서대로 이미 전역에 있음)
+    if (typeof module !== 'undefined' && module.exports) {
+        if (!global.DamageProtocol) require('./protocol.js');
+        if (!global.ModifierFlags) require('./modifiers.js');
+        if (!global.SessionLogStore) require('./log-store.js');
+    }
+    const { DamageProtocol, ModifierFlags, SessionLogStore } = global;
+
+    // 로그 항목에 보관하는 필드 (timestamp 제외, 프로토콜 스키마 순서)
+    const LOG_FIELDS = DamageProtocol.SCHEMAS[DamageProtocol.CURRENT_VERSION]
+        .map(field => field.name)
+        .filter(name => name !== 'timestamp');
+
+    const identity = (name) => name;
+
+    // ========== 파싱 ==========
+    /**
+     * 원본 메시지를 프로토콜 스키마로 파싱하고, counter가 있으면 수신/거부 통계에 기록합니다.
+     * 반환: DamageProtocol.parseMessage 결과 ({ ok, data } 또는 { ok: false, reason, ... })
+     */
+    function parseMessage(rawData, counter = null) {
+        const result = DamageProtocol.parseMessage(rawData);
+        if (counter) counter.record(result, rawData);
+        return result;
+    }
+
+    // ========== 집계 ==========
+    function createUserStats(name) {
+        return {
+            name,
+            totalDamage: 0,
+            skills: new Map(),
+            hits: 0,
+            crits: 0,
+            addHits: 0,
+            dps: 0,
+            flagStats: ModifierFlags.createFlagStats() // 타격 플래그 집계
+        };
+    }
+
+    function createSkillStats(name, displayName) {
+        return {
+            name,
+            displayName,
+            damage: 0,
+            hits: 0,
+            crits: 0,
+            addHits: 0,
+            lastDamage: 0,
+            lastHitTime: 0,
+            minDamage: Infinity,
+            maxDamage: 0,
+            normalSamples: [], // 일반 타격 값 (분포 통계용)
+            critSamples: [], // 크리티컬 타격 값
+            flagStats: ModifierFlags.createFlagStats()
+        };
+    }
+
+    function createStatistics() {
+        return {
+            totalHits: 0,
+            totalCrits: 0,
+            totalAddHits: 0,
+            totalDamage: 0,
+            flagStats: ModifierFlags.createFlagStats() // 플래그별 타격 수/데미지
+        };
+    }
+
+    function createSession() {
+        return {
+            damageData: new Map(),
+            targetData: new Map(),
+            damageTimeline: new Map(),
+            logStore: new SessionLogStore(),
+            supportLog: new SessionLogStore(),
+            statistics: createStatistics(),
+            sessionStartTime: null,
+            sessionEndTime: null,
+            dataGaps: []
+        };
+    }
+
+    /**
+     * 파싱된 메시지를 로그 항목으로 변환합니다. 타임스탬프가 없으면 now를 사용합니다.
+     */
+    function createLogEntry(data, now = Date.now()) {
+        const entry = { timestamp: data.timestamp || now };
+        LOG_FIELDS.forEach(name => {
+            entry[name] = data[name];
+        });
+        entry.kind = DamageProtocol.getEventKind(data); // 직접 만든 데이터(테스트 데이터 등)는 kind가 없음
+        entry.source = data.source || null; // 수신한 서버 (다중 서버 연결 시 표시)
+        return entry;
+    }
+
+    /**
+     * 사용자/스킬 집계에 타격 하나를 반영합니다. (세션 전체와 전투 구간 집계 공용)
+     * options.samples가 false면 분포 통계용 타격 값을 보관하지 않습니다. (전투 구간 집계는 로그에서 다시 모음)
+     */
+    function recordUserHit(users, entry, getSkillDisplayName = identity, options = {}) {
+        const { user_name, skill_name, damage, is_crit, is_add_hit, timestamp } = entry;
+
+        if (!users.has(user_name)) {
+            users.set(user_name, createUserStats(user_name));
+        }
+        const userData = users.get(user_name);
+        userData.totalDamage += damage;
+        if (!is_add_hit) {
+            userData.hits++;
+        } else {
+            userData.addHits++;
+        }
+        if (is_crit) userData.crits++;
+
+        if (!userData.skills.has(skill_name)) {
+            userData.skills.set(skill_name, createSkillStats(skill_name, getSkillDisplayName(skill_name)));
+        }
+        const skillData = userData.skills.get(skill_name);
+        skillData.damage += damage;
+        skillData.lastDamage = damage; // 마지막 데미지
+        skillData.lastHitTime = timestamp; // 마지막 히트 시간
+        if (damage < skillData.minDamage) skillData.minDamage = damage;
+        if (damage > skillData.maxDamage) skillData.maxDamage = damage;
+        if (!is_add_hit) {
+            skillData.hits++;
+        } else {
+            skillData.addHits++;
+        }
+        if (is_crit) skillData.crits++;
+
+        // 불러온 예전 프로필 데이터에는 분포/플래그 집계가 없을 수 있음
+        skillData.normalSamples = skillData.normalSamples || [];
+        skillData.critSamples = skillData.critSamples || [];
+        if (options.samples !== false) {
+            (is_crit ? skillData.critSamples : skillData.normalSamples).push(damage);
+        }
+
+        userData.flagStats = userData.flagStats || ModifierFlags.createFlagStats();
+        skillData.flagStats = skillData.flagStats || ModifierFlags.createFlagStats();
+        ModifierFlags.recordFlags(userData.flagStats, entry);
+        ModifierFlags.recordFlags(skillData.flagStats, entry);
+
+        return { userData, skillData };
+    }
+
+    function recordTargetHit(targets, entry) {
+        if (!targets.has(entry.target_name)) {
+            targets.set(entry.target_name, { name: entry.target_name, totalDamage: 0, hits: 0 });
+        }
+        const targetData = targets.get(entry.target_name);
+        targetData.totalDamage += entry.damage;
+        targetData.hits++;
+        return targetData;
+    }
+
+    // 초 단위 버킷에 사용자/타겟별 데미지 누적
+    function addTimelineDamage(timeline, timestamp, userName, targetName, damage) {
+        const second = Math.floor(timestamp / 1000);
+        if (!timeline.has(second)) {
+            timeline.set(second, new Map());
+        }
+        const bucket = timeline.get(second);
+        if (!bucket.has(userName)) {
+            bucket.set(userName, new Map());
+        }
+        const targets = bucket.get(userName);
+        targets.set(targetName, (targets.get(targetName) || 0) + damage);
+    }
+
+    // 시간순 로그로 타임라인 재구성
+    function buildTimeline(logStore) {
+        const timeline = new Map();
+        logStore.forEach(log => {
+            addTimelineDamage(timeline, log.timestamp, log.user_name, log.target_name, log.damage);
+        });
+        return timeline;
+    }
+
+    /**
+     * 파싱된 메시지 하나를 세션 집계(사용자/스킬/타겟/타임라인/로그)에 반영하고 로그 항목을 반환합니다.
+     * 세션 시작/종료 관리와 statistics 갱신은 호출하는 쪽에서 합니다.
+     */
+    function recordHit(session, data, options = {}) {
+        const entry = createLogEntry(data, options.now ?? Date.now());
+
+        recordUserHit(session.damageData, entry, options.getSkillDisplayName || identity);
+        recordTargetHit(session.targetData, entry);
+        addTimelineDamage(session.damageTimeline, entry.timestamp, entry.user_name, entry.target_name, entry.damage);
+        // 세션의 모든 로그를 보관 (내보내기/프로필이 집계값과 일치하도록)
+        session.logStore.append(entry);
+
+        return entry;
+    }
+
+    /**
+     * 데미지 외 이벤트(치유/보호막/버프 등)를 지원 이벤트 로그에 추가하고 로그 항목을 반환합니다.
+     * 데미지 집계에는 반영하지 않습니다.
+     */
+    function recordSupportEvent(session, data, options = {}) {
+        const entry = createLogEntry(data, options.now ?? Date.now());
+        session.supportLog.append(entry);
+        return entry;
+    }
+
+    /**
+     * 사용자 집계로 전체 통계를 계산합니다.
+     */
+    function computeStatistics(users) {
+        const statistics = createStatistics();
+        for (const userData of users) {
+            statistics.totalHits += userData.hits;
+            statistics.totalCrits += userData.crits;
+            statistics.totalAddHits += userData.addHits;
+            statistics.totalDamage += userData.totalDamage;
+            if (userData.flagStats) {
+                ModifierFlags.mergeFlagStats(statistics.flagStats, userData.flagStats);
+            }
+        }
+        return statistics;
+    }
+
+    // ========== 시간/DPS ==========
+    /**
+     * start~end(ms) 사이에 겹치는 데이터 누락 시간 합계(ms). 아직 끝나지 않은 구간은 now까지로 계산합니다.
+     */
+    function getDataGapDuration(dataGaps, start, end, now = Date.now()) {
+        return dataGaps.reduce((total, gap) => {
+            const overlap = Math.min(end, gap.end || now) - Math.max(start, gap.start);
+            return total + Math.max(0, overlap);
+        }, 0);
+    }
+
+    /**
+     * 세션 경과 시간(초). 종료된 세션은 종료 시각까지, 데이터 누락 구간은 제외합니다.
+     */
+    function getSessionElapsed(session, now = Date.now()) {
+        if (!session.sessionStartTime) return 0;
+        const endTime = session.sessionEndTime || now;
+        const gapDuration = getDataGapDuration(session.dataGaps || [], session.sessionStartTime, endTime, now);
+        return (endTime - session.sessionStartTime - gapDuration) / 1000;
+    }
+
+    /**
+     * 사용자별 DPS(반올림)를 계산해 각 집계의 dps에 기록합니다. elapsed가 0 이하면 그대로 둡니다.
+     */
+    function calculateDPS(users, elapsedSeconds) {
+        if (elapsedSeconds <= 0) return;
+        for (const userData of users.values()) {
+            userData.dps = Math.round(userData.totalDamage / elapsedSeconds);
+        }
+    }
+
+    // ========== 필터링 ==========
+    function isDotSkill(skillName) {
+        const name = skillName.toLowerCase();
+        return name.includes('dot') || name.includes('도트');
+    }
+
+    /**
+     * 로그 목록에 필터를 적용합니다. (입력 순서 유지)
+     *   filters: { encounter, target, user, skill, excludeDot }
+     *   skill은 스킬 키 또는 표시 이름의 부분 문자열 (대소문자 무시)
+     */
+    function filterLogs(logs, filters = {}, getSkillDisplayName = identity) {
+        let filtered = logs;
+
+        // 전투 구간 필터
+        const { encounter } = filters;
+        if (encounter) {
+            const endTime = encounter.endTime || encounter.lastHitTime;
+            filtered = filtered.filter(log => log.timestamp >= encounter.startTime && log.timestamp <= endTime);
+        }
+
+        // 타겟 필터
+        if (filters.target) {
+            filtered = filtered.filter(log => log.target_name === filters.target);
+        }
+
+        // 사용자 필터
+        if (filters.user) {
+            filtered = filtered.filter(log => log.user_name === filters.user);
+        }
+
+        // 스킬 필터
+        if (filters.skill) {
+            const skillFilter = filters.skill.toLowerCase();
+            filtered = filtered.filter(log => {
+                const displayName = getSkillDisplayName(log.skill_name);
+                return log.skill_name.toLowerCase().includes(skillFilter) ||
+                       displayName.toLowerCase().includes(skillFilter);
+            });
+        }
+
+        // 도트 데미지 필터
+        if (filters.excludeDot) {
+            filtered = filtered.filter(log => !isDotSkill(log.skill_name));
+        }
+
+        return filtered;
+    }
+
+    // ========== 직렬화 ==========
+    /**
+     * 저장/불러오기 공용 세션 스냅샷 (Map은 배열로 변환). JSON 백업, 프로필, 세션 기록이 같은 형식을 씁니다.
+     */
+    function serializeSession(session, now = Date.now()) {
+        return {
+            damageData: Array.from(session.damageData.entries()).map(([key, value]) => [
+                key,
+                {
+                    ...value,
+                    skills: Array.from(value.skills.entries())
+                }
+            ]),
+            targetData: Array.from(session.targetData.entries()),
+            logData: session.logStore.toArray(),
+            supportLogData: session.supportLog ? session.supportLog.toArray() : [],
+            sessionStartTime: session.sessionStartTime,
+            sessionEndTime: session.sessionEndTime,
+            dataGaps: (session.dataGaps || []).map(gap => ({ start: gap.start, end: gap.end || now })),
+            statistics: session.statistics
+        };
+    }
+
+    /**
+     * 스냅샷으로 세션 상태를 만듭니다. damageData/targetData는 배열과 Map 모두 받습니다.
+     * 타임라인과 통계는 저장된 값 대신 로그/집계에서 다시 계산합니다.
+     */
+    function restoreSession(snapshot) {
+        const damageData = new Map(Array.from(snapshot.damageData || []).map(([key, value]) => [
+            key,
+            {
+                ...value,
+                skills: new Map(Array.from(value.skills || []).map(([skillKey, skill]) => [
+                    skillKey,
+                    // JSON으로 저장되면 Infinity가 null이 됨
+                    { ...skill, minDamage: skill.minDamage ?? Infinity }
+                ]))
+            }
+        ]));
+        const logStore = SessionLogStore.fromArray(snapshot.logData || []);
+
+        return {
+            damageData,
+            targetData: new Map(snapshot.targetData || []),
+            damageTimeline: buildTimeline(logStore),
+            logStore,
+            supportLog: SessionLogStore.fromArray(snapshot.supportLogData || []),
+            statistics: computeStatistics(damageData.values()),
+            sessionStartTime: snapshot.sessionStartTime || null,
+            sessionEndTime: snapshot.sessionEndTime || null,
+            dataGaps: (snapshot.dataGaps || []).map(gap => ({ ...gap }))
+        };
+    }
+
+    /**
+     * 프로필 목록(Map: 이름 -> 프로필)을 localStorage 저장용 객체로 변환합니다.
+     */
+    function encodeProfiles(profiles) {
+        const encoded = {};
+        profiles.forEach((data, name) => {
+            encoded[name] = {
+                ...data,
+                damageData: data.damageData instanceof Map ?
+                    Array.from(data.damageData.entries()).map(([key, value]) => [
+                        key,
+                        { ...value, skills: value.skills instanceof Map ? Array.from(value.skills.entries()) : value.skills }
+                    ]) : data.damageData,
+                targetData: data.targetData instanceof Map ?
+                    Array.from(data.targetData.entries()) : data.targetData
+            };
+        });
+        return encoded;
+    }
+
+    /**
+     * localStorage에 저장된 프로필 객체를 Map(이름 -> 프로필)으로 변환합니다.
+     */
+    function decodeProfiles(encoded) {
+        const profiles = new Map();
+        Object.entries(encoded || {}).forEach(([name, data]) => {
+            profiles.set(name, {
+                ...data,
+                damageData: new Map((data.damageData || []).map(([key, value]) => [
+                    key,
+                    {
+                        ...value,
+                        skills: new Map(value.skills || [])
+                    }
+                ])),
+                targetData: new Map(data.targetData || []),
+                logData: data.logData || []
+            });
+        });
+        return profiles;
+    }
+
+    // ========== 전투 요약 (MDM.html) ==========
+    // JSON으로 그대로 저장할 수 있는 일반 객체 집계입니다. 사용자별 타겟/스킬 세부 집계를 함께 유지해
+    // 타겟을 선택하면 해당 타겟에 들어간 데미지만으로 순위를 다시 계산할 수 있습니다.
+    function createPlayerStats() {
+        return { totalDamage: 0, hitCount: 0, critCount: 0, addHitCount: 0, skills: {} };
+    }
+
+    function createSkillCounters() {
+        return { damage: 0, hits: 0, crits: 0, addHits: 0 };
+    }
+
+    function addPlayerHit(stats, entry) {
+        stats.totalDamage += entry.damage;
+        if (!entry.is_add_hit) stats.hitCount++; // 추가타는 타수에 포함하지 않음
+        if (entry.is_crit) stats.critCount++;
+        if (entry.is_add_hit) stats.addHitCount++;
+    }
+
+    function addSkillHit(counters, entry) {
+        counters.damage += entry.damage;
+        if (!entry.is_add_hit) counters.hits++;
+        if (entry.is_crit) counters.crits++;
+        if (entry.is_add_hit) counters.addHits++;
+    }
+
+    /**
+     * 타격 하나를 전투 요약(players: 사용자 -> 집계, targets: 타겟 -> 집계)에 반영합니다.
+     */
+    function recordBattleHit(players, targets, entry) {
+        const { user_name: userId, target_name: target, skill_name: skill } = entry;
+
+        if (!targets[target]) {
+            targets[target] = { totalDamage: 0, players: {} };
+        }
+        targets[target].totalDamage += entry.damage;
+
+        if (!players[userId]) {
+            players[userId] = { ...createPlayerStats(), targets: {} };
+        }
+        const player = players[userId];
+        if (!player.targets[target]) {
+            player.targets[target] = createPlayerStats();
+        }
+        const playerTarget = player.targets[target];
+        if (!player.skills[skill]) {
+            player.skills[skill] = { ...createSkillCounters(), targets: {} };
+        }
+        if (!playerTarget.skills[skill]) {
+            playerTarget.skills[skill] = createSkillCounters();
+        }
+        if (!player.skills[skill].targets[target]) {
+            player.skills[skill].targets[target] = createSkillCounters();
+        }
+
+        addPlayerHit(player, entry);
+        addPlayerHit(playerTarget, entry);
+        addSkillHit(player.skills[skill], entry);
+        addSkillHit(playerTarget.skills[skill], entry);
+        addSkillHit(player.skills[skill].targets[target], entry);
+    }
+
+    /**
+     * 사용자 집계를 선택된 타겟 기준으로 봅니다. (target이 없으면 전체)
+     */
+    function getPlayerView(player, target = null) {
+        if (!target) return player;
+        return player.targets[target] || createPlayerStats();
+    }
+
+    /**
+     * 공격대 DPS: include(userId, player)를 만족하는 사용자별 DPS(내림) 합계와 인원 수
+     */
+    function calculateRaidDps(players, battleSeconds, options = {}) {
+        const include = options.include || (() => true);
+        let raidDps = 0;
+        let playerCount = 0;
+
+        for (const [userId, player] of Object.entries(players)) {
+            if (!include(userId, player)) continue;
+            playerCount++;
+
+            const damage = getPlayerView(player, options.target).totalDamage;
+            if (battleSeconds > 0 && damage > 0) {
+                raidDps += Math.floor(damage / battleSeconds);
+            }
+        }
+        return { raidDps, playerCount };
+    }
+
+    const DamageAnalysis = {
+        LOG_FIELDS,
+        parseMessage,
+        createUserStats,
+        createSkillStats,
+        createStatistics,
+        createSession,
+        createLogEntry,
+        recordUserHit,
+        recordTargetHit,
+        addTimelineDamage,
+        buildTimeline,
+        recordHit,
+        recordSupportEvent,
+        computeStatistics,
+        getDataGapDuration,
+        getSessionElapsed,
+        calculateDPS,
+        isDotSkill,
+        filterLogs,
+        serializeSession,
+        restoreSession,
+        encodeProfiles,
+        decodeProfiles,
+        recordBattleHit,
+        getPlayerView,
+        calculateRaidDps
+    };
+
+    global.DamageAnalysis = DamageAnalysis;
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = DamageAnalysis;
+    }
+})(typeof window !== 'undefined' ? window : globalThis);
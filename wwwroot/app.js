@@ -1,20 +1,63 @@
+// 네트워크(사용자/타겟/스킬 이름)와 사용자 입력(프로필/태그/서버 주소) 문자열은 innerHTML에 넣기 전에 이스케이프
+const { escapeHtml } = SafeHtml;
+// 화면 문구는 한국어 원문을 키로 번역 (i18n.js, 번역이 없으면 원문 그대로)
+const { t } = I18n;
+
+// 타격 데이터가 바뀌면 다시 그릴 패널 (프로필 목록 제외)
+const DATA_PANELS = ['battle', 'selection', 'statistics', 'skills', 'timeline', 'distribution', 'modifiers', 'logs', 'ranking', 'debuffs', 'support', 'rotation', 'translations', 'comparison'];
+// 세션 시계가 흐르는 동안 새 데이터가 없어도 바뀌는 패널 (전투 시간, DPS, HPS)
+const CLOCK_PANELS = ['battle', 'ranking', 'support', 'comparison'];
+// 랭킹 기준 -> 점수 표시 이름
+const RANKING_SCORE_LABELS = { damage: '데미지', healing: '치유', contribution: '기여' };
+const MAX_TRANSLATION_ROWS = 200; // 번역 탭 목록에 한 번에 표시할 최대 스킬 수
+// 프로필 비교의 유의성 수준 -> 표시 (comparison.js 참고, none은 표시하지 않음)
+const SIGNIFICANCE_LABELS = {
+    significant: { mark: '●●', title: '우연으로 보기 어려운 차이 (99% 신뢰 수준)' },
+    likely: { mark: '●', title: '우연이 아닐 가능성이 높은 차이 (95% 신뢰 수준)' },
+    insufficient: { mark: '?', title: '타격 수가 적어 판단할 수 없음' }
+};
+// 화면 갱신 주기 선택지 (ms)
+const REFRESH_INTERVALS = [250, 500, 1000, 2000, 5000];
+// 수신 처리가 밀린 것으로 표시하는 기준 (대기 메시지 수, 수신~반영 지연 ms)
+const INGEST_BACKLOG_WARNING = 1000;
+const INGEST_LATENCY_WARNING = 1000;
+
 // ========== 데미지 미터 애플리케이션 ==========
 class DamageMeterApp {
     constructor() {
-        this.ws = null;
-        this.wsUrl = `ws://${window.location.hostname}:9001`;  // C# WebSocket 서버 포트
-        this.isConnected = false;
+        this.connectionSettings = ConnectionConfig.load(); // { sources, dedupTolerance, overridden }
+        this.sockets = new Map(); // sourceId -> ReconnectingSocket (백오프 재연결 + ping/pong)
+        this.mergeStats = new Map(); // sourceId -> { accepted, duplicates } 다중 서버 중복 제거 통계 (수신 처리 결과)
+        this.isConnected = false; // 하나 이상의 서버에 연결되어 있는지
+        this.messageStats = DamageProtocol.createRejectionCounter(); // 수신/거부 메시지 통계 (수신 처리 결과를 복사해 표시)
           // 데이터 저장소
         this.damageData = new Map(); // userKey -> { name, totalDamage, skills: Map, hits, crits, addHits }
         this.targetData = new Map(); // targetName -> data
-        this.logData = [];
+        this.damageTimeline = new Map(); // 초 단위 버킷 -> Map(userName -> Map(targetName -> damage))
+        this.logStore = new SessionLogStore(); // 세션 전체 타격 로그 (청크 단위 저장)
+        this.supportLog = new SessionLogStore(); // 치유/보호막/버프 등 데미지 외 이벤트 로그
+        this.filteredLogCache = { key: null, logs: [] };
         this.sessionStartTime = null;
+        this.sessionStatus = '⚪ 대기중'; // 세션 상태 표시 (한국어 원문)
+        this.dataGaps = []; // 세션 중 연결이 끊겨 데이터를 받지 못한 구간 [{ start, end }]
         this.selectedTarget = null;
         this.selectedUser = null;          // UI 캐시 및 상태 추적
         this.lastLogCount = 0;
         this.lastLogId = null; // 마지막 로그 ID 추적
-        this.lastSkillBarHash = '';
-        this.lastRankingHash = '';
+        this.timelineWindow = 1; // DPS 타임라인 이동 평균 구간 (초)
+        this.debuffTickGap = DebuffAnalysis.DEFAULT_MAX_TICK_GAP; // 효과가 끊긴 것으로 보는 틱 간격 (ms)
+        this.rotationView = null; // 로테이션 타임라인 확대/이동 범위 { start, end } (null이면 전체)
+        this.rotationRange = null; // 로테이션 데이터 전체 범위
+        this.rotationLayout = null; // 마지막으로 그린 타임라인의 좌표 정보
+        this.rotationDrag = null;
+        this.distributionSkill = ''; // 분포를 표시할 스킬 (빈 값이면 데미지 1위 스킬)
+        this.distributionSkillKey = '';
+        this.modifierSkill = ''; // 플래그 분석 대상 스킬 (빈 값이면 전체 스킬)
+        this.modifierSkillKey = '';
+        this.rankingClassFilter = ''; // 랭킹 클래스/역할 필터 ('' | 'class:코드' | 'role:역할')
+        this.rankingGroup = ''; // 랭킹 묶음 기준 ('' | 'class' | 'role')
+        this.rankingMode = 'damage'; // 랭킹 기준 ('damage' | 'healing' | 'contribution')
+        this.supportSkillCache = null; // 지원 로그로 만든 사용자별 스킬 집계 (클래스 판별용)
         
         // 가상 스크롤 설정
         this.virtualScroll = {
@@ -28,6 +71,11 @@ class DamageMeterApp {
         
         // UI 요소들
         this.elements = {};
+
+        // 화면 갱신: 데이터가 바뀐 패널만 표시해 두고 갱신 주기마다 한 프레임에 모아 그림
+        this.refreshInterval = 1000; // 데이터 변경을 화면에 반영하는 주기 (ms)
+        this.updateLoopTimer = null;
+        this.renderScheduler = new PanelRender.RenderScheduler(this.createPanels());
         
         // 필터 설정
         this.filters = {
@@ -44,20 +92,70 @@ class DamageMeterApp {
         this.sessionEndTime = null; // 세션이 종료된 시간
         
         // 통계 데이터
-        this.statistics = {
-            totalHits: 0,
-            totalCrits: 0,
-            totalAddHits: 0,
-            totalDamage: 0
-        };
-        // 스킬 매핑 데이터 (translation.js 사용)
-        this.skillMappings = window.SKILL_MAPPINGS || window.DATA || {};
+        this.statistics = DamageAnalysis.createStatistics();
+        // 화면 언어와 스킬 이름 번역 (기본 번역은 translation.js, 사용자 번역/수집 목록은 localStorage)
+        I18n.setLocale(I18n.loadLocale(localStorage, navigator.languages || [navigator.language]));
+        this.skillNames = new SkillTranslations({ locale: I18n.getLocale() });
+        this.translationView = 'untranslated'; // 번역 탭 목록 ('untranslated' | 'seen' | 'overrides')
+        this.translationSearch = '';
+
+        // 수신 메시지 파싱/중복 제거/집계는 Web Worker에서 묶음 단위로 처리하고 변경분만 받아 반영
+        this.ingest = new IngestPipeline({
+            onDiff: (diff) => this.applyIngestDiff(diff),
+            getState: () => this.getIngestState()
+        }, {
+            core: { skillMappings: this.skillNames.getMappings(), dedupTolerance: this.connectionSettings.dedupTolerance }
+        });
         
-        // 프로필 관리
+        // 프로필 관리 (IndexedDB, 지원하지 않으면 localStorage)
+        this.profileStore = new ProfileStore();
         this.profiles = new Map();
         this.currentProfile = null;
-        this.compareProfile = null;
+        this.compareProfile = null; // 기준 프로필
+        this.compareSource = ''; // 비교할 세션 ('' = 현재 세션, 그 외는 프로필 이름)
         this.isComparisonMode = false;
+        this.comparisonExpanded = new Set(); // 스킬별 비교를 펼친 사용자
+        this.profileSummaries = new WeakMap(); // 프로필 -> 비교용 요약 (저장된 프로필은 바뀌지 않음)
+
+        // 세션 추이 (저장된 프로필 + 세션 기록)
+        this.trendTarget = null; // 추이를 볼 대상 ('' = 모든 대상, null = 가장 많이 잡은 대상)
+        this.trendMetric = 'dps'; // 'dps' | 'critRate' | 'topSkillShare'
+        this.trendLimit = 10; // 직접 고르지 않으면 최근 세션을 이 개수만큼 선택
+        this.trendSelection = null; // 직접 고른 세션 키 Set (null = 최근 trendLimit개)
+        this.profileTargets = new WeakMap(); // 프로필 -> 대상 이름 목록
+        this.profileTrendSummaries = new WeakMap(); // 프로필 -> Map(대상 -> 대상별 요약)
+        this.historyTrendSummaries = new Map(); // `기록 id:대상` -> 추이용 요약 (불러오는 중 null, 실패 false)
+        this.currentTrend = null; // 마지막으로 그린 추이 (CSV 내보내기용)
+
+        // 데이터 내보내기 설정 (localStorage exportOptions)
+        this.exportOptions = {
+            dataset: 'events', // ExportFormats.DATASETS
+            format: 'csv', // 'csv' | 'jsonl'
+            timestamp: 'iso', // 'iso' | 'epoch_ms'
+            delimiter: 'comma', // ExportFormats.DELIMITERS 키
+            bom: false,
+            schema: false, // 열 스키마(JSON) 파일도 저장
+            columns: {} // 데이터 종류 -> 고른 열 이름 (없으면 모든 열)
+        };
+
+        // 전투(인카운터) 구분
+        this.bossTargets = new Set(); // 보스로 지정된 타겟 이름
+        this.selectedEncounter = null;
+        this.encounterTracker = new EncounterTracker({
+            isBossTarget: (targetName) => this.bossTargets.has(targetName),
+            getSkillDisplayName: (skillName) => this.getSkillDisplayName(skillName)
+        });
+
+        // 세션 기록 (IndexedDB)
+        this.sessionHistory = new SessionHistoryStore();
+        this.historySessions = []; // 저장된 세션 요약 (최신순)
+        this.historyQuery = { text: '', from: null, to: null, tag: '', pinnedOnly: false };
+        this.historyRetention = { ...SessionHistoryStore.DEFAULT_RETENTION };
+        this.currentHistoryId = null; // 기록에 저장되었거나 기록에서 다시 연 세션 id
+
+        // 세션 리플레이
+        this.replay = null; // 재생 중인 SessionReplay (null이면 실시간 모드)
+        this.replayOrigin = null; // 리플레이 종료 시 되돌릴 원래 세션 { snapshot, profile, historyId, status }
         
         this.init();
     }
@@ -65,17 +163,31 @@ class DamageMeterApp {
     // ========== 초기화 ==========
     init() {
         this.initElements();
+        this.initLocale();
         this.initEventListeners();
         this.initWebSocket();
         this.loadTheme();
+        this.loadBossTargets();
         this.loadProfiles();
+        this.loadHistoryRetention();
+        this.loadExportOptions();
+        this.loadSessionHistory();
+        this.loadRefreshInterval();
         this.startUpdateLoop();
     }
 
     initElements() {
         // 헤더 요소들
         this.elements.wsStatus = document.getElementById('ws-status');
+        this.elements.dataGapInfo = document.getElementById('data-gap-info');
+
+        // 연결 설정 요소들
+        this.elements.connectionSourceList = document.getElementById('connection-source-list');
+        this.elements.connectionDedupTolerance = document.getElementById('connection-dedup-tolerance');
+        this.elements.connectionOverrideNotice = document.getElementById('connection-override-notice');
         this.elements.themeToggle = document.getElementById('theme-toggle');
+        this.elements.rejectedCount = document.getElementById('rejected-count');
+        this.elements.ingestStatus = document.getElementById('ingest-status');
         
         // 전투 정보 요소들
         this.elements.battleTime = document.getElementById('battle-time');
@@ -89,11 +201,13 @@ class DamageMeterApp {
         this.elements.autoReset = document.getElementById('auto-reset');
         this.elements.autoSessionEnd = document.getElementById('auto-session-end');
         this.elements.sessionTimeout = document.getElementById('session-timeout');
+        this.elements.refreshInterval = document.getElementById('refresh-interval');
         
         // 선택 요소들
         this.elements.selectedTargetDisplay = document.getElementById('selected-target-display');
         this.elements.selectedUserDisplay = document.getElementById('selected-user-display');
         this.elements.targetList = document.getElementById('target-list');
+        this.elements.encounterSelect = document.getElementById('encounter-select');
         this.elements.userList = document.getElementById('user-list');
         
         // 탭 요소들
@@ -102,8 +216,26 @@ class DamageMeterApp {
         
         // 콘텐츠 요소들
         this.elements.rankingList = document.getElementById('ranking-list');
+        this.elements.rankingClassFilter = document.getElementById('ranking-class-filter');
+        this.elements.rankingGroup = document.getElementById('ranking-group');
+        this.elements.rankingMode = document.getElementById('ranking-mode');
         this.elements.logContainer = document.getElementById('log-container');
         this.elements.skillBarsContainer = document.getElementById('skill-bars-container');
+        this.elements.dpsTimelineCanvas = document.getElementById('dps-timeline-canvas');
+        this.elements.dpsTimelineWindow = document.getElementById('dps-timeline-window');
+        this.elements.dpsTimelineLegend = document.getElementById('dps-timeline-legend');
+        this.elements.debuffContainer = document.getElementById('debuff-container');
+        this.elements.debuffTickGap = document.getElementById('debuff-tick-gap');
+        this.elements.supportContainer = document.getElementById('support-container');
+        this.elements.distributionSkill = document.getElementById('distribution-skill');
+        this.elements.distributionCanvas = document.getElementById('distribution-canvas');
+        this.elements.distributionStats = document.getElementById('distribution-stats');
+        this.elements.modifierSkill = document.getElementById('modifier-skill');
+        this.elements.modifierContainer = document.getElementById('modifier-container');
+        this.elements.rotationCanvas = document.getElementById('rotation-canvas');
+        this.elements.rotationLegend = document.getElementById('rotation-legend');
+        this.elements.rotationTooltip = document.getElementById('rotation-tooltip');
+        this.elements.rotationReset = document.getElementById('rotation-reset');
         
         // 통계 요소들
         this.elements.totalHits = document.getElementById('total-hits');
@@ -119,8 +251,61 @@ class DamageMeterApp {
         this.elements.profileName = document.getElementById('profile-name');
         this.elements.saveProfileBtn = document.getElementById('save-profile-btn');
         this.elements.profileList = document.getElementById('profile-list');
+        this.elements.profileStorageInfo = document.getElementById('profile-storage-info');
+        this.elements.profileBundleInput = document.getElementById('profile-bundle-input');
         this.elements.compareProfileSelect = document.getElementById('compare-profile-select');
+        this.elements.compareSourceSelect = document.getElementById('compare-source-select');
+        this.elements.comparisonUsers = document.getElementById('comparison-users');
         this.elements.compareToggle = document.getElementById('compare-toggle');
+
+        // 세션 기록 요소들
+        this.elements.historySearch = document.getElementById('history-search');
+        this.elements.historyFrom = document.getElementById('history-from');
+        this.elements.historyTo = document.getElementById('history-to');
+        this.elements.historyTag = document.getElementById('history-tag');
+        this.elements.historyPinned = document.getElementById('history-pinned');
+        this.elements.historyMaxSessions = document.getElementById('history-max-sessions');
+        this.elements.historyMaxDays = document.getElementById('history-max-days');
+        this.elements.historyList = document.getElementById('history-list');
+
+        // 세션 추이 요소들
+        this.elements.trendTarget = document.getElementById('trend-target');
+        this.elements.trendMetric = document.getElementById('trend-metric');
+        this.elements.trendLimit = document.getElementById('trend-limit');
+        this.elements.trendCanvas = document.getElementById('trend-canvas');
+        this.elements.trendLegend = document.getElementById('trend-legend');
+        this.elements.trendTable = document.getElementById('trend-table');
+        this.elements.trendSessions = document.getElementById('trend-sessions');
+
+        // 데이터 내보내기 요소들
+        this.elements.exportDialog = document.getElementById('export-dialog');
+        this.elements.exportDataset = document.getElementById('export-dataset');
+        this.elements.exportFormat = document.getElementById('export-format');
+        this.elements.exportTimestamp = document.getElementById('export-timestamp');
+        this.elements.exportDelimiter = document.getElementById('export-delimiter');
+        this.elements.exportBom = document.getElementById('export-bom');
+        this.elements.exportSchema = document.getElementById('export-schema');
+        this.elements.exportColumnActions = document.getElementById('export-column-actions');
+        this.elements.exportColumns = document.getElementById('export-columns');
+        this.elements.exportSummary = document.getElementById('export-summary');
+
+        // 리플레이 요소들
+        this.elements.replayStart = document.getElementById('replay-start');
+        this.elements.replayControls = document.getElementById('replay-controls');
+        this.elements.replayToggle = document.getElementById('replay-toggle');
+        this.elements.replaySpeed = document.getElementById('replay-speed');
+        this.elements.replayScrub = document.getElementById('replay-scrub');
+        this.elements.replayClock = document.getElementById('replay-clock');
+        this.elements.replayProgress = document.getElementById('replay-progress');
+
+        // 언어/번역 요소들
+        this.elements.localeSelect = document.getElementById('locale-select');
+        this.elements.translationView = document.getElementById('translation-view');
+        this.elements.translationSearch = document.getElementById('translation-search');
+        this.elements.translationExportBuiltIn = document.getElementById('translation-export-builtin');
+        this.elements.translationSummary = document.getElementById('translation-summary');
+        this.elements.translationList = document.getElementById('translation-list');
+        this.elements.skillPackInput = document.getElementById('skill-pack-input');
     }    initEventListeners() {
         // 테마 토글
         if (this.elements.themeToggle) {
@@ -148,6 +333,58 @@ class DamageMeterApp {
         if (this.elements.sessionTimeout) {
             this.elements.sessionTimeout.addEventListener('input', () => this.updateSessionTimeout());
         }
+        if (this.elements.refreshInterval) {
+            this.elements.refreshInterval.addEventListener('change', () => this.setRefreshInterval(this.elements.refreshInterval.value));
+        }
+        if (this.elements.encounterSelect) {
+            this.elements.encounterSelect.addEventListener('change', () => {
+                this.selectEncounter(parseInt(this.elements.encounterSelect.value) || null);
+            });
+        }
+        if (this.elements.rankingClassFilter) {
+            this.renderClassFilterOptions();
+            this.elements.rankingClassFilter.addEventListener('change', () => {
+                this.rankingClassFilter = this.elements.rankingClassFilter.value;
+                this.renderScheduler.invalidate('ranking');
+            });
+        }
+        if (this.elements.rankingGroup) {
+            this.elements.rankingGroup.addEventListener('change', () => {
+                this.rankingGroup = this.elements.rankingGroup.value;
+                this.renderScheduler.invalidate('ranking');
+            });
+        }
+        if (this.elements.rankingMode) {
+            this.elements.rankingMode.addEventListener('change', () => {
+                this.rankingMode = this.elements.rankingMode.value;
+                this.renderScheduler.invalidate('ranking');
+            });
+        }
+        if (this.elements.debuffTickGap) {
+            this.elements.debuffTickGap.addEventListener('change', () => {
+                this.debuffTickGap = parseInt(this.elements.debuffTickGap.value) || DebuffAnalysis.DEFAULT_MAX_TICK_GAP;
+                this.updateDebuffPanel();
+            });
+        }
+        this.initRotationControls();
+        if (this.elements.modifierSkill) {
+            this.elements.modifierSkill.addEventListener('change', () => {
+                this.modifierSkill = this.elements.modifierSkill.value;
+                this.updateModifierBreakdown();
+            });
+        }
+        if (this.elements.distributionSkill) {
+            this.elements.distributionSkill.addEventListener('change', () => {
+                this.distributionSkill = this.elements.distributionSkill.value;
+                this.updateDamageDistribution();
+            });
+        }
+        if (this.elements.dpsTimelineWindow) {
+            this.elements.dpsTimelineWindow.addEventListener('change', () => {
+                this.timelineWindow = parseInt(this.elements.dpsTimelineWindow.value) || 1;
+                this.updateDpsTimeline();
+            });
+        }
         
         // 탭 이벤트 (모바일 터치 지원)
         this.elements.tabBtns.forEach(btn => {
@@ -169,7 +406,140 @@ class DamageMeterApp {
         if (this.elements.compareToggle) {
             this.elements.compareToggle.addEventListener('change', () => this.toggleComparison());
         }
+        if (this.elements.profileBundleInput) {
+            this.elements.profileBundleInput.addEventListener('change', (e) => this.handleProfileBundleLoad(e));
+        }
+        if (this.elements.compareSourceSelect) {
+            this.elements.compareSourceSelect.addEventListener('change', () => {
+                this.compareSource = this.elements.compareSourceSelect.value;
+                this.updateProfileList();
+                this.updateComparisonView();
+            });
+        }
+        if (this.elements.compareProfileSelect) {
+            this.elements.compareProfileSelect.addEventListener('change', () => {
+                if (!this.isComparisonMode || !this.elements.compareProfileSelect.value) return;
+                this.compareProfile = this.elements.compareProfileSelect.value;
+                this.updateComparisonView();
+            });
+        }
+
+        // 세션 기록 검색/보관 설정 이벤트
+        if (this.elements.historySearch) {
+            this.elements.historySearch.addEventListener('input', () => this.updateHistoryQuery());
+        }
+        [this.elements.historyFrom, this.elements.historyTo, this.elements.historyTag, this.elements.historyPinned].forEach(element => {
+            if (element) element.addEventListener('change', () => this.updateHistoryQuery());
+        });
+        [this.elements.historyMaxSessions, this.elements.historyMaxDays].forEach(element => {
+            if (element) element.addEventListener('change', () => this.updateHistoryRetention());
+        });
+
+        // 세션 추이 이벤트 (대상이나 개수를 바꾸면 최근 세션을 다시 자동 선택)
+        if (this.elements.trendTarget) {
+            this.elements.trendTarget.addEventListener('change', () => {
+                this.trendTarget = this.elements.trendTarget.value;
+                this.trendSelection = null;
+                this.renderScheduler.invalidate('trends');
+            });
+        }
+        if (this.elements.trendMetric) {
+            this.elements.trendMetric.addEventListener('change', () => {
+                this.trendMetric = this.elements.trendMetric.value;
+                this.renderScheduler.invalidate('trends');
+            });
+        }
+        if (this.elements.trendLimit) {
+            this.elements.trendLimit.value = this.trendLimit;
+            this.elements.trendLimit.addEventListener('change', () => {
+                this.trendLimit = Math.max(1, parseInt(this.elements.trendLimit.value) || 1);
+                this.elements.trendLimit.value = this.trendLimit;
+                this.trendSelection = null;
+                this.renderScheduler.invalidate('trends');
+            });
+        }
+        if (this.elements.trendSessions) {
+            SafeHtml.bindActions(this.elements.trendSessions, {
+                'toggle-trend-session': (data, event, element) => this.toggleTrendSession(data.key, element.checked)
+            }, 'change');
+        }
+
+        // 데이터 내보내기 설정 이벤트
+        [
+            this.elements.exportDataset,
+            this.elements.exportFormat,
+            this.elements.exportTimestamp,
+            this.elements.exportDelimiter,
+            this.elements.exportBom,
+            this.elements.exportSchema
+        ].forEach(element => element?.addEventListener('change', () => this.updateExportOptions()));
+        SafeHtml.bindActions(this.elements.exportColumns, {
+            'toggle-export-column': (data, event, element) => this.toggleExportColumn(data.column, element.checked)
+        }, 'change');
+        SafeHtml.bindActions(this.elements.exportColumnActions, {
+            'select-export-columns': (data) => this.selectAllExportColumns(!!data.all)
+        });
+
+        // 리플레이 속도/위치 이벤트
+        if (this.elements.replaySpeed) {
+            this.elements.replaySpeed.addEventListener('change', () => this.replay?.setSpeed(this.elements.replaySpeed.value));
+        }
+        if (this.elements.replayScrub) {
+            this.elements.replayScrub.addEventListener('input', () => this.seekReplay(parseInt(this.elements.replayScrub.value) || 0));
+        }
+
+        // 다시 그려지는 목록의 클릭 동작 (data-action 위임, 이름은 data-* 속성으로 전달)
+        const listActions = {
+            'select-user': (data) => this.selectUser(data.user),
+            'select-target': (data) => this.selectTarget(data.target),
+            'toggle-boss': (data) => this.toggleBossTarget(data.target),
+            'load-profile': (data) => this.loadProfile(data.profile),
+            'delete-profile': (data) => this.deleteProfile(data.profile),
+            'export-profile': (data) => this.exportProfiles([data.profile]),
+            'open-history': (data) => this.openHistorySession(Number(data.id)),
+            'pin-history': (data) => this.toggleHistoryPin(Number(data.id)),
+            'tag-history': (data) => this.editHistoryTags(Number(data.id)),
+            'delete-history': (data) => this.deleteHistorySession(Number(data.id)),
+            'toggle-comparison-user': (data) => this.toggleComparisonUser(data.user),
+            'remove-source': (data) => this.removeConnectionSource(Number(data.index))
+        };
+        [
+            this.elements.connectionSourceList,
+            this.elements.rankingList,
+            this.elements.targetList,
+            this.elements.userList,
+            this.elements.profileList,
+            this.elements.historyList,
+            this.elements.comparisonUsers
+        ].forEach(container => SafeHtml.bindActions(container, listActions));
+
+        // 스킬 이름 번역 탭 (입력 중에는 목록을 다시 그리지 않고, 입력을 마치면 반영)
+        if (this.elements.translationView) {
+            this.elements.translationView.addEventListener('change', () => {
+                this.translationView = this.elements.translationView.value;
+                this.renderScheduler.invalidate('translations');
+            });
+        }
+        if (this.elements.translationSearch) {
+            this.elements.translationSearch.addEventListener('input', () => {
+                this.translationSearch = this.elements.translationSearch.value;
+                this.renderScheduler.invalidate('translations');
+            });
+        }
+        if (this.elements.translationList) {
+            SafeHtml.bindActions(this.elements.translationList, {
+                'reset-translation': (data) => this.setSkillTranslation(data.skill, '')
+            });
+            SafeHtml.bindActions(this.elements.translationList, {
+                'set-translation': (data, event, element) => this.setSkillTranslation(data.skill, element.value)
+            }, 'change');
+            this.elements.translationList.addEventListener('focusout', () => this.renderScheduler.invalidate('translations'));
+        }
+        if (this.elements.skillPackInput) {
+            this.elements.skillPackInput.addEventListener('change', (e) => this.handleSkillPackLoad(e));
+        }
         
+
         // 키보드 단축키
         document.addEventListener('keydown', (e) => this.handleKeyboard(e));
         
@@ -213,1396 +583,3591 @@ class DamageMeterApp {
     }
 
     getSkillDisplayName(skillName) {
-        if (!this.skillMappings || !skillName) return skillName;
-        return this.skillMappings[skillName] || skillName;
+        return this.skillNames.getDisplayName(skillName);
     }
 
-    // ========== WebSocket 연결 ==========
-    initWebSocket() {
-        this.connectWebSocket();
+    // 받은 로그 항목의 스킬을 번역 수집 목록에 기록
+    noteSkills(entries) {
+        entries.forEach(entry => this.skillNames.noteSkill(entry.skill_name, entry.skill_id, entry.timestamp));
     }
 
-    connectWebSocket() {
-        try {
-            this.ws = new WebSocket(this.wsUrl);
-            
-            this.ws.onopen = () => {
-                console.log('WebSocket 연결됨');
-                this.isConnected = true;
-                this.updateConnectionStatus('🟢 연결됨');
-            };
-            
-            this.ws.onmessage = (event) => {
-                this.handleWebSocketMessage(event);
-            };
-            
-            this.ws.onclose = () => {
-                console.log('WebSocket 연결 종료');
-                this.isConnected = false;
-                this.updateConnectionStatus('🔴 연결 끊김');
-                
-                // 5초 후 재연결 시도
-                setTimeout(() => this.connectWebSocket(), 5000);
-            };
-            
-            this.ws.onerror = (error) => {
-                console.error('WebSocket 오류:', error);
-                this.updateConnectionStatus('🟡 오류');
-            };
-            
-        } catch (error) {
-            console.error('WebSocket 연결 실패:', error);
-            this.updateConnectionStatus('🔴 연결 실패');
-            
-            // 5초 후 재연결 시도
-            setTimeout(() => this.connectWebSocket(), 5000);
+    // ========== 화면 언어 ==========
+    initLocale() {
+        I18n.translatePage();
+
+        const select = this.elements.localeSelect;
+        if (select) {
+            select.innerHTML = I18n.getLocales().map(locale =>
+                `<option value="${escapeHtml(locale.code)}">${escapeHtml(locale.name)}</option>`
+            ).join('');
+            select.value = I18n.getLocale();
+            select.addEventListener('change', () => this.setLocale(select.value));
         }
+
+        // 수집한 스킬의 횟수/시각은 모아 두었다가 페이지를 떠날 때 저장
+        window.addEventListener('pagehide', () => this.skillNames.flush());
+
+        this.updateSelectionDisplay();
+        this.updateSessionStatus(this.sessionStatus);
     }
 
-    handleWebSocketMessage(event) {
-        try {
-            const rawData = event.data;
-            
-            // 파이프로 구분된 데이터 파싱
-            const parts = rawData.split('|');
-            if (parts.length >= 24) {
-                const data = this.parseMessageData(parts);
-                this.processDamageData(data);
-            } else {
-                console.log('잘못된 메시지 형식:', rawData);
+    /**
+     * 화면 언어를 바꾸고 고정 문구와 모든 패널을 다시 그립니다.
+     */
+    setLocale(code) {
+        if (!I18n.setLocale(code)) return;
+        I18n.saveLocale(localStorage, code);
+        this.skillNames.setLocale(code);
+        I18n.translatePage();
+
+        // 직접 채우는 문구들 (연결 설정은 입력 중인 값을 유지한 채 다시 그림)
+        this.renderClassFilterOptions();
+        this.connectionSettings = this.readConnectionForm();
+        this.renderConnectionSettings();
+        this.updateSessionStatus(this.sessionStatus);
+        this.updateSelectionDisplay();
+        this.updateConnectionQuality();
+        this.updateRejectedCount();
+        this.updateReplayControls();
+
+        // 스킬 선택 목록과 로그는 이름이 바뀌므로 다시 만듦
+        this.distributionSkillKey = '';
+        this.modifierSkillKey = '';
+        this.lastLogId = null;
+        this.updateUI();
+    }
+
+    // ========== 스킬 이름 번역 ==========
+    updateTranslationPanel() {
+        const list = this.elements.translationList;
+        // 번역을 입력하는 중에는 목록을 바꾸지 않음 (입력을 마치면 다시 그림)
+        if (!list || list.contains(document.activeElement)) return;
+
+        let items;
+        if (this.translationView === 'overrides') {
+            items = this.skillNames.getOverrides().map(item => ({ skillName: item.skillName, skillIds: [], count: null }));
+        } else if (this.translationView === 'seen') {
+            items = this.skillNames.getSeenSkills();
+        } else {
+            items = this.skillNames.getUntranslated();
+        }
+
+        const query = this.translationSearch.trim().toLowerCase();
+        const matched = query ? items.filter(item =>
+            item.skillName.toLowerCase().includes(query) ||
+            this.getSkillDisplayName(item.skillName).toLowerCase().includes(query)
+        ) : items;
+
+        const rows = matched.slice(0, MAX_TRANSLATION_ROWS).map(item => {
+            const override = this.skillNames.getOverride(item.skillName);
+            const builtIn = this.skillNames.getBuiltInName(item.skillName);
+            const meta = [];
+            if (item.skillIds.length > 0) meta.push(`ID ${item.skillIds.join(', ')}`);
+            if (item.count !== null) meta.push(t('{count}회', { count: this.formatNumber(item.count, false) }));
+
+            return { key: item.skillName, html: `
+                <div class="translation-row ${override !== null ? 'overridden' : ''}">
+                    <div>
+                        <div class="translation-key">${escapeHtml(item.skillName)}</div>
+                        <div class="translation-meta">${escapeHtml(meta.join(' · '))}</div>
+                    </div>
+                    <input type="text" class="translation-input" data-action="set-translation" data-skill="${escapeHtml(item.skillName)}"
+                        value="${escapeHtml(override ?? '')}" placeholder="${escapeHtml(builtIn ?? t('번역 입력'))}">
+                    <button class="btn-small" data-action="reset-translation" data-skill="${escapeHtml(item.skillName)}"
+                        title="${escapeHtml(t('직접 입력한 번역 지우기'))}" ${override === null ? 'disabled' : ''}>✕</button>
+                </div>
+            ` };
+        });
+
+        PanelRender.patchList(list, rows, `<div class="no-data-message">${t('표시할 스킬이 없습니다.')}</div>`);
+
+        if (this.elements.translationSummary) {
+            const seen = this.skillNames.getSeenSkills();
+            let summary = t('수집한 스킬 {seen}개 · 번역 없음 {untranslated}개 · 직접 입력 {overrides}개', {
+                seen: seen.length,
+                untranslated: this.skillNames.getUntranslated().length,
+                overrides: this.skillNames.getOverrides().length
+            });
+            if (matched.length > rows.length) {
+                summary += ` · ${t('처음 {count}개만 표시', { count: rows.length })}`;
             }
-        } catch (error) {
-            console.error('메시지 파싱 오류:', error);
+            this.elements.translationSummary.textContent = summary;
         }
     }
 
-    parseMessageData(parts) {
-        // capture.py의 to_log() 형식에 맞춰 파싱
-        return {
-            timestamp: parseInt(parts[0]),
-            user_name: parts[1],
-            target_name: parts[2],
-            skill_name: parts[3],
-            damage: parseInt(parts[4]),
-            is_crit: parts[5] === '1',
-            is_add_hit: parts[6] === '1',
-            is_unguarded: parts[7] === '1',
-            is_break: parts[8] === '1',
-            is_first_hit: parts[9] === '1',
-            is_default_attack: parts[10] === '1',
-            is_multi_attack: parts[11] === '1',
-            is_power: parts[12] === '1',
-            is_fast: parts[13] === '1',
-            is_dot: parts[14] === '1',
-            is_ice: parts[15] === '1',
-            is_fire: parts[16] === '1',
-            is_electric: parts[17] === '1',
-            is_holy: parts[18] === '1',
-            is_dark: parts[19] === '1',
-            is_bleed: parts[20] === '1',
-            is_poison: parts[21] === '1',
-            is_mind: parts[22] === '1',
-            skill_id: parseInt(parts[23])
-        };
+    setSkillTranslation(skillName, displayName) {
+        if (!skillName) return;
+        this.skillNames.setOverride(skillName, displayName);
+
+        // 스킬 이름은 여러 패널에 표시되므로 모두 다시 그림
+        this.distributionSkillKey = '';
+        this.modifierSkillKey = '';
+        this.lastLogId = null;
+        this.updateUI();
     }
 
-    updateConnectionStatus(status) {
-        if (this.elements.wsStatus) {
-            this.elements.wsStatus.textContent = status;
+    exportSkillPack() {
+        const pack = this.skillNames.exportPack({
+            includeBuiltIn: this.elements.translationExportBuiltIn?.checked || false
+        });
+
+        const blob = new Blob([JSON.stringify(pack, null, 2)], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = `skill-names-${pack.locale}.json`;
+        a.click();
+        URL.revokeObjectURL(url);
+
+        console.log(`스킬 이름 번역 ${Object.keys(pack.mappings).length}개를 내보냈습니다.`);
+    }
+
+    importSkillPack() {
+        if (this.elements.skillPackInput) {
+            this.elements.skillPackInput.click();
         }
     }
 
-    // ========== 데이터 처리 ==========
-    processDamageData(data) {
-        const { 
-            user_name, 
-            target_name, 
-            skill_name, 
-            damage, 
-            is_crit, 
-            is_add_hit,
-            is_unguarded,
-            is_break,
-            is_first_hit,
-            is_default_attack,
-            is_multi_attack,
-            is_power,
-            is_fast,
-            is_dot,
-            is_ice,
-            is_fire,
-            is_electric,
-            is_holy,
-            is_dark,
-            is_bleed,
-            is_poison,
-            is_mind,
-            skill_id,
-            timestamp 
-        } = data;
+    handleSkillPackLoad(event) {
+        const file = event.target.files[0];
+        if (!file) return;
 
-        // 세션 시작 시간 자동 설정
-        if (!this.sessionStartTime) {
-            this.sessionStartTime = Date.now();
-            this.updateSessionStatus('🟢 진행중');
-        }
+        const reader = new FileReader();
+        reader.onload = (e) => {
+            try {
+                const result = this.skillNames.importPack(JSON.parse(e.target.result));
+                this.distributionSkillKey = '';
+                this.modifierSkillKey = '';
+                this.lastLogId = null;
+                this.updateUI();
+                alert(t('번역 팩을 가져왔습니다 ({locale}): 추가 {added}개, 변경 {updated}개', result));
+            } catch (error) {
+                console.error('번역 팩 가져오기 오류:', error);
+                alert(t('번역 팩을 가져오지 못했습니다: {message}', { message: t(error.message) }));
+            }
+        };
 
-        // 세션이 종료된 상태에서 새로운 데미지가 들어오면 모든 데이터 초기화 후 새 세션 시작
-        if (this.sessionEndTime) {
-            console.log('세션이 종료된 상태에서 새로운 데미지 감지, 모든 데이터를 초기화하고 새 세션을 시작합니다');
-            this.resetData(); // 모든 데이터 초기화
-            this.sessionStartTime = Date.now(); // 새 세션 시작 시간 설정
-            this.sessionEndTime = null; // 세션 종료 시간 초기화
-            this.updateSessionStatus('🟢 진행중');
+        reader.readAsText(file);
+        event.target.value = ''; // 파일 입력 초기화
+    }
+
+    clearSeenSkills() {
+        if (!confirm(t('수집한 스킬 목록을 지우시겠습니까? 직접 입력한 번역은 유지됩니다.'))) {
+            return;
         }
+        this.skillNames.clearSeen();
+        this.renderScheduler.invalidate('translations');
+    }
 
-        // 자동 세션 종료 타이머 관리
-        this.lastDamageTime = Date.now();
-        this.resetSessionEndTimer();
+    // ========== WebSocket 연결 ==========
+    initWebSocket() {
+        this.renderConnectionSettings();
+        this.connectSources();
+    }
+
+    // 활성화된 모든 서버에 연결 (기존 연결은 정리)
+    connectSources() {
+        this.sockets.forEach(socket => socket.stop());
+        this.sockets.clear();
+        this.ingest.configure({ dedupTolerance: this.connectionSettings.dedupTolerance });
+        this.mergeStats = new Map();
 
-        // 사용자 데이터 업데이트
-        const userKey = user_name;
-        if (!this.damageData.has(userKey)) {
-            this.damageData.set(userKey, {
-                name: user_name,
-                totalDamage: 0,
-                skills: new Map(),
-                hits: 0,
-                crits: 0,
-                addHits: 0,
-                dps: 0
+        this.connectionSettings.sources.filter(source => source.enabled).forEach(source => {
+            const socket = new ReconnectingSocket(ConnectionConfig.buildUrl(source), {
+                onOpen: (info) => this.handleSocketOpen(source, info),
+                onClose: () => this.handleSocketClose(source),
+                onMessage: (rawData) => this.handleWebSocketMessage(rawData, source.id),
+                onStatusChange: () => this.updateConnectionQuality()
             });
+            this.sockets.set(source.id, socket);
+            socket.connect();
+        });
+
+        this.isConnected = false;
+        this.updateConnectionQuality();
+    }
+
+    handleSocketOpen(source, { reconnected }) {
+        console.log(`WebSocket ${reconnected ? '재연결됨' : '연결됨'} (${ConnectionConfig.getSourceLabel(source)})`);
+        this.isConnected = true;
+        this.closeDataGap(Date.now());
+    }
+
+    handleSocketClose(source) {
+        console.log(`WebSocket 연결 종료 (${ConnectionConfig.getSourceLabel(source)})`);
+
+        // 다른 서버가 연결되어 있으면 그 서버의 데이터로 채워지므로 누락 구간이 아님
+        const closingSocket = this.sockets.get(source.id);
+        this.isConnected = Array.from(this.sockets.values())
+            .some(socket => socket !== closingSocket && socket.status === 'open');
+        if (!this.isConnected) {
+            this.openDataGap(Date.now());
         }
+    }
 
-        const userData = this.damageData.get(userKey);
-        userData.totalDamage += damage;
-        
-        if (!is_add_hit) {
-            userData.hits++;
+    getSourceLabel(sourceId) {
+        const source = this.connectionSettings.sources.find(item => item.id === sourceId);
+        return source ? ConnectionConfig.getSourceLabel(source) : sourceId;
+    }
+
+    // 진행 중인 세션에서 연결이 끊기면 데이터 누락 구간 시작
+    openDataGap(time) {
+        if (!this.sessionStartTime || this.sessionEndTime) return;
+        const lastGap = this.dataGaps[this.dataGaps.length - 1];
+        if (lastGap && !lastGap.end) return;
+
+        this.dataGaps.push({ start: time, end: null });
+        // 끊긴 동안에는 비활성 여부를 알 수 없으므로 자동 세션 종료를 멈춤
+        this.clearSessionEndTimer();
+    }
+
+    closeDataGap(time) {
+        const lastGap = this.dataGaps[this.dataGaps.length - 1];
+        if (!lastGap || lastGap.end) return;
+
+        lastGap.end = time;
+        console.warn(`데이터 누락 구간 기록: ${((lastGap.end - lastGap.start) / 1000).toFixed(1)}초`);
+        this.resetSessionEndTimer();
+    }
+
+    // start~end(ms) 사이에 겹치는 데이터 누락 시간 합계 (ms)
+    getDataGapDuration(start, end) {
+        return DamageAnalysis.getDataGapDuration(this.dataGaps, start, end, this.getCurrentTime());
+    }
+
+    // 현재 시각 (ms). 리플레이 중에는 리플레이 시계
+    getCurrentTime() {
+        return this.replay ? this.replay.position : Date.now();
+    }
+
+    // 세션 경과 시간(초). 데이터 누락 구간은 제외
+    getSessionElapsed() {
+        return DamageAnalysis.getSessionElapsed(this, this.getCurrentTime());
+    }
+
+    // 전투 구간 시간(초). 데이터 누락 구간은 제외하고 최소 1초
+    getEncounterDuration(encounter) {
+        const gapDuration = this.getDataGapDuration(encounter.startTime, encounter.endTime || encounter.lastHitTime);
+        return Math.max(1, EncounterTracker.getDuration(encounter) - gapDuration / 1000);
+    }
+
+    updateConnectionQuality() {
+        const entries = Array.from(this.sockets.entries());
+        let status;
+        if (entries.length === 0) {
+            status = t('⚪ 연결할 서버 없음');
+        } else if (entries.length === 1) {
+            status = this.describeSocketState(entries[0][1].getState());
         } else {
-            userData.addHits++;
+            // 여러 서버: 연결 수, 평균 지연 시간, 재연결 합계
+            const states = entries.map(([, socket]) => socket.getState());
+            const openStates = states.filter(state => state.status === 'open');
+            const latencies = openStates.map(state => state.latency).filter(latency => latency !== null);
+            const reconnects = states.reduce((total, state) => total + state.reconnectCount, 0);
+            const icon = openStates.length === states.length ? '🟢' : openStates.length > 0 ? '🟡' : '🔴';
+
+            status = `${icon} ${t('{open}/{total} 연결됨', { open: openStates.length, total: states.length })}`;
+            if (latencies.length > 0) {
+                status += ` · ${Math.round(latencies.reduce((a, b) => a + b, 0) / latencies.length)}ms`;
+            }
+            if (reconnects > 0) status += ` · ${t('재연결 {count}회', { count: reconnects })}`;
         }
-        
-        if (is_crit) userData.crits++;        // 스킬 데이터 업데이트
-        const displaySkillName = this.getSkillDisplayName(skill_name);
-        if (!userData.skills.has(skill_name)) {
-            userData.skills.set(skill_name, {
-                name: skill_name,
-                displayName: displaySkillName,
-                damage: 0,
-                hits: 0,
-                crits: 0,
-                addHits: 0,
-                lastDamage: 0,
-                lastHitTime: 0,
-                minDamage: Infinity,
-                maxDamage: 0
+        this.updateConnectionStatus(status);
+
+        if (this.elements.wsStatus) {
+            const lines = entries.map(([sourceId, socket]) => {
+                const state = socket.getState();
+                const mergeStats = this.mergeStats.get(sourceId);
+                return `${this.getSourceLabel(sourceId)}: ${this.describeSocketState(state)}` +
+                    (mergeStats && entries.length > 1 ? ` · ${t('수신 {accepted} / 중복 {duplicates}', mergeStats)}` : '');
             });
+            lines.push(t('데이터 누락 구간: {count}개', { count: this.dataGaps.length }));
+            this.elements.wsStatus.title = lines.join('\n');
         }
+    }
 
-        const skillData = userData.skills.get(skill_name);
-        skillData.damage += damage;
-        skillData.lastDamage = damage; // 마지막 데미지 업데이트
-        skillData.lastHitTime = timestamp || Date.now(); // 마지막 히트 시간 업데이트
-        
-        // 최소, 최대 데미지 업데이트
-        if (damage < skillData.minDamage) {
-            skillData.minDamage = damage;
+    describeSocketState(state) {
+        let status;
+        switch (state.status) {
+            case 'open': {
+                let icon = '🟢';
+                if (state.latency !== null && state.latency >= 500) icon = '🟠';
+                else if (state.latency !== null && state.latency >= 150) icon = '🟡';
+                status = `${icon} ${t('연결됨')}`;
+                if (state.latency !== null) status += ` · ${state.latency}ms`;
+                break;
+            }
+            case 'waiting': {
+                const seconds = Math.max(0, Math.ceil((state.nextRetryAt - Date.now()) / 1000));
+                status = t('🔴 연결 끊김 · {seconds}초 후 재연결', { seconds });
+                break;
+            }
+            case 'connecting':
+                status = state.attempt > 0 ? t('🟡 재연결 시도 중 ({count}회)', { count: state.attempt }) : t('🟡 연결 중...');
+                break;
+            default:
+                status = t('🔴 연결 대기중');
         }
-        if (damage > skillData.maxDamage) {
-            skillData.maxDamage = damage;
+        if (state.reconnectCount > 0) {
+            status += ` · ${t('재연결 {count}회', { count: state.reconnectCount })}`;
         }
-        
-        if (!is_add_hit) {
-            skillData.hits++;
-        } else {
-            skillData.addHits++;
+        return status;
+    }
+
+    // ========== 연결 설정 ==========
+    renderConnectionSettings() {
+        const list = this.elements.connectionSourceList;
+        if (!list) return;
+
+        list.innerHTML = this.connectionSettings.sources.map((source, index) => `
+            <div class="connection-source" data-source-id="${escapeHtml(source.id)}">
+                <div class="connection-source-row">
+                    <label class="checkbox-label" title="${t('연결 사용')}">
+                        <input type="checkbox" data-field="enabled" ${source.enabled ? 'checked' : ''}>
+                        <span class="checkbox-custom"></span>
+                    </label>
+                    <select data-field="secure" class="inline-select" title="${t('프로토콜')}">
+                        <option value="0" ${source.secure ? '' : 'selected'}>ws://</option>
+                        <option value="1" ${source.secure ? 'selected' : ''}>wss://</option>
+                    </select>
+                    <input type="text" data-field="host" value="${escapeHtml(source.host)}" placeholder="${t('호스트')}">
+                    <input type="number" data-field="port" value="${escapeHtml(source.port)}" min="1" max="65535" placeholder="${t('포트')}">
+                    <button data-action="remove-source" data-index="${index}" class="btn-small btn-danger" title="${t('서버 삭제')}">✕</button>
+                </div>
+                <div class="connection-source-row">
+                    <input type="text" data-field="path" value="${escapeHtml(source.path)}" placeholder="${t('경로 (선택)')}">
+                    <input type="text" data-field="token" value="${escapeHtml(source.token)}" placeholder="${t('토큰 (선택)')}">
+                </div>
+            </div>
+        `).join('');
+
+        if (this.elements.connectionDedupTolerance) {
+            this.elements.connectionDedupTolerance.value = this.connectionSettings.dedupTolerance;
         }
-        
-        if (is_crit) skillData.crits++;
-
-        // 타겟 데이터 업데이트
-        if (!this.targetData.has(target_name)) {
-            this.targetData.set(target_name, {
-                name: target_name,
-                totalDamage: 0,
-                hits: 0
-            });
+        if (this.elements.connectionOverrideNotice) {
+            this.elements.connectionOverrideNotice.style.display = this.connectionSettings.overridden ? '' : 'none';
         }
+    }
 
-        const targetData = this.targetData.get(target_name);
-        targetData.totalDamage += damage;
-        targetData.hits++;        // 로그 데이터 추가
-        this.addLogEntry({
-            timestamp: timestamp || Date.now(),
-            user_name,
-            target_name,
-            skill_name,
-            damage,
-            is_crit,
-            is_add_hit,
-            is_unguarded,
-            is_break,
-            is_first_hit,
-            is_default_attack,
-            is_multi_attack,
-            is_power,
-            is_fast,
-            is_dot,
-            is_ice,
-            is_fire,
-            is_electric,
-            is_holy,
-            is_dark,
-            is_bleed,
-            is_poison,
-            is_mind,
-            skill_id
+    // 설정 패널 입력값 읽기
+    readConnectionForm() {
+        const rows = this.elements.connectionSourceList?.querySelectorAll('.connection-source') || [];
+        const sources = Array.from(rows).map(row => {
+            const field = (name) => row.querySelector(`[data-field="${name}"]`);
+            return ConnectionConfig.createSource({
+                id: row.dataset.sourceId,
+                enabled: field('enabled').checked,
+                secure: field('secure').value === '1',
+                host: field('host').value.trim(),
+                port: field('port').value,
+                path: field('path').value.trim(),
+                token: field('token').value.trim()
+            });
         });
 
-        // 통계 업데이트
-        this.updateStatistics();
+        return {
+            sources,
+            dedupTolerance: Math.max(0, parseInt(this.elements.connectionDedupTolerance?.value) || 0),
+            overridden: this.connectionSettings.overridden
+        };
     }
 
-    addLogEntry(logEntry) {
-        this.logData.unshift(logEntry);
-        
-        // 로그 최대 1000개로 제한
-        if (this.logData.length > 1000) {
-            this.logData = this.logData.slice(0, 1000);
-        }
+    addConnectionSource() {
+        this.connectionSettings = this.readConnectionForm();
+        this.connectionSettings.sources.push(ConnectionConfig.createSource());
+        this.renderConnectionSettings();
     }
 
-    updateStatistics() {
-        this.statistics.totalHits = 0;
-        this.statistics.totalCrits = 0;
-        this.statistics.totalAddHits = 0;
-        this.statistics.totalDamage = 0;
-
-        for (const userData of this.damageData.values()) {
-            this.statistics.totalHits += userData.hits;
-            this.statistics.totalCrits += userData.crits;
-            this.statistics.totalAddHits += userData.addHits;
-            this.statistics.totalDamage += userData.totalDamage;
+    removeConnectionSource(index) {
+        this.connectionSettings = this.readConnectionForm();
+        if (this.connectionSettings.sources.length <= 1) {
+            alert(t('최소 한 개의 서버가 필요합니다.'));
+            return;
         }
+        this.connectionSettings.sources.splice(index, 1);
+        this.renderConnectionSettings();
     }
 
-    calculateDPS() {
-        if (!this.sessionStartTime) return;
-        
-        const elapsed = (Date.now() - this.sessionStartTime) / 1000;
-        if (elapsed <= 0) return;
-
-        for (const userData of this.damageData.values()) {
-            userData.dps = Math.round(userData.totalDamage / elapsed);
+    applyConnectionSettings() {
+        const settings = this.readConnectionForm();
+        if (settings.sources.some(source => !source.host)) {
+            alert(t('서버 호스트를 입력해주세요.'));
+            return;
         }
+
+        // 직접 변경한 설정은 저장하고, URL 파라미터 덮어쓰기는 해제
+        this.connectionSettings = { ...settings, overridden: false };
+        ConnectionConfig.save(this.connectionSettings);
+        this.renderConnectionSettings();
+        this.connectSources();
+        console.log(`연결 설정 적용: ${settings.sources.filter(source => source.enabled).map(ConnectionConfig.buildUrl).join(', ')}`);
     }
 
-    updateSessionStatus(status) {
-        if (this.elements.sessionStatus) {
-            this.elements.sessionStatus.textContent = status;
+    handleWebSocketMessage(rawData, sourceId = null) {
+        // 파싱(protocol.js 스키마)과 중복 제거, 집계는 수신 파이프라인에서 묶음으로 처리 (applyIngestDiff)
+        this.ingest.push(rawData, sourceId);
+    }
+
+    updateConnectionStatus(status) {
+        if (this.elements.wsStatus) {
+            this.elements.wsStatus.textContent = status;
         }
     }
 
-    // ========== UI 업데이트 ==========
-    updateUI() {
-        this.updateBattleInfo();        this.updateRanking();
-        this.updateStatisticsDisplay();
-        this.updateSkillBars();
-        this.updateLogs();
-        this.updateSelectionLists();
-        this.updateProfileList();
+    updateRejectedCount() {
+        if (!this.elements.rejectedCount) return;
+
+        this.elements.rejectedCount.textContent = t('거부 {count}', { count: this.formatNumber(this.messageStats.rejected) });
+        // 거부 사유는 protocol.js의 표시 이름('사유 (필드)')이므로 사유 부분만 번역
+        this.elements.rejectedCount.title = this.messageStats.summary()
+            .replace(/^[^(:\n]+?(?= \(|:)/gm, (label) => t(label));
+        this.elements.rejectedCount.classList.toggle('has-rejected', this.messageStats.rejected > 0);
     }
 
-    updateBattleInfo() {
-        if (!this.elements.battleTime) return;
+    // 수신 처리량/대기 메시지 표시 (처리가 밀리면 강조)
+    updateIngestStatus() {
+        if (!this.elements.ingestStatus) return;
 
-        // 전투 시간 계산
-        let elapsed = 0;
-        if (this.sessionStartTime) {
-            // 세션이 종료된 경우 종료 시간까지만 계산, 아닌 경우 현재 시간까지 계산
-            const endTime = this.sessionEndTime || Date.now();
-            elapsed = Math.floor((endTime - this.sessionStartTime) / 1000);
-        }
-        this.elements.battleTime.textContent = `${elapsed}초`;
+        const stats = this.ingest.getStats();
+        const isLagging = stats.backlog >= INGEST_BACKLOG_WARNING ||
+            (stats.backlog > 0 && stats.latency !== null && stats.latency >= INGEST_LATENCY_WARNING);
 
-        // 총 데미지
-        this.elements.totalDamage.textContent = this.formatNumber(this.statistics.totalDamage);
+        let text = `📥 ${this.formatNumber(Math.round(stats.rate))}/s`;
+        if (stats.backlog > 0) text += ` · ${t('대기 {count}', { count: this.formatNumber(stats.backlog) })}`;
+        this.elements.ingestStatus.textContent = text;
+        this.elements.ingestStatus.classList.toggle('is-lagging', isLagging);
 
-        // 총 DPS
-        const totalDps = elapsed > 0 ? Math.round(this.statistics.totalDamage / elapsed) : 0;
-        this.elements.totalDps.textContent = this.formatNumber(totalDps);
+        const lines = [
+            t('처리: {mode}', { mode: stats.mode === 'worker' ? 'Web Worker' : t('메인 스레드 (대체: {reason})', { reason: stats.fallbackReason }) }),
+            t('초당 처리: {rate}개', { rate: stats.rate.toFixed(1) }),
+            t('대기 중인 메시지: {count}개', { count: stats.backlog })
+        ];
+        if (stats.latency !== null) lines.push(t('마지막 묶음 반영 지연: {latency}ms', { latency: stats.latency }));
+        this.elements.ingestStatus.title = lines.join('\n');
     }
 
-    updateRanking() {
-        if (!this.elements.rankingList) return;
+    // ========== 데이터 처리 ==========
+    /**
+     * 수신 파이프라인이 처리한 묶음 하나의 변경분을 반영합니다. (형식은 ingest-core.js 참고)
+     */
+    applyIngestDiff(diff) {
+        diff.rejected.forEach(({ raw, reason }) => console.warn(`잘못된 메시지 형식 (${reason}):`, raw));
+        Object.assign(this.messageStats, diff.messageStats);
+        this.mergeStats = new Map(diff.sources);
+        if (diff.rejected.length > 0) {
+            this.updateRejectedCount();
+        }
+        if (!diff.reset && diff.entries.length === 0 && diff.support.length === 0) return;
 
-        const filteredUsers = this.getFilteredUsers();
-        
-        if (filteredUsers.length === 0) {
-            this.elements.rankingList.innerHTML = '<div class="no-data-message">랭킹 데이터를 기다리는 중...</div>';
-            return;
+        // 리플레이 중 실시간 데이터가 들어오면 원래 세션으로 돌아간 뒤 처리
+        if (this.replay) {
+            console.log('실시간 데이터 수신, 리플레이를 종료합니다');
+            this.stopReplay();
         }
 
-        // 데미지 순으로 정렬
-        const sortedUsers = Array.from(filteredUsers.values())
-            .sort((a, b) => b.totalDamage - a.totalDamage);
+        // 세션이 종료된 상태에서 새로운 데미지가 들어오면 모든 데이터 초기화 후 새 세션 시작 (수신 처리 쪽은 이미 새 세션)
+        if (diff.reset) {
+            console.log('세션이 종료된 상태에서 새로운 데미지 감지, 모든 데이터를 초기화하고 새 세션을 시작합니다');
+            this.resetData(false);
+        }
 
-        let html = '';
-        sortedUsers.forEach((user, index) => {
-            const rank = index + 1;
-            const rankClass = rank <= 3 ? `rank-${rank}` : '';
-            const selectedClass = this.selectedUser === user.name ? 'selected' : '';
-            
-            html += `
-                <div class="ranking-item ${selectedClass}" onclick="app.selectUser('${user.name}')">
-                    <div class="ranking-rank ${rankClass}">${rank}</div>
-                    <div class="ranking-info">
-                        <div class="ranking-name">${user.name}</div>
-                        <div class="ranking-stats">
-                            <span>데미지: ${this.formatNumber(user.totalDamage)}</span>
-                            <span>DPS: ${this.formatNumber(user.dps)}</span>
-                            <span>타격: ${user.hits}회</span>
-                            <span>크리: ${user.crits}회</span>
-                        </div>
-                    </div>
-                </div>
-            `;
+        // 번역 탭의 수집 목록에 스킬 기록
+        this.noteSkills(diff.entries);
+        this.noteSkills(diff.support);
+
+        // 지원 이벤트만 들어온 묶음은 세션을 시작하거나 종료 타이머를 미루지 않음
+        if (diff.entries.length === 0) {
+            DamageIngest.applyDiff(this, diff);
+            this.renderScheduler.markDirty('support', 'ranking', 'translations');
+            return;
+        }
+
+        // 세션 시작 시간 자동 설정
+        if (!this.sessionStartTime) {
+            this.sessionStartTime = Date.now();
+            this.updateSessionStatus('🟢 진행중');
+        }
+
+        // 자동 세션 종료 타이머 관리
+        this.lastDamageTime = Date.now();
+        this.resetSessionEndTimer();
+
+        // 사용자/스킬/타겟/타임라인/로그/통계 반영 후 전투 구간 업데이트
+        const entries = DamageIngest.applyDiff(this, diff);
+        entries.forEach(entry => this.encounterTracker.record(entry));
+
+        // 화면은 갱신 주기에 맞춰 한꺼번에 그림
+        this.renderScheduler.markDirty(...DATA_PANELS);
+    }
+
+    // 수신 처리 쪽이 이어서 집계할 현재 세션 (리플레이 중에는 리플레이 전 세션)
+    getIngestState() {
+        if (this.replayOrigin) {
+            return { snapshot: this.replayOrigin.snapshot, ended: !!this.replayOrigin.snapshot.sessionEndTime };
+        }
+        return { snapshot: this.serializeSession(), ended: !!this.sessionEndTime };
+    }
+
+    // 불러온 세션을 수신 처리 쪽 집계에도 반영 (이후 들어오는 데이터가 불러온 세션에 이어서 집계되도록)
+    syncIngestSession() {
+        this.ingest.load(this.serializeSession(), !!this.sessionEndTime);
+    }
+
+    // 타격 하나를 바로 집계 (리플레이 재생용, 실시간 데이터는 applyIngestDiff)
+    processDamageData(data) {
+        // 세션 시작 시간 자동 설정
+        if (!this.sessionStartTime) {
+            this.sessionStartTime = Date.now();
+            this.updateSessionStatus('🟢 진행중');
+        }
+
+        // 세션이 종료된 상태에서 새로운 데미지가 들어오면 모든 데이터 초기화 후 새 세션 시작
+        if (this.sessionEndTime) {
+            console.log('세션이 종료된 상태에서 새로운 데미지 감지, 모든 데이터를 초기화하고 새 세션을 시작합니다');
+            this.resetData(); // 모든 데이터 초기화
+            this.sessionStartTime = Date.now(); // 새 세션 시작 시간 설정
+            this.sessionEndTime = null; // 세션 종료 시간 초기화
+            this.updateSessionStatus('🟢 진행중');
+        }
+
+        // 자동 세션 종료 타이머 관리
+        this.lastDamageTime = Date.now();
+        this.resetSessionEndTimer();
+
+        // 사용자/스킬/타겟/타임라인/로그 집계 (analysis.js)
+        const logEntry = DamageAnalysis.recordHit(this, data, {
+            getSkillDisplayName: (skillName) => this.getSkillDisplayName(skillName)
         });
 
-        this.elements.rankingList.innerHTML = html;
+        // 전투 구간 업데이트
+        this.encounterTracker.record(logEntry);
+
+        // 통계 업데이트
+        this.updateStatistics();
+        // 화면은 갱신 주기에 맞춰 한꺼번에 그림
+        this.renderScheduler.markDirty(...DATA_PANELS);
     }
 
-    updateStatisticsDisplay() {
-        if (!this.elements.totalHits) return;
+    updateStatistics() {
+        this.statistics = DamageAnalysis.computeStatistics(this.damageData.values());
+    }
 
-        this.elements.totalHits.textContent = this.formatNumber(this.statistics.totalHits);
-        
-        const avgDamage = this.statistics.totalHits > 0 ? 
-            Math.round(this.statistics.totalDamage / this.statistics.totalHits) : 0;
-        this.elements.avgDamage.textContent = this.formatNumber(avgDamage);
-        
-        this.elements.totalCrits.textContent = this.formatNumber(this.statistics.totalCrits);
-        
-        const critRate = this.statistics.totalHits > 0 ? 
-            ((this.statistics.totalCrits / this.statistics.totalHits) * 100).toFixed(1) : '0.0';
-        this.elements.critRate.textContent = `${critRate}%`;
-        
-        this.elements.totalAddHits.textContent = this.formatNumber(this.statistics.totalAddHits);
-        
-        const addHitRate = this.statistics.totalHits > 0 ? 
-            ((this.statistics.totalAddHits / this.statistics.totalHits) * 100).toFixed(1) : '0.0';
-        this.elements.addHitRate.textContent = `${addHitRate}%`;
-    }    updateSkillBars() {
-        if (!this.elements.skillBarsContainer) return;
+    calculateDPS() {
+        // 선택된 전투 구간은 구간 시간 기준으로 계산
+        const encounter = this.getSelectedEncounter();
+        if (encounter) {
+            DamageAnalysis.calculateDPS(encounter.users, this.getEncounterDuration(encounter));
+        }
 
-        const skillMap = new Map();
-        const filteredUsers = this.getFilteredUsers();        // 모든 사용자의 스킬 데이터 합계
-        for (const userData of filteredUsers.values()) {
-            for (const [skillName, skillData] of userData.skills) {
-                if (!skillMap.has(skillName)) {
-                    skillMap.set(skillName, { ...skillData });
+        // 세션이 종료된 경우 종료 시간까지만 계산 (데이터 누락 구간 제외)
+        DamageAnalysis.calculateDPS(this.damageData, this.getSessionElapsed());
+    }
+
+    // ========== DPS 타임라인 ==========
+    // 타임라인 표시 범위 (초 단위 버킷, 선택된 전투 구간 기준)
+    getTimelineRange() {
+        if (this.damageTimeline.size === 0) return null;
+
+        const encounter = this.getSelectedEncounter();
+        if (encounter) {
+            return {
+                start: Math.floor(encounter.startTime / 1000),
+                end: Math.floor((encounter.endTime || encounter.lastHitTime) / 1000)
+            };
+        }
+
+        const seconds = Array.from(this.damageTimeline.keys());
+        return { start: Math.min(...seconds), end: Math.max(...seconds) };
+    }
+
+    getTimelineSeries() {
+        const range = this.getTimelineRange();
+        if (!range) return [];
+
+        const rangeStart = range.start;
+        const rangeEnd = range.end;
+
+        // 사용자별 초당 데미지 (선택된 사용자/타겟 필터 적용)
+        const perUser = new Map();
+        for (const [second, bucket] of this.damageTimeline) {
+            if (second < rangeStart || second > rangeEnd) continue;
+
+            for (const [userName, targets] of bucket) {
+                if (this.selectedUser && userName !== this.selectedUser) continue;
+
+                let damage = 0;
+                if (this.selectedTarget) {
+                    damage = targets.get(this.selectedTarget) || 0;
                 } else {
-                    const existing = skillMap.get(skillName);
-                    existing.damage += skillData.damage;
-                    existing.hits += skillData.hits;
-                    existing.crits += skillData.crits;
-                    existing.addHits += skillData.addHits;
-                    
-                    // 최소, 최대 데미지 업데이트
-                    if (skillData.minDamage < existing.minDamage) {
-                        existing.minDamage = skillData.minDamage;
-                    }
-                    if (skillData.maxDamage > existing.maxDamage) {
-                        existing.maxDamage = skillData.maxDamage;
-                    }
-                    
-                    // 더 최근의 마지막 데미지와 시간 사용
-                    if (skillData.lastHitTime > (existing.lastHitTime || 0)) {
-                        existing.lastDamage = skillData.lastDamage;
-                        existing.lastHitTime = skillData.lastHitTime;
-                    }
+                    for (const value of targets.values()) damage += value;
+                }
+                if (damage === 0) continue;
+
+                if (!perUser.has(userName)) {
+                    perUser.set(userName, { total: 0, values: new Array(rangeEnd - rangeStart + 1).fill(0) });
                 }
+                const userSeries = perUser.get(userName);
+                userSeries.values[second - rangeStart] += damage;
+                userSeries.total += damage;
             }
         }
 
-        if (skillMap.size === 0) {
-            this.elements.skillBarsContainer.innerHTML = '<div class="no-data-message">스킬 데이터를 기다리는 중...</div>';
-            return;
-        }        // 데미지 순으로 정렬
-        const sortedSkills = Array.from(skillMap.values())
-            .sort((a, b) => b.damage - a.damage)
-            .slice(0, 20); // 상위 20개만 표시
+        // 데미지 상위 10명만 표시
+        const windowSize = Math.max(1, this.timelineWindow);
+        return Array.from(perUser.entries())
+            .sort(([, a], [, b]) => b.total - a.total)
+            .slice(0, 10)
+            .map(([userName, userSeries], index) => {
+                // 구간 이동 평균 DPS
+                const points = [];
+                let windowSum = 0;
+                userSeries.values.forEach((damage, i) => {
+                    windowSum += damage;
+                    if (i >= windowSize) {
+                        windowSum -= userSeries.values[i - windowSize];
+                    }
+                    points.push({ x: i, y: windowSum / Math.min(windowSize, i + 1) });
+                });
 
-        // 전체 데미지 계산 (지분 계산용)
-        const totalDamage = sortedSkills.reduce((sum, skill) => sum + skill.damage, 0);
-        const maxDamage = Math.max(...sortedSkills.map(s => s.damage));
+                return {
+                    label: userName,
+                    color: MeterCharts.getSeriesColor(index),
+                    total: userSeries.total,
+                    points
+                };
+            });
+    }
 
-        let html = '';
-        sortedSkills.forEach(skill => {
-            const barPercentage = maxDamage > 0 ? (skill.damage / maxDamage * 100) : 0;
-            const damageShare = totalDamage > 0 ? ((skill.damage / totalDamage) * 100) : 0;
-            const avgDamage = skill.hits > 0 ? Math.round(skill.damage / skill.hits) : 0;
-            const critRate = skill.hits > 0 ? Math.round((skill.crits / skill.hits) * 100) : 0;
-            const addHitRate = skill.hits > 0 ? Math.round((skill.addHits / skill.hits) * 100) : 0;
-              html += `
-                <div class="skill-bar">
-                    <div class="skill-bar-header">
-                        <span class="skill-name">${skill.displayName || skill.name}</span>
-                        <div class="skill-damage-info">
-                            <span class="skill-damage">${this.formatNumber(skill.damage, false)}</span>
-                            <span class="skill-last-damage">[${this.formatNumber(skill.lastDamage || 0, false)}]</span>
-                            <span class="skill-share">(${damageShare.toFixed(1)}%)</span>
-                        </div>
-                    </div>
-                    <div class="skill-bar-bg">
-                        <div class="skill-bar-fill" style="width: ${barPercentage}%"></div>
-                        <div class="skill-share-text">${damageShare.toFixed(1)}%</div>
-                    </div>                    <div class="skill-stats">
-                        <div class="skill-stat-item">
-                            <span class="skill-stat-label">타격수</span>
-                            <span class="skill-stat-value">${skill.hits}회</span>
-                        </div>
-                        <div class="skill-stat-item">
-                            <span class="skill-stat-label">평균 데미지</span>
-                            <span class="skill-stat-value">${this.formatNumber(avgDamage, false)}</span>
-                        </div>
-                        <div class="skill-stat-item">
-                            <span class="skill-stat-label">최소/최대</span>
-                            <span class="skill-stat-value">${this.formatNumber(skill.minDamage === Infinity ? 0 : skill.minDamage, false)} / ${this.formatNumber(skill.maxDamage, false)}</span>
-                        </div>
-                        <div class="skill-stat-item">
-                            <span class="skill-stat-label">크리티컬</span>
-                            <span class="skill-stat-value">${skill.crits}회 (${critRate}%)</span>
-                        </div>
-                        <div class="skill-stat-item">
-                            <span class="skill-stat-label">추가타</span>
-                            <span class="skill-stat-value">${skill.addHits}회 (${addHitRate}%)</span>
-                        </div>
-                    </div>
-                </div>
-            `;
+    // 데이터 누락 구간 -> 타임라인 x축(범위 시작부터 초) 기준 음영 구간
+    getTimelineGapBands() {
+        const range = this.getTimelineRange();
+        return range ? this.dataGaps.map(gap => ({
+            from: Math.floor(gap.start / 1000) - range.start,
+            to: Math.floor((gap.end || this.getCurrentTime()) / 1000) - range.start
+        })).filter(band => band.to >= 0 && band.from <= range.end - range.start) : [];
+    }
+
+    updateDpsTimeline() {
+        if (!this.elements.dpsTimelineCanvas) return;
+
+        const series = this.getTimelineSeries();
+
+        MeterCharts.drawLineChart(this.elements.dpsTimelineCanvas, {
+            series,
+            bands: this.getTimelineGapBands(),
+            formatX: (x) => t('{seconds}초', { seconds: Math.round(x) }),
+            formatY: (y) => this.formatNumber(Math.round(y)),
+            emptyMessage: t('DPS 데이터를 기다리는 중...')
         });
 
-        this.elements.skillBarsContainer.innerHTML = html;    }    updateLogs() {
-        if (!this.elements.logContainer) return;
+        if (this.elements.dpsTimelineLegend) {
+            this.elements.dpsTimelineLegend.innerHTML = series.map(s => `
+                <span class="timeline-legend-item">
+                    <span class="timeline-legend-color" style="background: ${s.color}"></span>
+                    ${escapeHtml(s.label)}
+                </span>
+            `).join('');
+        }
+    }
 
-        const filteredLogs = this.getFilteredLogs(); // 모든 필터된 로그 가져오기
+    // ========== 데미지 분포 ==========
+    updateDamageDistribution() {
+        if (!this.elements.distributionCanvas || !this.isTabActive('statistics')) return;
 
-        // 로그가 없는 경우
-        if (filteredLogs.length === 0) {
-            if (this.lastLogId !== null || this.lastLogCount > 0) {
-                this.elements.logContainer.innerHTML = `
-                    <div class="no-data-message">
-                        <div style="font-size: 48px; margin-bottom: 16px;">📋</div>
-                        <div style="font-size: 18px;">로그 데이터가 없습니다</div>
-                    </div>
-                `;
-                this.lastLogId = null;
-                this.lastLogCount = 0;
-                this.virtualScroll.totalHeight = 0;
+        // 필터된 사용자들의 스킬별 타격 값 합치기
+        const skillSamples = new Map();
+        const getSamples = (skillName) => {
+            if (!skillSamples.has(skillName)) {
+                skillSamples.set(skillName, { damage: 0, normal: [], crit: [] });
+            }
+            return skillSamples.get(skillName);
+        };
+        if (this.getSelectedEncounter()) {
+            // 전투 구간 집계에는 타격 값이 없으므로 (세션 집계와 중복 보관 방지) 필터된 로그에서 모음
+            for (const log of this.getLogView()) {
+                const samples = getSamples(log.skill_name);
+                samples.damage += log.damage;
+                (log.is_crit ? samples.crit : samples.normal).push(log.damage);
+            }
+        } else {
+            for (const userData of this.getFilteredUsers().values()) {
+                for (const [skillName, skillData] of userData.skills) {
+                    const samples = getSamples(skillName);
+                    samples.damage += skillData.damage;
+                    samples.normal = samples.normal.concat(skillData.normalSamples || []);
+                    samples.crit = samples.crit.concat(skillData.critSamples || []);
+                }
             }
-            return;
         }
 
-        // 마지막 로그 ID로 변경 감지
-        const latestLog = filteredLogs[0];
-        const currentLogId = `${latestLog.timestamp}_${latestLog.user_name}_${latestLog.damage}_${latestLog.skill_name}`;
-        
-        // 로그 수가 변경되었거나 새로운 로그가 있는 경우에만 업데이트
-        const logsChanged = this.lastLogId !== currentLogId || filteredLogs.length !== this.lastLogCount;
-        
-        if (logsChanged) {
-            this.setupVirtualScroll(filteredLogs);
-            this.lastLogId = currentLogId;
-            this.lastLogCount = filteredLogs.length;
-        }
+        const skillNames = Array.from(skillSamples.entries())
+            .sort(([, a], [, b]) => b.damage - a.damage)
+            .map(([skillName]) => skillName);
+        this.updateDistributionSkillOptions(skillNames);
+
+        const skillName = skillSamples.has(this.distributionSkill) ? this.distributionSkill : skillNames[0];
+        const samples = skillName ? skillSamples.get(skillName) : { normal: [], crit: [] };
+
+        MeterCharts.drawHistogram(this.elements.distributionCanvas, {
+            bins: DamageDistribution.histogram(samples.normal, samples.crit),
+            formatX: (x) => this.formatNumber(Math.round(x)),
+            emptyMessage: t('타격 데이터를 기다리는 중...')
+        });
+
+        if (!this.elements.distributionStats) return;
+
+        const summary = DamageDistribution.summarize(samples.normal, samples.crit);
+        const format = (value) => this.formatNumber(Math.round(value), false);
+        const statItems = [
+            { label: t('표본 수'), value: t('{count}회', { count: summary.count }) },
+            { label: t('중앙값'), value: format(summary.median) },
+            { label: 'P90', value: format(summary.p90) },
+            { label: 'P99', value: format(summary.p99) },
+            { label: t('일반 평균'), value: `${format(summary.normalMean)} (${t('{count}회', { count: summary.normalCount })})` },
+            { label: t('크리 평균'), value: `${format(summary.critMean)} (${t('{count}회', { count: summary.critCount })})` },
+            {
+                label: t('크리 배율 추정'),
+                value: summary.critMultiplier ? `×${summary.critMultiplier.toFixed(2)}` : '-',
+                title: t('크리티컬 중앙값 / 일반 중앙값')
+            }
+        ];
+
+        this.elements.distributionStats.innerHTML = statItems.map(item => `
+            <div class="skill-stat-item"${item.title ? ` title="${item.title}"` : ''}>
+                <span class="skill-stat-label">${item.label}</span>
+                <span class="skill-stat-value">${item.value}</span>
+            </div>
+        `).join('');
     }
 
-    setupVirtualScroll(filteredLogs) {
-        // 가상 스크롤 컨테이너 설정
-        if (!this.elements.logContainer.querySelector('.virtual-scroll-container')) {
-            this.initVirtualScrollContainer();
+    updateDistributionSkillOptions(skillNames) {
+        const select = this.elements.distributionSkill;
+        // 스킬 목록이 바뀐 경우에만 다시 그림 (드롭다운 조작 중에는 유지)
+        const key = skillNames.join('|');
+        if (!select || key === this.distributionSkillKey || document.activeElement === select) return;
+
+        this.distributionSkillKey = key;
+        select.innerHTML = skillNames.map(skillName =>
+            `<option value="${escapeHtml(skillName)}">${escapeHtml(this.getSkillDisplayName(skillName))}</option>`
+        ).join('');
+        if (skillNames.includes(this.distributionSkill)) {
+            select.value = this.distributionSkill;
         }
+    }
 
-        const container = this.elements.logContainer.querySelector('.virtual-scroll-container');
-        const viewport = this.elements.logContainer.querySelector('.virtual-scroll-viewport');
-        const content = this.elements.logContainer.querySelector('.virtual-scroll-content');
+    // ========== 타격 플래그 분석 ==========
+    updateModifierBreakdown() {
+        if (!this.elements.modifierContainer || !this.isTabActive('statistics')) return;
 
-        // 전체 높이 계산
-        this.virtualScroll.totalHeight = filteredLogs.length * this.virtualScroll.itemHeight;
-        container.style.height = `${this.virtualScroll.totalHeight}px`;
+        // 필터된 사용자 기준으로 전체 또는 선택한 스킬의 플래그 집계 합치기
+        const flagStats = ModifierFlags.createFlagStats();
+        const skillDamage = new Map();
+        for (const userData of this.getFilteredUsers().values()) {
+            for (const [skillName, skillData] of userData.skills) {
+                skillDamage.set(skillName, (skillDamage.get(skillName) || 0) + skillData.damage);
+                if (!this.modifierSkill || this.modifierSkill === skillName) {
+                    ModifierFlags.mergeFlagStats(flagStats, skillData.flagStats);
+                }
+            }
+        }
 
-        // 현재 스크롤 위치에 따른 보여줄 아이템 범위 계산
-        this.calculateVisibleRange(filteredLogs.length);
+        const skillNames = Array.from(skillDamage.entries())
+            .sort(([, a], [, b]) => b - a)
+            .map(([skillName]) => skillName);
+        this.updateModifierSkillOptions(skillNames);
 
-        // 보여줄 로그들만 렌더링
-        this.renderVisibleLogs(filteredLogs);
-    }
+        const rows = ModifierFlags.buildBreakdown(flagStats);
+        if (rows.length === 0) {
+            this.elements.modifierContainer.innerHTML = `<div class="no-data-message">${t('플래그 데이터를 기다리는 중...')}</div>`;
+            return;
+        }
 
-    initVirtualScrollContainer() {
-        this.elements.logContainer.innerHTML = `
-            <div class="virtual-scroll-viewport">
-                <div class="virtual-scroll-container">
-                    <div class="virtual-scroll-content"></div>
-                </div>
-            </div>
+        let html = `
+            <table class="data-table">
+                <thead>
+                    <tr>
+                        <th>${t('플래그')}</th>
+                        <th>${t('횟수')}</th>
+                        <th>${t('발생률')}</th>
+                        <th>${t('데미지 비중')}</th>
+                        <th>${t('평균 데미지')}</th>
+                        <th title="${t('플래그가 없는 타격의 평균 대비')}">${t('평균 대비')}</th>
+                    </tr>
+                </thead>
+                <tbody>
         `;
 
-        // 스크롤 이벤트 리스너 추가
-        const viewport = this.elements.logContainer.querySelector('.virtual-scroll-viewport');
-        viewport.addEventListener('scroll', () => {
-            this.virtualScroll.scrollTop = viewport.scrollTop;
-            this.onVirtualScroll();
+        rows.forEach(row => {
+            let upliftText = '-';
+            let upliftClass = 'neutral';
+            if (row.uplift !== null) {
+                upliftText = `${row.uplift >= 0 ? '+' : ''}${(row.uplift * 100).toFixed(1)}%`;
+                upliftClass = row.uplift > 0 ? 'positive' : row.uplift < 0 ? 'negative' : 'neutral';
+            }
+
+            html += `
+                <tr class="${row.isCombo ? 'modifier-combo-row' : ''}">
+                    <td>${row.label.split(' + ').map(label => t(label)).join(' + ')}</td>
+                    <td>${this.formatNumber(row.hits)}</td>
+                    <td>${(row.hitRate * 100).toFixed(1)}%</td>
+                    <td>${(row.damageShare * 100).toFixed(1)}%</td>
+                    <td>${this.formatNumber(Math.round(row.average), false)}</td>
+                    <td class="modifier-uplift ${upliftClass}">${upliftText}</td>
+                </tr>
+            `;
         });
+
+        html += '</tbody></table>';
+        this.elements.modifierContainer.innerHTML = html;
     }
 
-    calculateVisibleRange(totalItems) {
-        const viewport = this.elements.logContainer.querySelector('.virtual-scroll-viewport');
-        const viewportHeight = viewport ? viewport.clientHeight : 400;
-        
+    updateModifierSkillOptions(skillNames) {
+        const select = this.elements.modifierSkill;
+        const key = skillNames.join('|');
+        if (!select || key === this.modifierSkillKey || document.activeElement === select) return;
+
+        this.modifierSkillKey = key;
+        select.innerHTML = `<option value="">${t('전체 스킬')}</option>` + skillNames.map(skillName =>
+            `<option value="${escapeHtml(skillName)}">${escapeHtml(this.getSkillDisplayName(skillName))}</option>`
+        ).join('');
+        select.value = skillNames.includes(this.modifierSkill) ? this.modifierSkill : '';
+    }
+
+    // ========== 디버프 유지율 ==========
+    updateDebuffPanel() {
+        // 디버프 탭이 보일 때만 계산
+        if (!this.elements.debuffContainer || !this.isTabActive('debuffs')) return;
+
+        const logs = this.getFilteredLogs().reverse(); // 시간순
+        if (logs.length === 0) {
+            this.elements.debuffContainer.innerHTML = `<div class="no-data-message">${t('로그 데이터를 기다리는 중...')}</div>`;
+            return;
+        }
+
+        const encounter = this.getSelectedEncounter();
+        const result = DebuffAnalysis.analyze(logs, {
+            maxTickGap: this.debuffTickGap,
+            fightStart: encounter ? encounter.startTime : undefined,
+            fightEnd: encounter ? (encounter.endTime || encounter.lastHitTime) : undefined
+        });
+
+        const formatOffset = (time) => t('{seconds}초', { seconds: ((time - result.fightStart) / 1000).toFixed(1) });
+
+        let html = `
+            <div class="debuff-summary">
+                <div class="stat-item">
+                    <span class="stat-label">${t('분석 구간')}</span>
+                    <span class="stat-value">${t('{seconds}초', { seconds: Math.round(result.duration / 1000) })}</span>
+                </div>
+                <div class="stat-item">
+                    <span class="stat-label">${t('지속 피해 데미지')}</span>
+                    <span class="stat-value">${this.formatNumber(result.totalDotDamage)}</span>
+                </div>
+                <div class="stat-item">
+                    <span class="stat-label">${t('지속 피해 비중')}</span>
+                    <span class="stat-value">${(result.dotShare * 100).toFixed(1)}%</span>
+                </div>
+            </div>
+        `;
+
+        if (result.rows.length === 0) {
+            html += `<div class="no-data-message">${t('지속 피해/속성 효과 데이터가 없습니다.')}</div>`;
+            this.elements.debuffContainer.innerHTML = html;
+            return;
+        }
+
+        html += `
+            <table class="data-table">
+                <thead>
+                    <tr>
+                        <th>${t('타겟')}</th>
+                        <th>${t('시전자')}</th>
+                        <th>${t('효과')}</th>
+                        <th>${t('유지율')}</th>
+                        <th>${t('틱')}</th>
+                        <th>${t('데미지')}</th>
+                        <th>${t('도트 비중')}</th>
+                        <th>${t('끊긴 구간')}</th>
+                    </tr>
+                </thead>
+                <tbody>
+        `;
+
+        result.rows.forEach(row => {
+            const uptimePercent = (row.uptimeRate * 100).toFixed(1);
+            const gapText = row.gaps.length === 0 ? '-' : t('{count}회', { count: row.gaps.length });
+            const gapTitle = row.gaps
+                .map(gap => `${formatOffset(gap.start)} ~ ${formatOffset(gap.end)} (${t('{seconds}초', { seconds: ((gap.end - gap.start) / 1000).toFixed(1) })})`)
+                .join('\n');
+
+            html += `
+                <tr>
+                    <td>${escapeHtml(row.target)}</td>
+                    <td>${escapeHtml(row.source)}</td>
+                    <td>${escapeHtml(t(row.label))}</td>
+                    <td>
+                        <div class="uptime-bar" title="${uptimePercent}%">
+                            <div class="uptime-bar-fill" style="width: ${uptimePercent}%"></div>
+                            <span class="uptime-bar-text">${uptimePercent}%</span>
+                        </div>
+                    </td>
+                    <td>${row.ticks}</td>
+                    <td>${this.formatNumber(row.damage)}</td>
+                    <td>${(row.dotShare * 100).toFixed(1)}%</td>
+                    <td class="debuff-gaps" title="${gapTitle}">${gapText}</td>
+                </tr>
+            `;
+        });
+
+        html += '</tbody></table>';
+        this.elements.debuffContainer.innerHTML = html;
+    }
+
+    // ========== 치유/지원 기여 ==========
+    // 선택된 전투 구간(없으면 세션 전체)의 지원 이벤트 분석. 리플레이 중에는 재생 위치까지만 사용
+    getSupportAnalysis() {
+        const cutoff = this.replay ? this.getCurrentTime() : Infinity;
+        const events = [];
+        this.supportLog.forEach(event => {
+            if (event.timestamp <= cutoff) events.push(event);
+        });
+
+        const encounter = this.getSelectedEncounter();
+        if (encounter) {
+            return SupportAnalysis.analyze(events, this.damageTimeline, {
+                rangeStart: encounter.startTime,
+                rangeEnd: encounter.endTime || encounter.lastHitTime
+            });
+        }
+
+        // 세션 시계는 받은 시각 기준이므로 그보다 이른 시각의 로그(테스트 데이터, 지연 수신)도 포함하도록 넓힘
+        const times = events.map(event => event.timestamp);
+        const firstLog = this.logStore.getChronological(0);
+        if (firstLog) times.push(firstLog.timestamp);
+        const sessionEnd = this.replay ? this.getCurrentTime() : (this.sessionEndTime || this.getCurrentTime());
+        return SupportAnalysis.analyze(events, this.damageTimeline, {
+            rangeStart: Math.min(this.sessionStartTime || Infinity, ...times),
+            rangeEnd: Math.max(sessionEnd, ...times)
+        });
+    }
+
+    updateSupportPanel() {
+        // 지원 탭이 보일 때만 계산
+        if (!this.elements.supportContainer || !this.isTabActive('support')) return;
+
+        if (this.supportLog.length === 0) {
+            this.elements.supportContainer.innerHTML =
+                `<div class="no-data-message">${t('치유/보호막/버프 이벤트가 없습니다. (프로토콜 v2 이벤트를 보내는 서버가 필요합니다)')}</div>`;
+            return;
+        }
+
+        const result = this.getSupportAnalysis();
+        const estimateTitle = t('버프 구간의 데미지에서 버프가 없던 구간의 초당 데미지만큼을 뺀 추정치');
+        const formatEstimate = (value) => value === null ?
+            `<span class="support-estimate" title="${t('버프가 없던 구간이 없어 비교할 수 없습니다')}">-</span>` :
+            `<span class="support-estimate" title="${estimateTitle}">${this.formatNumber(value)}</span>`;
+        const otherEvents = Array.from(result.otherKinds.values()).reduce((sum, count) => sum + count, 0);
+
+        let html = `
+            <div class="debuff-summary">
+                <div class="stat-item">
+                    <span class="stat-label">${t('분석 구간')}</span>
+                    <span class="stat-value">${t('{seconds}초', { seconds: Math.round(result.duration / 1000) })}</span>
+                </div>
+                <div class="stat-item">
+                    <span class="stat-label">${t('총 치유량')}</span>
+                    <span class="stat-value">${this.formatNumber(result.totals.healing)}</span>
+                </div>
+                <div class="stat-item">
+                    <span class="stat-label">${t('총 보호막')}</span>
+                    <span class="stat-value">${this.formatNumber(result.totals.shielding)}</span>
+                </div>
+                <div class="stat-item">
+                    <span class="stat-label">${t('버프 부여')}</span>
+                    <span class="stat-value">${t('{count}회', { count: this.formatNumber(result.totals.buffs) })}</span>
+                </div>
+                ${otherEvents > 0 ? `
+                <div class="stat-item" title="${escapeHtml(Array.from(result.otherKinds, ([kind, count]) => `${t(DamageProtocol.getKindLabel(kind))}: ${t('{count}회', { count })}`).join('\n'))}">
+                    <span class="stat-label">${t('기타 이벤트')}</span>
+                    <span class="stat-value">${t('{count}회', { count: this.formatNumber(otherEvents) })}</span>
+                </div>` : ''}
+            </div>
+        `;
+
+        if (result.users.size === 0) {
+            html += `<div class="no-data-message">${t('이 구간에는 지원 이벤트가 없습니다.')}</div>`;
+            this.elements.supportContainer.innerHTML = html;
+            return;
+        }
+
+        const supporters = Array.from(result.users.values())
+            .sort((a, b) => (b.healing + b.shielding) - (a.healing + a.shielding) || b.buffContribution - a.buffContribution);
+
+        html += `
+            <table class="data-table">
+                <thead>
+                    <tr>
+                        <th>${t('시전자')}</th>
+                        <th>${t('치유량')}</th>
+                        <th>HPS</th>
+                        <th>${t('치유')}</th>
+                        <th>${t('크리')}</th>
+                        <th>${t('보호막')}</th>
+                        <th>${t('버프')}</th>
+                        <th>${t('버프 기여(추정)')}</th>
+                        <th>${t('기타')}</th>
+                    </tr>
+                </thead>
+                <tbody>
+        `;
+        supporters.forEach(user => {
+            html += `
+                <tr>
+                    <td>${this.renderClassBadge(this.getUserClassInfo(user.name))} ${escapeHtml(user.name)}</td>
+                    <td>${this.formatNumber(user.healing)}</td>
+                    <td>${this.formatNumber(user.hps)}</td>
+                    <td>${t('{count}회', { count: user.heals })}</td>
+                    <td>${t('{count}회', { count: user.crits })}</td>
+                    <td>${this.formatNumber(user.shielding)}</td>
+                    <td>${t('{count}회', { count: user.buffs })}</td>
+                    <td>${formatEstimate(user.buffs > 0 ? user.buffContribution : 0)}</td>
+                    <td>${user.otherEvents}</td>
+                </tr>
+            `;
+        });
+        html += '</tbody></table>';
+
+        if (result.buffs.length > 0) {
+            html += `
+                <h4 class="support-section-title">${t('버프 유지율')}</h4>
+                <table class="data-table">
+                    <thead>
+                        <tr>
+                            <th>${t('시전자')}</th>
+                            <th>${t('버프')}</th>
+                            <th>${t('대상')}</th>
+                            <th>${t('유지율')}</th>
+                            <th>${t('부여')}</th>
+                            <th>${t('기여(추정)')}</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+            `;
+            result.buffs.forEach(buff => {
+                const uptimePercent = (buff.uptimeRate * 100).toFixed(1);
+                html += `
+                    <tr>
+                        <td>${escapeHtml(buff.source)}</td>
+                        <td>${escapeHtml(this.getSkillDisplayName(buff.skill))}</td>
+                        <td>${buff.target ? escapeHtml(buff.target) : t('파티 전체')}</td>
+                        <td>
+                            <div class="uptime-bar" title="${uptimePercent}%">
+                                <div class="uptime-bar-fill" style="width: ${uptimePercent}%"></div>
+                                <span class="uptime-bar-text">${uptimePercent}%</span>
+                            </div>
+                        </td>
+                        <td>${t('{count}회', { count: buff.applications })}</td>
+                        <td>${formatEstimate(buff.contribution)}</td>
+                    </tr>
+                `;
+            });
+            html += '</tbody></table>';
+        }
+
+        this.elements.supportContainer.innerHTML = html;
+    }
+
+    // ========== 스킬 로테이션 ==========
+    initRotationControls() {
+        const canvas = this.elements.rotationCanvas;
+        if (!canvas) return;
+
+        // 마우스 X 좌표 -> 현재 표시 범위 내 비율(0~1)
+        const getPointerRatio = (event) => {
+            const rect = canvas.getBoundingClientRect();
+            const layout = this.rotationLayout;
+            if (!layout || layout.plotWidth <= 0) return 0;
+            return Math.min(1, Math.max(0, (event.clientX - rect.left - layout.plotLeft) / layout.plotWidth));
+        };
+
+        // 휠: 마우스 위치를 기준으로 확대/축소
+        canvas.addEventListener('wheel', (event) => {
+            const view = this.getRotationView();
+            if (!view) return;
+            event.preventDefault();
+
+            const ratio = getPointerRatio(event);
+            const span = view.end - view.start;
+            const anchor = view.start + span * ratio;
+            const fullSpan = this.rotationRange.end - this.rotationRange.start;
+            const newSpan = Math.min(fullSpan, Math.max(1000, span * (event.deltaY > 0 ? 1.25 : 0.8)));
+
+            this.setRotationView(anchor - newSpan * ratio, newSpan);
+        }, { passive: false });
+
+        // 드래그: 좌우 이동
+        canvas.addEventListener('mousedown', (event) => {
+            const view = this.getRotationView();
+            if (!view) return;
+            this.rotationDrag = { x: event.clientX, view };
+            canvas.classList.add('dragging');
+        });
+
+        const endDrag = () => {
+            this.rotationDrag = null;
+            canvas.classList.remove('dragging');
+        };
+        canvas.addEventListener('mouseup', endDrag);
+        canvas.addEventListener('mouseleave', () => {
+            endDrag();
+            this.hideRotationTooltip();
+        });
+
+        canvas.addEventListener('mousemove', (event) => {
+            if (this.rotationDrag && this.rotationLayout) {
+                const { x, view } = this.rotationDrag;
+                const span = view.end - view.start;
+                const shift = -((event.clientX - x) / this.rotationLayout.plotWidth) * span;
+                this.setRotationView(view.start + shift, span);
+                return;
+            }
+            this.showRotationTooltip(event);
+        });
+
+        // 더블클릭 또는 버튼: 전체 보기
+        canvas.addEventListener('dblclick', () => this.resetRotationView());
+        if (this.elements.rotationReset) {
+            this.elements.rotationReset.addEventListener('click', () => this.resetRotationView());
+        }
+    }
+
+    getRotationView() {
+        if (!this.rotationRange) return null;
+        return this.rotationView || { ...this.rotationRange };
+    }
+
+    setRotationView(start, span) {
+        // 전체 범위를 벗어나지 않도록 보정
+        const range = this.rotationRange;
+        const clampedStart = Math.min(Math.max(start, range.start), Math.max(range.start, range.end - span));
+        this.rotationView = { start: clampedStart, end: clampedStart + span };
+        this.updateRotationTimeline();
+    }
+
+    resetRotationView() {
+        this.rotationView = null;
+        this.updateRotationTimeline();
+    }
+
+    updateRotationTimeline() {
+        // 로테이션 탭이 보일 때만 계산
+        if (!this.elements.rotationCanvas || !this.isTabActive('rotation')) return;
+
+        const logs = this.getFilteredLogs().reverse(); // 시간순
+        const castsByUser = RotationAnalysis.buildCasts(logs);
+
+        // 데미지 상위 8명까지 레인으로 표시
+        const lanes = Array.from(castsByUser.entries())
+            .map(([userName, casts]) => ({
+                label: userName,
+                casts,
+                damage: casts.reduce((sum, cast) => sum + cast.damage, 0)
+            }))
+            .sort((a, b) => b.damage - a.damage)
+            .slice(0, 8)
+            .map(lane => ({
+                label: lane.label,
+                items: lane.casts.map(cast => ({
+                    start: cast.start,
+                    end: cast.end,
+                    color: MeterCharts.getColorForKey(cast.skill),
+                    data: cast
+                }))
+            }));
+
+        const allCasts = lanes.flatMap(lane => lane.items);
+        if (allCasts.length === 0) {
+            this.rotationRange = null;
+            this.rotationView = null;
+        } else {
+            this.rotationRange = {
+                start: Math.min(...allCasts.map(item => item.start)),
+                end: Math.max(...allCasts.map(item => item.end)) + 1000
+            };
+        }
+
+        const canvas = this.elements.rotationCanvas;
+        canvas.style.height = `${Math.max(120, lanes.length * 48 + 36)}px`;
+
+        const view = this.getRotationView();
+        this.rotationLayout = MeterCharts.drawSwimlanes(canvas, {
+            lanes,
+            viewStart: view ? view.start : 0,
+            viewEnd: view ? view.end : 1,
+            formatX: (x) => t('{seconds}초', { seconds: ((x - this.rotationRange.start) / 1000).toFixed(1) }),
+            emptyMessage: t('스킬 사용 기록을 기다리는 중...')
+        });
+
+        this.updateRotationLegend(allCasts);
+    }
+
+    updateRotationLegend(items) {
+        if (!this.elements.rotationLegend) return;
+
+        // 시전 횟수 상위 스킬만 범례로 표시
+        const skillCounts = new Map();
+        items.forEach(({ data }) => {
+            if (!skillCounts.has(data.skill)) {
+                skillCounts.set(data.skill, { name: data.skillNames[0], count: 0 });
+            }
+            skillCounts.get(data.skill).count++;
+        });
+
+        this.elements.rotationLegend.innerHTML = Array.from(skillCounts.entries())
+            .sort(([, a], [, b]) => b.count - a.count)
+            .slice(0, 15)
+            .map(([skill, info]) => `
+                <span class="timeline-legend-item">
+                    <span class="timeline-legend-color" style="background: ${MeterCharts.getColorForKey(skill)}"></span>
+                    ${escapeHtml(this.getSkillDisplayName(info.name))} (${info.count})
+                </span>
+            `).join('');
+    }
+
+    showRotationTooltip(event) {
+        const tooltip = this.elements.rotationTooltip;
+        if (!tooltip || !this.rotationLayout) return;
+
+        const rect = this.elements.rotationCanvas.getBoundingClientRect();
+        const x = event.clientX - rect.left;
+        const y = event.clientY - rect.top;
+        const hit = this.rotationLayout.hitboxes.find(box =>
+            x >= box.x && x <= box.x + box.width && y >= box.y && y <= box.y + box.height);
+
+        if (!hit) {
+            this.hideRotationTooltip();
+            return;
+        }
+
+        const cast = hit.item.data;
+        const offset = ((cast.start - this.rotationRange.start) / 1000).toFixed(1);
+        tooltip.innerHTML = `
+            <strong>${escapeHtml(this.getSkillDisplayName(cast.skillNames[0]))}</strong><br>
+            ${escapeHtml(cast.user)} · ${t('{seconds}초', { seconds: offset })}<br>
+            ${t('{hits}타 · {damage} 데미지', { hits: cast.hits, damage: this.formatNumber(cast.damage, false) })}${cast.crits > 0 ? ` · ${t('크리 {count}회', { count: cast.crits })}` : ''}
+        `;
+        tooltip.style.left = `${x + 12}px`;
+        tooltip.style.top = `${y + 12}px`;
+        tooltip.style.display = 'block';
+    }
+
+    hideRotationTooltip() {
+        if (this.elements.rotationTooltip) {
+            this.elements.rotationTooltip.style.display = 'none';
+        }
+    }
+
+    // status는 한국어 원문 (언어를 바꾸면 다시 번역해서 표시)
+    updateSessionStatus(status) {
+        this.sessionStatus = status;
+        if (this.elements.sessionStatus) {
+            this.elements.sessionStatus.textContent = t(status);
+        }
+    }
+
+    // ========== UI 업데이트 ==========
+    // 패널 이름 -> { render, isVisible } (탭 안의 패널은 그 탭이 보일 때만 그림)
+    createPanels() {
+        const panel = (render, tabName = null) => ({
+            render,
+            isVisible: tabName ? () => this.isTabActive(tabName) : null
+        });
+        return {
+            battle: panel(() => this.updateBattleInfo()),
+            selection: panel(() => this.updateSelectionLists()),
+            profiles: panel(() => this.updateProfileList()),
+            statistics: panel(() => this.updateStatisticsDisplay(), 'statistics'),
+            skills: panel(() => this.updateSkillBars(), 'statistics'),
+            timeline: panel(() => this.updateDpsTimeline(), 'statistics'),
+            distribution: panel(() => this.updateDamageDistribution(), 'statistics'),
+            modifiers: panel(() => this.updateModifierBreakdown(), 'statistics'),
+            logs: panel(() => this.updateLogs(), 'logs'),
+            ranking: panel(() => this.updateRanking(), 'ranking'),
+            debuffs: panel(() => this.updateDebuffPanel(), 'debuffs'),
+            support: panel(() => this.updateSupportPanel(), 'support'),
+            rotation: panel(() => this.updateRotationTimeline(), 'rotation'),
+            translations: panel(() => this.updateTranslationPanel(), 'translations'),
+            comparison: panel(() => this.updateComparisonView(), 'profiles'),
+            trends: panel(() => this.updateTrendsView(), 'trends')
+        };
+    }
+
+    // 모든 패널을 다음 프레임에 다시 그림 (선택/필터 변경, 세션 교체 등 사용자 조작)
+    updateUI() {
+        this.renderScheduler.invalidate();
+    }
+
+    updateBattleInfo() {
+        if (!this.elements.battleTime) return;
+
+        // 전투 시간 계산
+        let elapsed = 0;
+        let totalDamage = this.statistics.totalDamage;
+        const encounter = this.getSelectedEncounter();
+        if (encounter) {
+            // 선택된 전투 구간 기준
+            elapsed = Math.floor(this.getEncounterDuration(encounter));
+            totalDamage = encounter.totalDamage;
+        } else if (this.sessionStartTime) {
+            // 세션이 종료된 경우 종료 시간까지만 계산, 아닌 경우 현재 시간까지 계산 (데이터 누락 구간 제외)
+            elapsed = Math.floor(this.getSessionElapsed());
+        }
+        this.elements.battleTime.textContent = t('{seconds}초', { seconds: elapsed });
+
+        // 데이터 누락 구간
+        if (this.elements.dataGapInfo) {
+            const gapSeconds = this.getDataGapDuration(this.sessionStartTime || 0, this.sessionEndTime || this.getCurrentTime()) / 1000;
+            const hasGap = this.dataGaps.length > 0;
+            this.elements.dataGapInfo.textContent = hasGap ?
+                `${t('{count}회', { count: this.dataGaps.length })} · ${t('{seconds}초', { seconds: Math.round(gapSeconds) })}` : t('없음');
+            this.elements.dataGapInfo.classList.toggle('has-gap', hasGap);
+            this.elements.dataGapInfo.title = hasGap ?
+                t('연결이 끊겨 데이터를 받지 못한 시간은 전투 시간과 DPS 계산에서 제외됩니다') : '';
+        }
+
+        // 총 데미지
+        this.elements.totalDamage.textContent = this.formatNumber(totalDamage);
+
+        // 총 DPS
+        const totalDps = elapsed > 0 ? Math.round(totalDamage / elapsed) : 0;
+        this.elements.totalDps.textContent = this.formatNumber(totalDps);
+    }
+
+    /**
+     * 랭킹 목록 데이터 (랭킹 패널과 전투 보고서에서 사용)
+     * 반환: { ranked: [{ user, supporter, score }] (점수 순), candidates: 필터 전 후보 Map }
+     */
+    getRankingEntries() {
+        const filteredUsers = this.getFilteredUsers();
+        const support = this.supportLog.length > 0 ? this.getSupportAnalysis() : null;
+
+        // 치유/전체 기여 기준이면 데미지 기록이 없는 힐러도 포함
+        const candidates = new Map(filteredUsers);
+        if (support && this.rankingMode !== 'damage') {
+            support.users.forEach((supporter, name) => {
+                if (!candidates.has(name)) candidates.set(name, DamageAnalysis.createUserStats(name));
+            });
+        }
+
+        // 클래스/역할 필터 적용 후 랭킹 기준 점수 순으로 정렬 (치유 기준은 치유/보호막 기록이 있는 사람만)
+        const ranked = Array.from(candidates.values())
+            .filter(user => this.matchesClassFilter(user.name))
+            .map(user => {
+                const supporter = support?.users.get(user.name) || null;
+                return { user, supporter, score: this.getRankingScore(user, supporter) };
+            })
+            .filter(({ score }) => this.rankingMode !== 'healing' || score > 0)
+            .sort((a, b) => b.score - a.score);
+        return { ranked, candidates };
+    }
+
+    updateRanking() {
+        if (!this.elements.rankingList) return;
+
+        const { ranked, candidates } = this.getRankingEntries();
+        const scoreLabel = t(RANKING_SCORE_LABELS[this.rankingMode]);
+
+        // 사용자별로 바뀐 항목만 갱신 (스크롤 위치와 hover 상태 유지)
+        const userRows = ranked.map(({ user, supporter, score }, index) => {
+            const rank = index + 1;
+            const rankClass = rank <= 3 ? `rank-${rank}` : '';
+            const selectedClass = this.selectedUser === user.name ? 'selected' : '';
+            const classInfo = this.getUserClassInfo(user.name);
+            
+            return { key: user.name, user, classInfo, score, html: `
+                <div class="ranking-item ${selectedClass}" data-action="select-user" data-user="${escapeHtml(user.name)}"
+                     style="--class-color: ${escapeHtml(classInfo.colors[0])}">
+                    <div class="ranking-rank ${rankClass}">${rank}</div>
+                    <div class="ranking-info">
+                        <div class="ranking-name">${this.renderClassBadge(classInfo, true)} ${escapeHtml(user.name)}</div>
+                        <div class="ranking-stats">
+                            ${this.rankingMode !== 'damage' ? `<span>${scoreLabel}: ${this.formatNumber(score)}</span>` : ''}
+                            <span>${t('데미지: {damage}', { damage: this.formatNumber(user.totalDamage) })}</span>
+                            <span>DPS: ${this.formatNumber(user.dps)}</span>
+                            ${supporter && supporter.healing > 0 ? `<span>HPS: ${this.formatNumber(supporter.hps)}</span>` : ''}
+                            <span>${t('타격: {count}회', { count: user.hits })}</span>
+                            <span>${t('크리: {count}회', { count: user.crits })}</span>
+                        </div>
+                    </div>
+                </div>
+            ` };
+        });
+
+        const rows = this.rankingGroup ? this.groupRankingRows(userRows) : userRows;
+        let emptyMessage = '랭킹 데이터를 기다리는 중...';
+        if (this.rankingMode === 'healing' && candidates.size > 0) {
+            emptyMessage = '치유/보호막 기록이 없습니다';
+        } else if (this.rankingClassFilter && candidates.size > 0) {
+            emptyMessage = '선택한 클래스/역할의 사용자가 없습니다';
+        }
+        PanelRender.patchList(this.elements.rankingList, rows,
+            `<div class="no-data-message">${t(emptyMessage)}</div>`);
+    }
+
+    /**
+     * 랭킹 기준 점수. 치유 기준은 치유량 + 보호막, 전체 기여 기준은 데미지 + 치유량 + 보호막 + 버프 기여(추정)
+     * (힐러/서포터가 데미지 순위에서만 평가되지 않도록)
+     */
+    getRankingScore(user, supporter) {
+        const healing = supporter ? supporter.healing + supporter.shielding : 0;
+        switch (this.rankingMode) {
+            case 'healing':
+                return healing;
+            case 'contribution':
+                return user.totalDamage + healing + (supporter ? supporter.buffContribution : 0);
+            default:
+                return user.totalDamage;
+        }
+    }
+
+    // 랭킹 항목을 클래스/역할별로 묶고 묶음마다 머리글(인원, 점수 합계)을 붙임 (점수 합계 순)
+    groupRankingRows(userRows) {
+        const groups = new Map();
+        userRows.forEach(row => {
+            let key;
+            let label;
+            if (this.rankingGroup === 'role') {
+                key = row.classInfo.role || 'none';
+                const role = PlayerClasses.ROLES[row.classInfo.role];
+                label = role ? `${role.icon} ${t(role.label)}` : t('❔ 역할 미확인');
+            } else {
+                key = row.classInfo.code;
+                label = `${row.classInfo.icon} ${t(row.classInfo.name)}`;
+            }
+            if (!groups.has(key)) {
+                groups.set(key, { key, label, score: 0, rows: [] });
+            }
+            const group = groups.get(key);
+            group.score += row.score;
+            group.rows.push(row);
+        });
+
+        return Array.from(groups.values())
+            .sort((a, b) => b.score - a.score)
+            .flatMap(group => [
+                { key: `group:${group.key}`, html: `
+                    <div class="ranking-group-header">
+                        <span>${escapeHtml(group.label)}</span>
+                        <span>${t('{count}명', { count: group.rows.length })} · ${this.formatNumber(group.score)}</span>
+                    </div>
+                ` },
+                ...group.rows
+            ]);
+    }
+
+    // ========== 클래스 ==========
+    // 세션 전체 스킬 기준으로 판별 (전투 구간만 보면 공용 스킬만 쓴 구간에서 미확인이 되므로)
+    // 데미지 스킬로 알 수 없으면 치유/버프 스킬로 판별 (데미지를 넣지 않은 힐러)
+    getUserClass(userName) {
+        const userData = this.damageData.get(userName) || this.getSelectedEncounter()?.users.get(userName);
+        return PlayerClasses.detect(userData?.skills) || PlayerClasses.detect(this.getSupportSkills().get(userName));
+    }
+
+    // 사용자 -> Map(지원 스킬 -> { damage: 수치 합계 }) (지원 로그가 늘어날 때만 다시 계산)
+    getSupportSkills() {
+        if (this.supportSkillCache?.log !== this.supportLog || this.supportSkillCache.size !== this.supportLog.length) {
+            const users = new Map();
+            this.supportLog.forEach(event => {
+                if (!users.has(event.user_name)) users.set(event.user_name, new Map());
+                const skills = users.get(event.user_name);
+                const skill = skills.get(event.skill_name) || { damage: 0 };
+                skill.damage += event.damage;
+                skills.set(event.skill_name, skill);
+            });
+            this.supportSkillCache = { log: this.supportLog, size: this.supportLog.length, users };
+        }
+        return this.supportSkillCache.users;
+    }
+
+    getUserClassInfo(userName) {
+        return PlayerClasses.getInfo(this.getUserClass(userName));
+    }
+
+    matchesClassFilter(userName) {
+        if (!this.rankingClassFilter) return true;
+
+        const [kind, value] = this.rankingClassFilter.split(':');
+        const classInfo = this.getUserClassInfo(userName);
+        return kind === 'role' ? classInfo.role === value : classInfo.code === value;
+    }
+
+    renderClassBadge(classInfo, showName = false) {
+        const role = PlayerClasses.ROLES[classInfo.role];
+        const name = t(classInfo.name);
+        const title = role ? `${name} · ${t(role.label)}` : name;
+        return `<span class="class-badge" style="background: ${escapeHtml(classInfo.gradient)}" title="${escapeHtml(title)}">` +
+            `${escapeHtml(classInfo.icon)}${showName ? ` ${escapeHtml(name)}` : ''}</span>`;
+    }
+
+    renderClassFilterOptions() {
+        const roleOptions = Object.entries(PlayerClasses.ROLES)
+            .map(([role, info]) => `<option value="role:${role}">${info.icon} ${escapeHtml(t(info.label))}</option>`);
+        const classOptions = [...PlayerClasses.list(), PlayerClasses.getInfo(null)]
+            .map(info => `<option value="class:${escapeHtml(info.code)}">${escapeHtml(info.icon)} ${escapeHtml(t(info.name))}</option>`);
+
+        this.elements.rankingClassFilter.innerHTML = `
+            <option value="">${t('전체 클래스')}</option>
+            <optgroup label="${t('역할')}">${roleOptions.join('')}</optgroup>
+            <optgroup label="${t('클래스')}">${classOptions.join('')}</optgroup>
+        `;
+        this.elements.rankingClassFilter.value = this.rankingClassFilter;
+    }
+
+    updateStatisticsDisplay() {
+        if (!this.elements.totalHits) return;
+
+        this.elements.totalHits.textContent = this.formatNumber(this.statistics.totalHits);
+        
+        const avgDamage = this.statistics.totalHits > 0 ? 
+            Math.round(this.statistics.totalDamage / this.statistics.totalHits) : 0;
+        this.elements.avgDamage.textContent = this.formatNumber(avgDamage);
+        
+        this.elements.totalCrits.textContent = this.formatNumber(this.statistics.totalCrits);
+        
+        const critRate = this.statistics.totalHits > 0 ? 
+            ((this.statistics.totalCrits / this.statistics.totalHits) * 100).toFixed(1) : '0.0';
+        this.elements.critRate.textContent = `${critRate}%`;
+        
+        this.elements.totalAddHits.textContent = this.formatNumber(this.statistics.totalAddHits);
+        
+        const addHitRate = this.statistics.totalHits > 0 ? 
+            ((this.statistics.totalAddHits / this.statistics.totalHits) * 100).toFixed(1) : '0.0';
+        this.elements.addHitRate.textContent = `${addHitRate}%`;
+    }
+
+    /**
+     * 여러 사용자의 스킬 데이터를 스킬별로 합친 목록 (데미지 순, 스킬 막대와 전투 보고서에서 사용)
+     * @param {Iterable} users 사용자 집계 (getFilteredUsers().values() 등)
+     */
+    getSkillTotals(users) {
+        const skillMap = new Map();
+        for (const userData of users) {
+            for (const [skillName, skillData] of userData.skills) {
+                if (!skillMap.has(skillName)) {
+                    skillMap.set(skillName, { ...skillData });
+                } else {
+                    const existing = skillMap.get(skillName);
+                    existing.damage += skillData.damage;
+                    existing.hits += skillData.hits;
+                    existing.crits += skillData.crits;
+                    existing.addHits += skillData.addHits;
+                    
+                    // 최소, 최대 데미지 업데이트
+                    if (skillData.minDamage < existing.minDamage) {
+                        existing.minDamage = skillData.minDamage;
+                    }
+                    if (skillData.maxDamage > existing.maxDamage) {
+                        existing.maxDamage = skillData.maxDamage;
+                    }
+                    
+                    // 더 최근의 마지막 데미지와 시간 사용
+                    if (skillData.lastHitTime > (existing.lastHitTime || 0)) {
+                        existing.lastDamage = skillData.lastDamage;
+                        existing.lastHitTime = skillData.lastHitTime;
+                    }
+                }
+            }
+        }
+
+        // 데미지 순으로 정렬
+        return Array.from(skillMap.values()).sort((a, b) => b.damage - a.damage);
+    }
+
+    updateSkillBars() {
+        if (!this.elements.skillBarsContainer) return;
+
+        const sortedSkills = this.getSkillTotals(this.getFilteredUsers().values())
+            .slice(0, 20); // 상위 20개만 표시
+
+        // 전체 데미지 계산 (지분 계산용)
+        const totalDamage = sortedSkills.reduce((sum, skill) => sum + skill.damage, 0);
+        const maxDamage = Math.max(...sortedSkills.map(s => s.damage));
+
+        const rows = sortedSkills.map(skill => {
+            const barPercentage = maxDamage > 0 ? (skill.damage / maxDamage * 100) : 0;
+            const damageShare = totalDamage > 0 ? ((skill.damage / totalDamage) * 100) : 0;
+            const avgDamage = skill.hits > 0 ? Math.round(skill.damage / skill.hits) : 0;
+            const critRate = skill.hits > 0 ? Math.round((skill.crits / skill.hits) * 100) : 0;
+            const addHitRate = skill.hits > 0 ? Math.round((skill.addHits / skill.hits) * 100) : 0;
+            return { key: skill.name, html: `
+                <div class="skill-bar">
+                    <div class="skill-bar-header">
+                        <span class="skill-name">${escapeHtml(this.getSkillDisplayName(skill.name))}</span>
+                        <div class="skill-damage-info">
+                            <span class="skill-damage">${this.formatNumber(skill.damage, false)}</span>
+                            <span class="skill-last-damage">[${this.formatNumber(skill.lastDamage || 0, false)}]</span>
+                            <span class="skill-share">(${damageShare.toFixed(1)}%)</span>
+                        </div>
+                    </div>
+                    <div class="skill-bar-bg">
+                        <div class="skill-bar-fill" style="width: ${barPercentage}%"></div>
+                        <div class="skill-share-text">${damageShare.toFixed(1)}%</div>
+                    </div>                    <div class="skill-stats">
+                        <div class="skill-stat-item">
+                            <span class="skill-stat-label">${t('타격수')}</span>
+                            <span class="skill-stat-value">${t('{count}회', { count: skill.hits })}</span>
+                        </div>
+                        <div class="skill-stat-item">
+                            <span class="skill-stat-label">${t('평균 데미지')}</span>
+                            <span class="skill-stat-value">${this.formatNumber(avgDamage, false)}</span>
+                        </div>
+                        <div class="skill-stat-item">
+                            <span class="skill-stat-label">${t('최소/최대')}</span>
+                            <span class="skill-stat-value">${this.formatNumber(skill.minDamage === Infinity ? 0 : skill.minDamage, false)} / ${this.formatNumber(skill.maxDamage, false)}</span>
+                        </div>
+                        <div class="skill-stat-item">
+                            <span class="skill-stat-label">${t('크리티컬')}</span>
+                            <span class="skill-stat-value">${t('{count}회', { count: skill.crits })} (${critRate}%)</span>
+                        </div>
+                        <div class="skill-stat-item">
+                            <span class="skill-stat-label">${t('추가타')}</span>
+                            <span class="skill-stat-value">${t('{count}회', { count: skill.addHits })} (${addHitRate}%)</span>
+                        </div>
+                    </div>
+                </div>
+            ` };
+        });
+
+        PanelRender.patchList(this.elements.skillBarsContainer, rows,
+            `<div class="no-data-message">${t('스킬 데이터를 기다리는 중...')}</div>`);
+    }    updateLogs() {
+        if (!this.elements.logContainer) return;
+
+        const filteredLogs = this.getLogView(); // 필터된 로그 뷰 (전체 세션)
+
+        // 로그가 없는 경우
+        if (filteredLogs.length === 0) {
+            if (this.lastLogId !== null || this.lastLogCount > 0) {
+                this.elements.logContainer.innerHTML = `
+                    <div class="no-data-message">
+                        <div style="font-size: 48px; margin-bottom: 16px;">📋</div>
+                        <div style="font-size: 18px;">${t('로그 데이터가 없습니다')}</div>
+                    </div>
+                `;
+                this.lastLogId = null;
+                this.lastLogCount = 0;
+                this.virtualScroll.totalHeight = 0;
+            }
+            return;
+        }
+
+        // 마지막 로그 ID로 변경 감지
+        const latestLog = filteredLogs.at(0);
+        const currentLogId = `${latestLog.timestamp}_${latestLog.user_name}_${latestLog.damage}_${latestLog.skill_name}`;
+        
+        // 로그 수가 변경되었거나 새로운 로그가 있는 경우에만 업데이트
+        const logsChanged = this.lastLogId !== currentLogId || filteredLogs.length !== this.lastLogCount;
+        
+        if (logsChanged) {
+            this.setupVirtualScroll(filteredLogs);
+            this.lastLogId = currentLogId;
+            this.lastLogCount = filteredLogs.length;
+        }
+    }
+
+    setupVirtualScroll(filteredLogs) {
+        // 가상 스크롤 컨테이너 설정
+        if (!this.elements.logContainer.querySelector('.virtual-scroll-container')) {
+            this.initVirtualScrollContainer();
+        }
+
+        const container = this.elements.logContainer.querySelector('.virtual-scroll-container');
+        const viewport = this.elements.logContainer.querySelector('.virtual-scroll-viewport');
+        const content = this.elements.logContainer.querySelector('.virtual-scroll-content');
+
+        // 전체 높이 계산
+        this.virtualScroll.totalHeight = filteredLogs.length * this.virtualScroll.itemHeight;
+        container.style.height = `${this.virtualScroll.totalHeight}px`;
+
+        // 현재 스크롤 위치에 따른 보여줄 아이템 범위 계산
+        this.calculateVisibleRange(filteredLogs.length);
+
+        // 보여줄 로그들만 렌더링
+        this.renderVisibleLogs(filteredLogs);
+    }
+
+    initVirtualScrollContainer() {
+        this.elements.logContainer.innerHTML = `
+            <div class="virtual-scroll-viewport">
+                <div class="virtual-scroll-container">
+                    <div class="virtual-scroll-content"></div>
+                </div>
+            </div>
+        `;
+
+        // 스크롤 이벤트 리스너 추가
+        const viewport = this.elements.logContainer.querySelector('.virtual-scroll-viewport');
+        viewport.addEventListener('scroll', () => {
+            this.virtualScroll.scrollTop = viewport.scrollTop;
+            this.onVirtualScroll();
+        });
+    }
+
+    calculateVisibleRange(totalItems) {
+        const viewport = this.elements.logContainer.querySelector('.virtual-scroll-viewport');
+        const viewportHeight = viewport ? viewport.clientHeight : 400;
+        
         this.virtualScroll.startIndex = Math.floor(this.virtualScroll.scrollTop / this.virtualScroll.itemHeight);
         this.virtualScroll.endIndex = Math.min(
             totalItems - 1,
             this.virtualScroll.startIndex + Math.ceil(viewportHeight / this.virtualScroll.itemHeight) + 5 // 여분 렌더링
         );
         
-        // 시작 인덱스가 음수가 되지 않도록
-        this.virtualScroll.startIndex = Math.max(0, this.virtualScroll.startIndex);
+        // 시작 인덱스가 음수가 되지 않도록
+        this.virtualScroll.startIndex = Math.max(0, this.virtualScroll.startIndex);
+    }
+
+    renderVisibleLogs(filteredLogs) {
+        const content = this.elements.logContainer.querySelector('.virtual-scroll-content');
+        if (!content) return;
+
+        const visibleLogs = filteredLogs.slice(this.virtualScroll.startIndex, this.virtualScroll.endIndex + 1);
+        
+        let html = '';
+        visibleLogs.forEach((log, index) => {
+            const actualIndex = this.virtualScroll.startIndex + index;
+            html += this.createLogElementHTML(log, actualIndex);
+        });
+
+        content.innerHTML = html;
+        
+        // 컨텐츠 위치 조정
+        const offsetY = this.virtualScroll.startIndex * this.virtualScroll.itemHeight;
+        content.style.transform = `translateY(${offsetY}px)`;
+    }
+
+    onVirtualScroll() {
+        const filteredLogs = this.getLogView();
+        if (filteredLogs.length === 0) return;
+
+        this.calculateVisibleRange(filteredLogs.length);
+        this.renderVisibleLogs(filteredLogs);
+    }
+
+    createLogElementHTML(log, index = null) {
+        const timestamp = new Date(log.timestamp).toLocaleTimeString();
+        const critClass = log.is_crit ? 'log-crit' : '';
+        const displaySkillName = this.getSkillDisplayName(log.skill_name);
+        
+        // 특수 효과 플래그들을 배열로 수집
+        const flags = [];
+        if (log.is_crit) flags.push('크리티컬');
+        if (log.is_add_hit) flags.push('추가타');
+        if (log.is_unguarded) flags.push('무방비');
+        if (log.is_break) flags.push('브레이크');
+        if (log.is_first_hit) flags.push('선타');
+        if (log.is_power) flags.push('파워');
+        if (log.is_fast) flags.push('고속');
+        
+        // 속성 효과들
+        const elements = [];
+        if (log.is_ice) elements.push('빙결');
+        if (log.is_fire) elements.push('화상');
+        if (log.is_electric) elements.push('감전');
+        if (log.is_holy) elements.push('신성');
+        if (log.is_bleed) elements.push('출혈');
+        if (log.is_poison) elements.push('중독');
+        if (log.is_mind) elements.push('정신');
+        if (log.is_dot) elements.push('지속피해');
+        
+        // 플래그 텍스트 생성
+        let flagText = '';
+        if (flags.length > 0 || elements.length > 0) {
+            const allEffects = [...flags, ...elements].map(label => t(label));
+            flagText = ` <span class="log-flags">[${allEffects.join(', ')}]</span>`;
+        }
+
+        // 여러 서버에 연결된 경우 수신 서버 표시
+        const sourceText = log.source && this.connectionSettings.sources.length > 1 ?
+            ` <span class="log-source">${escapeHtml(this.getSourceLabel(log.source))}</span>` : '';
+        return `
+            <div class="log-item" style="height: ${this.virtualScroll.itemHeight}px;">
+                <div class="log-info">
+                    <span class="log-timestamp">${timestamp}</span> 
+                    ${t('{user}이(가) {target}에게 {skill}으로 {damage} 데미지', {
+                        user: `<strong>${escapeHtml(log.user_name)}</strong>`,
+                        target: `<span class="log-target">${escapeHtml(log.target_name)}</span>`,
+                        skill: `<span class="log-skill">${escapeHtml(displaySkillName)}</span>`,
+                        damage: `<span class="log-damage ${critClass}">${this.formatNumber(log.damage, false)}</span>`
+                    })}
+                    ${flagText}${sourceText}
+                </div>
+            </div>
+        `;
+    }
+
+    updateSelectionLists() {
+        this.updateEncounterList();
+        this.updateTargetList();
+        this.updateUserList();
+    }
+
+    updateTargetList() {
+        if (!this.elements.targetList) return;
+
+        const targets = Array.from(this.targetData.values())
+            .sort((a, b) => b.totalDamage - a.totalDamage);
+
+        const rows = targets.map(target => {
+            const selectedClass = this.selectedTarget === target.name ? 'selected' : '';
+            const isBoss = this.bossTargets.has(target.name);
+            return { key: target.name, html: `
+                <div class="selection-item ${selectedClass}" data-action="select-target" data-target="${escapeHtml(target.name)}">
+                    <span class="selection-item-label">${escapeHtml(target.name)} (${this.formatNumber(target.totalDamage)})</span>
+                    <button class="boss-toggle ${isBoss ? 'active' : ''}" title="${isBoss ? t('보스 지정 해제') : t('보스로 지정')}"
+                            data-action="toggle-boss" data-target="${escapeHtml(target.name)}">★</button>
+                </div>
+            ` };
+        });
+
+        PanelRender.patchList(this.elements.targetList, rows,
+            `<div class="no-data-message">${t('타겟 데이터를 기다리는 중...')}</div>`);
+    }
+
+    updateUserList() {
+        if (!this.elements.userList) return;
+
+        const users = Array.from(this.damageData.values())
+            .sort((a, b) => b.totalDamage - a.totalDamage);
+
+        const rows = users.map(user => {
+            const selectedClass = this.selectedUser === user.name ? 'selected' : '';
+            return { key: user.name, html: `
+                <div class="selection-item ${selectedClass}" data-action="select-user" data-user="${escapeHtml(user.name)}">
+                    ${this.renderClassBadge(this.getUserClassInfo(user.name))} ${escapeHtml(user.name)} (${this.formatNumber(user.totalDamage)})
+                </div>
+            ` };
+        });
+
+        PanelRender.patchList(this.elements.userList, rows,
+            `<div class="no-data-message">${t('사용자 데이터를 기다리는 중...')}</div>`);
+    }
+
+    // ========== 필터링 ==========
+    getFilteredUsers() {
+        // 전투 구간이 선택되면 해당 구간의 집계를 사용
+        const encounter = this.getSelectedEncounter();
+        let filtered = new Map(encounter ? encounter.users : this.damageData);
+
+        // 선택된 사용자 필터
+        if (this.selectedUser) {
+            const selectedData = filtered.get(this.selectedUser);
+            if (selectedData) {
+                filtered = new Map([[this.selectedUser, selectedData]]);
+            } else {
+                filtered = new Map();
+            }
+        }
+
+        return filtered;
+    }
+
+    getFilteredLogs() {
+        return DamageAnalysis.filterLogs(this.logStore.toArray(), {
+            encounter: this.getSelectedEncounter(),
+            target: this.selectedTarget,
+            user: this.selectedUser,
+            skill: this.filters.skillFilter,
+            excludeDot: this.filters.filterDot
+        }, (skillName) => this.getSkillDisplayName(skillName));
+    }
+
+    // 가상 스크롤용 로그 뷰
+    // 필터가 없으면 저장소에서 보이는 구간만 읽고, 필터가 있으면 결과를 로그 수/필터 조건 기준으로 캐시
+    getLogView() {
+        const hasFilter = this.selectedEncounter || this.selectedTarget || this.selectedUser ||
+            this.filters.skillFilter || this.filters.filterDot;
+        if (!hasFilter) return this.logStore;
+
+        const key = [
+            this.logStore.length,
+            this.selectedEncounter,
+            this.selectedTarget,
+            this.selectedUser,
+            this.filters.skillFilter,
+            this.filters.filterDot
+        ].join('|');
+
+        if (this.filteredLogCache.key !== key) {
+            this.filteredLogCache = { key, logs: this.getFilteredLogs() };
+        }
+        return this.filteredLogCache.logs;
+    }
+
+    updateFilter() {
+        if (this.elements.skillFilter) {
+            this.filters.skillFilter = this.elements.skillFilter.value;
+        }
+        if (this.elements.filterDot) {
+            this.filters.filterDot = this.elements.filterDot.checked;
+        }
+        if (this.elements.autoReset) {
+            this.filters.autoReset = this.elements.autoReset.checked;
+        }
+        if (this.elements.autoSessionEnd) {
+            this.filters.autoSessionEnd = this.elements.autoSessionEnd.checked;
+            // 자동 세션 종료 설정이 변경되면 타이머를 재설정
+            if (this.filters.autoSessionEnd && this.sessionStartTime) {
+                this.resetSessionEndTimer();
+            } else {
+                this.clearSessionEndTimer();
+            }
+        }
+        this.updateUI();
+    }
+
+    updateSessionTimeout() {
+        if (this.elements.sessionTimeout) {
+            const timeoutValue = parseInt(this.elements.sessionTimeout.value);
+            if (timeoutValue >= 5 && timeoutValue <= 300) {
+                this.autoSessionEndTimeout = timeoutValue * 1000; // 초를 밀리초로 변환
+                // 현재 세션이 진행 중이면 타이머를 재설정
+                if (this.filters.autoSessionEnd && this.sessionStartTime) {
+                    this.resetSessionEndTimer();
+                }
+            }
+        }
+    }
+
+    // ========== 선택 관리 ==========
+    selectTarget(targetName) {
+        this.selectedTarget = this.selectedTarget === targetName ? null : targetName;
+        this.updateSelectionDisplay();
+        this.updateUI();
+    }
+
+    selectUser(userName) {
+        this.selectedUser = this.selectedUser === userName ? null : userName;
+        this.updateSelectionDisplay();
+        this.updateUI();
+    }
+
+    clearSelectedTarget() {
+        this.selectedTarget = null;
+        this.updateSelectionDisplay();
+        this.updateUI();
+    }
+
+    clearSelectedUser() {
+        this.selectedUser = null;
+        this.updateSelectionDisplay();
+        this.updateUI();
+    }
+
+    updateSelectionDisplay() {
+        if (this.elements.selectedTargetDisplay) {
+            this.elements.selectedTargetDisplay.textContent = this.selectedTarget || t('전체 타겟');
+        }
+        if (this.elements.selectedUserDisplay) {
+            this.elements.selectedUserDisplay.textContent = this.selectedUser || t('전체 사용자');
+        }
+    }
+
+    // ========== 전투 구분 ==========
+    loadBossTargets() {
+        try {
+            const saved = localStorage.getItem('bossTargets');
+            this.bossTargets = new Set(saved ? JSON.parse(saved) : []);
+        } catch (error) {
+            console.error('보스 목록 불러오기 오류:', error);
+            this.bossTargets = new Set();
+        }
+    }
+
+    toggleBossTarget(targetName) {
+        if (this.bossTargets.has(targetName)) {
+            this.bossTargets.delete(targetName);
+        } else {
+            this.bossTargets.add(targetName);
+        }
+        localStorage.setItem('bossTargets', JSON.stringify(Array.from(this.bossTargets)));
+
+        // 보스 지정이 바뀌면 현재 세션의 전투 구분을 다시 계산
+        this.rebuildEncounters();
+        this.updateUI();
+    }
+
+    rebuildEncounters() {
+        const entries = [];
+        this.logStore.forEach(log => entries.push(log));
+        this.encounterTracker.rebuild(entries);
+
+        if (this.selectedEncounter && !this.encounterTracker.get(this.selectedEncounter)) {
+            this.selectEncounter(null);
+        }
+    }
+
+    getSelectedEncounter() {
+        return this.selectedEncounter ? this.encounterTracker.get(this.selectedEncounter) : null;
+    }
+
+    selectEncounter(encounterId) {
+        this.selectedEncounter = encounterId;
+        if (this.elements.encounterSelect) {
+            this.elements.encounterSelect.value = encounterId ? String(encounterId) : '';
+        }
+        this.calculateDPS();
+        this.updateUI();
+    }
+
+    updateEncounterList() {
+        const select = this.elements.encounterSelect;
+        if (!select) return;
+        // 드롭다운이 열려 있는 동안에는 목록을 다시 그리지 않고 다음 갱신으로 미룸
+        if (document.activeElement === select) {
+            this.renderScheduler.markDirty('selection');
+            return;
+        }
+
+        let options = `<option value="">${t('전체 세션')}</option>`;
+        // 최신 전투가 위로 오도록 역순 표시
+        [...this.encounterTracker.encounters].reverse().forEach(encounter => {
+            const duration = Math.round(EncounterTracker.getDuration(encounter));
+            const status = encounter.endTime ? '' : ` (${t('진행중')})`;
+            const icon = encounter.kind === 'boss' ? '👑' : '⚔️';
+            options += `<option value="${encounter.id}">${icon} ${escapeHtml(this.getEncounterLabel(encounter))} · ${t('{seconds}초', { seconds: duration })} · ${this.formatNumber(encounter.totalDamage)}${status}</option>`;
+        });
+
+        select.innerHTML = options;
+        select.value = this.selectedEncounter ? String(this.selectedEncounter) : '';
+    }
+
+    getEncounterLabel(encounter) {
+        return encounter.kind === 'boss' ?
+            t('{target} - {number}회차', { target: encounter.target, number: encounter.number }) :
+            t('잡몹 구간 {number}', { number: encounter.number });
+    }
+
+    // ========== 탭 관리 ==========
+    switchTab(tabName) {
+        // 모든 탭 버튼과 콘텐츠 비활성화
+        this.elements.tabBtns.forEach(btn => btn.classList.remove('active'));
+        this.elements.tabContents.forEach(content => content.classList.remove('active'));
+
+        // 선택된 탭 활성화
+        const selectedBtn = document.querySelector(`[data-tab="${tabName}"]`);
+        const selectedContent = document.getElementById(`${tabName}-tab`);
+
+        if (selectedBtn && selectedContent) {
+            selectedBtn.classList.add('active');
+            selectedContent.classList.add('active');
+        }
+
+        // 숨겨져 있는 동안 바뀐 패널 갱신
+        this.renderScheduler.request();
+    }
+
+    isTabActive(tabName) {
+        const content = document.getElementById(`${tabName}-tab`);
+        return !!content && content.classList.contains('active');
+    }
+
+    // ========== 테마 관리 ==========
+    toggleTheme() {
+        const currentTheme = document.documentElement.getAttribute('data-theme');
+        const newTheme = currentTheme === 'dark' ? 'light' : 'dark';
+        
+        document.documentElement.setAttribute('data-theme', newTheme);
+        localStorage.setItem('theme', newTheme);
+        
+        // 테마 아이콘 업데이트
+        if (this.elements.themeToggle) {
+            const themeIcon = this.elements.themeToggle.querySelector('.theme-icon');
+            if (themeIcon) {
+                themeIcon.textContent = newTheme === 'dark' ? '☀️' : '🌙';
+            }
+        }
+    }
+
+    loadTheme() {
+        const savedTheme = localStorage.getItem('theme') || 'light';
+        document.documentElement.setAttribute('data-theme', savedTheme);
+        
+        if (this.elements.themeToggle) {
+            const themeIcon = this.elements.themeToggle.querySelector('.theme-icon');
+            if (themeIcon) {
+                themeIcon.textContent = savedTheme === 'dark' ? '☀️' : '🌙';
+            }        }
+    }    // ========== 데이터 관리 ==========
+    /**
+     * 모든 세션 데이터를 초기화합니다.
+     * @param {boolean} resetIngest 수신 처리 쪽 집계도 초기화할지 (새 세션을 이미 시작한 묶음을 반영할 때는 false)
+     */
+    resetData(resetIngest = true) {
+        // 리플레이 중이면 원래 세션으로 돌아가지 않고 종료
+        this.stopReplay(false);
+        this.clearSessionData();
+        if (resetIngest) {
+            this.ingest.reset();
+        }
+        this.currentHistoryId = null;
+        
+        // 로그 컨테이너 내용 지우기
+        if (this.elements.logContainer) {
+            this.elements.logContainer.innerHTML = `<div class="no-data-message">${t('로그 데이터를 기다리는 중...')}</div>`;
+        }
+        
+        // 자동 세션 종료 타이머 초기화
+        this.clearSessionEndTimer();
+        this.lastDamageTime = null;
+        this.sessionEndTime = null; // 세션 종료 시간도 초기화
+        
+        this.updateSessionStatus('⚪ 초기화됨');
+        this.updateUI();
+        console.log('데이터가 초기화되었습니다.');
+    }
+
+    // 집계/로그 데이터만 비움 (초기화와 리플레이 재집계 공용)
+    clearSessionData() {
+        this.damageData.clear();
+        this.targetData.clear();
+        this.damageTimeline.clear();
+        this.logStore.clear();
+        this.supportLog.clear();
+        this.filteredLogCache = { key: null, logs: [] };
+        this.encounterTracker.clear();
+        this.selectedEncounter = null;
+        this.sessionStartTime = null;
+        this.dataGaps = [];
+        this.statistics = DamageAnalysis.createStatistics();
+        
+        // 로그 추적 변수 초기화
+        this.lastLogCount = 0;
+        this.lastLogId = null;
+        
+        // 가상 스크롤 상태 초기화
+        this.virtualScroll.scrollTop = 0;
+        this.virtualScroll.totalHeight = 0;
+        this.virtualScroll.startIndex = 0;
+        this.virtualScroll.endIndex = 0;
+        this.renderScheduler.markDirty(...DATA_PANELS);
+    }    saveData() {
+        // 현재 데이터를 JSON 파일로 내보내기 (백업 목적)
+        const data = {
+            ...this.serializeSession(),
+            timestamp: Date.now()
+        };
+
+        const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = `damage-meter-${new Date().toISOString().slice(0, 19).replace(/:/g, '-')}.json`;
+        a.click();
+        URL.revokeObjectURL(url);
+        
+        console.log('데이터가 JSON 파일로 내보내졌습니다.');
     }
 
-    renderVisibleLogs(filteredLogs) {
-        const content = this.elements.logContainer.querySelector('.virtual-scroll-content');
-        if (!content) return;
+    loadData() {
+        if (this.elements.fileInput) {
+            this.elements.fileInput.click();
+        }
+    }    handleFileLoad(event) {
+        const file = event.target.files[0];
+        if (!file) return;
 
-        const visibleLogs = filteredLogs.slice(this.virtualScroll.startIndex, this.virtualScroll.endIndex + 1);
+        const reader = new FileReader();
+        reader.onload = (e) => {
+            try {
+                const data = JSON.parse(e.target.result);
+                
+                // JSON 파일에서 데이터 복원
+                this.prepareSessionLoad();
+                this.restoreSession(data);
+                this.syncIngestSession();
+                
+                this.currentProfile = null; // 외부 파일에서 불러온 경우 프로필 해제
+                
+                console.log('JSON 파일에서 데이터가 불러와졌습니다.');
+                alert(t('JSON 파일에서 데이터가 불러와졌습니다.'));
+                
+            } catch (error) {
+                console.error('파일 로드 오류:', error);
+                alert(t('파일을 불러오는 중 오류가 발생했습니다.'));
+            }
+        };
         
-        let html = '';
-        visibleLogs.forEach((log, index) => {
-            const actualIndex = this.virtualScroll.startIndex + index;
-            html += this.createLogElementHTML(log, actualIndex);
+        reader.readAsText(file);
+        event.target.value = ''; // 파일 입력 초기화
+    }
+
+    // ========== 데이터 내보내기 ==========
+    loadExportOptions() {
+        try {
+            const saved = localStorage.getItem('exportOptions');
+            if (saved) {
+                this.exportOptions = { ...this.exportOptions, ...JSON.parse(saved) };
+            }
+        } catch (error) {
+            console.error('내보내기 설정 불러오기 오류:', error);
+        }
+    }
+
+    saveExportOptions() {
+        localStorage.setItem('exportOptions', JSON.stringify(this.exportOptions));
+    }
+
+    openExportDialog() {
+        const dialog = this.elements.exportDialog;
+        if (!dialog) return;
+
+        this.renderExportDialog();
+        if (!dialog.open) dialog.showModal();
+    }
+
+    updateExportOptions() {
+        this.exportOptions = {
+            ...this.exportOptions,
+            dataset: this.elements.exportDataset.value,
+            format: this.elements.exportFormat.value,
+            timestamp: this.elements.exportTimestamp.value,
+            delimiter: this.elements.exportDelimiter.value,
+            bom: this.elements.exportBom.checked,
+            schema: this.elements.exportSchema.checked
+        };
+        this.saveExportOptions();
+        this.renderExportDialog();
+    }
+
+    // 현재 데이터 종류에서 고른 열 (저장된 선택이 없으면 모든 열)
+    getExportColumns() {
+        const { dataset, columns } = this.exportOptions;
+        const names = ExportFormats.getColumnNames(dataset);
+        return columns[dataset] ? names.filter(name => columns[dataset].includes(name)) : names;
+    }
+
+    setExportColumns(names) {
+        const { dataset } = this.exportOptions;
+        this.exportOptions.columns = { ...this.exportOptions.columns, [dataset]: names };
+        this.saveExportOptions();
+        this.renderExportDialog();
+    }
+
+    toggleExportColumn(name, checked) {
+        const selected = new Set(this.getExportColumns());
+        if (checked) {
+            selected.add(name);
+        } else {
+            selected.delete(name);
+        }
+        this.setExportColumns(ExportFormats.getColumnNames(this.exportOptions.dataset).filter(column => selected.has(column)));
+    }
+
+    selectAllExportColumns(all) {
+        this.setExportColumns(all ? ExportFormats.getColumnNames(this.exportOptions.dataset) : []);
+    }
+
+    // 내보낼 원본 (현재 선택한 전투 구간, 사용자, 타겟, 스킬 검색, 도트 제외 필터 기준)
+    getExportRows(dataset) {
+        return ExportFormats.buildRows(dataset, {
+            logs: this.getFilteredLogs(),
+            users: this.getFilteredUsers().values(),
+            bossTargets: this.bossTargets
+        });
+    }
+
+    renderExportDialog() {
+        const options = this.exportOptions;
+        this.elements.exportDataset.value = options.dataset;
+        this.elements.exportFormat.value = options.format;
+        this.elements.exportTimestamp.value = options.timestamp;
+        this.elements.exportDelimiter.value = options.delimiter;
+        this.elements.exportBom.checked = options.bom;
+        this.elements.exportSchema.checked = options.schema;
+
+        // 구분자/BOM은 CSV에만 해당
+        this.elements.exportDialog.querySelectorAll('.export-csv-option').forEach(element => {
+            element.style.display = options.format === 'csv' ? '' : 'none';
+        });
+
+        const selected = new Set(this.getExportColumns());
+        this.elements.exportColumns.innerHTML = ExportFormats.getColumnNames(options.dataset).map(name => `
+            <label class="checkbox-label">
+                <input type="checkbox" data-action="toggle-export-column" data-column="${escapeHtml(name)}" ${selected.has(name) ? 'checked' : ''}>
+                <span class="checkbox-custom"></span>
+                <span>${escapeHtml(name)}</span>
+            </label>
+        `).join('');
+
+        const rowCount = this.getExportRows(options.dataset).length;
+        this.elements.exportSummary.textContent = t('현재 필터 기준 {rows}행 · 열 {columns}개', {
+            rows: rowCount.toLocaleString(I18n.getLocale()),
+            columns: selected.size
+        });
+    }
+
+    exportData() {
+        const options = this.exportOptions;
+        const rows = this.getExportRows(options.dataset);
+        if (rows.length === 0) {
+            alert(t('내보낼 데이터가 없습니다.'));
+            return;
+        }
+
+        const serializeOptions = {
+            format: options.format,
+            columns: this.getExportColumns(),
+            timestamp: options.timestamp,
+            delimiter: ExportFormats.DELIMITERS[options.delimiter] || ',',
+            bom: options.bom,
+            getSkillName: (skillName) => this.getSkillDisplayName(skillName),
+            getClassCode: (userName) => this.getUserClass(userName)
+        };
+
+        let content;
+        try {
+            content = ExportFormats.serialize(options.dataset, rows, serializeOptions);
+        } catch (error) {
+            alert(t(error.message));
+            return;
+        }
+
+        const baseName = `damage-${options.dataset.replace(/[A-Z]/g, char => `-${char.toLowerCase()}`)}-${new Date().toISOString().slice(0, 19).replace(/:/g, '-')}`;
+        const extension = options.format === 'jsonl' ? 'jsonl' : (options.delimiter === 'tab' ? 'tsv' : 'csv');
+        const files = [{
+            name: `${baseName}.${extension}`,
+            type: options.format === 'jsonl' ? 'application/x-ndjson' : 'text/csv;charset=utf-8',
+            content
+        }];
+        if (options.schema) {
+            files.push({
+                name: `${baseName}.schema.json`,
+                type: 'application/json',
+                content: JSON.stringify(ExportFormats.getSchema(options.dataset, serializeOptions), null, 2)
+            });
+        }
+
+        files.forEach(file => {
+            const blob = new Blob([file.content], { type: file.type });
+            const url = URL.createObjectURL(blob);
+            const a = document.createElement('a');
+            a.href = url;
+            a.download = file.name;
+            a.click();
+            URL.revokeObjectURL(url);
+        });
+
+        this.elements.exportDialog.close();
+        console.log(`데이터를 내보냈습니다. (${files[0].name}, ${rows.length}행)`);
+    }
+
+    // ========== 전투 보고서 ==========
+    // 랭킹/스킬 막대/DPS 타임라인과 같은 집계(현재 선택한 전투 구간, 사용자, 타겟, 클래스 필터 기준)
+    buildReportData() {
+        const encounter = this.getSelectedEncounter();
+        const filteredUsers = this.getFilteredUsers();
+        const statistics = DamageAnalysis.computeStatistics(filteredUsers.values());
+        const { ranked } = this.getRankingEntries();
+
+        const toSkillRow = skill => ({
+            label: this.getSkillDisplayName(skill.name),
+            damage: skill.damage,
+            hits: skill.hits,
+            crits: skill.crits,
+            addHits: skill.addHits,
+            minDamage: skill.minDamage,
+            maxDamage: skill.maxDamage
+        });
+
+        const filters = [];
+        if (encounter) filters.push({ label: t('전투 구간'), value: this.getEncounterLabel(encounter) });
+        if (this.selectedTarget) filters.push({ label: t('타겟'), value: this.selectedTarget });
+        if (this.selectedUser) filters.push({ label: t('사용자'), value: this.selectedUser });
+        if (this.rankingClassFilter) {
+            const option = this.elements.rankingClassFilter?.selectedOptions[0];
+            filters.push({ label: t('클래스'), value: option ? option.textContent.trim() : this.rankingClassFilter });
+        }
+        if (this.currentProfile) filters.push({ label: t('프로필'), value: this.currentProfile });
+
+        const gapSeconds = this.getDataGapDuration(this.sessionStartTime || 0, this.sessionEndTime || this.getCurrentTime()) / 1000;
+        const label = encounter ? this.getEncounterLabel(encounter) : this.currentProfile;
+        return {
+            title: label ? `${t('전투 보고서')} - ${label}` : t('전투 보고서'),
+            generatedAt: Date.now(),
+            locale: I18n.getLocale(),
+            session: {
+                startTime: encounter ? encounter.startTime : this.sessionStartTime,
+                endTime: encounter ? (encounter.endTime || encounter.lastHitTime) : this.sessionEndTime,
+                duration: encounter ? this.getEncounterDuration(encounter) : this.getSessionElapsed(),
+                totalDamage: statistics.totalDamage,
+                hits: statistics.totalHits,
+                crits: statistics.totalCrits,
+                gapCount: this.dataGaps.length,
+                gapSeconds,
+                filters
+            },
+            ranking: {
+                scoreLabel: t(RANKING_SCORE_LABELS[this.rankingMode]),
+                rows: ranked.map(({ user, supporter, score }, index) => {
+                    const classInfo = this.getUserClassInfo(user.name);
+                    return {
+                        rank: index + 1,
+                        name: user.name,
+                        className: `${classInfo.icon} ${t(classInfo.name)}`,
+                        color: classInfo.colors[0],
+                        score,
+                        damage: user.totalDamage,
+                        dps: user.dps,
+                        hps: supporter ? supporter.hps : 0,
+                        hits: user.hits,
+                        crits: user.crits
+                    };
+                })
+            },
+            skills: this.getSkillTotals(filteredUsers.values()).map(toSkillRow),
+            players: ranked.map(({ user }) => ({
+                name: user.name,
+                damage: user.totalDamage,
+                skills: this.getSkillTotals([user]).map(toSkillRow)
+            })),
+            timeline: {
+                series: this.getTimelineSeries(),
+                bands: this.getTimelineGapBands(),
+                windowSize: Math.max(1, this.timelineWindow)
+            },
+            targets: Array.from(this.targetData.values())
+                .sort((a, b) => b.totalDamage - a.totalDamage)
+                .map(target => ({ name: target.name, damage: target.totalDamage, boss: this.bossTargets.has(target.name) }))
+        };
+    }
+
+    // 보고서를 HTML 파일 하나로 저장 (스타일과 차트가 파일 안에 있어 오프라인으로 열 수 있음)
+    generateReport() {
+        if (this.damageData.size === 0 && this.supportLog.length === 0) {
+            alert(t('보고서로 만들 전투 데이터가 없습니다.'));
+            return;
+        }
+
+        this.calculateDPS(); // 갱신 주기 사이에 만들어도 보고서 시각 기준 DPS가 되도록
+        const html = FightReport.build(this.buildReportData(), {
+            t,
+            formatNumber: (num) => this.formatNumber(num, false),
+            formatTime: (time) => new Date(time).toLocaleString(I18n.getLocale())
         });
 
-        content.innerHTML = html;
+        const blob = new Blob([html], { type: 'text/html;charset=utf-8' });
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = `damage-report-${new Date().toISOString().slice(0, 19).replace(/:/g, '-')}.html`;
+        a.click();
+        URL.revokeObjectURL(url);
+
+        console.log('전투 보고서가 HTML 파일로 저장되었습니다.');
+    }
+
+    // ========== 키보드 단축키 ==========
+    handleKeyboard(event) {
+        if (event.ctrlKey) {
+            switch (event.code) {
+                case 'KeyR':
+                    event.preventDefault();
+                    this.resetData();
+                    break;
+                case 'KeyS':
+                    event.preventDefault();
+                    this.saveData();
+                    break;
+                case 'KeyO':
+                    event.preventDefault();
+                    this.loadData();
+                    break;
+                case 'KeyE':
+                    event.preventDefault();
+                    this.openExportDialog();
+                    break;
+                case 'KeyT':
+                    event.preventDefault();
+                    this.toggleTheme();
+                    break;
+            }
+        }
+
+        // 탭 단축키 (1, 2, 3) - 입력 중인 숫자는 제외 (번역 이름, 프로필 이름 등)
+        if (event.target.closest?.('input, textarea, select')) return;
+        if (event.code >= 'Digit1' && event.code <= 'Digit3') {
+            const tabs = ['ranking', 'statistics', 'logs'];
+            const tabIndex = parseInt(event.code.slice(-1)) - 1;
+            if (tabs[tabIndex]) {
+                this.switchTab(tabs[tabIndex]);
+            }
+        }
+    }
+
+    // ========== 업데이트 루프 ==========
+    startUpdateLoop() {
+        clearInterval(this.updateLoopTimer);
+        this.updateLoopTimer = setInterval(() => {
+            if (this.encounterTracker.checkInactivity(this.getCurrentTime())) {
+                this.renderScheduler.markDirty('selection', ...CLOCK_PANELS);
+            }
+            this.calculateDPS();
+            this.updateConnectionQuality();
+            this.updateIngestStatus();
+
+            // 세션이 진행 중이면 새 데이터가 없어도 전투 시간/DPS가 바뀜 (열린 데이터 누락 구간은 타임라인에도 표시)
+            if (this.sessionStartTime && !this.sessionEndTime && !this.replay) {
+                this.renderScheduler.markDirty(...CLOCK_PANELS);
+                if (this.dataGaps.some(gap => gap.end === null)) {
+                    this.renderScheduler.markDirty('timeline');
+                }
+            }
+            this.renderScheduler.request();
+        }, this.refreshInterval);
+    }
+
+    loadRefreshInterval() {
+        const saved = parseInt(localStorage.getItem('refreshInterval'));
+        if (REFRESH_INTERVALS.includes(saved)) {
+            this.refreshInterval = saved;
+        }
+        if (this.elements.refreshInterval) {
+            this.elements.refreshInterval.value = String(this.refreshInterval);
+        }
+    }
+
+    setRefreshInterval(interval) {
+        const value = parseInt(interval);
+        if (!REFRESH_INTERVALS.includes(value)) return;
+
+        this.refreshInterval = value;
+        localStorage.setItem('refreshInterval', String(value));
+        this.startUpdateLoop();
+    }
+
+    // ========== 유틸리티 함수 ==========
+    formatNumber(num, useShortFormat = true) {
+        if (!useShortFormat) {
+            // 실제 숫자를 콤마로 구분하여 표시
+            return num.toLocaleString(I18n.getLocale());
+        }
+        
+        // 기존 K, M 단위 표시 (랭킹, 요약 등에서 사용)
+        if (num >= 1000000) {
+            return (num / 1000000).toFixed(1) + 'M';
+        } else if (num >= 1000) {
+            return (num / 1000).toFixed(1) + 'K';
+        }
+        return num.toString();
+    }
+
+    // 바이트 수를 KB/MB/GB로 표시
+    formatBytes(bytes) {
+        const units = ['B', 'KB', 'MB', 'GB'];
+        let value = bytes;
+        let unitIndex = 0;
+        while (value >= 1024 && unitIndex < units.length - 1) {
+            value /= 1024;
+            unitIndex++;
+        }
+        return `${unitIndex === 0 ? value : value.toFixed(1)}${units[unitIndex]}`;
+    }
+
+    // ========== 테스트 데이터 생성 ==========
+    generateTestData() {
+        console.log('테스트 데이터 생성 중...');
+        
+        const testUsers = ['플레이어1', '플레이어2', '플레이어3', '플레이어4', '플레이어5'];
+        const testTargets = ['슬라임킹', '오크족장', '드래곤', '보스몬스터'];
+        const testSkills = [
+            'MeleeDefaultAttack_1',
+            'SwordMaster_SteelWedge',
+            'Fighter_ChargingFist_End_LV3',
+            'Bard_TripleStroke',
+            'Monk_Skill_SurgeOfLight_01'
+        ];
+
+        // 세션 시작
+        this.sessionStartTime = Date.now();
+        this.updateSessionStatus('🟢 테스트 진행중');
+
+        // 100개의 테스트 데미지 로그 생성
+        for (let i = 0; i < 100; i++) {
+            const testData = {
+                timestamp: Date.now() - (100 - i) * 1000, // 100초에 걸쳐 분산
+                user_name: testUsers[Math.floor(Math.random() * testUsers.length)],
+                target_name: testTargets[Math.floor(Math.random() * testTargets.length)],
+                skill_name: testSkills[Math.floor(Math.random() * testSkills.length)],
+                damage: Math.floor(Math.random() * 5000) + 1000, // 1000-6000 데미지
+                is_crit: Math.random() < 0.2, // 20% 크리티컬
+                is_add_hit: Math.random() < 0.15 // 15% 추가타
+            };
+
+            // 실시간 데이터와 같은 경로로 처리
+            this.ingest.push(DamageProtocol.formatMessage(testData));
+
+            // 힐러의 치유(5초마다)와 파티 버프(20초마다, 10초 지속)
+            if (i % 5 === 0) {
+                this.ingest.push(DamageProtocol.formatMessage({
+                    kind: 'heal',
+                    timestamp: testData.timestamp,
+                    user_name: '힐러',
+                    target_name: testUsers[Math.floor(Math.random() * testUsers.length)],
+                    skill_name: 'Healer_Heal',
+                    damage: Math.floor(Math.random() * 3000) + 500,
+                    is_crit: Math.random() < 0.2
+                }));
+            }
+            if (i % 20 === 0) {
+                this.ingest.push(DamageProtocol.formatMessage({
+                    kind: 'buff',
+                    timestamp: testData.timestamp,
+                    user_name: '힐러',
+                    target_name: '',
+                    skill_name: 'Healer_Blessing',
+                    damage: 10000
+                }));
+            }
+        }
+
+        console.log('테스트 데이터 생성 완료!');
+    }
+
+    // ========== 프로필 관리 ==========
+    // IndexedDB에서 불러옴 (처음 한 번 localStorage의 예전 프로필을 옮김)
+    async loadProfiles() {
+        try {
+            if (this.profileStore.isSupported) {
+                const migrated = await this.profileStore.migrateFromLocalStorage(localStorage);
+                if (migrated > 0) {
+                    console.log(`localStorage의 프로필 ${migrated}개를 IndexedDB로 옮겼습니다.`);
+                }
+                this.profiles = await this.profileStore.loadAll();
+            } else {
+                const savedProfiles = localStorage.getItem(ProfileStore.LEGACY_STORAGE_KEY);
+                if (savedProfiles) {
+                    this.profiles = DamageAnalysis.decodeProfiles(JSON.parse(savedProfiles));
+                }
+            }
+            console.log(`${this.profiles.size}개의 프로필을 불러왔습니다.`);
+        } catch (error) {
+            console.error('프로필 불러오기 오류:', error);
+        }
+        this.renderScheduler.invalidate('profiles', 'trends');
+    }
+
+    async saveProfile() {
+        const profileName = this.elements.profileName?.value?.trim();
+        if (!profileName) {
+            alert(t('프로필 이름을 입력해주세요.'));
+            return;
+        }
+
+        if (this.damageData.size === 0 && this.logStore.length === 0) {
+            alert(t('저장할 데이터가 없습니다.'));
+            return;
+        }
+
+        const profileData = {
+            name: profileName,
+            createdAt: new Date().toISOString(),
+            ...this.serializeSession()
+        };
+
+        if (!await this.writeProfiles([profileData])) return;
+        this.profiles.set(profileName, profileData);
+        this.renderScheduler.invalidate('profiles', 'trends');
         
-        // 컨텐츠 위치 조정
-        const offsetY = this.virtualScroll.startIndex * this.virtualScroll.itemHeight;
-        content.style.transform = `translateY(${offsetY}px)`;
+        if (this.elements.profileName) {
+            this.elements.profileName.value = '';
+        }
+        
+        console.log(`프로필 "${profileName}"이 저장되었습니다.`);
+        alert(t('프로필 "{name}"이 저장되었습니다.', { name: profileName }));
     }
 
-    onVirtualScroll() {
-        const filteredLogs = this.getFilteredLogs();
-        if (filteredLogs.length === 0) return;
-
-        this.calculateVisibleRange(filteredLogs.length);
-        this.renderVisibleLogs(filteredLogs);
+    /**
+     * 프로필 저장/삭제를 저장소에 반영합니다. 실패하면(저장 공간 부족 등) 알리고 false를 반환하며,
+     * 저장소는 바뀌지 않으므로 호출한 쪽도 this.profiles를 바꾸지 않습니다.
+     * IndexedDB를 쓸 수 없으면 예전처럼 localStorage 키 하나에 모든 프로필을 저장합니다.
+     */
+    async writeProfiles(profiles = [], removedNames = []) {
+        try {
+            if (this.profileStore.isSupported) {
+                await this.profileStore.write(profiles, removedNames);
+                if (profiles.length > 0) {
+                    this.profileStore.requestPersistence().catch(() => {});
+                }
+            } else {
+                const next = new Map(this.profiles);
+                removedNames.forEach(name => next.delete(name));
+                profiles.forEach(profile => next.set(profile.name, profile));
+                localStorage.setItem(ProfileStore.LEGACY_STORAGE_KEY, JSON.stringify(DamageAnalysis.encodeProfiles(next)));
+            }
+        } catch (error) {
+            console.error('프로필 저장 오류:', error);
+            const estimate = ProfileStore.isQuotaError(error) ? await this.profileStore.estimate().catch(() => null) : null;
+            if (estimate) {
+                alert(t('저장 공간이 부족해 프로필을 저장하지 못했습니다. (사용 중 {usage} / {quota}) 오래된 프로필을 내보낸 뒤 삭제해 주세요.', {
+                    usage: this.formatBytes(estimate.usage),
+                    quota: this.formatBytes(estimate.quota)
+                }));
+            } else if (ProfileStore.isQuotaError(error)) {
+                alert(t('저장 공간이 부족해 프로필을 저장하지 못했습니다. 오래된 프로필을 내보낸 뒤 삭제해 주세요.'));
+            } else {
+                alert(t('프로필 저장 중 오류가 발생했습니다.'));
+            }
+            return false;
+        }
+        return true;
     }
 
-    createLogElementHTML(log, index = null) {
-        const timestamp = new Date(log.timestamp).toLocaleTimeString();
-        const critClass = log.is_crit ? 'log-crit' : '';
-        const displaySkillName = this.getSkillDisplayName(log.skill_name);
-        
-        // 특수 효과 플래그들을 배열로 수집
-        const flags = [];
-        if (log.is_crit) flags.push('크리티컬');
-        if (log.is_add_hit) flags.push('추가타');
-        if (log.is_unguarded) flags.push('무방비');
-        if (log.is_break) flags.push('브레이크');
-        if (log.is_first_hit) flags.push('선타');
-        if (log.is_power) flags.push('파워');
-        if (log.is_fast) flags.push('고속');
-        
-        // 속성 효과들
-        const elements = [];
-        if (log.is_ice) elements.push('빙결');
-        if (log.is_fire) elements.push('화상');
-        if (log.is_electric) elements.push('감전');
-        if (log.is_holy) elements.push('신성');
-        if (log.is_bleed) elements.push('출혈');
-        if (log.is_poison) elements.push('중독');
-        if (log.is_mind) elements.push('정신');
-        if (log.is_dot) elements.push('지속피해');
-        
-        // 플래그 텍스트 생성
-        let flagText = '';
-        if (flags.length > 0 || elements.length > 0) {
-            const allEffects = [...flags, ...elements];
-            flagText = ` <span class="log-flags">[${allEffects.join(', ')}]</span>`;
-        }        return `
-            <div class="log-item" style="height: ${this.virtualScroll.itemHeight}px;">
-                <div class="log-info">
-                    <span class="log-timestamp">${timestamp}</span> 
-                    <strong>${log.user_name}</strong>이(가) 
-                    <span class="log-target">${log.target_name}</span>에게 
-                    <span class="log-skill">${displaySkillName}</span>으로 
-                    <span class="log-damage ${critClass}">${this.formatNumber(log.damage, false)}</span> 데미지
-                    ${flagText}
-                </div>
-            </div>
+    // 프로필 개수와 저장 공간 사용량 (브라우저 추정치, 80% 이상이면 경고)
+    async updateProfileStorageInfo() {
+        const container = this.elements.profileStorageInfo;
+        if (!container) return;
+
+        if (!this.profileStore.isSupported) {
+            container.className = 'profile-storage-info warning';
+            container.textContent = t('이 브라우저는 IndexedDB를 지원하지 않아 프로필을 localStorage(약 5MB)에 저장합니다.');
+            return;
+        }
+
+        let estimate = null;
+        try {
+            estimate = await this.profileStore.estimate();
+        } catch (error) {
+            console.warn('저장 공간 추정 실패:', error);
+        }
+
+        const count = t('프로필 {count}개', { count: this.profiles.size });
+        if (!estimate || estimate.quota <= 0) {
+            container.className = 'profile-storage-info';
+            container.textContent = count;
+            return;
+        }
+
+        const ratio = Math.min(1, estimate.usage / estimate.quota);
+        const isNearlyFull = ratio >= 0.8;
+        container.className = `profile-storage-info ${isNearlyFull ? 'warning' : ''}`;
+        container.innerHTML = `
+            <div>${count} · ${t('저장 공간 {usage} / {quota} 사용 ({percent}%)', {
+                usage: this.formatBytes(estimate.usage),
+                quota: this.formatBytes(estimate.quota),
+                percent: (ratio * 100).toFixed(1)
+            })}</div>
+            <div class="profile-storage-bar"><div class="profile-storage-fill" style="width: ${(ratio * 100).toFixed(1)}%"></div></div>
+            ${isNearlyFull ? `<div>${t('저장 공간이 거의 찼습니다. 오래된 프로필을 내보낸 뒤 삭제해 주세요.')}</div>` : ''}
         `;
     }
 
-    updateSelectionLists() {
-        this.updateTargetList();
-        this.updateUserList();
+    /**
+     * 프로필을 묶음 파일 하나로 내보냅니다. (지원하면 gzip 압축, 기본은 모든 프로필)
+     */
+    async exportProfiles(profileNames = Array.from(this.profiles.keys())) {
+        const names = profileNames.filter(name => this.profiles.has(name));
+        if (names.length === 0) {
+            alert(t('내보낼 프로필이 없습니다.'));
+            return;
+        }
+
+        const profiles = new Map(names.map(name => [name, this.profiles.get(name)]));
+        let encoded;
+        try {
+            encoded = await ProfileStore.encodeBundle(ProfileStore.createBundle(profiles));
+        } catch (error) {
+            console.error('프로필 내보내기 오류:', error);
+            alert(t('프로필을 내보내는 중 오류가 발생했습니다.'));
+            return;
+        }
+
+        // 파일 이름에 쓸 수 없는 문자는 _로 바꿈
+        const baseName = names.length === 1 ?
+            `profile-${names[0].replace(/[\\/:*?"<>|]/g, '_')}` :
+            `profiles-${new Date().toISOString().slice(0, 19).replace(/:/g, '-')}`;
+        const url = URL.createObjectURL(encoded.blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = `${baseName}${encoded.compressed ? '.json.gz' : '.json'}`;
+        a.click();
+        URL.revokeObjectURL(url);
+
+        console.log(`프로필 ${names.length}개를 내보냈습니다. (${this.formatBytes(encoded.blob.size)})`);
     }
 
-    updateTargetList() {
-        if (!this.elements.targetList) return;
+    importProfiles() {
+        if (this.elements.profileBundleInput) {
+            this.elements.profileBundleInput.click();
+        }
+    }
 
-        const targets = Array.from(this.targetData.values())
-            .sort((a, b) => b.totalDamage - a.totalDamage);
+    async handleProfileBundleLoad(event) {
+        const file = event.target.files[0];
+        event.target.value = ''; // 파일 입력 초기화
+        if (!file) return;
 
-        if (targets.length === 0) {
-            this.elements.targetList.innerHTML = '<div class="no-data-message">타겟 데이터를 기다리는 중...</div>';
+        let profiles;
+        try {
+            profiles = await ProfileStore.decodeBundle(file);
+        } catch (error) {
+            console.error('프로필 가져오기 오류:', error);
+            alert(t('프로필을 가져오지 못했습니다: {message}', { message: t(error.message) }));
             return;
         }
 
-        let html = '';
-        targets.forEach(target => {
-            const selectedClass = this.selectedTarget === target.name ? 'selected' : '';
-            html += `
-                <div class="selection-item ${selectedClass}" onclick="app.selectTarget('${target.name}')">
-                    ${target.name} (${this.formatNumber(target.totalDamage)})
-                </div>
-            `;
-        });
+        // 같은 이름이 있으면 덮어쓸지 묻고, 아니면 '이름 (2)'처럼 새 이름으로 가져옴
+        const conflicts = Array.from(profiles.keys()).filter(name => this.profiles.has(name));
+        const overwrite = conflicts.length > 0 &&
+            confirm(t('같은 이름의 프로필 {count}개가 있습니다 ({names}). 덮어쓰시겠습니까? 취소하면 새 이름으로 가져옵니다.', {
+                count: conflicts.length,
+                names: conflicts.join(', ')
+            }));
 
-        this.elements.targetList.innerHTML = html;
-    }
+        const usedNames = new Set(this.profiles.keys());
+        const imported = [];
+        profiles.forEach((profile, name) => {
+            const finalName = overwrite ? name : ProfileStore.getUniqueName(name, usedNames);
+            usedNames.add(finalName);
+            imported.push({ ...profile, name: finalName });
+        });
 
-    updateUserList() {
-        if (!this.elements.userList) return;
+        if (!await this.writeProfiles(imported)) return;
+        imported.forEach(profile => this.profiles.set(profile.name, profile));
+        this.renderScheduler.invalidate('profiles', 'trends');
 
-        const users = Array.from(this.damageData.values())
-            .sort((a, b) => b.totalDamage - a.totalDamage);
+        console.log(`프로필 ${imported.length}개를 가져왔습니다.`);
+        alert(t('프로필 {count}개를 가져왔습니다.', { count: imported.length }));
+    }
 
-        if (users.length === 0) {
-            this.elements.userList.innerHTML = '<div class="no-data-message">사용자 데이터를 기다리는 중...</div>';
+    loadProfile(profileName) {
+        const profile = this.profiles.get(profileName);
+        if (!profile) {
+            alert(t('프로필을 찾을 수 없습니다.'));
             return;
         }
 
-        let html = '';
-        users.forEach(user => {
-            const selectedClass = this.selectedUser === user.name ? 'selected' : '';
-            html += `
-                <div class="selection-item ${selectedClass}" onclick="app.selectUser('${user.name}')">
-                    ${user.name} (${this.formatNumber(user.totalDamage)})
-                </div>
-            `;
-        });
+        // 현재 데이터를 프로필 데이터로 교체
+        this.prepareSessionLoad();
+        this.restoreSession(profile);
+        this.syncIngestSession();
+        this.currentProfile = profileName;
 
-        this.elements.userList.innerHTML = html;
+        // UI 업데이트
+        this.updateUI();
+        
+        console.log(`프로필 "${profileName}"을 불러왔습니다.`);
+        alert(t('프로필 "{name}"을 불러왔습니다.', { name: profileName }));
     }
 
-    // ========== 필터링 ==========
-    getFilteredUsers() {
-        let filtered = new Map(this.damageData);
+    async deleteProfile(profileName) {
+        if (!confirm(t('프로필 "{name}"을 삭제하시겠습니까?', { name: profileName }))) {
+            return;
+        }
 
-        // 선택된 사용자 필터
-        if (this.selectedUser) {
-            const selectedData = filtered.get(this.selectedUser);
-            if (selectedData) {
-                filtered = new Map([[this.selectedUser, selectedData]]);
-            } else {
-                filtered = new Map();
+        if (!await this.writeProfiles([], [profileName])) return;
+        this.profiles.delete(profileName);
+        this.renderScheduler.invalidate('profiles', 'trends');
+        
+        // 현재 비교 중인 프로필이 삭제된 경우
+        if (this.compareSource === profileName) {
+            this.compareSource = '';
+        }
+        if (this.compareProfile === profileName) {
+            this.compareProfile = null;
+            this.isComparisonMode = false;
+            if (this.elements.compareToggle) {
+                this.elements.compareToggle.checked = false;
             }
         }
-
-        return filtered;
+        
+        console.log(`프로필 "${profileName}"이 삭제되었습니다.`);
+        alert(t('프로필 "{name}"이 삭제되었습니다.', { name: profileName }));
     }
 
-    getFilteredLogs() {
-        let filtered = [...this.logData];
-
-        // 타겟 필터
-        if (this.selectedTarget) {
-            filtered = filtered.filter(log => log.target_name === this.selectedTarget);
+    updateProfileList() {
+        // 프로필 목록 업데이트
+        if (this.elements.profileList) {
+            const rows = Array.from(this.profiles.entries()).map(([name, profile]) => {
+                const isCurrentProfile = this.currentProfile === name;
+                const createdDate = new Date(profile.createdAt).toLocaleDateString(I18n.getLocale());
+                
+                return { key: name, html: `
+                    <div class="profile-item ${isCurrentProfile ? 'current' : ''}">
+                        <div class="profile-info">
+                            <div class="profile-name">${escapeHtml(name)}</div>
+                            <div class="profile-date">${createdDate}</div>
+                            <div class="profile-stats">
+                                ${t('사용자: {users}명, 로그: {logs}개', { users: (profile.damageData?.size ?? profile.damageData?.length) || 0, logs: profile.logData?.length || 0 })}
+                            </div>
+                        </div>
+                        <div class="profile-actions">
+                            <button data-action="load-profile" data-profile="${escapeHtml(name)}" class="btn-small">${t('불러오기')}</button>
+                            <button data-action="export-profile" data-profile="${escapeHtml(name)}" class="btn-small">${t('내보내기')}</button>
+                            <button data-action="delete-profile" data-profile="${escapeHtml(name)}" class="btn-small btn-danger">${t('삭제')}</button>
+                        </div>
+                    </div>
+                ` };
+            });
+            PanelRender.patchList(this.elements.profileList, rows,
+                `<div class="no-data-message">${t('저장된 프로필이 없습니다.')}</div>`);
+            this.updateProfileStorageInfo();
         }
 
-        // 사용자 필터
-        if (this.selectedUser) {
-            filtered = filtered.filter(log => log.user_name === this.selectedUser);
+        // 비교할 세션 선택 업데이트 (현재 세션 또는 저장된 프로필)
+        if (this.elements.compareSourceSelect) {
+            if (!this.profiles.has(this.compareSource)) this.compareSource = '';
+            let options = `<option value="">${t('현재 세션')}</option>`;
+            this.profiles.forEach((profile, name) => {
+                const selected = this.compareSource === name ? 'selected' : '';
+                options += `<option value="${escapeHtml(name)}" ${selected}>${escapeHtml(name)}</option>`;
+            });
+            this.elements.compareSourceSelect.innerHTML = options;
         }
 
-        // 스킬 필터
-        if (this.filters.skillFilter) {
-            const skillFilter = this.filters.skillFilter.toLowerCase();
-            filtered = filtered.filter(log => {
-                const displayName = this.getSkillDisplayName(log.skill_name);
-                return log.skill_name.toLowerCase().includes(skillFilter) ||
-                       displayName.toLowerCase().includes(skillFilter);
+        // 기준 프로필 선택 업데이트 (비교할 세션과 같은 프로필 제외)
+        if (this.elements.compareProfileSelect) {
+            const sourceName = this.compareSource || this.currentProfile;
+            let options = `<option value="">${t('비교할 프로필 선택')}</option>`;
+            this.profiles.forEach((profile, name) => {
+                if (name !== sourceName) {
+                    const selected = this.compareProfile === name ? 'selected' : '';
+                    options += `<option value="${escapeHtml(name)}" ${selected}>${escapeHtml(name)}</option>`;
+                }
             });
+            this.elements.compareProfileSelect.innerHTML = options;
+        }
+    }    toggleComparison() {
+        this.isComparisonMode = this.elements.compareToggle?.checked || false;
+        
+        if (this.isComparisonMode) {
+            const selectedProfile = this.elements.compareProfileSelect?.value;
+            if (!selectedProfile) {
+                alert(t('비교할 프로필을 선택해주세요.'));
+                if (this.elements.compareToggle) {
+                    this.elements.compareToggle.checked = false;
+                }
+                this.isComparisonMode = false;
+                return;
+            }
+            this.compareProfile = selectedProfile;
+            console.log(`비교 모드 활성화: ${this.compareSource || this.currentProfile || '현재 세션'} vs ${this.compareProfile}`);
+            this.updateComparisonView();
+        } else {
+            this.compareProfile = null;
+            console.log('비교 모드 비활성화');
+            this.hideComparisonView();
         }
+        
+        this.updateUI();
+    }
 
-        // 도트 데미지 필터
-        if (this.filters.filterDot) {
-            filtered = filtered.filter(log => 
-                !log.skill_name.toLowerCase().includes('dot') &&
-                !log.skill_name.toLowerCase().includes('도트')
-            );
+    updateComparisonView() {
+        const comparisonResult = document.getElementById('comparison-result');
+        const currentProfileNameEl = document.getElementById('current-profile-name');
+        const compareProfileNameEl = document.getElementById('compare-profile-name');
+        const comparisonDetails = document.getElementById('comparison-details');
+        
+        if (!comparisonResult || !this.isComparisonMode || !this.compareProfile) {
+            return;
+        }
+        
+        // 비교 결과 표시
+        comparisonResult.style.display = 'block';
+        
+        if (currentProfileNameEl) {
+            currentProfileNameEl.textContent = this.compareSource || this.currentProfile || t('현재 세션');
         }
+        if (compareProfileNameEl) {
+            compareProfileNameEl.textContent = this.compareProfile;
+        }
+        
+        // 비교 데이터 생성
+        const current = this.getComparisonSummary(this.compareSource);
+        const baseline = this.getComparisonSummary(this.compareProfile);
+        if (!current || !baseline) return;
 
-        return filtered;
+        const result = ProfileComparison.compare(current, baseline);
+        if (comparisonDetails) {
+            this.renderComparisonDetails(comparisonDetails, result.totals);
+        }
+        this.renderComparisonUsers(result.users);
     }
 
-    updateFilter() {
-        if (this.elements.skillFilter) {
-            this.filters.skillFilter = this.elements.skillFilter.value;
+    hideComparisonView() {
+        const comparisonResult = document.getElementById('comparison-result');
+        if (comparisonResult) {
+            comparisonResult.style.display = 'none';
         }
-        if (this.elements.filterDot) {
-            this.filters.filterDot = this.elements.filterDot.checked;
+    }
+
+    /**
+     * 비교용 세션 요약. 이름이 비어 있으면 현재 세션, 아니면 저장된 프로필 (없으면 null)
+     */
+    getComparisonSummary(profileName) {
+        if (!profileName) {
+            return ProfileComparison.summarize(this, this.getSessionElapsed());
         }
-        if (this.elements.autoReset) {
-            this.filters.autoReset = this.elements.autoReset.checked;
+
+        const profile = this.profiles.get(profileName);
+        if (!profile) return null;
+        if (!this.profileSummaries.has(profile)) {
+            this.profileSummaries.set(profile, ProfileComparison.summarize(profile, ProfileComparison.getSnapshotDuration(profile)));
         }
-        if (this.elements.autoSessionEnd) {
-            this.filters.autoSessionEnd = this.elements.autoSessionEnd.checked;
-            // 자동 세션 종료 설정이 변경되면 타이머를 재설정
-            if (this.filters.autoSessionEnd && this.sessionStartTime) {
-                this.resetSessionEndTimer();
+        return this.profileSummaries.get(profile);
+    }
+
+    renderComparisonDetails(container, totals) {
+        const formatRate = value => `${(value * 100).toFixed(1)}%`;
+        const statsToCompare = [
+            { key: 'duration', label: t('전투 시간'), format: value => t('{seconds}초', { seconds: Math.round(value) }), change: totals.durationChange },
+            { key: 'damage', label: t('총 데미지'), change: totals.damageChange },
+            { key: 'dps', label: t('총 DPS'), change: totals.dpsChange },
+            { key: 'hits', label: t('총 타격 수'), change: totals.hitsChange },
+            { key: 'critRate', label: t('크리티컬 확률'), format: formatRate, change: totals.critRateDiff, unit: '%p', hint: totals.critHint },
+            { key: 'averageHit', label: t('타격당 평균 데미지'), change: totals.averageHitChange, hint: totals.averageHint }
+        ];
+        
+        let html = '';
+        statsToCompare.forEach(stat => {
+            const format = stat.format || (value => this.formatNumber(Math.round(value)));
+            
+            html += `
+                <div class="comparison-stat">
+                    <div class="comparison-stat-current">
+                        <div class="comparison-stat-value">${format(totals.current[stat.key])}</div>
+                        <div class="comparison-stat-diff">${this.renderChange(stat.change, stat.unit)}${this.renderSignificance(stat.hint)}</div>
+                    </div>
+                    <div class="comparison-stat-label">${stat.label}</div>
+                    <div class="comparison-stat-compare">
+                        <div class="comparison-stat-value">${format(totals.baseline[stat.key])}</div>
+                        <div class="comparison-stat-diff neutral">${t('기준값')}</div>
+                    </div>
+                </div>
+            `;
+        });
+        
+        container.innerHTML = html;
+    }
+
+    // 사용자별 비교 (클릭하면 스킬별 비교를 펼침)
+    renderComparisonUsers(userRows) {
+        const rows = userRows.map(row => {
+            const expanded = this.comparisonExpanded.has(row.name);
+            return { key: row.name, html: `
+                <div class="comparison-user ${row.status} ${expanded ? 'expanded' : ''}">
+                    <div class="comparison-user-header" data-action="toggle-comparison-user" data-user="${escapeHtml(row.name)}">
+                        <div class="comparison-user-name">
+                            ${expanded ? '▾' : '▸'} ${this.renderClassBadge(PlayerClasses.getInfo(PlayerClasses.detect((row.current || row.baseline).skills)))}
+                            ${escapeHtml(row.name)} ${this.renderComparisonStatus(row.status, '🆕 새 참가자', '➖ 불참')}
+                        </div>
+                        <div class="comparison-user-metric"><span class="stat-label">DPS</span> ${this.renderComparisonMetric(row, 'dps')}</div>
+                        <div class="comparison-user-metric"><span class="stat-label">${t('크리티컬 확률')}</span> ${this.renderComparisonMetric(row, 'critRate')}</div>
+                        <div class="comparison-user-metric"><span class="stat-label">${t('타격당 평균 데미지')}</span> ${this.renderComparisonMetric(row, 'averageHit')}</div>
+                    </div>
+                    ${expanded ? this.renderComparisonSkills(row.skills) : ''}
+                </div>
+            ` };
+        });
+
+        PanelRender.patchList(this.elements.comparisonUsers, rows,
+            `<div class="no-data-message">${t('비교할 사용자 데이터가 없습니다.')}</div>`);
+    }
+
+    renderComparisonSkills(skillRows) {
+        const rows = skillRows.map(row => `
+            <tr class="comparison-skill ${row.status}">
+                <td>${escapeHtml(this.getSkillDisplayName(row.name))} ${this.renderComparisonStatus(row.status, '🆕 새 스킬', '➖ 사용 안 함')}</td>
+                <td>${this.renderComparisonMetric(row, 'dps')}</td>
+                <td>${this.renderComparisonMetric(row, 'hits')}</td>
+                <td>${this.renderComparisonMetric(row, 'critRate')}</td>
+                <td>${this.renderComparisonMetric(row, 'averageHit')}</td>
+            </tr>
+        `).join('');
+
+        return `
+            <table class="data-table comparison-skill-table">
+                <thead>
+                    <tr>
+                        <th>${t('스킬')}</th>
+                        <th>DPS</th>
+                        <th>${t('타격수')}</th>
+                        <th>${t('크리티컬 확률')}</th>
+                        <th>${t('타격당 평균 데미지')}</th>
+                    </tr>
+                </thead>
+                <tbody>${rows}</tbody>
+            </table>
+        `;
+    }
+
+    // 비교 표의 한 칸: 현재 값 / 기준 값 + 변화 (한쪽에만 있으면 변화 없이 값만)
+    renderComparisonMetric(row, key) {
+        const format = key === 'critRate' ?
+            value => `${(value * 100).toFixed(1)}%` :
+            value => this.formatNumber(Math.round(value));
+        const current = row.current ? format(row.current[key]) : '-';
+        const baseline = row.baseline ? format(row.baseline[key]) : '-';
+
+        let change = '';
+        if (row.status === 'both') {
+            if (key === 'critRate') {
+                change = this.renderChange(row.critRateDiff, '%p') + this.renderSignificance(row.critHint);
+            } else if (key === 'averageHit') {
+                change = this.renderChange(row.averageHitChange) + this.renderSignificance(row.averageHint);
             } else {
-                this.clearSessionEndTimer();
+                change = this.renderChange(key === 'hits' ? row.hitsChange : row.dpsChange);
             }
         }
+        return `<span class="comparison-metric">${current} <span class="comparison-baseline">/ ${baseline}</span> ${change}</span>`;
     }
 
-    updateSessionTimeout() {
-        if (this.elements.sessionTimeout) {
-            const timeoutValue = parseInt(this.elements.sessionTimeout.value);
-            if (timeoutValue >= 5 && timeoutValue <= 300) {
-                this.autoSessionEndTimeout = timeoutValue * 1000; // 초를 밀리초로 변환
-                // 현재 세션이 진행 중이면 타이머를 재설정
-                if (this.filters.autoSessionEnd && this.sessionStartTime) {
-                    this.resetSessionEndTimer();
-                }
-            }
+    // 변화율(0.1 = +10%) 또는 차이(unit이 %p면 확률 차이) 표시
+    renderChange(value, unit = '%') {
+        if (value === null || value === undefined) {
+            return '<span class="comparison-change neutral">-</span>';
+        }
+        const percent = value * 100;
+        if (Math.abs(percent) < 0.05) {
+            return `<span class="comparison-change neutral">${t('동일')}</span>`;
         }
+        const className = percent > 0 ? 'positive' : 'negative';
+        return `<span class="comparison-change ${className}">${percent > 0 ? '+' : ''}${percent.toFixed(1)}${unit}</span>`;
     }
 
-    // ========== 선택 관리 ==========
-    selectTarget(targetName) {
-        this.selectedTarget = this.selectedTarget === targetName ? null : targetName;
-        if (this.elements.selectedTargetDisplay) {
-            this.elements.selectedTargetDisplay.textContent = 
-                this.selectedTarget || '전체 타겟';
-        }
+    renderSignificance(hint) {
+        const label = hint && SIGNIFICANCE_LABELS[hint.level];
+        if (!label) return '';
+        return ` <span class="significance ${hint.level}" title="${escapeHtml(t(label.title))}">${label.mark}</span>`;
     }
 
-    selectUser(userName) {
-        this.selectedUser = this.selectedUser === userName ? null : userName;
-        if (this.elements.selectedUserDisplay) {
-            this.elements.selectedUserDisplay.textContent = 
-                this.selectedUser || '전체 사용자';
-        }
+    renderComparisonStatus(status, addedLabel, removedLabel) {
+        if (status === 'added') return `<span class="comparison-status added">${t(addedLabel)}</span>`;
+        if (status === 'removed') return `<span class="comparison-status removed">${t(removedLabel)}</span>`;
+        return '';
     }
 
-    clearSelectedTarget() {
-        this.selectedTarget = null;
-        if (this.elements.selectedTargetDisplay) {
-            this.elements.selectedTargetDisplay.textContent = '전체 타겟';
+    toggleComparisonUser(userName) {
+        if (this.comparisonExpanded.has(userName)) {
+            this.comparisonExpanded.delete(userName);
+        } else {
+            this.comparisonExpanded.add(userName);
         }
+        this.updateComparisonView();
     }
 
-    clearSelectedUser() {
-        this.selectedUser = null;
-        if (this.elements.selectedUserDisplay) {
-            this.elements.selectedUserDisplay.textContent = '전체 사용자';
-        }
+    // ========== 세션 추이 ==========
+    // 추이에 넣을 수 있는 세션 (저장된 프로필 + 세션 기록), 시작 시각 최신순
+    getTrendCandidates() {
+        const candidates = [];
+        this.profiles.forEach((profile, name) => {
+            if (!this.profileTargets.has(profile)) {
+                this.profileTargets.set(profile, SessionTrends.getTargets(profile));
+            }
+            candidates.push({
+                key: `profile:${name}`,
+                source: 'profile',
+                label: name,
+                time: profile.sessionStartTime || Date.parse(profile.createdAt) || 0,
+                targets: this.profileTargets.get(profile),
+                getSummary: target => this.getProfileTrendSummary(name, target)
+            });
+        });
+        this.historySessions.forEach(session => {
+            candidates.push({
+                key: `history:${session.id}`,
+                source: 'history',
+                label: new Date(session.startTime).toLocaleString(I18n.getLocale()),
+                time: session.startTime,
+                targets: session.targets,
+                getSummary: target => this.getHistoryTrendSummary(session.id, target)
+            });
+        });
+        return candidates.sort((a, b) => b.time - a.time);
     }
 
-    // ========== 탭 관리 ==========
-    switchTab(tabName) {
-        // 모든 탭 버튼과 콘텐츠 비활성화
-        this.elements.tabBtns.forEach(btn => btn.classList.remove('active'));
-        this.elements.tabContents.forEach(content => content.classList.remove('active'));
+    /**
+     * 현재 대상에 맞는 세션과 선택된 세션 키
+     * 반환: { targets: 대상 목록 (세션 수 많은 순), target, matching: 후보 (최신순), selected: Set(키) }
+     */
+    getTrendSessions() {
+        const candidates = this.getTrendCandidates();
 
-        // 선택된 탭 활성화
-        const selectedBtn = document.querySelector(`[data-tab="${tabName}"]`);
-        const selectedContent = document.getElementById(`${tabName}-tab`);
+        // 대상 목록은 등장한 세션 수 순, 기본 대상은 주 대상(가장 많이 때린 대상)으로 가장 많이 잡은 대상
+        const appearances = new Map();
+        const primaryCounts = new Map();
+        candidates.forEach(candidate => {
+            candidate.targets.forEach(name => appearances.set(name, (appearances.get(name) || 0) + 1));
+            if (candidate.targets[0]) {
+                primaryCounts.set(candidate.targets[0], (primaryCounts.get(candidate.targets[0]) || 0) + 1);
+            }
+        });
+        const targets = Array.from(appearances.entries())
+            .sort(([, a], [, b]) => b - a)
+            .map(([name]) => name);
+        const defaultTarget = Array.from(primaryCounts.entries()).sort(([, a], [, b]) => b - a)[0]?.[0] || '';
+        const target = this.trendTarget === '' || appearances.has(this.trendTarget) ? this.trendTarget : defaultTarget;
 
-        if (selectedBtn && selectedContent) {
-            selectedBtn.classList.add('active');
-            selectedContent.classList.add('active');
-        }
+        const matching = target ? candidates.filter(candidate => candidate.targets.includes(target)) : candidates;
+        const selected = this.trendSelection ?
+            new Set(matching.filter(candidate => this.trendSelection.has(candidate.key)).map(candidate => candidate.key)) :
+            new Set(matching.slice(0, this.trendLimit).map(candidate => candidate.key));
+
+        return { targets, target, matching, selected };
     }
 
-    // ========== 테마 관리 ==========
-    toggleTheme() {
-        const currentTheme = document.documentElement.getAttribute('data-theme');
-        const newTheme = currentTheme === 'dark' ? 'light' : 'dark';
-        
-        document.documentElement.setAttribute('data-theme', newTheme);
-        localStorage.setItem('theme', newTheme);
-        
-        // 테마 아이콘 업데이트
-        if (this.elements.themeToggle) {
-            const themeIcon = this.elements.themeToggle.querySelector('.theme-icon');
-            if (themeIcon) {
-                themeIcon.textContent = newTheme === 'dark' ? '☀️' : '🌙';
-            }
+    // 추이 지점용 요약: 대상을 고르면 그 대상에 준 타격만, 모든 대상이면 세션 전체
+    summarizeTrendSnapshot(snapshot, target) {
+        return target ? SessionTrends.summarizeTarget(snapshot, target) :
+            ProfileComparison.summarize(snapshot, ProfileComparison.getSnapshotDuration(snapshot));
+    }
+
+    getProfileTrendSummary(profileName, target) {
+        if (!target) return this.getComparisonSummary(profileName);
+
+        const profile = this.profiles.get(profileName);
+        if (!profile) return null;
+        if (!this.profileTrendSummaries.has(profile)) {
+            this.profileTrendSummaries.set(profile, new Map());
+        }
+        const summaries = this.profileTrendSummaries.get(profile);
+        if (!summaries.has(target)) {
+            summaries.set(target, this.summarizeTrendSnapshot(profile, target));
         }
+        return summaries.get(target);
     }
 
-    loadTheme() {
-        const savedTheme = localStorage.getItem('theme') || 'light';
-        document.documentElement.setAttribute('data-theme', savedTheme);
-        
-        if (this.elements.themeToggle) {
-            const themeIcon = this.elements.themeToggle.querySelector('.theme-icon');
-            if (themeIcon) {
-                themeIcon.textContent = savedTheme === 'dark' ? '☀️' : '🌙';
-            }        }
-    }    // ========== 데이터 관리 ==========
-    resetData() {
-        this.damageData.clear();
-        this.targetData.clear();
-        this.logData = [];
-        this.sessionStartTime = null;
-        this.statistics = {
-            totalHits: 0,
-            totalCrits: 0,
-            totalAddHits: 0,
-            totalDamage: 0
-        };
-        
-        // 로그 추적 변수 초기화
-        this.lastLogCount = 0;
-        this.lastLogId = null;
-        
-        // 가상 스크롤 상태 초기화
-        this.virtualScroll.scrollTop = 0;
-        this.virtualScroll.totalHeight = 0;
-        this.virtualScroll.startIndex = 0;
-        this.virtualScroll.endIndex = 0;
-        
-        // 로그 컨테이너 내용 지우기
-        if (this.elements.logContainer) {
-            this.elements.logContainer.innerHTML = '<div class="no-data-message">로그 데이터를 기다리는 중...</div>';
+    // 세션 기록의 추이용 요약 (처음 요청하면 IndexedDB에서 불러오고, 불러오는 동안은 null)
+    getHistoryTrendSummary(sessionId, target) {
+        const key = `${sessionId}:${target}`;
+        if (this.historyTrendSummaries.has(key)) {
+            return this.historyTrendSummaries.get(key);
         }
-        
-        // 자동 세션 종료 타이머 초기화
-        this.clearSessionEndTimer();
-        this.lastDamageTime = null;
-        this.sessionEndTime = null; // 세션 종료 시간도 초기화
-        
-        this.updateSessionStatus('⚪ 초기화됨');
-        console.log('데이터가 초기화되었습니다.');
-    }    saveData() {
-        // 현재 데이터를 JSON 파일로 내보내기 (백업 목적)
-        const data = {
-            damageData: Array.from(this.damageData.entries()).map(([key, value]) => [
-                key,
-                {
-                    ...value,
-                    skills: Array.from(value.skills.entries())
-                }
-            ]),
-            targetData: Array.from(this.targetData.entries()),
-            logData: this.logData,
-            sessionStartTime: this.sessionStartTime,
-            statistics: this.statistics,
-            timestamp: Date.now()
-        };
 
-        const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
-        const url = URL.createObjectURL(blob);
-        const a = document.createElement('a');
-        a.href = url;
-        a.download = `damage-meter-${new Date().toISOString().slice(0, 19).replace(/:/g, '-')}.json`;
-        a.click();
-        URL.revokeObjectURL(url);
-        
-        console.log('데이터가 JSON 파일로 내보내졌습니다.');
+        this.historyTrendSummaries.set(key, null);
+        this.sessionHistory.getSnapshot(sessionId)
+            .then(snapshot => {
+                this.historyTrendSummaries.set(key, snapshot ? this.summarizeTrendSnapshot(snapshot, target) : false);
+            })
+            .catch(error => {
+                console.error('세션 기록 불러오기 오류:', error);
+                this.historyTrendSummaries.set(key, false);
+            })
+            .then(() => this.renderScheduler.invalidate('trends'));
+        return null;
     }
 
-    loadData() {
-        if (this.elements.fileInput) {
-            this.elements.fileInput.click();
-        }
-    }    handleFileLoad(event) {
-        const file = event.target.files[0];
-        if (!file) return;
+    updateTrendsView() {
+        if (!this.elements.trendSessions) return;
 
-        const reader = new FileReader();
-        reader.onload = (e) => {
-            try {
-                const data = JSON.parse(e.target.result);
-                
-                // JSON 파일에서 데이터 복원
-                this.damageData = new Map(data.damageData.map(([key, value]) => [
-                    key,
-                    {
-                        ...value,
-                        skills: new Map(value.skills)
-                    }
-                ]));
-                
-                this.targetData = new Map(data.targetData);
-                this.logData = data.logData || [];
-                this.sessionStartTime = data.sessionStartTime;
-                this.statistics = data.statistics || {
-                    totalHits: 0,
-                    totalCrits: 0,
-                    totalAddHits: 0,
-                    totalDamage: 0
-                };
-                
-                this.currentProfile = null; // 외부 파일에서 불러온 경우 프로필 해제
-                
-                console.log('JSON 파일에서 데이터가 불러와졌습니다.');
-                alert('JSON 파일에서 데이터가 불러와졌습니다.');
-                
-            } catch (error) {
-                console.error('파일 로드 오류:', error);
-                alert('파일을 불러오는 중 오류가 발생했습니다.');
+        const { targets, target, matching, selected } = this.getTrendSessions();
+        this.updateTrendTargetOptions(targets, target);
+        this.renderTrendSessions(matching, selected);
+
+        const entries = [];
+        let loading = 0;
+        matching.forEach(candidate => {
+            if (!selected.has(candidate.key)) return;
+            const summary = candidate.getSummary(target);
+            if (summary) {
+                entries.push({ key: candidate.key, label: candidate.label, time: candidate.time, summary });
+            } else if (summary === null) {
+                loading++;
             }
-        };
-        
-        reader.readAsText(file);
-        event.target.value = ''; // 파일 입력 초기화
-    }exportCSV() {
-        const filteredLogs = this.getFilteredLogs();
+        });
 
-        if (filteredLogs.length === 0) {
-            alert('내보낼 데미지 로그가 없습니다.');
-            return;
-        }
+        this.currentTrend = SessionTrends.build(entries);
+        this.renderTrendChart(this.currentTrend);
+        this.renderTrendTable(this.currentTrend, loading);
+    }
 
-        // CSV 헤더
-        let csv = 'Timestamp,User,Target,Skill,Damage,Is_Crit,Is_Add_Hit,Is_Unguarded,Is_Break,Is_First_Hit,Is_Default_Attack,Is_Multi_Attack,Is_Power,Is_Fast,Is_DoT,Is_Ice,Is_Fire,Is_Electric,Is_Holy,Is_Dark,Is_Bleed,Is_Poison,Is_Mind,Skill_ID\n';
-        
-        // 각 로그를 CSV 행으로 변환
-        filteredLogs.forEach(log => {
-            const timestamp = new Date(log.timestamp).toLocaleString('ko-KR');
-            const displaySkillName = this.getSkillDisplayName(log.skill_name);
-            
-            // 플래그들을 0/1로 변환
-            const row = [
-                `"${timestamp}"`,
-                `"${log.user_name}"`,
-                `"${log.target_name}"`,
-                `"${displaySkillName}"`,
-                log.damage,
-                log.is_crit ? 1 : 0,
-                log.is_add_hit ? 1 : 0,
-                log.is_unguarded ? 1 : 0,
-                log.is_break ? 1 : 0,
-                log.is_first_hit ? 1 : 0,
-                log.is_default_attack ? 1 : 0,
-                log.is_multi_attack ? 1 : 0,
-                log.is_power ? 1 : 0,
-                log.is_fast ? 1 : 0,
-                log.is_dot ? 1 : 0,
-                log.is_ice ? 1 : 0,
-                log.is_fire ? 1 : 0,
-                log.is_electric ? 1 : 0,
-                log.is_holy ? 1 : 0,
-                log.is_dark ? 1 : 0,
-                log.is_bleed ? 1 : 0,
-                log.is_poison ? 1 : 0,
-                log.is_mind ? 1 : 0,
-                log.skill_id || 0
-            ];
-            
-            csv += row.join(',') + '\n';
+    updateTrendTargetOptions(targets, target) {
+        const select = this.elements.trendTarget;
+        if (!select || document.activeElement === select) return;
+
+        select.innerHTML = `<option value="">${t('모든 대상')}</option>` + targets.map(name =>
+            `<option value="${escapeHtml(name)}">${escapeHtml(name)}</option>`
+        ).join('');
+        select.value = target;
+    }
+
+    renderTrendSessions(matching, selected) {
+        const rows = matching.map(candidate => {
+            const isSelected = selected.has(candidate.key);
+            const sourceTitle = candidate.source === 'profile' ? t('프로필') : t('세션 기록');
+            const date = new Date(candidate.time).toLocaleString(I18n.getLocale());
+            return { key: candidate.key, html: `
+                <label class="trend-session ${isSelected ? 'selected' : ''}">
+                    <input type="checkbox" data-action="toggle-trend-session" data-key="${escapeHtml(candidate.key)}" ${isSelected ? 'checked' : ''}>
+                    <span class="trend-session-source" title="${sourceTitle}">${candidate.source === 'profile' ? '📁' : '📚'}</span>
+                    <span class="trend-session-label">${escapeHtml(candidate.label)}</span>
+                    <span class="trend-session-meta">${candidate.source === 'profile' ? `${date} · ` : ''}${escapeHtml(candidate.targets.slice(0, 3).join(', ')) || t('대상 없음')}</span>
+                </label>
+            ` };
         });
 
-        const blob = new Blob([csv], { type: 'text/csv;charset=utf-8' });
-        const url = URL.createObjectURL(blob);
-        const a = document.createElement('a');
-        a.href = url;
-        a.download = `damage-logs-${new Date().toISOString().slice(0, 19).replace(/:/g, '-')}.csv`;
-        a.click();
-        URL.revokeObjectURL(url);
-        
-        console.log(`CSV 파일이 내보내졌습니다. (${filteredLogs.length}개 로그)`);
+        PanelRender.patchList(this.elements.trendSessions, rows,
+            `<div class="no-data-message">${t('저장된 프로필이나 세션 기록이 없습니다.')}</div>`);
     }
 
-    // ========== 키보드 단축키 ==========
-    handleKeyboard(event) {
-        if (event.ctrlKey) {
-            switch (event.code) {
-                case 'KeyR':
-                    event.preventDefault();
-                    this.resetData();
-                    break;
-                case 'KeyS':
-                    event.preventDefault();
-                    this.saveData();
-                    break;
-                case 'KeyO':
-                    event.preventDefault();
-                    this.loadData();
-                    break;
-                case 'KeyE':
-                    event.preventDefault();
-                    this.exportCSV();
-                    break;
-                case 'KeyT':
-                    event.preventDefault();
-                    this.toggleTheme();
-                    break;
-            }
+    // 직접 고르기 시작하면 지금 보이는 선택(최근 N개)에서 시작
+    toggleTrendSession(key, checked) {
+        const selection = new Set(this.trendSelection || this.getTrendSessions().selected);
+        if (checked) {
+            selection.add(key);
+        } else {
+            selection.delete(key);
         }
+        this.trendSelection = selection;
+        this.renderScheduler.invalidate('trends');
+    }
 
-        // 탭 단축키 (1, 2, 3)
-        if (event.code >= 'Digit1' && event.code <= 'Digit3') {
-            const tabs = ['ranking', 'statistics', 'logs'];
-            const tabIndex = parseInt(event.code.slice(-1)) - 1;
-            if (tabs[tabIndex]) {
-                this.switchTab(tabs[tabIndex]);
-            }
-        }
+    getTrendFormatter(metric) {
+        return metric === 'dps' ?
+            value => this.formatNumber(Math.round(value)) :
+            value => `${(value * 100).toFixed(1)}%`;
     }
 
-    // ========== 업데이트 루프 ==========
-    startUpdateLoop() {
-        setInterval(() => {
-            this.calculateDPS();
-            this.updateUI();        }, 1000); // 1초마다 업데이트
+    formatTrendDate(time) {
+        return new Date(time).toLocaleDateString(I18n.getLocale(), { month: 'numeric', day: 'numeric' });
     }
 
-    // ========== 유틸리티 함수 ==========
-    formatNumber(num, useShortFormat = true) {
-        if (!useShortFormat) {
-            // 실제 숫자를 콤마로 구분하여 표시
-            return num.toLocaleString('ko-KR');
-        }
-        
-        // 기존 K, M 단위 표시 (랭킹, 요약 등에서 사용)
-        if (num >= 1000000) {
-            return (num / 1000000).toFixed(1) + 'M';
-        } else if (num >= 1000) {
-            return (num / 1000).toFixed(1) + 'K';
+    // 데미지 상위 10명의 추이 (개인 최고 기록은 강조 점)
+    renderTrendChart(trend) {
+        if (!this.elements.trendCanvas) return;
+
+        const metric = this.trendMetric;
+        const series = trend.players.slice(0, 10).map((player, index) => ({
+            label: player.name,
+            color: MeterCharts.getSeriesColor(index),
+            points: player.points
+                .map((point, x) => point && { x, y: point[metric], highlight: !!point.best[metric] })
+                .filter(Boolean)
+        }));
+
+        MeterCharts.drawLineChart(this.elements.trendCanvas, {
+            series,
+            showPoints: true,
+            xTicks: trend.sessions.map((session, index) => index),
+            formatX: (x) => (trend.sessions[x] ? this.formatTrendDate(trend.sessions[x].time) : ''),
+            formatY: this.getTrendFormatter(metric),
+            emptyMessage: t('추이에 넣을 세션을 선택하세요.')
+        });
+
+        if (this.elements.trendLegend) {
+            this.elements.trendLegend.innerHTML = series.map(s => `
+                <span class="timeline-legend-item">
+                    <span class="timeline-legend-color" style="background: ${s.color}"></span>
+                    ${escapeHtml(s.label)}
+                </span>
+            `).join('');
         }
-        return num.toString();
     }
 
-    // ========== 테스트 데이터 생성 ==========
-    generateTestData() {
-        console.log('테스트 데이터 생성 중...');
-        
-        const testUsers = ['플레이어1', '플레이어2', '플레이어3', '플레이어4', '플레이어5'];
-        const testTargets = ['슬라임킹', '오크족장', '드래곤', '보스몬스터'];
-        const testSkills = [
-            'MeleeDefaultAttack_1',
-            'SwordMaster_SteelWedge',
-            'Fighter_ChargingFist_End_LV3',
-            'Bard_TripleStroke',
-            'Monk_Skill_SurgeOfLight_01'
-        ];
+    // 플레이어 x 세션 표 (개인 최고 기록은 ★, 주력 스킬 비중이면 스킬 이름도 표시)
+    renderTrendTable(trend, loading) {
+        if (!this.elements.trendTable) return;
 
-        // 세션 시작
-        this.sessionStartTime = Date.now();
-        this.updateSessionStatus('🟢 테스트 진행중');
+        const loadingMessage = loading > 0 ?
+            `<div class="trend-loading">${t('세션 기록 {count}개를 불러오는 중...', { count: loading })}</div>` : '';
+        if (trend.sessions.length === 0) {
+            this.elements.trendTable.innerHTML = loadingMessage ||
+                `<div class="no-data-message">${t('추이에 넣을 세션을 선택하세요.')}</div>`;
+            return;
+        }
 
-        // 100개의 테스트 데미지 로그 생성
-        for (let i = 0; i < 100; i++) {
-            const testData = {
-                timestamp: Date.now() - (100 - i) * 1000, // 100초에 걸쳐 분산
-                user_name: testUsers[Math.floor(Math.random() * testUsers.length)],
-                target_name: testTargets[Math.floor(Math.random() * testTargets.length)],
-                skill_name: testSkills[Math.floor(Math.random() * testSkills.length)],
-                damage: Math.floor(Math.random() * 5000) + 1000, // 1000-6000 데미지
-                is_crit: Math.random() < 0.2, // 20% 크리티컬
-                is_add_hit: Math.random() < 0.15 // 15% 추가타
-            };
+        const metric = this.trendMetric;
+        const format = this.getTrendFormatter(metric);
+        const headers = trend.sessions.map(session => `
+            <th title="${escapeHtml(session.label)}">
+                ${this.formatTrendDate(session.time)}
+                <div class="trend-session-name">${escapeHtml(session.label)}</div>
+            </th>
+        `).join('');
 
-            this.processDamageData(testData);
-        }
+        const rows = trend.players.map(player => {
+            const cells = player.points.map(point => {
+                if (!point) return '<td class="trend-missing">-</td>';
+                const isBest = !!point.best[metric];
+                const skill = metric === 'topSkillShare' && point.topSkill ?
+                    `<div class="trend-top-skill">${escapeHtml(this.getSkillDisplayName(point.topSkill))}</div>` : '';
+                return `<td class="${isBest ? 'trend-best' : ''}">${isBest ? '★ ' : ''}${format(point[metric])}${skill}</td>`;
+            }).join('');
+            return `<tr><td>${escapeHtml(player.name)}</td>${cells}</tr>`;
+        }).join('');
 
-        console.log('테스트 데이터 생성 완료!');
+        this.elements.trendTable.innerHTML = `
+            ${loadingMessage}
+            <table class="data-table">
+                <thead><tr><th>${t('플레이어')}</th>${headers}</tr></thead>
+                <tbody>${rows}</tbody>
+            </table>
+        `;
     }
 
-    // ========== 프로필 관리 ==========
-    loadProfiles() {
-        try {
-            const savedProfiles = localStorage.getItem('damageProfiles');
-            if (savedProfiles) {
-                const profilesData = JSON.parse(savedProfiles);
-                this.profiles = new Map();
-                
-                Object.entries(profilesData).forEach(([name, data]) => {
-                    this.profiles.set(name, {
-                        ...data,
-                        damageData: new Map(data.damageData?.map(([key, value]) => [
-                            key,
-                            {
-                                ...value,
-                                skills: new Map(value.skills || [])
-                            }
-                        ]) || []),
-                        targetData: new Map(data.targetData || []),
-                        logData: data.logData || []
-                    });
-                });
-                
-                console.log(`${this.profiles.size}개의 프로필을 불러왔습니다.`);
-            }
-        } catch (error) {
-            console.error('프로필 불러오기 오류:', error);
+    exportTrendCSV() {
+        if (!this.currentTrend || this.currentTrend.sessions.length === 0) {
+            alert(t('내보낼 추이 데이터가 없습니다.'));
+            return;
         }
-        this.updateProfileList();
+
+        const csv = SessionTrends.toCSV(this.currentTrend, {
+            getSkillName: (skillName) => this.getSkillDisplayName(skillName)
+        });
+        const blob = new Blob([csv], { type: 'text/csv;charset=utf-8' });
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = `damage-trends-${new Date().toISOString().slice(0, 19).replace(/:/g, '-')}.csv`;
+        a.click();
+        URL.revokeObjectURL(url);
+
+        console.log(`추이 CSV 파일이 내보내졌습니다. (세션 ${this.currentTrend.sessions.length}개)`);
     }
 
-    saveProfile() {
-        const profileName = this.elements.profileName?.value?.trim();
-        if (!profileName) {
-            alert('프로필 이름을 입력해주세요.');
+    // ========== 세션 리플레이 ==========
+    // 현재 세션(불러온 백업/프로필/기록 포함)의 로그를 시간순으로 다시 집계
+    startReplay() {
+        if (this.replay) return;
+        if (this.logStore.length === 0) {
+            alert(t('리플레이할 로그가 없습니다.'));
             return;
         }
-
-        if (this.damageData.size === 0 && this.logData.length === 0) {
-            alert('저장할 데이터가 없습니다.');
+        if (this.sessionEndTimer) {
+            alert(t('진행 중인 세션은 종료된 뒤에 리플레이할 수 있습니다.'));
             return;
         }
 
-        const profileData = {
-            name: profileName,
-            createdAt: new Date().toISOString(),
-            damageData: Array.from(this.damageData.entries()).map(([key, value]) => [
-                key,
-                {
-                    ...value,
-                    skills: Array.from(value.skills.entries())
-                }
-            ]),
-            targetData: Array.from(this.targetData.entries()),
-            logData: this.logData,
-            sessionStartTime: this.sessionStartTime,
-            statistics: this.statistics
+        // 리플레이를 끝내면 원래 세션으로 되돌림
+        const snapshot = this.serializeSession();
+        this.replayOrigin = {
+            snapshot,
+            profile: this.currentProfile,
+            historyId: this.currentHistoryId,
+            status: this.sessionStatus
         };
 
-        this.profiles.set(profileName, profileData);
-        this.saveProfilesToStorage();
-        
-        if (this.elements.profileName) {
-            this.elements.profileName.value = '';
-        }
-        
-        console.log(`프로필 "${profileName}"이 저장되었습니다.`);
-        alert(`프로필 "${profileName}"이 저장되었습니다.`);
+        this.replay = new SessionReplay(snapshot.logData, {
+            onReset: () => this.handleReplayReset(),
+            onHit: (log) => this.processDamageData({ ...log }),
+            onUpdate: () => this.handleReplayUpdate()
+        }, {
+            startTime: snapshot.sessionStartTime || undefined,
+            endTime: snapshot.sessionEndTime || undefined
+        });
+        this.replay.setSpeed(parseInt(this.elements.replaySpeed?.value) || 1);
+
+        this.selectEncounter(null);
+        this.sessionEndTime = null;
+        this.handleReplayReset();
+        this.replay.seek(this.replay.startTime);
+        this.updateSessionStatus('⏯️ 리플레이');
+        this.replay.play();
+
+        console.log(`리플레이 시작: ${snapshot.logData.length}개 로그`);
     }
 
-    saveProfilesToStorage() {
-        try {
-            const profilesData = {};
-            this.profiles.forEach((data, name) => {
-                profilesData[name] = {
-                    ...data,
-                    damageData: data.damageData instanceof Map ? 
-                        Array.from(data.damageData.entries()) : data.damageData,
-                    targetData: data.targetData instanceof Map ? 
-                        Array.from(data.targetData.entries()) : data.targetData
-                };
-            });
-            
-            localStorage.setItem('damageProfiles', JSON.stringify(profilesData));
-        } catch (error) {
-            console.error('프로필 저장 오류:', error);
-            alert('프로필 저장 중 오류가 발생했습니다.');
-        }
+    // 처음부터 다시 집계할 때 세션 시작 시각과 데이터 누락 구간은 원래 세션 값 유지
+    // 지원 이벤트는 다시 집계하지 않고 전부 둔 채 분석할 때 재생 위치까지만 사용
+    handleReplayReset() {
+        const { snapshot } = this.replayOrigin;
+        this.clearSessionData();
+        this.sessionStartTime = this.replay.startTime;
+        this.dataGaps = (snapshot.dataGaps || []).map(gap => ({ ...gap }));
+        this.supportLog = SessionLogStore.fromArray(snapshot.supportLogData || []);
     }
 
-    loadProfile(profileName) {
-        const profile = this.profiles.get(profileName);
-        if (!profile) {
-            alert('프로필을 찾을 수 없습니다.');
-            return;
+    handleReplayUpdate() {
+        if (this.encounterTracker.checkInactivity(this.getCurrentTime())) {
+            this.renderScheduler.markDirty('selection');
         }
+        this.calculateDPS();
+        this.renderScheduler.invalidate(...CLOCK_PANELS);
+        this.updateReplayControls();
+    }
 
-        // 현재 데이터를 프로필 데이터로 교체
-        this.damageData = new Map(profile.damageData);
-        this.targetData = new Map(profile.targetData);
-        this.logData = [...(profile.logData || [])];
-        this.sessionStartTime = profile.sessionStartTime;
-        this.statistics = { ...profile.statistics };
-        this.currentProfile = profileName;
+    toggleReplay() {
+        this.replay?.toggle();
+    }
 
-        // UI 업데이트
-        this.updateUI();
-        
-        console.log(`프로필 "${profileName}"을 불러왔습니다.`);
-        alert(`프로필 "${profileName}"을 불러왔습니다.`);
+    // 리플레이 시작 시각으로부터 offset(ms) 위치로 이동
+    seekReplay(offset) {
+        if (!this.replay) return;
+        this.replay.seek(this.replay.startTime + offset);
     }
 
-    deleteProfile(profileName) {
-        if (!confirm(`프로필 "${profileName}"을 삭제하시겠습니까?`)) {
-            return;
-        }
+    /**
+     * 리플레이를 끝냅니다. restore가 true면 리플레이 전의 세션 전체로 되돌립니다.
+     */
+    stopReplay(restore = true) {
+        if (!this.replay) return;
 
-        this.profiles.delete(profileName);
-        this.saveProfilesToStorage();
-        
-        // 현재 비교 중인 프로필이 삭제된 경우
-        if (this.compareProfile === profileName) {
-            this.compareProfile = null;
-            this.isComparisonMode = false;
-            if (this.elements.compareToggle) {
-                this.elements.compareToggle.checked = false;
-            }
-        }
-        
-        console.log(`프로필 "${profileName}"이 삭제되었습니다.`);
-        alert(`프로필 "${profileName}"이 삭제되었습니다.`);
-    }
+        this.replay.stop();
+        const origin = this.replayOrigin;
+        this.replay = null;
+        this.replayOrigin = null;
 
-    updateProfileList() {
-        // 프로필 목록 업데이트
-        if (this.elements.profileList) {
-            let html = '';
-            if (this.profiles.size === 0) {
-                html = '<div class="no-data-message">저장된 프로필이 없습니다.</div>';
-            } else {
-                this.profiles.forEach((profile, name) => {
-                    const isCurrentProfile = this.currentProfile === name;
-                    const createdDate = new Date(profile.createdAt).toLocaleDateString('ko-KR');
-                    
-                    html += `
-                        <div class="profile-item ${isCurrentProfile ? 'current' : ''}">
-                            <div class="profile-info">
-                                <div class="profile-name">${name}</div>
-                                <div class="profile-date">${createdDate}</div>
-                                <div class="profile-stats">
-                                    사용자: ${profile.damageData?.length || 0}명, 
-                                    로그: ${profile.logData?.length || 0}개
-                                </div>
-                            </div>
-                            <div class="profile-actions">
-                                <button onclick="app.loadProfile('${name}')" class="btn-small">불러오기</button>
-                                <button onclick="app.deleteProfile('${name}')" class="btn-small btn-danger">삭제</button>
-                            </div>
-                        </div>
-                    `;
-                });
-            }
-            this.elements.profileList.innerHTML = html;
+        if (restore) {
+            this.restoreSession(origin.snapshot);
+            // 진행 중이던 세션이면 이어서 집계되도록 종료 시각을 원래대로 둠
+            this.sessionEndTime = origin.snapshot.sessionEndTime;
+            this.lastLogCount = 0;
+            this.lastLogId = null;
+            this.currentProfile = origin.profile;
+            this.currentHistoryId = origin.historyId;
+            this.updateSessionStatus(origin.status);
+            this.updateUI();
         }
+        this.updateReplayControls();
+        console.log('리플레이 종료');
+    }
 
-        // 비교 프로필 선택 업데이트
-        if (this.elements.compareProfileSelect) {
-            let options = '<option value="">비교할 프로필 선택</option>';
-            this.profiles.forEach((profile, name) => {
-                if (name !== this.currentProfile) {
-                    const selected = this.compareProfile === name ? 'selected' : '';
-                    options += `<option value="${name}" ${selected}>${name}</option>`;
-                }
-            });
-            this.elements.compareProfileSelect.innerHTML = options;
+    updateReplayControls() {
+        const active = !!this.replay;
+        if (this.elements.replayStart) {
+            this.elements.replayStart.style.display = active ? 'none' : '';
         }
-    }    toggleComparison() {
-        this.isComparisonMode = this.elements.compareToggle?.checked || false;
-        
-        if (this.isComparisonMode) {
-            const selectedProfile = this.elements.compareProfileSelect?.value;
-            if (!selectedProfile) {
-                alert('비교할 프로필을 선택해주세요.');
-                if (this.elements.compareToggle) {
-                    this.elements.compareToggle.checked = false;
-                }
-                this.isComparisonMode = false;
-                return;
-            }
-            this.compareProfile = selectedProfile;
-            console.log(`비교 모드 활성화: ${this.currentProfile} vs ${this.compareProfile}`);
-            this.updateComparisonView();
-        } else {
-            this.compareProfile = null;
-            console.log('비교 모드 비활성화');
-            this.hideComparisonView();
+        if (this.elements.replayControls) {
+            this.elements.replayControls.style.display = active ? '' : 'none';
         }
-        
-        this.updateUI();
-    }
+        if (!active) return;
 
-    updateComparisonView() {
-        const comparisonResult = document.getElementById('comparison-result');
-        const currentProfileNameEl = document.getElementById('current-profile-name');
-        const compareProfileNameEl = document.getElementById('compare-profile-name');
-        const comparisonDetails = document.getElementById('comparison-details');
-        
-        if (!comparisonResult || !this.isComparisonMode || !this.compareProfile) {
-            return;
+        const state = this.replay.getState();
+        if (this.elements.replayToggle) {
+            this.elements.replayToggle.textContent = state.playing ? t('⏸ 일시정지') : t('▶ 재생');
         }
-        
-        // 비교 결과 표시
-        comparisonResult.style.display = 'block';
-        
-        if (currentProfileNameEl) {
-            currentProfileNameEl.textContent = this.currentProfile || '현재 세션';
+        if (this.elements.replaySpeed) {
+            this.elements.replaySpeed.value = String(state.speed);
         }
-        if (compareProfileNameEl) {
-            compareProfileNameEl.textContent = this.compareProfile;
+        if (this.elements.replayScrub) {
+            this.elements.replayScrub.max = String(state.duration);
+            this.elements.replayScrub.value = String(state.elapsed);
         }
-        
-        // 비교 데이터 생성
-        const compareData = this.getComparisonData();
-        if (compareData && comparisonDetails) {
-            this.renderComparisonDetails(comparisonDetails, compareData);
+        if (this.elements.replayClock) {
+            this.elements.replayClock.textContent = `${this.formatReplayClock(state.elapsed)} / ${this.formatReplayClock(state.duration)}`;
         }
-    }
-
-    hideComparisonView() {
-        const comparisonResult = document.getElementById('comparison-result');
-        if (comparisonResult) {
-            comparisonResult.style.display = 'none';
+        if (this.elements.replayProgress) {
+            this.elements.replayProgress.textContent = t('{processed} / {total} 타격', {
+                processed: state.processed.toLocaleString(I18n.getLocale()),
+                total: state.total.toLocaleString(I18n.getLocale())
+            });
         }
     }
 
-    renderComparisonDetails(container, compareData) {
-        const currentStats = this.statistics;
-        const compareStats = compareData.statistics;
-        
-        const statsToCompare = [
-            { key: 'totalDamage', label: '총 데미지' },
-            { key: 'totalHits', label: '총 타격 수' },
-            { key: 'totalCrits', label: '크리티컬 횟수' },
-            { key: 'totalAddHits', label: '추가타 횟수' }
-        ];
-        
-        let html = '';
-        statsToCompare.forEach(stat => {
-            const currentValue = currentStats[stat.key] || 0;
-            const compareValue = compareStats[stat.key] || 0;
-            const diff = currentValue - compareValue;
-            const diffPercent = compareValue > 0 ? ((diff / compareValue) * 100).toFixed(1) : '0.0';
-            
-            let diffClass = 'neutral';
-            let diffText = '동일';
-            
-            if (diff > 0) {
-                diffClass = 'positive';
-                diffText = `+${this.formatNumber(diff)} (+${diffPercent}%)`;
-            } else if (diff < 0) {
-                diffClass = 'negative';
-                diffText = `${this.formatNumber(diff)} (${diffPercent}%)`;
-            }
-            
-            html += `
-                <div class="comparison-stat">
-                    <div class="comparison-stat-current">
-                        <div class="comparison-stat-value">${this.formatNumber(currentValue)}</div>
-                        <div class="comparison-stat-diff ${diffClass}">${diffText}</div>
-                    </div>
-                    <div class="comparison-stat-label">${stat.label}</div>
-                    <div class="comparison-stat-compare">
-                        <div class="comparison-stat-value">${this.formatNumber(compareValue)}</div>
-                        <div class="comparison-stat-diff neutral">기준값</div>
-                    </div>
-                </div>
-            `;
-        });
-        
-        container.innerHTML = html;
+    // ms -> m:ss
+    formatReplayClock(ms) {
+        const totalSeconds = Math.floor(ms / 1000);
+        const minutes = Math.floor(totalSeconds / 60);
+        const seconds = totalSeconds % 60;
+        return `${minutes}:${String(seconds).padStart(2, '0')}`;
     }
 
     // ========== 자동 세션 종료 관리 ==========
     resetSessionEndTimer() {
         this.clearSessionEndTimer();
         
-        if (this.filters.autoSessionEnd && this.sessionStartTime) {
+        // 리플레이 중에는 자동 종료/기록 저장을 하지 않음
+        if (this.filters.autoSessionEnd && this.sessionStartTime && !this.replay) {
             this.sessionEndTimer = setTimeout(() => {
                 this.endSession();
             }, this.autoSessionEndTimeout);
@@ -1619,30 +4184,270 @@ class DamageMeterApp {
     endSession() {
         if (this.sessionStartTime && !this.sessionEndTime) {
             this.sessionEndTime = Date.now(); // 세션 종료 시간 기록
+            this.ingest.end();
             this.updateSessionStatus('🟡 세션 종료 (비활성)');
             this.clearSessionEndTimer();
+            this.renderScheduler.invalidate(...CLOCK_PANELS);
             const timeoutSeconds = this.autoSessionEndTimeout / 1000;
             console.log(`세션이 자동으로 종료되었습니다 (${timeoutSeconds}초간 비활성)`);
+            this.archiveSession();
         }
     }
 
-    getComparisonData() {
-        if (!this.isComparisonMode || !this.compareProfile) {
-            return null;
+    // ========== 세션 기록 ==========
+    // 저장/불러오기 공용 세션 스냅샷 (Map은 배열로 변환)
+    serializeSession() {
+        return DamageAnalysis.serializeSession(this);
+    }
+
+    // 다른 세션을 불러오기 전 정리 (파일/프로필/세션 기록 공용)
+    // 리플레이 중이면 원래 세션으로 되돌리지 않고 멈추고 (리플레이는 진행 중인 세션이 없을 때만 시작됨),
+    // 진행 중인 세션은 종료해 기록에 남김
+    prepareSessionLoad() {
+        if (this.replay) {
+            this.stopReplay(false);
+            return;
         }
-        
-        const compareProfileData = this.profiles.get(this.compareProfile);
-        if (!compareProfileData) {
-            return null;
+        if (this.sessionStartTime && !this.sessionEndTime) {
+            this.endSession();
         }
-        
-        return {
-            name: this.compareProfile,
-            damageData: compareProfileData.damageData,
-            targetData: compareProfileData.targetData,
-            logData: compareProfileData.logData,
-            statistics: compareProfileData.statistics
+    }
+
+    // 스냅샷으로 현재 데이터를 교체 (파일/프로필/세션 기록 공용)
+    restoreSession(data) {
+        const session = DamageAnalysis.restoreSession(data);
+        this.damageData = session.damageData;
+        this.targetData = session.targetData;
+        this.damageTimeline = session.damageTimeline;
+        this.logStore = session.logStore;
+        this.supportLog = session.supportLog;
+        this.statistics = session.statistics;
+        this.filteredLogCache = { key: null, logs: [] };
+        this.sessionStartTime = session.sessionStartTime;
+        // 불러온 세션은 종료된 상태로 표시 (종료 시각이 없으면 마지막 로그 시각), 새 데미지가 들어오면 새 세션을 시작
+        this.sessionEndTime = session.sessionEndTime || this.logStore.at(0)?.timestamp || null;
+        this.dataGaps = session.dataGaps;
+        this.rebuildEncounters();
+        this.calculateDPS();
+        this.updateUI();
+    }
+
+    // 종료된 세션을 기록에 자동 저장
+    async archiveSession() {
+        if (!this.sessionHistory.isSupported || this.currentHistoryId || this.logStore.length === 0) return;
+
+        // 저장이 끝나기 전에 새 세션이 시작될 수 있으므로 스냅샷을 먼저 만듦
+        const snapshot = this.serializeSession();
+        try {
+            const summary = await this.sessionHistory.save(snapshot);
+            if (this.sessionStartTime === snapshot.sessionStartTime) {
+                this.currentHistoryId = summary.id;
+            }
+            const removed = await this.sessionHistory.applyRetention(this.historyRetention);
+            console.log(`세션이 기록에 저장되었습니다. (#${summary.id}${removed > 0 ? `, 오래된 기록 ${removed}개 정리` : ''})`);
+        } catch (error) {
+            console.error('세션 기록 저장 오류:', error);
+        }
+        this.loadSessionHistory();
+    }
+
+    async loadSessionHistory() {
+        if (!this.sessionHistory.isSupported) {
+            this.updateHistoryList();
+            return;
+        }
+
+        try {
+            this.historySessions = await this.sessionHistory.list();
+        } catch (error) {
+            console.error('세션 기록 불러오기 오류:', error);
+            this.historySessions = [];
+        }
+        this.updateHistoryList();
+        this.renderScheduler.invalidate('trends');
+    }
+
+    async openHistorySession(sessionId) {
+        this.prepareSessionLoad();
+
+        let snapshot = null;
+        try {
+            snapshot = await this.sessionHistory.getSnapshot(sessionId);
+        } catch (error) {
+            console.error('세션 기록 불러오기 오류:', error);
+        }
+        if (!snapshot) {
+            alert(t('세션 기록을 찾을 수 없습니다.'));
+            return;
+        }
+
+        this.clearSessionEndTimer();
+        this.restoreSession(snapshot);
+        this.syncIngestSession();
+        this.calculateDPS();
+        this.currentHistoryId = sessionId;
+        this.currentProfile = null;
+        this.selectEncounter(null);
+        this.updateSessionStatus('📚 기록 보기');
+        this.updateHistoryList();
+        this.switchTab('statistics');
+
+        console.log(`세션 기록 #${sessionId}을 불러왔습니다.`);
+    }
+
+    async toggleHistoryPin(sessionId) {
+        const summary = this.historySessions.find(session => session.id === sessionId);
+        if (!summary) return;
+
+        try {
+            await this.sessionHistory.update(sessionId, { pinned: !summary.pinned });
+        } catch (error) {
+            console.error('세션 고정 오류:', error);
+        }
+        this.loadSessionHistory();
+    }
+
+    async editHistoryTags(sessionId) {
+        const summary = this.historySessions.find(session => session.id === sessionId);
+        if (!summary) return;
+
+        const input = prompt(t('태그를 쉼표로 구분해 입력하세요.'), summary.tags.join(', '));
+        if (input === null) return;
+
+        const tags = Array.from(new Set(input.split(',').map(tag => tag.trim()).filter(Boolean)));
+        try {
+            await this.sessionHistory.update(sessionId, { tags });
+        } catch (error) {
+            console.error('세션 태그 저장 오류:', error);
+        }
+        this.loadSessionHistory();
+    }
+
+    async deleteHistorySession(sessionId) {
+        if (!confirm(t('이 세션 기록을 삭제하시겠습니까?'))) {
+            return;
+        }
+
+        try {
+            await this.sessionHistory.delete(sessionId);
+        } catch (error) {
+            console.error('세션 기록 삭제 오류:', error);
+        }
+        this.loadSessionHistory();
+    }
+
+    updateHistoryQuery() {
+        // 날짜 입력(YYYY-MM-DD)은 해당 날짜의 시작/끝 시각으로 변환
+        const fromValue = this.elements.historyFrom?.value;
+        const toValue = this.elements.historyTo?.value;
+        this.historyQuery = {
+            text: this.elements.historySearch?.value || '',
+            from: fromValue ? new Date(`${fromValue}T00:00:00`).getTime() : null,
+            to: toValue ? new Date(`${toValue}T23:59:59.999`).getTime() : null,
+            tag: this.elements.historyTag?.value || '',
+            pinnedOnly: this.elements.historyPinned?.checked || false
+        };
+        this.updateHistoryList();
+    }
+
+    loadHistoryRetention() {
+        try {
+            const saved = localStorage.getItem('historyRetention');
+            if (saved) {
+                this.historyRetention = { ...this.historyRetention, ...JSON.parse(saved) };
+            }
+        } catch (error) {
+            console.error('기록 보관 설정 불러오기 오류:', error);
+        }
+
+        if (this.elements.historyMaxSessions) {
+            this.elements.historyMaxSessions.value = this.historyRetention.maxSessions;
+        }
+        if (this.elements.historyMaxDays) {
+            this.elements.historyMaxDays.value = this.historyRetention.maxAgeDays;
+        }
+    }
+
+    async updateHistoryRetention() {
+        this.historyRetention = {
+            maxSessions: Math.max(0, parseInt(this.elements.historyMaxSessions?.value) || 0),
+            maxAgeDays: Math.max(0, parseInt(this.elements.historyMaxDays?.value) || 0)
         };
+        localStorage.setItem('historyRetention', JSON.stringify(this.historyRetention));
+
+        if (!this.sessionHistory.isSupported) return;
+        try {
+            const removed = await this.sessionHistory.applyRetention(this.historyRetention);
+            if (removed > 0) {
+                console.log(`보관 설정에 따라 세션 기록 ${removed}개를 정리했습니다.`);
+            }
+        } catch (error) {
+            console.error('기록 보관 정책 적용 오류:', error);
+        }
+        this.loadSessionHistory();
+    }
+
+    updateHistoryList() {
+        if (!this.elements.historyList) return;
+
+        if (!this.sessionHistory.isSupported) {
+            this.elements.historyList.innerHTML = `<div class="no-data-message">${t('이 브라우저는 IndexedDB를 지원하지 않아 세션 기록을 저장할 수 없습니다.')}</div>`;
+            return;
+        }
+
+        this.updateHistoryTagOptions();
+
+        const sessions = this.historySessions.filter(summary => SessionHistoryStore.matchesQuery(summary, this.historyQuery));
+        if (sessions.length === 0) {
+            const message = this.historySessions.length === 0 ?
+                t('저장된 세션이 없습니다. 세션이 종료되면 자동으로 저장됩니다.') :
+                t('검색 조건에 맞는 세션이 없습니다.');
+            this.elements.historyList.innerHTML = `<div class="no-data-message">${message}</div>`;
+            return;
+        }
+
+        const summarizeNames = (names, limit) => names.length > limit ?
+            t('{names} 외 {count}', { names: names.slice(0, limit).join(', '), count: names.length - limit }) :
+            names.join(', ');
+
+        let html = '';
+        sessions.forEach(summary => {
+            const isCurrent = this.currentHistoryId === summary.id;
+            const startedAt = new Date(summary.startTime).toLocaleString(I18n.getLocale());
+            const participantNames = summary.participants.map(participant => participant.name);
+            const tags = summary.tags.map(tag => `<span class="history-tag">${escapeHtml(tag)}</span>`).join('');
+
+            html += `
+                <div class="profile-item history-item ${isCurrent ? 'current' : ''} ${summary.pinned ? 'pinned' : ''}">
+                    <div class="profile-info">
+                        <div class="profile-name">${summary.pinned ? '📌 ' : ''}${escapeHtml(summarizeNames(summary.targets, 3)) || t('대상 없음')}</div>
+                        <div class="profile-date">${startedAt} · ${t('{seconds}초', { seconds: Math.round(summary.duration) })} · ${this.formatNumber(summary.totalDamage)}</div>
+                        <div class="profile-stats">
+                            ${t('참가자 {count}명: {names}', { count: participantNames.length, names: escapeHtml(summarizeNames(participantNames, 5)) })}
+                        </div>
+                        ${tags ? `<div class="history-tags">${tags}</div>` : ''}
+                    </div>
+                    <div class="profile-actions">
+                        <button data-action="open-history" data-id="${summary.id}" class="btn-small">${t('열기')}</button>
+                        <button data-action="pin-history" data-id="${summary.id}" class="btn-small">${summary.pinned ? t('고정 해제') : t('고정')}</button>
+                        <button data-action="tag-history" data-id="${summary.id}" class="btn-small">${t('태그')}</button>
+                        <button data-action="delete-history" data-id="${summary.id}" class="btn-small btn-danger">${t('삭제')}</button>
+                    </div>
+                </div>
+            `;
+        });
+        this.elements.historyList.innerHTML = html;
+    }
+
+    updateHistoryTagOptions() {
+        const select = this.elements.historyTag;
+        if (!select || document.activeElement === select) return;
+
+        const tags = Array.from(new Set(this.historySessions.flatMap(summary => summary.tags))).sort();
+        select.innerHTML = `<option value="">${t('모든 태그')}</option>` + tags.map(tag =>
+            `<option value="${escapeHtml(tag)}">${escapeHtml(tag)}</option>`
+        ).join('');
+        select.value = tags.includes(this.historyQuery.tag) ? this.historyQuery.tag : '';
     }
 }
 
@@ -1663,13 +4468,39 @@ window.app = {
     resetData: () => app?.resetData(),
     saveData: () => app?.saveData(),
     loadData: () => app?.loadData(),
-    exportCSV: () => app?.exportCSV(),
+    openExportDialog: () => app?.openExportDialog(),
+    exportData: () => app?.exportData(),
+    generateReport: () => app?.generateReport(),
     updateFilter: () => app?.updateFilter(),
     generateTestData: () => app?.generateTestData(),
     // 프로필 관리 함수들
     saveProfile: () => app?.saveProfile(),
     loadProfile: (profileName) => app?.loadProfile(profileName),
     deleteProfile: (profileName) => app?.deleteProfile(profileName),
+    exportProfiles: () => app?.exportProfiles(),
+    importProfiles: () => app?.importProfiles(),
     toggleComparison: () => app?.toggleComparison(),
-    updateComparisonView: () => app?.updateComparisonView()
+    updateComparisonView: () => app?.updateComparisonView(),
+    // 전투 구분 함수들
+    toggleBossTarget: (targetName) => app?.toggleBossTarget(targetName),
+    selectEncounter: (encounterId) => app?.selectEncounter(encounterId),
+    // 연결 설정 함수들
+    addConnectionSource: () => app?.addConnectionSource(),
+    removeConnectionSource: (index) => app?.removeConnectionSource(index),
+    applyConnectionSettings: () => app?.applyConnectionSettings(),
+    // 세션 기록 함수들
+    openHistorySession: (sessionId) => app?.openHistorySession(sessionId),
+    toggleHistoryPin: (sessionId) => app?.toggleHistoryPin(sessionId),
+    editHistoryTags: (sessionId) => app?.editHistoryTags(sessionId),
+    deleteHistorySession: (sessionId) => app?.deleteHistorySession(sessionId),
+    // 리플레이 함수들
+    startReplay: () => app?.startReplay(),
+    toggleReplay: () => app?.toggleReplay(),
+    stopReplay: () => app?.stopReplay(),
+    // 세션 추이 함수들
+    exportTrendCSV: () => app?.exportTrendCSV(),
+    // 스킬 이름 번역 함수들
+    exportSkillPack: () => app?.exportSkillPack(),
+    importSkillPack: () => app?.importSkillPack(),
+    clearSeenSkills: () => app?.clearSeenSkills()
 };
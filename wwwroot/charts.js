@@ -0,0 +1,337 @@
+// ========== 캔버스 차트 유틸리티 ==========
+// 외부 라이브러리 없이 통계 탭의 그래프를 그리기 위한 간단한 캔버스 차트
+(function (global) {
+    // 사용자별 시리즈 색상 (순환 사용)
+    const SERIES_COLORS = [
+        '#007bff', '#dc3545', '#28a745', '#ffc107', '#17a2b8',
+        '#6f42c1', '#fd7e14', '#20c997', '#e83e8c', '#6c757d'
+    ];
+
+    function getSeriesColor(index) {
+        return SERIES_COLORS[index % SERIES_COLORS.length];
+    }
+
+    // 문자열 키(스킬 이름 등)마다 항상 같은 색상 반환
+    function getColorForKey(key) {
+        let hash = 0;
+        for (let i = 0; i < key.length; i++) {
+            hash = (hash * 31 + key.charCodeAt(i)) | 0;
+        }
+        return `hsl(${Math.abs(hash) % 360}, 65%, 50%)`;
+    }
+
+    // 현재 테마의 CSS 변수 값 조회
+    function getThemeColor(name, fallback) {
+        const value = getComputedStyle(document.documentElement).getPropertyValue(name).trim();
+        return value || fallback;
+    }
+
+    // 고해상도 디스플레이를 고려해 캔버스 크기를 맞추고 2D 컨텍스트를 반환
+    function prepareCanvas(canvas) {
+        const ratio = window.devicePixelRatio || 1;
+        const width = canvas.clientWidth || canvas.width;
+        const height = canvas.clientHeight || canvas.height;
+
+        if (canvas.width !== Math.round(width * ratio) || canvas.height !== Math.round(height * ratio)) {
+            canvas.width = Math.round(width * ratio);
+            canvas.height = Math.round(height * ratio);
+        }
+
+        const ctx = canvas.getContext('2d');
+        ctx.setTransform(ratio, 0, 0, ratio, 0, 0);
+        ctx.clearRect(0, 0, width, height);
+        return { ctx, width, height };
+    }
+
+    // 축 눈금용 "보기 좋은" 최대값 계산
+    function niceMax(value) {
+        if (value <= 0) return 1;
+        const exponent = Math.pow(10, Math.floor(Math.log10(value)));
+        const fraction = value / exponent;
+        const niceFraction = fraction <= 1 ? 1 : fraction <= 2 ? 2 : fraction <= 5 ? 5 : 10;
+        return niceFraction * exponent;
+    }
+
+    function drawEmptyMessage(ctx, width, height, message) {
+        ctx.fillStyle = getThemeColor('--text-secondary', '#6c757d');
+        ctx.font = '14px sans-serif';
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        ctx.fillText(message, width / 2, height / 2);
+    }
+
+    /**
+     * 꺾은선 차트를 그립니다.
+     * options.series: [{ label, color?, points: [{ x, y }] }]
+     * options.formatX / options.formatY: 축 라벨 포맷 함수
+     * options.bands: 음영으로 표시할 X 구간 [{ from, to }] (데이터 누락 구간 등)
+     * options.xTicks: X축 라벨을 붙일 값 목록 (없으면 균등 간격, 많으면 일부만 표시)
+     * options.showPoints: 각 지점에 점 표시 (지점 수가 적은 추이 차트용)
+     * 지점에 highlight: true가 있으면 테두리가 있는 큰 점으로 강조합니다. (개인 최고 기록 등)
+     */
+    function drawLineChart(canvas, options) {
+        const { ctx, width, height } = prepareCanvas(canvas);
+        const series = (options.series || []).filter(s => s.points.length > 0);
+        const formatX = options.formatX || (x => String(x));
+        const formatY = options.formatY || (y => String(Math.round(y)));
+
+        if (series.length === 0) {
+            drawEmptyMessage(ctx, width, height, options.emptyMessage || '데이터가 없습니다');
+            return;
+        }
+
+        const padding = { top: 16, right: 16, bottom: 28, left: 56 };
+        const plotWidth = width - padding.left - padding.right;
+        const plotHeight = height - padding.top - padding.bottom;
+
+        let minX = Infinity;
+        let maxX = -Infinity;
+        let maxY = 0;
+        series.forEach(s => {
+            s.points.forEach(p => {
+                if (p.x < minX) minX = p.x;
+                if (p.x > maxX) maxX = p.x;
+                if (p.y > maxY) maxY = p.y;
+            });
+        });
+        if (maxX === minX) maxX = minX + 1;
+        maxY = niceMax(maxY);
+
+        const toX = x => padding.left + ((x - minX) / (maxX - minX)) * plotWidth;
+        const toY = y => padding.top + plotHeight - (y / maxY) * plotHeight;
+
+        // 격자 및 Y축 라벨
+        const gridColor = getThemeColor('--border-color', '#dee2e6');
+        const textColor = getThemeColor('--text-secondary', '#6c757d');
+        ctx.strokeStyle = gridColor;
+        ctx.fillStyle = textColor;
+        ctx.lineWidth = 1;
+        ctx.font = '11px sans-serif';
+        ctx.textAlign = 'right';
+        ctx.textBaseline = 'middle';
+
+        const gridLines = 4;
+        for (let i = 0; i <= gridLines; i++) {
+            const value = (maxY / gridLines) * i;
+            const y = toY(value);
+            ctx.beginPath();
+            ctx.moveTo(padding.left, y);
+            ctx.lineTo(width - padding.right, y);
+            ctx.stroke();
+            ctx.fillText(formatY(value), padding.left - 6, y);
+        }
+
+        // X축 라벨
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'top';
+        const maxTicks = Math.min(6, Math.max(1, Math.floor(plotWidth / 80)));
+        if (options.xTicks) {
+            const step = Math.ceil(options.xTicks.length / (maxTicks + 1));
+            options.xTicks.filter((value, i) => i % step === 0).forEach(value => {
+                ctx.fillText(formatX(value), toX(value), height - padding.bottom + 6);
+            });
+        } else {
+            for (let i = 0; i <= maxTicks; i++) {
+                const value = minX + ((maxX - minX) / maxTicks) * i;
+                ctx.fillText(formatX(value), toX(value), height - padding.bottom + 6);
+            }
+        }
+
+        // 음영 구간
+        (options.bands || []).forEach(band => {
+            const from = Math.max(minX, band.from);
+            const to = Math.min(maxX, band.to);
+            if (to < from) return;
+            ctx.save();
+            ctx.globalAlpha = 0.2;
+            ctx.fillStyle = getThemeColor('--color-warning', '#ffc107');
+            ctx.fillRect(toX(from), padding.top, Math.max(2, toX(to) - toX(from)), plotHeight);
+            ctx.restore();
+        });
+
+        // 시리즈
+        series.forEach((s, index) => {
+            const color = s.color || getSeriesColor(index);
+            ctx.strokeStyle = color;
+            ctx.lineWidth = 2;
+            ctx.beginPath();
+            s.points.forEach((p, i) => {
+                if (i === 0) {
+                    ctx.moveTo(toX(p.x), toY(p.y));
+                } else {
+                    ctx.lineTo(toX(p.x), toY(p.y));
+                }
+            });
+            ctx.stroke();
+
+            s.points.forEach(p => {
+                if (!options.showPoints && !p.highlight) return;
+                ctx.beginPath();
+                ctx.arc(toX(p.x), toY(p.y), p.highlight ? 5 : 3, 0, Math.PI * 2);
+                ctx.fillStyle = color;
+                ctx.fill();
+                if (p.highlight) {
+                    ctx.strokeStyle = getThemeColor('--text-primary', '#212529');
+                    ctx.lineWidth = 2;
+                    ctx.stroke();
+                }
+            });
+        });
+    }
+
+    /**
+     * 일반/크리티컬을 쌓아 올린 히스토그램을 그립니다.
+     * options.bins: [{ from, to, normal, crit }]
+     */
+    function drawHistogram(canvas, options) {
+        const { ctx, width, height } = prepareCanvas(canvas);
+        const bins = options.bins || [];
+        const formatX = options.formatX || (x => String(Math.round(x)));
+
+        if (bins.length === 0) {
+            drawEmptyMessage(ctx, width, height, options.emptyMessage || '데이터가 없습니다');
+            return;
+        }
+
+        const padding = { top: 16, right: 16, bottom: 28, left: 40 };
+        const plotWidth = width - padding.left - padding.right;
+        const plotHeight = height - padding.top - padding.bottom;
+        const maxCount = niceMax(Math.max(...bins.map(bin => bin.normal + bin.crit)));
+        const barWidth = plotWidth / bins.length;
+        const toY = count => padding.top + plotHeight - (count / maxCount) * plotHeight;
+
+        const gridColor = getThemeColor('--border-color', '#dee2e6');
+        const textColor = getThemeColor('--text-secondary', '#6c757d');
+        ctx.strokeStyle = gridColor;
+        ctx.fillStyle = textColor;
+        ctx.lineWidth = 1;
+        ctx.font = '11px sans-serif';
+        ctx.textAlign = 'right';
+        ctx.textBaseline = 'middle';
+
+        const gridLines = 4;
+        for (let i = 0; i <= gridLines; i++) {
+            const value = (maxCount / gridLines) * i;
+            const y = toY(value);
+            ctx.beginPath();
+            ctx.moveTo(padding.left, y);
+            ctx.lineTo(width - padding.right, y);
+            ctx.stroke();
+            ctx.fillText(String(Math.round(value)), padding.left - 6, y);
+        }
+
+        const normalColor = getThemeColor('--color-primary', '#007bff');
+        const critColor = getThemeColor('--color-danger', '#dc3545');
+        bins.forEach((bin, index) => {
+            const x = padding.left + index * barWidth + 1;
+            const normalTop = toY(bin.normal);
+            ctx.fillStyle = normalColor;
+            ctx.fillRect(x, normalTop, barWidth - 2, toY(0) - normalTop);
+            const critTop = toY(bin.normal + bin.crit);
+            ctx.fillStyle = critColor;
+            ctx.fillRect(x, critTop, barWidth - 2, normalTop - critTop);
+        });
+
+        // X축: 처음/중간/끝 구간 경계
+        ctx.fillStyle = textColor;
+        ctx.textBaseline = 'top';
+        ctx.textAlign = 'left';
+        ctx.fillText(formatX(bins[0].from), padding.left, height - padding.bottom + 6);
+        ctx.textAlign = 'center';
+        ctx.fillText(formatX((bins[0].from + bins[bins.length - 1].to) / 2), padding.left + plotWidth / 2, height - padding.bottom + 6);
+        ctx.textAlign = 'right';
+        ctx.fillText(formatX(bins[bins.length - 1].to), width - padding.right, height - padding.bottom + 6);
+    }
+
+    /**
+     * 스윔레인 타임라인을 그립니다. (레인별로 구간 막대를 배치)
+     * options.lanes: [{ label, items: [{ start, end, color, data }] }]
+     * options.viewStart / options.viewEnd: 표시할 X 범위
+     * 반환: 마우스 좌표 변환용 { plotLeft, plotWidth, hitboxes: [{ x, y, width, height, item }] }
+     */
+    function drawSwimlanes(canvas, options) {
+        const { ctx, width, height } = prepareCanvas(canvas);
+        const lanes = options.lanes || [];
+        const formatX = options.formatX || (x => String(x));
+
+        if (lanes.length === 0) {
+            drawEmptyMessage(ctx, width, height, options.emptyMessage || '데이터가 없습니다');
+            return { plotLeft: 0, plotWidth: width, hitboxes: [] };
+        }
+
+        const padding = { top: 8, right: 16, bottom: 28, left: 110 };
+        const plotWidth = width - padding.left - padding.right;
+        const laneHeight = (height - padding.top - padding.bottom) / lanes.length;
+        const viewStart = options.viewStart;
+        const viewEnd = options.viewEnd > viewStart ? options.viewEnd : viewStart + 1;
+        const toX = x => padding.left + ((x - viewStart) / (viewEnd - viewStart)) * plotWidth;
+
+        const gridColor = getThemeColor('--border-color', '#dee2e6');
+        const textColor = getThemeColor('--text-secondary', '#6c757d');
+        ctx.font = '11px sans-serif';
+        ctx.lineWidth = 1;
+
+        // X축 눈금
+        ctx.strokeStyle = gridColor;
+        ctx.fillStyle = textColor;
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'top';
+        const xTicks = Math.min(8, Math.max(1, Math.floor(plotWidth / 90)));
+        for (let i = 0; i <= xTicks; i++) {
+            const value = viewStart + ((viewEnd - viewStart) / xTicks) * i;
+            const x = toX(value);
+            ctx.beginPath();
+            ctx.moveTo(x, padding.top);
+            ctx.lineTo(x, height - padding.bottom);
+            ctx.stroke();
+            ctx.fillText(formatX(value), x, height - padding.bottom + 6);
+        }
+
+        const hitboxes = [];
+        lanes.forEach((lane, laneIndex) => {
+            const laneTop = padding.top + laneIndex * laneHeight;
+
+            // 레인 구분선과 라벨
+            ctx.strokeStyle = gridColor;
+            ctx.beginPath();
+            ctx.moveTo(padding.left, laneTop + laneHeight);
+            ctx.lineTo(width - padding.right, laneTop + laneHeight);
+            ctx.stroke();
+
+            ctx.fillStyle = textColor;
+            ctx.textAlign = 'right';
+            ctx.textBaseline = 'middle';
+            ctx.fillText(lane.label, padding.left - 8, laneTop + laneHeight / 2, padding.left - 12);
+
+            // 플롯 영역 밖으로 막대가 그려지지 않도록 클리핑
+            ctx.save();
+            ctx.beginPath();
+            ctx.rect(padding.left, laneTop, plotWidth, laneHeight);
+            ctx.clip();
+
+            const barTop = laneTop + laneHeight * 0.2;
+            const barHeight = laneHeight * 0.6;
+            lane.items.forEach(item => {
+                if (item.end < viewStart || item.start > viewEnd) return;
+                const x = toX(item.start);
+                const barWidth = Math.max(3, toX(item.end) - x);
+                ctx.fillStyle = item.color;
+                ctx.fillRect(x, barTop, barWidth, barHeight);
+                hitboxes.push({ x, y: barTop, width: barWidth, height: barHeight, item });
+            });
+
+            ctx.restore();
+        });
+
+        return { plotLeft: padding.left, plotWidth, hitboxes };
+    }
+
+    global.MeterCharts = {
+        SERIES_COLORS,
+        getSeriesColor,
+        getColorForKey,
+        drawLineChart,
+        drawHistogram,
+        drawSwimlanes
+    };
+})(typeof window !== 'undefined' ? window : globalThis);
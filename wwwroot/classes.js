@@ -0,0 +1,149 @@
+// ========== 플레이어 클래스 판별 ==========
+// 사용한 스킬 이름의 클래스 접두사(SwordMaster_, Fighter_, Bard_ ...)로 플레이어 클래스를 추정하고
+// 클래스별 이름/아이콘/색상/역할(탱커/힐러/딜러)을 제공합니다. 메인 대시보드(app.js)와 MDM.html이 공유합니다.
+//   - 여러 클래스의 스킬이 섞여 있으면 데미지가 가장 큰 클래스를 선택
+//   - generic 클래스(전직 전 공용 스킬)는 구체적인 클래스 스킬이 하나도 없을 때만 선택
+//   - 기본 공격/도트처럼 공용 스킬만 사용한 플레이어는 null (표시할 때는 UNKNOWN_CLASS)
+//
+// 새 클래스가 추가되면 CLASS_TABLE에 항목을 추가하거나, 다른 스크립트에서 register로 등록합니다.
+//   PlayerClasses.register('NewClass', { name: '새 클래스', icon: '✨', role: 'dps', colors: ['#000', '#fff'] });
+(function (global) {
+    const ROLES = {
+        tank: { label: '탱커', icon: '🛡️' },
+        healer: { label: '힐러', icon: '💚' },
+        dps: { label: '딜러', icon: '⚔️' }
+    };
+
+    // 클래스 코드(스킬 이름 접두사) -> { name, icon, role, colors: [그라데이션 시작, 끝], aliases?, generic? }
+    // aliases: 같은 클래스로 볼 다른 스킬 접두사
+    const CLASS_TABLE = {
+        SwordMaster: { name: '검술', icon: '🗡️', role: 'dps', colors: ['#8B4513', '#A0522D'] },
+        Arbalist: { name: '석궁사수', icon: '🎯', role: 'dps', colors: ['#228B22', '#32CD32'] },
+        FireMage: { name: '화법', icon: '🔥', role: 'dps', colors: ['#FF4500', '#FF6347'] },
+        IceMage: { name: '얼탱', icon: '❄️', role: 'dps', colors: ['#4169E1', '#87CEEB'] },
+        Fighter: { name: '격투가', icon: '👊', role: 'dps', colors: ['#DC143C', '#B22222'] },
+        LongBowMan: { name: '장궁병', icon: '🏹', role: 'dps', colors: ['#2E8B57', '#3CB371'] },
+        Healer: { name: '힐러', icon: '💖', role: 'healer', colors: ['#FFD700', '#FFA500'] },
+        ExpertWarrior: { name: '전사', icon: '🛡️', role: 'tank', colors: ['#696969', '#808080'] },
+        GreatSwordWarrior: { name: '대검전사', icon: '⚔️', role: 'dps', colors: ['#4B0082', '#6A5ACD'] },
+        HighThief: { name: '도적', icon: '🥷', role: 'dps', colors: ['#2F4F4F', '#708090'], aliases: ['Thief'] },
+        DualBlades: { name: '듀블', icon: '🌀', role: 'dps', colors: ['#8B008B', '#DA70D6'] },
+        HighArcher: { name: '궁수', icon: '🏹', role: 'dps', colors: ['#006400', '#228B22'] },
+        HighMage: { name: '마법사', icon: '🔮', role: 'dps', colors: ['#4B0082', '#9400D3'] },
+        Priest: { name: '사제', icon: '✝️', role: 'healer', colors: ['#F0F8FF', '#E6E6FA'] },
+        Bard: { name: '음유시인', icon: '🎵', role: 'healer', colors: ['#FF69B4', '#FFB6C1'], aliases: ['ExpertBard'] },
+        Monk: { name: '수도사', icon: '📿', role: 'dps', colors: ['#CD853F', '#D2691E'] },
+        Dancer: { name: '댄서', icon: '💃', role: 'dps', colors: ['#FF1493', '#FF69B4'] },
+        BattleMusician: { name: '악사', icon: '🎻', role: 'healer', colors: ['#9932CC', '#BA55D3'] },
+        LightningMage: { name: '전격술사', icon: '⚡', role: 'dps', colors: ['#9932CC', '#BA55D3'] },
+        // 전직 전 전사 계열 공용 스킬 (검술/대검전사/전사 모두 사용)
+        NoviceWarrior: { name: '전사 계열', icon: '🪓', role: 'dps', colors: ['#5F6A6A', '#95A5A6'], generic: true }
+    };
+
+    const UNKNOWN_CLASS = {
+        code: 'unknown',
+        name: '미확인',
+        icon: '❔',
+        role: null,
+        colors: ['#9E9E9E', '#BDBDBD']
+    };
+
+    let prefixes = []; // [{ prefix, code }] 긴 접두사 우선
+    const matchCache = new Map(); // 스킬 이름 -> 클래스 코드 (없으면 null)
+
+    function rebuildPrefixes() {
+        prefixes = [];
+        Object.entries(CLASS_TABLE).forEach(([code, info]) => {
+            [code, ...(info.aliases || [])].forEach(prefix => prefixes.push({ prefix, code }));
+        });
+        prefixes.sort((a, b) => b.prefix.length - a.prefix.length);
+        matchCache.clear();
+    }
+
+    /**
+     * 클래스를 추가하거나 기존 항목을 덮어씁니다.
+     */
+    function register(code, info) {
+        CLASS_TABLE[code] = { ...CLASS_TABLE[code], ...info };
+        rebuildPrefixes();
+    }
+
+    /**
+     * 스킬 이름이 속한 클래스 코드. 클래스 접두사가 없는 공용 스킬이면 null.
+     */
+    function matchSkill(skillName) {
+        if (!skillName) return null;
+        if (!matchCache.has(skillName)) {
+            const match = prefixes.find(({ prefix }) => skillName.includes(prefix));
+            matchCache.set(skillName, match ? match.code : null);
+        }
+        return matchCache.get(skillName);
+    }
+
+    /**
+     * 스킬 집계로 클래스를 추정합니다.
+     * @param {Map|Object} skills 스킬 이름 -> { damage, ... } (app.js의 Map, MDM 전투 요약의 객체 모두 가능)
+     * @returns {string|null} 클래스 코드 (공용 스킬만 사용했으면 null)
+     */
+    function detect(skills) {
+        if (!skills) return null;
+
+        const scores = new Map();
+        const entries = skills instanceof Map ? skills.entries() : Object.entries(skills);
+        for (const [skillName, stats] of entries) {
+            const code = matchSkill(skillName);
+            if (code) {
+                // 데미지가 0인 스킬(버프 등)도 판별에 쓰이도록 1을 더함
+                scores.set(code, (scores.get(code) || 0) + (stats?.damage || 0) + 1);
+            }
+        }
+
+        let best = null;
+        let bestScore = -1;
+        let bestGeneric = true;
+        scores.forEach((score, code) => {
+            const generic = !!CLASS_TABLE[code].generic;
+            if ((bestGeneric && !generic) || (generic === bestGeneric && score > bestScore)) {
+                best = code;
+                bestScore = score;
+                bestGeneric = generic;
+            }
+        });
+        return best;
+    }
+
+    /**
+     * 표시 정보 { code, name, icon, role, colors, gradient }. 코드가 없거나 모르는 코드면 UNKNOWN_CLASS.
+     */
+    function getInfo(code) {
+        const info = (code && CLASS_TABLE[code]) ? { code, ...CLASS_TABLE[code] } : UNKNOWN_CLASS;
+        return { ...info, gradient: `linear-gradient(90deg, ${info.colors[0]}, ${info.colors[1]})` };
+    }
+
+    function getRole(code) {
+        return (code && CLASS_TABLE[code]?.role) || null;
+    }
+
+    // 필터/선택 목록용 전체 클래스 [{ code, name, icon, role, ... }] (표 순서)
+    function list() {
+        return Object.keys(CLASS_TABLE).map(getInfo);
+    }
+
+    rebuildPrefixes();
+
+    const PlayerClasses = {
+        ROLES,
+        UNKNOWN_CLASS,
+        register,
+        matchSkill,
+        detect,
+        getInfo,
+        getRole,
+        list
+    };
+
+    global.PlayerClasses = PlayerClasses;
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = PlayerClasses;
+    }
+})(typeof window !== 'undefined' ? window : globalThis);
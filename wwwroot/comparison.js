@@ -0,0 +1,239 @@
+// ========== 프로필 비교 ==========
+// 두 세션(현재 세션 또는 저장된 프로필)을 전투 시간으로 나눈 DPS와 사용자·스킬별 집계로 비교합니다.
+// 한쪽에만 있는 사용자/스킬은 새로 생김(added) 또는 사라짐(removed)으로 표시합니다.
+//
+// 크리티컬 확률과 타격당 평균 데미지의 변화에는 유의성 힌트를 붙입니다.
+//   크리티컬 확률 - 두 비율의 z 검정 (크리티컬 수 / 타격 수)
+//   평균 데미지   - 저장된 타격 값(normalSamples/critSamples)의 평균 차이 z 검정 (표본이 없으면 판단하지 않음)
+// |z| >= 2.58이면 significant(99%), >= 1.96이면 likely(95%), 그보다 작으면 none,
+// 어느 한쪽의 타격이 MIN_SAMPLES보다 적으면 insufficient입니다.
+(function (global) {
+    const MIN_SAMPLES = 20;
+    const Z_LIKELY = 1.96;
+    const Z_SIGNIFICANT = 2.58;
+
+    function toMap(value) {
+        return value instanceof Map ? value : new Map(value || []);
+    }
+
+    function ratio(value, total) {
+        return total > 0 ? value / total : 0;
+    }
+
+    // 변화율 (기준이 0이면 null)
+    function change(current, baseline) {
+        return baseline > 0 ? (current - baseline) / baseline : null;
+    }
+
+    function getLevel(z, enoughSamples) {
+        if (!enoughSamples) return 'insufficient';
+        const size = Math.abs(z);
+        if (size >= Z_SIGNIFICANT) return 'significant';
+        if (size >= Z_LIKELY) return 'likely';
+        return 'none';
+    }
+
+    /**
+     * 두 비율(성공 수 / 시행 수)의 차이 검정. 반환: { z, level }
+     */
+    function testProportions(successA, totalA, successB, totalB) {
+        const enough = totalA >= MIN_SAMPLES && totalB >= MIN_SAMPLES;
+        if (totalA === 0 || totalB === 0) return { z: 0, level: 'insufficient' };
+
+        const pA = Math.min(1, successA / totalA);
+        const pB = Math.min(1, successB / totalB);
+        const pooled = Math.min(1, (successA + successB) / (totalA + totalB));
+        const error = Math.sqrt(pooled * (1 - pooled) * (1 / totalA + 1 / totalB));
+        const z = error > 0 ? (pA - pB) / error : 0;
+        return { z, level: getLevel(z, enough) };
+    }
+
+    /**
+     * 두 표본 평균의 차이 검정. a, b: { count, mean, variance } (describeSamples 결과). 반환: { z, level }
+     */
+    function testMeans(a, b) {
+        if (!a || !b || a.count === 0 || b.count === 0) return { z: 0, level: 'insufficient' };
+
+        const enough = a.count >= MIN_SAMPLES && b.count >= MIN_SAMPLES;
+        const error = Math.sqrt(a.variance / a.count + b.variance / b.count);
+        // 양쪽 분산이 0이면 값이 다를 때만 차이가 있음
+        const z = error > 0 ? (a.mean - b.mean) / error : (a.mean === b.mean ? 0 : Infinity);
+        return { z, level: getLevel(z, enough) };
+    }
+
+    // 타격 값 목록 -> { count, mean, variance } (표본 분산, 값이 없으면 null)
+    function describeSamples(samples) {
+        if (samples.length === 0) return null;
+        const mean = samples.reduce((sum, value) => sum + value, 0) / samples.length;
+        const variance = samples.length > 1 ?
+            samples.reduce((sum, value) => sum + (value - mean) ** 2, 0) / (samples.length - 1) : 0;
+        return { count: samples.length, mean, variance };
+    }
+
+    // 여러 { count, mean, variance }를 하나로 합침 (사용자/전체 평균 데미지 검정용, null은 건너뜀)
+    function mergeSampleStats(items) {
+        const list = items.filter(Boolean);
+        if (list.length === 0) return null;
+        const count = list.reduce((sum, item) => sum + item.count, 0);
+        const mean = list.reduce((sum, item) => sum + item.mean * item.count, 0) / count;
+        // 그룹 내 제곱합 + 그룹 간 제곱합
+        const squares = list.reduce((sum, item) =>
+            sum + item.variance * (item.count - 1) + item.count * (item.mean - mean) ** 2, 0);
+        return { count, mean, variance: count > 1 ? squares / (count - 1) : 0 };
+    }
+
+    // 스킬 또는 사용자 집계에서 공통 지표 계산
+    function summarizeCounters(stats, duration) {
+        const hitCount = (stats.hits || 0) + (stats.addHits || 0);
+        const damage = stats.damage ?? stats.totalDamage ?? 0;
+        return {
+            damage,
+            hits: stats.hits || 0,
+            addHits: stats.addHits || 0,
+            crits: stats.crits || 0,
+            dps: duration > 0 ? damage / duration : 0,
+            critRate: ratio(stats.crits || 0, stats.hits || 0),
+            averageHit: ratio(damage, hitCount)
+        };
+    }
+
+    function summarizeSkill(skill, duration) {
+        const samples = (skill.normalSamples || []).concat(skill.critSamples || []);
+        return {
+            name: skill.name,
+            ...summarizeCounters(skill, duration),
+            samples: describeSamples(samples)
+        };
+    }
+
+    function summarizeUser(user, duration) {
+        const skills = new Map();
+        toMap(user.skills).forEach((skill, skillName) => {
+            skills.set(skillName, summarizeSkill({ name: skillName, ...skill }, duration));
+        });
+        return {
+            name: user.name,
+            ...summarizeCounters(user, duration),
+            samples: mergeSampleStats(Array.from(skills.values(), skill => skill.samples)),
+            skills
+        };
+    }
+
+    /**
+     * 저장된 프로필(세션 스냅샷)의 전투 시간(초). 시작/종료 시각이 없으면 첫/마지막 로그 시각으로 보고,
+     * 데이터 누락 구간은 뺍니다. 시각 정보가 없으면 0.
+     */
+    function getSnapshotDuration(snapshot) {
+        // logData는 최신순으로 저장되지만 순서에 의존하지 않도록 최소/최대 시각을 사용 (로그가 많아 spread 대신 reduce)
+        const logs = snapshot.logData || [];
+        const start = snapshot.sessionStartTime || logs.reduce((min, log) => Math.min(min, log.timestamp), Infinity);
+        const end = snapshot.sessionEndTime || logs.reduce((max, log) => Math.max(max, log.timestamp), 0);
+        if (!Number.isFinite(start) || !end || end <= start) return 0;
+
+        const gapDuration = (snapshot.dataGaps || []).reduce((total, gap) => {
+            const overlap = Math.min(end, gap.end || end) - Math.max(start, gap.start);
+            return total + Math.max(0, overlap);
+        }, 0);
+        return (end - start - gapDuration) / 1000;
+    }
+
+    /**
+     * 세션 하나의 비교용 요약. damageData는 Map과 저장 형식(배열) 모두 받습니다.
+     * @param {Object} session { damageData }
+     * @param {number} duration 전투 시간(초)
+     * 반환: { duration, damage, hits, crits, dps, critRate, averageHit, samples, users: Map(이름 -> 요약) }
+     */
+    function summarize(session, duration) {
+        const users = new Map();
+        toMap(session.damageData).forEach((user, userName) => {
+            users.set(userName, summarizeUser({ name: userName, ...user }, duration));
+        });
+
+        const totals = { damage: 0, hits: 0, addHits: 0, crits: 0 };
+        users.forEach(user => {
+            totals.damage += user.damage;
+            totals.hits += user.hits;
+            totals.addHits += user.addHits;
+            totals.crits += user.crits;
+        });
+
+        return {
+            duration,
+            ...summarizeCounters(totals, duration),
+            samples: mergeSampleStats(Array.from(users.values(), user => user.samples)),
+            users
+        };
+    }
+
+    // 같은 이름의 두 요약(없으면 null)을 비교한 행
+    function compareEntry(name, current, baseline) {
+        const status = !baseline ? 'added' : !current ? 'removed' : 'both';
+        const row = {
+            name,
+            status,
+            current,
+            baseline,
+            damageChange: null,
+            dpsChange: null,
+            hitsChange: null,
+            critRateDiff: null,
+            averageHitChange: null,
+            critHint: null,
+            averageHint: null
+        };
+        if (status !== 'both') return row;
+
+        row.damageChange = change(current.damage, baseline.damage);
+        row.dpsChange = change(current.dps, baseline.dps);
+        row.hitsChange = change(current.hits, baseline.hits);
+        row.critRateDiff = current.critRate - baseline.critRate;
+        row.averageHitChange = change(current.averageHit, baseline.averageHit);
+        row.critHint = testProportions(current.crits, current.hits, baseline.crits, baseline.hits);
+        row.averageHint = current.samples && baseline.samples ? testMeans(current.samples, baseline.samples) : null;
+        return row;
+    }
+
+    // 두 Map의 이름을 합쳐 비교 행 목록으로 (현재 또는 기준의 데미지 큰 순)
+    function compareMaps(currentMap, baselineMap, compareItem) {
+        const names = new Set([...currentMap.keys(), ...baselineMap.keys()]);
+        return Array.from(names, name => compareItem(name, currentMap.get(name) || null, baselineMap.get(name) || null))
+            .sort((a, b) =>
+                Math.max(b.current?.damage || 0, b.baseline?.damage || 0) -
+                Math.max(a.current?.damage || 0, a.baseline?.damage || 0));
+    }
+
+    /**
+     * 두 세션 요약(summarize 결과)을 비교합니다. baseline이 기준값입니다.
+     * 반환: { totals: 비교 행, users: [비교 행 + skills: [비교 행]] }
+     */
+    function compare(current, baseline) {
+        const totals = compareEntry('', current, baseline);
+        totals.durationChange = change(current.duration, baseline.duration);
+
+        const users = compareMaps(current.users, baseline.users, (name, currentUser, baselineUser) => ({
+            ...compareEntry(name, currentUser, baselineUser),
+            skills: compareMaps(
+                currentUser ? currentUser.skills : new Map(),
+                baselineUser ? baselineUser.skills : new Map(),
+                compareEntry
+            )
+        }));
+
+        return { totals, users };
+    }
+
+    const ProfileComparison = {
+        MIN_SAMPLES,
+        testProportions,
+        testMeans,
+        describeSamples,
+        getSnapshotDuration,
+        summarize,
+        compare
+    };
+
+    global.ProfileComparison = ProfileComparison;
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = ProfileComparison;
+    }
+})(typeof window !== 'undefined' ? window : globalThis);
@@ -0,0 +1,144 @@
+// ========== 연결 설정 ==========
+// 캡처 서버(WebSocket) 연결 목록을 localStorage에 저장하고, URL 쿼리 파라미터로 덮어쓸 수 있게 합니다.
+//   ?ws=ws://192.168.0.10:9001,wss://meter.example.com/ws  (여러 서버, 반복 지정 가능)
+//   ?host=192.168.0.10&port=9002&secure=1&path=/ws&token=abc  (첫 번째 서버 설정 변경)
+// URL 파라미터가 있으면 저장된 설정 대신 사용하며 저장하지는 않습니다.
+(function (global) {
+    const STORAGE_KEY = 'connectionSettings';
+    const DEFAULT_PORT = 9001; // C# WebSocket 서버 기본 포트
+    const DEFAULT_DEDUP_TOLERANCE = 500; // 서로 다른 서버의 같은 타격으로 볼 타임스탬프 차이 (ms)
+    const OVERRIDE_PARAMS = ['ws', 'host', 'port', 'secure', 'path', 'token'];
+
+    let nextSourceId = 1;
+
+    function createSource(values = {}) {
+        return {
+            // 저장된 설정과 겹치지 않도록 생성 시각을 포함
+            id: values.id || `source-${Date.now().toString(36)}-${nextSourceId++}`,
+            host: values.host || global.location?.hostname || 'localhost',
+            port: parseInt(values.port) || DEFAULT_PORT,
+            secure: !!values.secure,
+            path: values.path || '',
+            token: values.token || '',
+            enabled: values.enabled !== false
+        };
+    }
+
+    function buildUrl(source) {
+        let path = source.path || '';
+        if (path && !path.startsWith('/')) path = `/${path}`;
+
+        let url = `${source.secure ? 'wss' : 'ws'}://${source.host}:${source.port}${path}`;
+        if (source.token) {
+            url += `${path.includes('?') ? '&' : '?'}token=${encodeURIComponent(source.token)}`;
+        }
+        return url;
+    }
+
+    // 화면 표시용 짧은 이름
+    function getSourceLabel(source) {
+        return `${source.host}:${source.port}`;
+    }
+
+    // ws://host:port/path?token=... 형식 URL을 연결 설정으로 변환 (잘못된 URL이면 null)
+    function parseUrl(url, id) {
+        let parsed;
+        try {
+            parsed = new URL(url);
+        } catch (error) {
+            return null;
+        }
+        if (parsed.protocol !== 'ws:' && parsed.protocol !== 'wss:') return null;
+
+        const secure = parsed.protocol === 'wss:';
+        const token = parsed.searchParams.get('token') || '';
+        parsed.searchParams.delete('token');
+        const query = parsed.searchParams.toString();
+        const path = parsed.pathname === '/' && !query ? '' : `${parsed.pathname}${query ? `?${query}` : ''}`;
+
+        return createSource({
+            id,
+            host: parsed.hostname,
+            port: parsed.port || (secure ? 443 : 80),
+            secure,
+            path,
+            token
+        });
+    }
+
+    function defaultSettings() {
+        return {
+            sources: [createSource({ id: 'source-default' })],
+            dedupTolerance: DEFAULT_DEDUP_TOLERANCE
+        };
+    }
+
+    /**
+     * 저장된 설정을 읽고 URL 쿼리 파라미터를 적용합니다.
+     * 반환: { sources, dedupTolerance, overridden }
+     */
+    function load(storage = global.localStorage, search = global.location?.search || '') {
+        let settings = defaultSettings();
+        try {
+            const saved = storage?.getItem(STORAGE_KEY);
+            if (saved) {
+                const parsed = JSON.parse(saved);
+                settings = {
+                    sources: (parsed.sources || []).map(source => createSource(source)),
+                    dedupTolerance: parsed.dedupTolerance ?? DEFAULT_DEDUP_TOLERANCE
+                };
+            }
+        } catch (error) {
+            console.error('연결 설정 불러오기 오류:', error);
+        }
+        if (settings.sources.length === 0) {
+            settings.sources = defaultSettings().sources;
+        }
+
+        const params = new URLSearchParams(search);
+        const overridden = OVERRIDE_PARAMS.some(name => params.has(name));
+        if (!overridden) {
+            return { ...settings, overridden: false };
+        }
+
+        // ws 파라미터가 있으면 해당 서버 목록으로 교체
+        let sources = settings.sources.map(source => ({ ...source }));
+        const urls = params.getAll('ws').flatMap(value => value.split(',')).map(value => value.trim()).filter(Boolean);
+        if (urls.length > 0) {
+            sources = urls.map((url, index) => parseUrl(url, `url-${index + 1}`)).filter(Boolean);
+            if (sources.length === 0) {
+                console.warn('URL의 ws 파라미터에 올바른 WebSocket 주소가 없습니다:', urls);
+                sources = settings.sources.map(source => ({ ...source }));
+            }
+        }
+
+        // 개별 파라미터는 첫 번째 서버에 적용
+        const first = sources[0];
+        if (params.has('host')) first.host = params.get('host');
+        if (params.has('port')) first.port = parseInt(params.get('port')) || first.port;
+        if (params.has('secure')) first.secure = ['1', 'true', 'yes'].includes(params.get('secure').toLowerCase());
+        if (params.has('path')) first.path = params.get('path');
+        if (params.has('token')) first.token = params.get('token');
+        first.enabled = true;
+
+        return { ...settings, sources, overridden: true };
+    }
+
+    function save(settings, storage = global.localStorage) {
+        storage.setItem(STORAGE_KEY, JSON.stringify({
+            sources: settings.sources,
+            dedupTolerance: settings.dedupTolerance
+        }));
+    }
+
+    global.ConnectionConfig = {
+        DEFAULT_PORT,
+        DEFAULT_DEDUP_TOLERANCE,
+        createSource,
+        buildUrl,
+        getSourceLabel,
+        parseUrl,
+        load,
+        save
+    };
+})(typeof window !== 'undefined' ? window : globalThis);
@@ -0,0 +1,148 @@
+// ========== 지속 피해/속성 효과 유지율 분석 ==========
+// 로그에 남은 틱(타격) 시각으로 타겟·시전자별 도트 및 속성 효과의 유지 구간을 추정합니다.
+// 연속된 틱 간격이 maxTickGap 이하이면 효과가 유지된 것으로 보고, 그보다 길면 효과가 끊긴 구간으로 기록합니다.
+(function (global) {
+    const EFFECTS = [
+        { key: 'is_dot', label: '지속피해' },
+        { key: 'is_ice', label: '빙결' },
+        { key: 'is_fire', label: '화상' },
+        { key: 'is_electric', label: '감전' },
+        { key: 'is_holy', label: '신성' },
+        { key: 'is_dark', label: '암흑' },
+        { key: 'is_bleed', label: '출혈' },
+        { key: 'is_poison', label: '중독' },
+        { key: 'is_mind', label: '정신' }
+    ];
+
+    const DEFAULT_MAX_TICK_GAP = 3000; // 3초
+
+    function median(values) {
+        if (values.length === 0) return 0;
+        const sorted = [...values].sort((a, b) => a - b);
+        const middle = Math.floor(sorted.length / 2);
+        return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+    }
+
+    // 틱 시각 목록 -> 유지 구간과 끊긴 구간
+    function buildIntervals(tickTimes, maxTickGap, fightEnd) {
+        const tickDeltas = [];
+        for (let i = 1; i < tickTimes.length; i++) {
+            const delta = tickTimes[i] - tickTimes[i - 1];
+            if (delta <= maxTickGap) tickDeltas.push(delta);
+        }
+        // 마지막 틱 이후에도 한 주기만큼은 유지된 것으로 간주
+        const tickInterval = tickDeltas.length > 0 ? median(tickDeltas) : 0;
+
+        const intervals = [];
+        const gaps = [];
+        let start = tickTimes[0];
+        let last = tickTimes[0];
+
+        const closeInterval = () => {
+            const end = Math.min(last + tickInterval, fightEnd);
+            intervals.push({ start, end: Math.max(end, start) });
+        };
+
+        for (let i = 1; i < tickTimes.length; i++) {
+            const time = tickTimes[i];
+            if (time - last > maxTickGap) {
+                closeInterval();
+                gaps.push({ start: intervals[intervals.length - 1].end, end: time });
+                start = time;
+            }
+            last = time;
+        }
+        closeInterval();
+
+        return { intervals, gaps, tickInterval };
+    }
+
+    /**
+     * 시간순 로그 목록으로 효과 유지율을 계산합니다.
+     * options: { maxTickGap, fightStart, fightEnd }
+     * 반환: { fightStart, fightEnd, duration, rows, dotShare }
+     */
+    function analyze(chronologicalLogs, options = {}) {
+        const maxTickGap = options.maxTickGap || DEFAULT_MAX_TICK_GAP;
+        const fightStart = options.fightStart ?? (chronologicalLogs[0]?.timestamp || 0);
+        const fightEnd = options.fightEnd ?? (chronologicalLogs[chronologicalLogs.length - 1]?.timestamp || fightStart);
+        const duration = Math.max(1, fightEnd - fightStart);
+
+        // target -> source -> { totalDamage, dotDamage, effects: Map(effectKey -> { ticks: [], damage }) }
+        const groups = new Map();
+        let totalDamage = 0;
+        let totalDotDamage = 0;
+
+        chronologicalLogs.forEach(log => {
+            const targetKey = log.target_name;
+            if (!groups.has(targetKey)) groups.set(targetKey, new Map());
+            const sources = groups.get(targetKey);
+            if (!sources.has(log.user_name)) {
+                sources.set(log.user_name, { totalDamage: 0, dotDamage: 0, effects: new Map() });
+            }
+            const source = sources.get(log.user_name);
+
+            source.totalDamage += log.damage;
+            totalDamage += log.damage;
+            if (log.is_dot) {
+                source.dotDamage += log.damage;
+                totalDotDamage += log.damage;
+            }
+
+            EFFECTS.forEach(effect => {
+                if (!log[effect.key]) return;
+                if (!source.effects.has(effect.key)) {
+                    source.effects.set(effect.key, { ticks: [], damage: 0 });
+                }
+                const effectData = source.effects.get(effect.key);
+                effectData.ticks.push(log.timestamp);
+                effectData.damage += log.damage;
+            });
+        });
+
+        const rows = [];
+        for (const [target, sources] of groups) {
+            for (const [sourceName, source] of sources) {
+                EFFECTS.forEach(effect => {
+                    const effectData = source.effects.get(effect.key);
+                    if (!effectData) return;
+
+                    const { intervals, gaps, tickInterval } = buildIntervals(effectData.ticks, maxTickGap, fightEnd);
+                    const uptime = intervals.reduce((sum, interval) => sum + (interval.end - interval.start), 0);
+
+                    rows.push({
+                        target,
+                        source: sourceName,
+                        effect: effect.key,
+                        label: effect.label,
+                        ticks: effectData.ticks.length,
+                        damage: effectData.damage,
+                        tickInterval,
+                        uptime,
+                        uptimeRate: Math.min(1, uptime / duration),
+                        gaps,
+                        dotShare: source.totalDamage > 0 ? source.dotDamage / source.totalDamage : 0
+                    });
+                });
+            }
+        }
+
+        rows.sort((a, b) => b.uptimeRate - a.uptimeRate || b.damage - a.damage);
+
+        return {
+            fightStart,
+            fightEnd,
+            duration,
+            rows,
+            totalDamage,
+            totalDotDamage,
+            dotShare: totalDamage > 0 ? totalDotDamage / totalDamage : 0
+        };
+    }
+
+    global.DebuffAnalysis = {
+        EFFECTS,
+        DEFAULT_MAX_TICK_GAP,
+        analyze
+    };
+})(typeof window !== 'undefined' ? window : globalThis);
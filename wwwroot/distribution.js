@@ -0,0 +1,86 @@
+// ========== 데미지 분포 통계 ==========
+// 스킬별로 저장된 타격 값(일반/크리티컬)으로 백분위수, 히스토그램, 크리티컬 배율 추정치를 계산합니다.
+(function (global) {
+    // 정렬된 배열의 p(0~1) 백분위수 (선형 보간)
+    function percentile(sortedValues, p) {
+        if (sortedValues.length === 0) return 0;
+        const position = (sortedValues.length - 1) * p;
+        const lower = Math.floor(position);
+        const upper = Math.ceil(position);
+        if (lower === upper) return sortedValues[lower];
+        return sortedValues[lower] + (sortedValues[upper] - sortedValues[lower]) * (position - lower);
+    }
+
+    function mean(values) {
+        if (values.length === 0) return 0;
+        return values.reduce((sum, value) => sum + value, 0) / values.length;
+    }
+
+    function sortNumbers(values) {
+        return [...values].sort((a, b) => a - b);
+    }
+
+    /**
+     * 값 범위를 binCount개 구간으로 나눈 히스토그램을 만듭니다.
+     * 반환: [{ from, to, normal, crit }]
+     */
+    function histogram(normalSamples, critSamples, binCount = 20) {
+        const all = normalSamples.concat(critSamples);
+        if (all.length === 0) return [];
+
+        let min = Infinity;
+        let max = -Infinity;
+        all.forEach(value => {
+            if (value < min) min = value;
+            if (value > max) max = value;
+        });
+
+        const binWidth = max > min ? (max - min) / binCount : 1;
+        const bins = [];
+        for (let i = 0; i < binCount; i++) {
+            bins.push({ from: min + binWidth * i, to: min + binWidth * (i + 1), normal: 0, crit: 0 });
+        }
+
+        const binIndex = value => Math.min(binCount - 1, Math.floor((value - min) / binWidth));
+        normalSamples.forEach(value => bins[binIndex(value)].normal++);
+        critSamples.forEach(value => bins[binIndex(value)].crit++);
+        return bins;
+    }
+
+    /**
+     * 일반/크리티컬 타격 값 목록으로 분포 요약을 계산합니다.
+     * 크리티컬 배율은 이상치 영향을 줄이기 위해 중앙값 비율로 추정합니다.
+     */
+    function summarize(normalSamples, critSamples) {
+        const all = sortNumbers(normalSamples.concat(critSamples));
+        const normalSorted = sortNumbers(normalSamples);
+        const critSorted = sortNumbers(critSamples);
+
+        const normalMedian = percentile(normalSorted, 0.5);
+        const critMedian = percentile(critSorted, 0.5);
+
+        return {
+            count: all.length,
+            normalCount: normalSorted.length,
+            critCount: critSorted.length,
+            mean: mean(all),
+            median: percentile(all, 0.5),
+            p90: percentile(all, 0.9),
+            p99: percentile(all, 0.99),
+            min: all.length > 0 ? all[0] : 0,
+            max: all.length > 0 ? all[all.length - 1] : 0,
+            normalMean: mean(normalSorted),
+            critMean: mean(critSorted),
+            normalMedian,
+            critMedian,
+            // 양쪽 표본이 모두 있어야 추정 가능
+            critMultiplier: normalMedian > 0 && critSorted.length > 0 ? critMedian / normalMedian : null
+        };
+    }
+
+    global.DamageDistribution = {
+        percentile,
+        histogram,
+        summarize
+    };
+})(typeof window !== 'undefined' ? window : globalThis);
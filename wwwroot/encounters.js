@@ -0,0 +1,137 @@
+// ========== 전투(인카운터) 구분 ==========
+// 타격 로그를 보스 전투/잡몹 구간으로 나눠 구간별 사용자·스킬 집계를 유지합니다.
+//   - 보스로 지정된 타겟에 첫 데미지가 들어오면 새 보스 전투 시작
+//   - 다른 보스로 타겟이 바뀌거나, 일정 시간 타격이 없거나, 보스 타격 없이 잡몹만 계속 때리면 종료
+//   - 보스 전투 밖의 타격은 잡몹 구간으로 묶음
+(function (global) {
+    const { DamageAnalysis } = global;
+    const DEFAULT_INACTIVITY_TIMEOUT = 10000; // 10초
+
+    class EncounterTracker {
+        constructor(options = {}) {
+            this.inactivityTimeout = options.inactivityTimeout || DEFAULT_INACTIVITY_TIMEOUT;
+            this.isBossTarget = options.isBossTarget || (() => false);
+            this.getSkillDisplayName = options.getSkillDisplayName || (name => name);
+            this.clear();
+        }
+
+        clear() {
+            this.encounters = [];
+            this.current = null;
+            this.nextId = 1;
+            this.pullCounts = new Map(); // 보스 이름 -> 시도 횟수
+            this.trashCount = 0;
+        }
+
+        get(id) {
+            return this.encounters.find(encounter => encounter.id === id) || null;
+        }
+
+        /**
+         * 타격 로그 하나를 현재 전투에 반영합니다. 로그는 시간순으로 들어와야 합니다.
+         */
+        record(entry) {
+            const timestamp = entry.timestamp;
+            const isBoss = this.isBossTarget(entry.target_name);
+
+            if (this.current && timestamp - this.current.lastHitTime > this.inactivityTimeout) {
+                this.closeCurrent();
+            }
+
+            if (isBoss) {
+                // 같은 보스를 계속 때리는 중이 아니면 새 보스 전투 시작 (타겟 전환 포함)
+                if (!this.current || this.current.kind !== 'boss' || this.current.target !== entry.target_name) {
+                    this.closeCurrent();
+                    this.startEncounter('boss', entry.target_name, timestamp);
+                }
+                this.current.lastBossHitTime = timestamp;
+            } else if (this.current && this.current.kind === 'boss' &&
+                       timestamp - this.current.lastBossHitTime > this.inactivityTimeout) {
+                // 보스 타격 없이 잡몹만 계속 때리는 경우 보스 전투 종료
+                this.closeCurrent();
+            }
+
+            if (!this.current) {
+                this.startEncounter('trash', null, timestamp);
+            }
+
+            this.addToEncounter(this.current, entry);
+        }
+
+        /**
+         * 마지막 타격 후 일정 시간이 지났으면 현재 전투를 종료합니다.
+         * @returns {boolean} 전투를 종료했는지
+         */
+        checkInactivity(now) {
+            if (this.current && now - this.current.lastHitTime > this.inactivityTimeout) {
+                this.closeCurrent();
+                return true;
+            }
+            return false;
+        }
+
+        // 시간순 로그 목록으로 전체 전투 목록을 다시 만듭니다. (보스 지정 변경, 데이터 불러오기 시)
+        rebuild(chronologicalEntries) {
+            this.clear();
+            chronologicalEntries.forEach(entry => this.record(entry));
+        }
+
+        startEncounter(kind, target, timestamp) {
+            let label;
+            let pull = null;
+            if (kind === 'boss') {
+                pull = (this.pullCounts.get(target) || 0) + 1;
+                this.pullCounts.set(target, pull);
+                label = `${target} - ${pull}회차`;
+            } else {
+                this.trashCount++;
+                label = `잡몹 구간 ${this.trashCount}`;
+            }
+
+            this.current = {
+                id: this.nextId++,
+                kind,
+                target,
+                pull,
+                number: pull ?? this.trashCount, // 보스 회차 또는 잡몹 구간 순번 (표시 이름 번역용)
+                label,
+                startTime: timestamp,
+                endTime: null,
+                lastHitTime: timestamp,
+                lastBossHitTime: timestamp,
+                totalDamage: 0,
+                hits: 0,
+                users: new Map(),
+                targets: new Map()
+            };
+            this.encounters.push(this.current);
+        }
+
+        closeCurrent() {
+            if (!this.current) return;
+            this.current.endTime = this.current.lastHitTime;
+            this.current = null;
+        }
+
+        addToEncounter(encounter, entry) {
+            encounter.totalDamage += entry.damage;
+            encounter.hits++;
+            encounter.lastHitTime = Math.max(encounter.lastHitTime, entry.timestamp);
+
+            // 사용자/스킬/타겟 집계는 세션 전체와 같은 방식 (analysis.js)
+            // 타격 값은 세션 집계에 이미 있으므로 구간마다 다시 보관하지 않음 (분포는 로그에서 모음)
+            DamageAnalysis.recordUserHit(encounter.users, entry, this.getSkillDisplayName, { samples: false });
+            DamageAnalysis.recordTargetHit(encounter.targets, entry);
+        }
+
+        /**
+         * 전투 시간(초). 최소 1초로 계산합니다.
+         */
+        static getDuration(encounter) {
+            const endTime = encounter.endTime || encounter.lastHitTime;
+            return Math.max(1, (endTime - encounter.startTime) / 1000);
+        }
+    }
+
+    global.EncounterTracker = EncounterTracker;
+})(typeof window !== 'undefined' ? window : globalThis);
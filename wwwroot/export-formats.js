@@ -0,0 +1,271 @@
+// ========== 데이터 내보내기 형식 ==========
+// 노트북(pandas/polars)이나 스프레드시트에서 바로 읽을 수 있는 내보내기 파일을 만듭니다.
+//
+// 데이터 종류
+//   events       - 원본 데미지 이벤트 한 건당 한 행 (시간순)
+//   playerSkills - 플레이어 x 스킬 요약 한 행씩
+//   targets      - 타겟별 요약 한 행씩
+// 파일 형식은 CSV 또는 JSON Lines(한 줄에 JSON 객체 하나)입니다.
+//
+// 열 이름은 snake_case 영문으로 고정하고 열마다 타입(string, int64, double, boolean, timestamp)을 정해 두어
+// Parquet 등으로 옮길 때 타입이 섞이지 않게 합니다. getSchema로 같은 정의를 JSON으로 받을 수 있습니다.
+// 스킬은 내부 이름(skill_name)과 표시 이름(skill_display_name)을 따로 둡니다.
+// 시각은 ISO 8601(UTC) 또는 에포크 밀리초로 쓰고, CSV의 boolean은 1/0으로 씁니다.
+// (목업 서버 --replay가 events CSV를 그대로 재생할 수 있음)
+(function (global) {
+    // Node에서는 의존 모듈을 직접 불러옴 (브라우저에서는 <script> 순서대로 이미 전역에 있음)
+    if (typeof module !== 'undefined' && module.exports) {
+        if (!global.DamageProtocol) require('./protocol.js');
+    }
+    const { DamageProtocol } = global;
+
+    const DATASETS = ['events', 'playerSkills', 'targets'];
+    const FORMATS = ['csv', 'jsonl'];
+    const TIMESTAMP_MODES = ['iso', 'epoch_ms'];
+    const DELIMITERS = { comma: ',', semicolon: ';', tab: '\t' };
+
+    // 프로토콜 필드 타입 -> 내보내기 열 타입
+    const PROTOCOL_TYPES = { int: 'int64', string: 'string', flag: 'boolean' };
+
+    function ratio(value, total) {
+        return total > 0 ? value / total : 0;
+    }
+
+    // 이벤트 열: 프로토콜 스키마 순서 그대로 (kind 제외, 표시 스킬 이름은 skill_name 바로 뒤)
+    const EVENT_COLUMNS = DamageProtocol.SCHEMAS[DamageProtocol.CURRENT_VERSION]
+        .filter(field => field.name !== 'kind')
+        .flatMap(field => {
+            if (field.name === 'timestamp') {
+                return [{ name: 'timestamp', type: 'timestamp', get: log => log.timestamp }];
+            }
+            const column = { name: field.name, type: PROTOCOL_TYPES[field.type], get: log => log[field.name] };
+            if (field.name === 'skill_id') column.get = log => log.skill_id || 0;
+            if (field.type === 'flag') column.get = log => !!log[field.name];
+            if (field.name !== 'skill_name') return [column];
+            return [column, { name: 'skill_display_name', type: 'string', get: (log, ctx) => ctx.getSkillName(log.skill_name) }];
+        });
+
+    // 행: { user, skill } (user/skill은 analysis.js의 사용자/스킬 집계)
+    const PLAYER_SKILL_COLUMNS = [
+        { name: 'user_name', type: 'string', get: row => row.user.name },
+        { name: 'class_code', type: 'string', get: (row, ctx) => ctx.getClassCode(row.user.name) },
+        { name: 'skill_name', type: 'string', get: row => row.skill.name },
+        { name: 'skill_display_name', type: 'string', get: (row, ctx) => ctx.getSkillName(row.skill.name) },
+        { name: 'damage', type: 'int64', get: row => row.skill.damage },
+        { name: 'damage_share', type: 'double', get: row => ratio(row.skill.damage, row.user.totalDamage) },
+        { name: 'hits', type: 'int64', get: row => row.skill.hits },
+        { name: 'crits', type: 'int64', get: row => row.skill.crits },
+        { name: 'crit_rate', type: 'double', get: row => ratio(row.skill.crits, row.skill.hits) },
+        { name: 'add_hits', type: 'int64', get: row => row.skill.addHits },
+        { name: 'add_hit_rate', type: 'double', get: row => ratio(row.skill.addHits, row.skill.hits) },
+        { name: 'avg_damage', type: 'double', get: row => ratio(row.skill.damage, row.skill.hits) },
+        { name: 'min_damage', type: 'int64', get: row => (row.skill.minDamage === Infinity ? 0 : row.skill.minDamage) },
+        { name: 'max_damage', type: 'int64', get: row => row.skill.maxDamage },
+        { name: 'last_hit_time', type: 'timestamp', get: row => row.skill.lastHitTime || null },
+        { name: 'player_damage', type: 'int64', get: row => row.user.totalDamage },
+        { name: 'player_dps', type: 'double', get: row => row.user.dps }
+    ];
+
+    // 행: summarizeTargets 결과
+    const TARGET_COLUMNS = [
+        { name: 'target_name', type: 'string', get: row => row.name },
+        { name: 'is_boss', type: 'boolean', get: row => row.boss },
+        { name: 'damage', type: 'int64', get: row => row.damage },
+        { name: 'hits', type: 'int64', get: row => row.hits },
+        { name: 'crits', type: 'int64', get: row => row.crits },
+        { name: 'crit_rate', type: 'double', get: row => ratio(row.crits, row.hits) },
+        { name: 'add_hits', type: 'int64', get: row => row.addHits },
+        { name: 'player_count', type: 'int64', get: row => row.players.size },
+        { name: 'top_player', type: 'string', get: row => row.topPlayer },
+        { name: 'top_player_damage', type: 'int64', get: row => row.topPlayerDamage },
+        { name: 'first_hit_time', type: 'timestamp', get: row => row.firstHitTime },
+        { name: 'last_hit_time', type: 'timestamp', get: row => row.lastHitTime },
+        { name: 'duration_sec', type: 'double', get: row => (row.lastHitTime - row.firstHitTime) / 1000 }
+    ];
+
+    const COLUMNS = {
+        events: EVENT_COLUMNS,
+        playerSkills: PLAYER_SKILL_COLUMNS,
+        targets: TARGET_COLUMNS
+    };
+
+    /**
+     * 데이터 종류의 열 이름 목록 (기본 순서)
+     */
+    function getColumnNames(dataset) {
+        return COLUMNS[dataset].map(column => column.name);
+    }
+
+    // 선택한 열만 기본 순서대로 (선택이 없으면 모든 열)
+    function selectColumns(dataset, names) {
+        const columns = COLUMNS[dataset];
+        if (!columns) throw new Error('알 수 없는 내보내기 데이터입니다');
+        if (!names) return columns;
+        const selected = columns.filter(column => names.includes(column.name));
+        if (selected.length === 0) throw new Error('내보낼 열을 하나 이상 선택하세요');
+        return selected;
+    }
+
+    /**
+     * 데미지 로그를 타겟별로 요약합니다. (받은 데미지 큰 순)
+     * 타격 수는 추가타를 빼고 세며(analysis.js와 같음), 지속 시간은 첫 타격부터 마지막 타격까지입니다.
+     * @param {Iterable} logs 데미지 로그
+     * @param {{ has(name): boolean }} bossTargets 보스로 지정한 타겟 이름
+     */
+    function summarizeTargets(logs, bossTargets = new Set()) {
+        const targets = new Map();
+        for (const log of logs) {
+            if (!targets.has(log.target_name)) {
+                targets.set(log.target_name, {
+                    name: log.target_name,
+                    boss: bossTargets.has(log.target_name),
+                    damage: 0,
+                    hits: 0,
+                    crits: 0,
+                    addHits: 0,
+                    players: new Map(),
+                    firstHitTime: log.timestamp,
+                    lastHitTime: log.timestamp
+                });
+            }
+            const target = targets.get(log.target_name);
+            target.damage += log.damage;
+            if (log.is_add_hit) {
+                target.addHits++;
+            } else {
+                target.hits++;
+            }
+            if (log.is_crit) target.crits++;
+            target.players.set(log.user_name, (target.players.get(log.user_name) || 0) + log.damage);
+            if (log.timestamp < target.firstHitTime) target.firstHitTime = log.timestamp;
+            if (log.timestamp > target.lastHitTime) target.lastHitTime = log.timestamp;
+        }
+
+        return Array.from(targets.values())
+            .map(target => {
+                let topPlayer = null;
+                let topPlayerDamage = 0;
+                target.players.forEach((damage, name) => {
+                    if (damage > topPlayerDamage) {
+                        topPlayer = name;
+                        topPlayerDamage = damage;
+                    }
+                });
+                return { ...target, topPlayer, topPlayerDamage };
+            })
+            .sort((a, b) => b.damage - a.damage);
+    }
+
+    /**
+     * 내보낼 행 목록을 만듭니다.
+     * @param {string} dataset 'events' | 'playerSkills' | 'targets'
+     * @param {Object} source { logs: 데미지 로그, users: 사용자 집계, bossTargets }
+     */
+    function buildRows(dataset, source) {
+        switch (dataset) {
+            case 'events':
+                // 저장소는 최신순이므로 시간순으로 뒤집음 (노트북에서 바로 시계열로 쓰도록)
+                return Array.from(source.logs).sort((a, b) => a.timestamp - b.timestamp);
+            case 'playerSkills':
+                return Array.from(source.users)
+                    .sort((a, b) => b.totalDamage - a.totalDamage)
+                    .flatMap(user => Array.from(user.skills.values())
+                        .sort((a, b) => b.damage - a.damage)
+                        .map(skill => ({ user, skill })));
+            case 'targets':
+                return summarizeTargets(source.logs, source.bossTargets);
+            default:
+                throw new Error('알 수 없는 내보내기 데이터입니다');
+        }
+    }
+
+    function formatTimestamp(value, mode) {
+        if (value === null || value === undefined) return null;
+        return mode === 'epoch_ms' ? value : new Date(value).toISOString();
+    }
+
+    // 열 값 -> 타입에 맞는 JSON 값 (double은 소수 4자리까지)
+    function toValue(column, row, ctx, timestampMode) {
+        const value = column.get(row, ctx);
+        if (value === null || value === undefined) return null;
+        switch (column.type) {
+            case 'timestamp':
+                return formatTimestamp(value, timestampMode);
+            case 'double':
+                return Math.round(value * 10000) / 10000;
+            case 'boolean':
+                return !!value;
+            default:
+                return value;
+        }
+    }
+
+    function escapeCsv(value, delimiter) {
+        if (value === null || value === undefined) return '';
+        if (typeof value === 'boolean') return value ? '1' : '0';
+        const text = String(value);
+        return text.includes(delimiter) || /["\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }
+
+    /**
+     * 행 목록을 파일 내용(문자열)으로 만듭니다.
+     * options: {
+     *   format: 'csv' | 'jsonl', columns: 열 이름 목록 (없으면 모두),
+     *   timestamp: 'iso' | 'epoch_ms', delimiter: ',' | ';' | '\t', bom: CSV 앞에 UTF-8 BOM (Excel용),
+     *   getSkillName: 스킬 표시 이름, getClassCode: 사용자 -> 클래스 코드
+     * }
+     */
+    function serialize(dataset, rows, options = {}) {
+        const columns = selectColumns(dataset, options.columns);
+        const timestampMode = options.timestamp || 'iso';
+        const ctx = {
+            getSkillName: options.getSkillName || (name => name),
+            getClassCode: options.getClassCode || (() => null)
+        };
+
+        if (options.format === 'jsonl') {
+            return rows.map(row => JSON.stringify(Object.fromEntries(
+                columns.map(column => [column.name, toValue(column, row, ctx, timestampMode)])
+            ))).join('\n') + (rows.length > 0 ? '\n' : '');
+        }
+
+        const delimiter = options.delimiter || ',';
+        const lines = [columns.map(column => escapeCsv(column.name, delimiter)).join(delimiter)];
+        rows.forEach(row => {
+            lines.push(columns.map(column => escapeCsv(toValue(column, row, ctx, timestampMode), delimiter)).join(delimiter));
+        });
+        return (options.bom ? '\uFEFF' : '') + lines.join('\r\n') + '\r\n';
+    }
+
+    /**
+     * 열 스키마 { dataset, format, columns: [{ name, type, encoding? }] }
+     * timestamp 열의 encoding은 'iso8601' 또는 'epoch_ms'
+     */
+    function getSchema(dataset, options = {}) {
+        const timestampMode = options.timestamp || 'iso';
+        return {
+            dataset,
+            format: options.format || 'csv',
+            columns: selectColumns(dataset, options.columns).map(column => (column.type === 'timestamp' ?
+                { name: column.name, type: column.type, encoding: timestampMode === 'epoch_ms' ? 'epoch_ms' : 'iso8601' } :
+                { name: column.name, type: column.type }))
+        };
+    }
+
+    const ExportFormats = {
+        DATASETS,
+        FORMATS,
+        TIMESTAMP_MODES,
+        DELIMITERS,
+        getColumnNames,
+        summarizeTargets,
+        buildRows,
+        serialize,
+        getSchema
+    };
+
+    global.ExportFormats = ExportFormats;
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = ExportFormats;
+    }
+})(typeof window !== 'undefined' ? window : globalThis);
@@ -0,0 +1,144 @@
+// ========== 화면 언어 ==========
+// 화면 문구는 한국어 원문을 그대로 키로 사용합니다. t('총 데미지')는 현재 언어의 번역을 돌려주고,
+// 번역이 없으면 원문을 그대로 돌려주므로 번역하지 않은 문구도 한국어로는 항상 보입니다.
+//   I18n.t('타격: {count}회', { count: 3 }) -> 'Hits: 3' (en)
+// 새 언어는 locales/ 아래 파일에서 I18n.register('코드', '이름', { 원문: 번역 })으로 추가합니다.
+//
+// HTML의 고정 문구는 속성으로 표시해 두면 translatePage가 원문을 속성에 기억해 두고 언어를 바꿀 때마다 다시 씁니다.
+//   data-i18n (텍스트), data-i18n-title (title), data-i18n-placeholder (placeholder)
+(function (global) {
+    const DEFAULT_LOCALE = 'ko';
+    const STORAGE_KEY = 'uiLocale';
+
+    // 언어 코드 -> { name, messages }
+    const locales = new Map([[DEFAULT_LOCALE, { name: '한국어', messages: {} }]]);
+    const listeners = new Set();
+    let currentLocale = DEFAULT_LOCALE;
+
+    /**
+     * 언어를 추가하거나 기존 언어에 번역을 더합니다.
+     */
+    function register(code, name, messages = {}) {
+        const existing = locales.get(code);
+        locales.set(code, {
+            name: name || (existing && existing.name) || code,
+            messages: { ...(existing && existing.messages), ...messages }
+        });
+    }
+
+    // '{name}' 자리에 params 값을 넣음 (없는 값은 그대로 둠)
+    function format(text, params) {
+        if (!params) return text;
+        return text.replace(/\{(\w+)\}/g, (match, key) => (key in params ? String(params[key]) : match));
+    }
+
+    function t(text, params = null) {
+        const messages = locales.get(currentLocale).messages;
+        const translated = Object.prototype.hasOwnProperty.call(messages, text) ? messages[text] : text;
+        return format(translated, params);
+    }
+
+    // 현재 언어에 원문의 번역이 있는지 (기본 언어는 항상 true)
+    function has(text) {
+        return currentLocale === DEFAULT_LOCALE ||
+            Object.prototype.hasOwnProperty.call(locales.get(currentLocale).messages, text);
+    }
+
+    function getLocale() {
+        return currentLocale;
+    }
+
+    // 선택 목록용 [{ code, name }] (등록 순서)
+    function getLocales() {
+        return Array.from(locales.entries(), ([code, locale]) => ({ code, name: locale.name }));
+    }
+
+    /**
+     * 화면 언어를 바꾸고 변경 알림을 보냅니다. 등록되지 않은 언어면 false.
+     */
+    function setLocale(code) {
+        if (!locales.has(code)) return false;
+        if (code !== currentLocale) {
+            currentLocale = code;
+            listeners.forEach(listener => listener(code));
+        }
+        return true;
+    }
+
+    function onChange(listener) {
+        listeners.add(listener);
+        return () => listeners.delete(listener);
+    }
+
+    /**
+     * 저장된 언어, 없으면 브라우저 언어 중 등록된 것, 그것도 없으면 기본 언어(한국어)
+     * @param {Storage} storage localStorage
+     * @param {string[]} languages navigator.languages
+     */
+    function loadLocale(storage, languages = []) {
+        let saved = null;
+        try {
+            saved = storage ? storage.getItem(STORAGE_KEY) : null;
+        } catch (error) {
+            // 저장소를 쓸 수 없는 환경이면 브라우저 언어로 결정
+        }
+        if (saved && locales.has(saved)) return saved;
+
+        const preferred = languages
+            .map(language => String(language).toLowerCase().split('-')[0])
+            .find(code => locales.has(code));
+        return preferred || DEFAULT_LOCALE;
+    }
+
+    function saveLocale(storage, code) {
+        try {
+            storage.setItem(STORAGE_KEY, code);
+        } catch (error) {
+            console.warn('화면 언어 저장 실패:', error);
+        }
+    }
+
+    // 원문을 속성에 기억해 두고(처음 한 번) 현재 언어로 다시 씀
+    function translateAttribute(root, attribute, read, write) {
+        root.querySelectorAll(`[${attribute}]`).forEach(element => {
+            if (!element.getAttribute(attribute)) {
+                element.setAttribute(attribute, read(element));
+            }
+            write(element, t(element.getAttribute(attribute)));
+        });
+    }
+
+    /**
+     * data-i18n 속성이 있는 고정 문구를 현재 언어로 바꿉니다.
+     */
+    function translatePage(root = global.document) {
+        if (!root) return;
+        translateAttribute(root, 'data-i18n', element => element.textContent.trim(), (element, text) => { element.textContent = text; });
+        translateAttribute(root, 'data-i18n-title', element => element.title, (element, text) => { element.title = text; });
+        translateAttribute(root, 'data-i18n-placeholder', element => element.placeholder, (element, text) => { element.placeholder = text; });
+        if (root.documentElement) {
+            root.documentElement.lang = currentLocale;
+        }
+    }
+
+    const I18n = {
+        DEFAULT_LOCALE,
+        STORAGE_KEY,
+        register,
+        format,
+        t,
+        has,
+        getLocale,
+        getLocales,
+        setLocale,
+        onChange,
+        loadLocale,
+        saveLocale,
+        translatePage
+    };
+
+    global.I18n = I18n;
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = I18n;
+    }
+})(typeof window !== 'undefined' ? window : globalThis);
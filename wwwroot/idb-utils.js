@@ -0,0 +1,29 @@
+// ========== IndexedDB 도우미 ==========
+// 세션 기록 저장소(session-history.js)와 프로필 저장소(profile-store.js)가 함께 쓰는
+// IDBRequest/IDBTransaction 완료를 Promise로 바꾸는 함수입니다.
+(function (global) {
+    function requestToPromise(request) {
+        return new Promise((resolve, reject) => {
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    function transactionDone(transaction) {
+        return new Promise((resolve, reject) => {
+            transaction.oncomplete = () => resolve();
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        });
+    }
+
+    const IdbUtils = {
+        requestToPromise,
+        transactionDone
+    };
+
+    global.IdbUtils = IdbUtils;
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = IdbUtils;
+    }
+})(typeof window !== 'undefined' ? window : globalThis);
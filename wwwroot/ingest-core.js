@@ -0,0 +1,252 @@
+// ========== 수신 데이터 처리 코어 ==========
+// 원본 메시지 파싱, 다중 서버 중복 제거, 세션 집계를 UI와 분리해 수행합니다.
+// 브라우저에서는 Web Worker(ingest-worker.js) 안에서 실행되고, Worker를 쓸 수 없으면 메인 스레드에서 그대로 사용합니다.
+// 받은 메시지 묶음을 처리한 뒤 takeDiff()로 마지막 변경 이후 바뀐 부분만 꺼내고,
+// UI 쪽에서는 applyDiff()로 자신의 세션 상태(DamageMeterApp)에 반영합니다.
+//
+// 변경분(diff)은 postMessage로 복사할 수 있는 값만 담습니다.
+//   reset        세션이 종료된 상태에서 새 타격이 들어와 새 세션을 시작했는지 (UI도 먼저 초기화해야 함)
+//   entries      새 로그 항목 (시간순)
+//   support      새 지원 이벤트 로그 항목 (치유/보호막/버프 등 데미지 외 이벤트, 데미지 집계에는 반영하지 않음)
+//   users        바뀐 사용자 집계 [[이름, 집계]] (스킬 분포 샘플 제외, 샘플은 entries로 이어 붙임)
+//   targets      바뀐 타겟 집계 [[이름, 집계]]
+//   timeline     바뀐 초 단위 버킷 [[초, Map(userName -> Map(targetName -> damage))]]
+//   statistics   전체 통계 (변경이 없으면 null)
+//   messageStats 수신/거부 메시지 통계 { accepted, rejected, control, reasons, lastRejected }
+//   sources      서버별 중복 제거 통계 [[sourceId, { accepted, duplicates }]]
+//   rejected     이번 묶음에서 거부된 메시지 일부 [{ raw, reason }]
+//   received     이번 묶음에서 처리한 원본 메시지 수
+(function (global) {
+    // Node에서는 의존 모듈을 직접 불러옴 (브라우저/Worker에서는 이미 전역에 있음)
+    if (typeof module !== 'undefined' && module.exports) {
+        if (!global.DamageAnalysis) require('./analysis.js');
+        if (!global.StreamMerger) require('./stream-merger.js');
+    }
+    const { DamageAnalysis, DamageProtocol, ModifierFlags, StreamMerger } = global;
+
+    const MAX_REJECTED_SAMPLES = 20; // 묶음 하나에서 UI로 보낼 거부 메시지 예시 수
+
+    const identity = (name) => name;
+
+    function copyFlagStats(flagStats) {
+        return ModifierFlags.mergeFlagStats(ModifierFlags.createFlagStats(), flagStats);
+    }
+
+    // 사용자 집계 복사본 (스킬 분포 샘플 제외)
+    function copyUserStats(userData) {
+        const { skills, ...stats } = userData;
+        return {
+            ...stats,
+            flagStats: copyFlagStats(userData.flagStats),
+            skills: Array.from(skills.entries()).map(([key, skill]) => {
+                const { normalSamples, critSamples, ...skillStats } = skill;
+                return [key, { ...skillStats, flagStats: copyFlagStats(skill.flagStats) }];
+            })
+        };
+    }
+
+    function copyTimelineBucket(bucket) {
+        return new Map(Array.from(bucket.entries()).map(([userName, targets]) => [userName, new Map(targets)]));
+    }
+
+    class IngestCore {
+        /**
+         * @param {Object} options
+         *   - skillMappings: 스킬 키 -> 표시 이름 (translation.js의 SKILL_MAPPINGS)
+         *   - dedupTolerance: 다중 서버 중복 판단 허용 오차 (ms)
+         */
+        constructor(options = {}) {
+            this.messageStats = DamageProtocol.createRejectionCounter();
+            this.setSkillMappings(options.skillMappings);
+            this.configure(options);
+            this.reset();
+        }
+
+        setSkillMappings(skillMappings) {
+            this.getSkillDisplayName = skillMappings ?
+                (skillName) => (skillName && skillMappings[skillName]) || skillName :
+                identity;
+        }
+
+        // 연결 설정이 바뀌면 중복 제거 상태를 새로 시작
+        configure(options = {}) {
+            this.merger = new StreamMerger({ tolerance: options.dedupTolerance });
+        }
+
+        // 빈 세션으로 초기화 (수신/거부 통계는 유지)
+        reset() {
+            this.damageData = new Map();
+            this.targetData = new Map();
+            this.damageTimeline = new Map();
+            this.ended = false;
+            this.clearPending();
+        }
+
+        /**
+         * UI에서 불러온 세션(파일/프로필/세션 기록)으로 집계를 교체합니다.
+         * ended가 true면 다음 타격이 들어올 때 새 세션을 시작합니다.
+         */
+        load(snapshot, ended = false) {
+            const session = DamageAnalysis.restoreSession(snapshot);
+            this.damageData = session.damageData;
+            this.targetData = session.targetData;
+            this.damageTimeline = session.damageTimeline;
+            this.ended = ended;
+            this.clearPending();
+        }
+
+        // 세션 종료 (UI의 자동 세션 종료와 함께 호출)
+        end() {
+            this.ended = true;
+        }
+
+        clearPending() {
+            this.pending = {
+                reset: false,
+                entries: [],
+                support: [],
+                users: new Set(),
+                targets: new Set(),
+                timeline: new Set(),
+                rejected: [],
+                received: 0
+            };
+        }
+
+        /**
+         * 원본 메시지 묶음을 처리합니다.
+         * @param {Array} items [{ raw, source }] source는 수신한 서버 id (단일 연결이면 null)
+         * @param {number} now 타임스탬프가 없는 메시지에 쓸 시각
+         */
+        ingest(items, now = Date.now()) {
+            const pending = this.pending;
+            items.forEach(({ raw, source = null }) => {
+                pending.received++;
+
+                // 프로토콜 스키마로 파싱 및 검증
+                const result = DamageAnalysis.parseMessage(raw, this.messageStats);
+                if (result.control) return; // 재생 상태 등 서버 제어 메시지
+                if (!result.ok) {
+                    if (pending.rejected.length < MAX_REJECTED_SAMPLES) {
+                        pending.rejected.push({ raw, reason: DamageProtocol.describeRejection(result) });
+                    }
+                    return;
+                }
+                const data = result.data;
+
+                // 여러 서버에서 같은 타격이 들어오면 먼저 받은 것만 사용
+                if (source && !this.merger.accept(data, source)) return;
+
+                // 지원 이벤트는 세션을 시작하거나 이어가지 않음 (종료된 세션에 들어온 것은 버림)
+                if (!DamageProtocol.isDamageEvent(data)) {
+                    if (!this.ended) {
+                        data.source = source;
+                        pending.support.push(DamageAnalysis.createLogEntry(data, now));
+                    }
+                    return;
+                }
+
+                // 세션이 종료된 상태에서 새로운 데미지가 들어오면 새 세션 시작
+                if (this.ended) {
+                    const { rejected, received } = pending;
+                    this.reset();
+                    Object.assign(this.pending, { reset: true, rejected, received });
+                }
+
+                data.source = source;
+                this.record(DamageAnalysis.createLogEntry(data, now));
+            });
+        }
+
+        // 로그 항목 하나를 사용자/타겟/타임라인 집계에 반영 (로그 자체는 UI 쪽에서만 보관)
+        record(entry) {
+            DamageAnalysis.recordUserHit(this.damageData, entry, this.getSkillDisplayName);
+            DamageAnalysis.recordTargetHit(this.targetData, entry);
+            DamageAnalysis.addTimelineDamage(this.damageTimeline, entry.timestamp, entry.user_name, entry.target_name, entry.damage);
+
+            const pending = this.pending;
+            pending.entries.push(entry);
+            pending.users.add(entry.user_name);
+            pending.targets.add(entry.target_name);
+            pending.timeline.add(Math.floor(entry.timestamp / 1000));
+        }
+
+        /**
+         * 마지막 호출 이후의 변경분을 꺼내고 변경 기록을 비웁니다.
+         */
+        takeDiff() {
+            const pending = this.pending;
+            const changed = pending.reset || pending.entries.length > 0;
+            const diff = {
+                reset: pending.reset,
+                entries: pending.entries,
+                support: pending.support,
+                users: Array.from(pending.users, name => [name, copyUserStats(this.damageData.get(name))]),
+                targets: Array.from(pending.targets, name => [name, { ...this.targetData.get(name) }]),
+                timeline: Array.from(pending.timeline, second => [second, copyTimelineBucket(this.damageTimeline.get(second))]),
+                statistics: changed ? DamageAnalysis.computeStatistics(this.damageData.values()) : null,
+                messageStats: {
+                    accepted: this.messageStats.accepted,
+                    rejected: this.messageStats.rejected,
+                    control: this.messageStats.control,
+                    reasons: { ...this.messageStats.reasons },
+                    lastRejected: this.messageStats.lastRejected
+                },
+                sources: Array.from(this.merger.bySource.entries(), ([sourceId, stats]) => [sourceId, { ...stats }]),
+                rejected: pending.rejected,
+                received: pending.received
+            };
+            this.clearPending();
+            return diff;
+        }
+    }
+
+    /**
+     * 변경분을 세션 상태(session: damageData/targetData/damageTimeline/logStore/supportLog/statistics)에 반영합니다.
+     * diff.reset 처리(세션 초기화)는 호출하는 쪽에서 먼저 합니다. 반영한 로그 항목 목록을 반환합니다.
+     */
+    function applyDiff(session, diff) {
+        diff.users.forEach(([name, stats]) => {
+            const existing = session.damageData.get(name);
+            session.damageData.set(name, {
+                ...stats,
+                dps: existing ? existing.dps : stats.dps, // DPS는 UI 시계 기준으로 따로 계산
+                skills: new Map(stats.skills.map(([key, skill]) => {
+                    const previous = existing && existing.skills.get(key);
+                    return [key, {
+                        ...skill,
+                        normalSamples: (previous && previous.normalSamples) || [],
+                        critSamples: (previous && previous.critSamples) || []
+                    }];
+                }))
+            });
+        });
+        diff.targets.forEach(([name, target]) => session.targetData.set(name, target));
+        diff.timeline.forEach(([second, bucket]) => session.damageTimeline.set(second, bucket));
+
+        // 분포 통계용 샘플은 새 로그 항목으로 이어 붙임
+        diff.entries.forEach(entry => {
+            const skill = session.damageData.get(entry.user_name).skills.get(entry.skill_name);
+            (entry.is_crit ? skill.critSamples : skill.normalSamples).push(entry.damage);
+            session.logStore.append(entry);
+        });
+
+        diff.support.forEach(entry => session.supportLog.append(entry));
+
+        if (diff.statistics) {
+            session.statistics = diff.statistics;
+        }
+        return diff.entries;
+    }
+
+    const DamageIngest = {
+        MAX_REJECTED_SAMPLES,
+        IngestCore,
+        applyDiff
+    };
+
+    global.DamageIngest = DamageIngest;
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = DamageIngest;
+    }
+})(typeof window !== 'undefined' ? window : globalThis);
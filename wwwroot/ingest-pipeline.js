@@ -0,0 +1,205 @@
+// ========== 수신 데이터 파이프라인 ==========
+// WebSocket에서 받은 원본 메시지를 모아 Web Worker(ingest-worker.js)로 보내고,
+// Worker가 돌려준 변경분(diff)을 onDiff로 전달합니다. 파싱/집계가 UI 스레드를 막지 않도록 하기 위함입니다.
+//   - 메시지는 flushInterval마다, 또는 maxBatchSize만큼 쌓이면 한 묶음으로 전송
+//   - Worker를 만들 수 없거나 오류로 멈추면 같은 코어(IngestCore)를 메인 스레드에서 실행 (처리 중이던 묶음은 다시 처리)
+//   - reset/load처럼 세션을 바꾸는 제어 메시지 이전에 보낸 묶음의 집계 결과는 버림 (수신 통계만 반영)
+//   - 초당 처리량, 대기(큐 + 처리 중) 메시지 수, 수신부터 반영까지 걸린 시간을 getStats로 제공
+(function (global) {
+    const DEFAULT_OPTIONS = {
+        workerUrl: 'ingest-worker.js',
+        flushInterval: 50, // 묶음 전송 주기 (ms)
+        maxBatchSize: 500, // 이만큼 쌓이면 주기를 기다리지 않고 전송
+        rateWindow: 2000 // 처리량 계산 구간 (ms)
+    };
+
+    // 버려진 묶음의 diff에서 지울 집계 변경분
+    const EMPTY_CHANGES = { reset: false, entries: [], support: [], users: [], targets: [], timeline: [], statistics: null };
+
+    class IngestPipeline {
+        /**
+         * @param {Object} handlers
+         *   - onDiff(diff): 묶음 하나의 처리 결과 (형식은 ingest-core.js 참고)
+         *   - getState(): { snapshot, ended } 현재 UI 세션 (메인 스레드 처리로 전환할 때 코어에 불러옴)
+         * @param {Object} options DEFAULT_OPTIONS + core: IngestCore 옵션 { skillMappings, dedupTolerance }
+         */
+        constructor(handlers = {}, options = {}) {
+            this.handlers = handlers;
+            this.options = { ...DEFAULT_OPTIONS, ...options };
+            this.coreOptions = { ...this.options.core };
+
+            this.queue = []; // 아직 보내지 않은 메시지 [{ raw, source }]
+            this.queuedAt = null; // 큐의 첫 메시지를 받은 시각
+            this.flushTimer = null;
+            this.inFlight = new Map(); // 묶음 id -> { items, generation, queuedAt }
+            this.nextBatchId = 1;
+            this.generation = 0; // reset/load마다 증가
+            this.processedLog = []; // 최근 처리 기록 [[시각, 메시지 수]]
+            this.lastLatency = null; // 마지막 묶음의 수신~반영 시간 (ms)
+
+            this.worker = null;
+            this.core = null; // 메인 스레드 처리 시 사용하는 IngestCore
+            this.fallbackReason = null;
+            this.startWorker();
+        }
+
+        get mode() {
+            return this.worker ? 'worker' : 'main';
+        }
+
+        startWorker() {
+            if (typeof Worker === 'undefined') {
+                this.useMainThread('Web Worker를 지원하지 않는 환경');
+                return;
+            }
+
+            try {
+                this.worker = new Worker(this.options.workerUrl);
+            } catch (error) {
+                // file:// 로 연 페이지 등에서는 Worker 생성이 거부됨
+                this.useMainThread(error.message);
+                return;
+            }
+            this.worker.onmessage = (event) => this.handleDiff(event.data.id, event.data.diff);
+            this.worker.onerror = (event) => {
+                event.preventDefault?.();
+                this.useMainThread(event.message || 'Worker 오류');
+            };
+            this.worker.postMessage({ type: 'init', options: this.coreOptions });
+        }
+
+        // Worker 대신 메인 스레드에서 처리 (현재 UI 세션을 불러온 뒤 처리 중이던 묶음을 다시 처리)
+        useMainThread(reason) {
+            if (this.worker) {
+                this.worker.terminate();
+                this.worker = null;
+            }
+            this.fallbackReason = reason;
+            console.warn(`수신 데이터 처리를 메인 스레드에서 합니다 (${reason})`);
+
+            this.core = new DamageIngest.IngestCore(this.coreOptions);
+            const state = this.handlers.getState?.();
+            if (state) this.core.load(state.snapshot, state.ended);
+
+            const pending = Array.from(this.inFlight.entries());
+            this.inFlight.clear();
+            pending.forEach(([id, batch]) => {
+                if (batch.generation !== this.generation) return;
+                this.inFlight.set(id, batch);
+                this.core.ingest(batch.items);
+                this.handleDiff(id, this.core.takeDiff());
+            });
+        }
+
+        /**
+         * 원본 메시지 하나를 큐에 넣습니다.
+         * @param {string} raw
+         * @param {string|null} source 수신한 서버 id
+         */
+        push(raw, source = null) {
+            if (this.queue.length === 0) this.queuedAt = Date.now();
+            this.queue.push({ raw, source });
+
+            if (this.queue.length >= this.options.maxBatchSize) {
+                this.flush();
+            } else if (!this.flushTimer) {
+                this.flushTimer = setTimeout(() => this.flush(), this.options.flushInterval);
+            }
+        }
+
+        // 큐에 쌓인 메시지를 한 묶음으로 처리
+        flush() {
+            clearTimeout(this.flushTimer);
+            this.flushTimer = null;
+            if (this.queue.length === 0) return;
+
+            const id = this.nextBatchId++;
+            const batch = { items: this.queue, generation: this.generation, queuedAt: this.queuedAt };
+            this.queue = [];
+            this.queuedAt = null;
+            this.inFlight.set(id, batch);
+
+            if (this.worker) {
+                this.worker.postMessage({ type: 'ingest', id, items: batch.items });
+            } else {
+                this.core.ingest(batch.items);
+                this.handleDiff(id, this.core.takeDiff());
+            }
+        }
+
+        handleDiff(id, diff) {
+            const batch = this.inFlight.get(id);
+            if (!batch) return;
+            this.inFlight.delete(id);
+
+            const now = Date.now();
+            this.processedLog.push([now, batch.items.length]);
+            this.lastLatency = now - batch.queuedAt;
+
+            const stale = batch.generation !== this.generation;
+            this.handlers.onDiff?.(stale ? { ...diff, ...EMPTY_CHANGES } : diff);
+        }
+
+        // 제어 메시지는 앞서 받은 메시지를 먼저 보낸 뒤 전달 (처리 순서 유지)
+        send(message) {
+            this.flush();
+            if (this.worker) {
+                this.worker.postMessage(message);
+                return;
+            }
+            switch (message.type) {
+                case 'reset': this.core.reset(); break;
+                case 'load': this.core.load(message.snapshot, message.ended); break;
+                case 'end': this.core.end(); break;
+                case 'configure': this.core.configure(message.options); break;
+            }
+        }
+
+        // 세션 초기화 (처리 중인 묶음의 집계는 버림)
+        reset() {
+            this.generation++;
+            this.send({ type: 'reset' });
+        }
+
+        /**
+         * UI에서 불러온 세션으로 집계를 교체합니다. ended면 다음 타격에서 새 세션을 시작합니다.
+         */
+        load(snapshot, ended = false) {
+            this.generation++;
+            this.send({ type: 'load', snapshot, ended });
+        }
+
+        end() {
+            this.send({ type: 'end' });
+        }
+
+        configure(options) {
+            Object.assign(this.coreOptions, options);
+            this.send({ type: 'configure', options });
+        }
+
+        /**
+         * 처리 상태: { mode, rate(초당 처리 메시지), backlog(대기 메시지), latency(ms) }
+         */
+        getStats(now = Date.now()) {
+            const windowStart = now - this.options.rateWindow;
+            this.processedLog = this.processedLog.filter(([time]) => time >= windowStart);
+            const processed = this.processedLog.reduce((total, [, count]) => total + count, 0);
+
+            let backlog = this.queue.length;
+            this.inFlight.forEach(batch => { backlog += batch.items.length; });
+
+            return {
+                mode: this.mode,
+                fallbackReason: this.fallbackReason,
+                rate: processed / (this.options.rateWindow / 1000),
+                backlog,
+                latency: this.lastLatency
+            };
+        }
+    }
+
+    IngestPipeline.DEFAULT_OPTIONS = DEFAULT_OPTIONS;
+
+    global.IngestPipeline = IngestPipeline;
+})(typeof window !== 'undefined' ? window : globalThis);
@@ -0,0 +1,36 @@
+// ========== 수신 데이터 처리 Worker ==========
+// 메인 스레드(IngestPipeline)가 모아 보낸 원본 메시지 묶음을 IngestCore로 처리하고,
+// 묶음마다 변경분(diff)을 돌려보냅니다. 메시지 순서대로 처리하므로 제어 메시지(reset/load/end)와
+// 데이터 묶음의 순서가 메인 스레드에서 보낸 순서와 같습니다.
+//
+// 받는 메시지: { type: 'init', options } | { type: 'ingest', id, items } | { type: 'reset' }
+//             | { type: 'load', snapshot, ended } | { type: 'end' } | { type: 'configure', options }
+// 보내는 메시지: { type: 'diff', id, diff }
+importScripts('protocol.js', 'modifiers.js', 'log-store.js', 'analysis.js', 'stream-merger.js', 'ingest-core.js');
+
+let core = new DamageIngest.IngestCore();
+
+self.onmessage = (event) => {
+    const message = event.data;
+    switch (message.type) {
+        case 'init':
+            core = new DamageIngest.IngestCore(message.options);
+            break;
+        case 'ingest':
+            core.ingest(message.items);
+            self.postMessage({ type: 'diff', id: message.id, diff: core.takeDiff() });
+            break;
+        case 'reset':
+            core.reset();
+            break;
+        case 'load':
+            core.load(message.snapshot, message.ended);
+            break;
+        case 'end':
+            core.end();
+            break;
+        case 'configure':
+            core.configure(message.options);
+            break;
+    }
+};
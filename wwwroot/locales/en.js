@@ -0,0 +1,477 @@
+// ========== 영어 (en) ==========
+// 화면 문구의 영어 번역입니다. 키는 한국어 원문 그대로이며, 없는 문구는 한국어로 표시됩니다. (i18n.js 참고)
+// 스킬 이름은 여기가 아니라 번역 탭의 번역 팩(skill-translations.js)으로 관리합니다.
+I18n.register('en', 'English', {
+    // 페이지 / 헤더
+    '데미지 미터 - 실시간 전투 분석': 'Damage Meter - Live Combat Analysis',
+    '⚔️ 모바노기 데미지 미터': '⚔️ Mabinogi Mobile Damage Meter',
+    '테마 변경': 'Toggle theme',
+    '화면 언어': 'Display language',
+    '연결이 끊겨 데이터를 받지 못한 시간은 전투 시간과 DPS 계산에서 제외됩니다': 'Time spent disconnected is excluded from combat time and DPS',
+
+    // 전투 정보 / 세션 상태
+    '⚔️ 전투 정보': '⚔️ Combat Info',
+    '전투 시간': 'Combat time',
+    '총 데미지': 'Total damage',
+    '총 DPS': 'Total DPS',
+    '세션 상태': 'Session status',
+    '데이터 누락': 'Data gaps',
+    '없음': 'None',
+    '🟢 진행중': '🟢 In progress',
+    '⚪ 초기화됨': '⚪ Reset',
+    '🟢 테스트 진행중': '🟢 Test running',
+    '🟡 세션 종료 (비활성)': '🟡 Session ended (inactive)',
+    '📚 기록 보기': '📚 Viewing history',
+
+    // 필터 / 선택
+    '🔧 필터 설정': '🔧 Filters',
+    '스킬 검색': 'Skill search',
+    '스킬명 입력...': 'Enter skill name...',
+    '도트 데미지 제외': 'Exclude DoT damage',
+    '자동 세션 초기화': 'Auto-reset session',
+    '자동 세션 종료': 'Auto-end session',
+    '초': 's',
+    '화면 갱신 주기': 'Refresh rate',
+    '데이터 변경을 화면에 반영하는 주기 (바뀐 패널만 다시 그림)': 'How often data changes are drawn (only changed panels are redrawn)',
+    '0.25초': '0.25s',
+    '0.5초': '0.5s',
+    '1초': '1s',
+    '2초': '2s',
+    '5초': '5s',
+    '10초': '10s',
+    '{seconds}초': '{seconds}s',
+    '🎯 타겟 선택': '🎯 Targets',
+    '전투 구간': 'Encounter',
+    '전체 세션': 'Whole session',
+    '진행중': 'in progress',
+    '{target} - {number}회차': '{target} - pull {number}',
+    '잡몹 구간 {number}': 'Trash segment {number}',
+    '타겟 데이터를 기다리는 중...': 'Waiting for target data...',
+    '👤 사용자 선택': '👤 Players',
+    '사용자 데이터를 기다리는 중...': 'Waiting for player data...',
+    '선택 해제': 'Clear selection',
+    '전체 타겟': 'All targets',
+    '전체 사용자': 'All players',
+    '보스 지정 해제': 'Unmark as boss',
+    '보스로 지정': 'Mark as boss',
+    '데미지: {damage}': 'Damage: {damage}',
+    '타격: {count}회': 'Hits: {count}',
+    '크리: {count}회': 'Crits: {count}',
+
+    // 연결 설정
+    '🔌 연결 설정': '🔌 Connection',
+    'URL 파라미터로 지정된 서버를 사용 중입니다. 적용하면 아래 설정이 저장됩니다.': 'Using servers from URL parameters. Applying will save the settings below.',
+    '중복 판정 시간 오차 (ms)': 'Duplicate time tolerance (ms)',
+    '여러 서버에서 같은 사용자/대상/스킬/데미지의 타격이 이 시간 안에 들어오면 한 번만 집계': 'Hits with the same player/target/skill/damage from several servers within this window are counted once',
+    '➕ 서버 추가': '➕ Add server',
+    '🔌 적용 및 재연결': '🔌 Apply and reconnect',
+    '연결 사용': 'Enabled',
+    '프로토콜': 'Protocol',
+    '호스트': 'Host',
+    '포트': 'Port',
+    '서버 삭제': 'Remove server',
+    '경로 (선택)': 'Path (optional)',
+    '토큰 (선택)': 'Token (optional)',
+    '최소 한 개의 서버가 필요합니다.': 'At least one server is required.',
+    '서버 호스트를 입력해주세요.': 'Please enter a server host.',
+    '⚪ 연결할 서버 없음': '⚪ No servers to connect',
+    '{open}/{total} 연결됨': '{open}/{total} connected',
+    '연결됨': 'Connected',
+    '재연결 {count}회': '{count} reconnects',
+    '수신 {accepted} / 중복 {duplicates}': 'Received {accepted} / duplicates {duplicates}',
+    '데이터 누락 구간: {count}개': 'Data gaps: {count}',
+    '🔴 연결 끊김 · {seconds}초 후 재연결': '🔴 Disconnected · reconnecting in {seconds}s',
+    '🟡 재연결 시도 중 ({count}회)': '🟡 Reconnecting (attempt {count})',
+    '🟡 연결 중...': '🟡 Connecting...',
+    '🔴 연결 대기중': '🔴 Waiting for connection',
+
+    // 수신 처리 / 거부 사유
+    '거부 {count}': 'Rejected {count}',
+    '대기 {count}': 'Queued {count}',
+    '처리: {mode}': 'Processing: {mode}',
+    '메인 스레드 (대체: {reason})': 'main thread (fallback: {reason})',
+    '초당 처리: {rate}개': 'Processed per second: {rate}',
+    '대기 중인 메시지: {count}개': 'Queued messages: {count}',
+    '마지막 묶음 반영 지연: {latency}ms': 'Last batch latency: {latency}ms',
+    '빈 메시지': 'Empty message',
+    '지원하지 않는 버전': 'Unsupported version',
+    '필드 수 불일치': 'Field count mismatch',
+    '필수 값 누락': 'Missing required value',
+    '숫자 형식 오류': 'Invalid number',
+    '범위 초과': 'Out of range',
+    '알 수 없는 플래그 값': 'Unknown flag value',
+    '이벤트 종류 형식 오류': 'Invalid event kind',
+
+    // 컨트롤 / 리플레이
+    '🎮 컨트롤': '🎮 Controls',
+    '🔄 데이터 초기화': '🔄 Reset data',
+    '🧪 테스트 데이터': '🧪 Test data',
+    '📊 데이터 내보내기': '📊 Export data',
+    '원본 이벤트/요약을 CSV 또는 JSON Lines로 내보내기 (Ctrl+E)': 'Export raw events or summaries as CSV or JSON Lines (Ctrl+E)',
+    '� JSON 백업': '💾 JSON backup',
+    '📂 JSON 불러오기': '📂 Load JSON',
+    '⏯️ 리플레이': '⏯️ Replay',
+    '▶ 현재 세션 리플레이': '▶ Replay current session',
+    '불러온 백업/프로필/기록 세션을 처음부터 다시 재생합니다': 'Replays the loaded backup/profile/history session from the start',
+    '⏹ 종료': '⏹ Stop',
+    '재생 속도': 'Playback speed',
+    '⏸ 일시정지': '⏸ Pause',
+    '▶ 재생': '▶ Play',
+    '{processed} / {total} 타격': '{processed} / {total} hits',
+    '리플레이할 로그가 없습니다.': 'There are no logs to replay.',
+    '진행 중인 세션은 종료된 뒤에 리플레이할 수 있습니다.': 'A session in progress can be replayed once it ends.',
+
+    // 탭
+    '📊 통계': '📊 Statistics',
+    '� 로그': '📜 Logs',
+    '🏆 랭킹': '🏆 Ranking',
+    '🧪 디버프': '🧪 Debuffs',
+    '💚 지원': '💚 Support',
+    '⏱️ 로테이션': '⏱️ Rotation',
+    '📚 기록': '📚 History',
+    '📁 프로필': '📁 Profiles',
+    '📈 추이': '📈 Trends',
+    '🌐 번역': '🌐 Translations',
+
+    // 통계
+    '📊 상세 통계': '📊 Detailed Statistics',
+    '총 타격 수': 'Total hits',
+    '평균 데미지': 'Average damage',
+    '크리티컬 횟수': 'Critical hits',
+    '크리티컬 확률': 'Critical rate',
+    '추가타 횟수': 'Extra hits',
+    '추가타 확률': 'Extra hit rate',
+    '📈 DPS 타임라인': '📈 DPS Timeline',
+    '이동 평균 구간': 'Moving average window',
+    'DPS 데이터를 기다리는 중...': 'Waiting for DPS data...',
+    '📊 데미지 분포': '📊 Damage Distribution',
+    '분포를 볼 스킬': 'Skill to show',
+    '타격 데이터를 기다리는 중...': 'Waiting for hit data...',
+    '일반': 'Normal',
+    '표본 수': 'Samples',
+    '중앙값': 'Median',
+    '일반 평균': 'Normal average',
+    '크리 평균': 'Crit average',
+    '크리 배율 추정': 'Estimated crit multiplier',
+    '크리티컬 중앙값 / 일반 중앙값': 'Critical median / normal median',
+    '🧩 타격 플래그 분석': '🧩 Hit Flag Breakdown',
+    '분석할 스킬': 'Skill to analyze',
+    '전체 스킬': 'All skills',
+    '플래그 데이터를 기다리는 중...': 'Waiting for flag data...',
+    '플래그': 'Flag',
+    '횟수': 'Count',
+    '발생률': 'Rate',
+    '데미지 비중': 'Damage share',
+    '평균 대비': 'vs. average',
+    '플래그가 없는 타격의 평균 대비': 'Compared to the average of hits without flags',
+    '🎯 스킬별 데미지 분석': '🎯 Damage by Skill',
+    '스킬 데이터를 기다리는 중...': 'Waiting for skill data...',
+    '{hits}타 · {damage} 데미지': '{hits} hits · {damage} damage',
+    '크리 {count}회': '{count} crits',
+    '타격수': 'Hits',
+    '최소/최대': 'Min/Max',
+
+    // 로그
+    '📋 실시간 로그': '📋 Live Log',
+    '로그 데이터가 없습니다': 'No log data',
+    '{user}이(가) {target}에게 {skill}으로 {damage} 데미지': '{user} hit {target} with {skill} for {damage} damage',
+
+    // 타격 플래그 / 속성 효과
+    '크리티컬': 'Critical',
+    '추가타': 'Extra hit',
+    '무방비': 'Unguarded',
+    '브레이크': 'Break',
+    '선타': 'First hit',
+    '파워': 'Power',
+    '고속': 'Fast',
+    '기본 공격': 'Basic attack',
+    '다단 히트': 'Multi-hit',
+    '지속피해': 'DoT',
+    '빙결': 'Freeze',
+    '화상': 'Burn',
+    '감전': 'Shock',
+    '신성': 'Holy',
+    '암흑': 'Dark',
+    '출혈': 'Bleed',
+    '중독': 'Poison',
+    '정신': 'Mind',
+
+    // 랭킹 / 클래스
+    '🏆 사용자 랭킹': '🏆 Player Ranking',
+    '랭킹 기준': 'Ranking by',
+    '데미지 기준': 'By damage',
+    '치유 기준': 'By healing',
+    '전체 기여 기준': 'By total contribution',
+    '클래스 또는 역할로 거르기': 'Filter by class or role',
+    '클래스 또는 역할별로 묶어 보기': 'Group by class or role',
+    '전체 클래스': 'All classes',
+    '묶지 않음': 'No grouping',
+    '클래스별': 'By class',
+    '역할별': 'By role',
+    '랭킹 데이터를 기다리는 중...': 'Waiting for ranking data...',
+    '치유/보호막 기록이 없습니다': 'No healing/shield records',
+    '선택한 클래스/역할의 사용자가 없습니다': 'No players of the selected class/role',
+    '기여': 'Contribution',
+    '{count}명': '{count} players',
+    '역할': 'Role',
+    '클래스': 'Class',
+    '❔ 역할 미확인': '❔ Unknown role',
+    '탱커': 'Tank',
+    '딜러': 'DPS',
+    '힐러': 'Healer',
+    '미확인': 'Unknown',
+    '검술': 'Sword Master',
+    '석궁사수': 'Arbalist',
+    '화법': 'Fire Mage',
+    '얼탱': 'Ice Mage',
+    '격투가': 'Fighter',
+    '장궁병': 'Longbowman',
+    '전사': 'Warrior',
+    '대검전사': 'Greatsword Warrior',
+    '도적': 'Thief',
+    '듀블': 'Dual Blades',
+    '궁수': 'Archer',
+    '마법사': 'Mage',
+    '사제': 'Priest',
+    '음유시인': 'Bard',
+    '수도사': 'Monk',
+    '댄서': 'Dancer',
+    '악사': 'Musician',
+    '전격술사': 'Lightning Mage',
+    '전사 계열': 'Warrior (novice)',
+
+    // 디버프
+    '🧪 지속 피해 / 속성 효과 유지율': '🧪 DoT / Elemental Effect Uptime',
+    '이 간격보다 틱이 뜸하면 효과가 끊긴 것으로 판단': 'Treat the effect as dropped when ticks are further apart than this',
+    '끊김 기준 2초': 'Drop after 2s',
+    '끊김 기준 3초': 'Drop after 3s',
+    '끊김 기준 5초': 'Drop after 5s',
+    '로그 데이터를 기다리는 중...': 'Waiting for log data...',
+    '분석 구간': 'Analyzed range',
+    '지속 피해 데미지': 'DoT damage',
+    '지속 피해 비중': 'DoT share',
+    '지속 피해/속성 효과 데이터가 없습니다.': 'No DoT/elemental effect data.',
+    '타겟': 'Target',
+    '시전자': 'Caster',
+    '효과': 'Effect',
+    '유지율': 'Uptime',
+    '틱': 'Ticks',
+    '데미지': 'Damage',
+    '도트 비중': 'DoT share',
+    '끊긴 구간': 'Gaps',
+
+    // 지원
+    '💚 치유 / 지원 기여': '💚 Healing / Support Contribution',
+    '지원 이벤트를 기다리는 중...': 'Waiting for support events...',
+    '치유/보호막/버프 이벤트가 없습니다. (프로토콜 v2 이벤트를 보내는 서버가 필요합니다)': 'No heal/shield/buff events. (Requires a server sending protocol v2 events)',
+    '버프 구간의 데미지에서 버프가 없던 구간의 초당 데미지만큼을 뺀 추정치': 'Estimate: damage during buffs minus the unbuffed damage per second over the same time',
+    '버프가 없던 구간이 없어 비교할 수 없습니다': 'No unbuffed time to compare against',
+    '총 치유량': 'Total healing',
+    '총 보호막': 'Total shielding',
+    '버프 부여': 'Buffs applied',
+    '기타 이벤트': 'Other events',
+    '이 구간에는 지원 이벤트가 없습니다.': 'No support events in this range.',
+    '치유량': 'Healing',
+    '치유': 'Healing',
+    '크리': 'Crits',
+    '보호막': 'Shield',
+    '버프': 'Buff',
+    '버프 기여(추정)': 'Buff contribution (est.)',
+    '기타': 'Other',
+    '버프 유지율': 'Buff uptime',
+    '대상': 'Target',
+    '부여': 'Applied',
+    '기여(추정)': 'Contribution (est.)',
+    '파티 전체': 'Whole party',
+
+    // 로테이션
+    '⏱️ 스킬 로테이션': '⏱️ Skill Rotation',
+    '표시할 스킬': 'Skills to show',
+    '전체 보기': 'Show all',
+    '전체 구간 보기': 'Show whole range',
+    '휠로 확대/축소, 드래그로 이동, 더블클릭으로 전체 보기': 'Wheel to zoom, drag to pan, double-click to show all',
+    '스킬 사용 기록을 기다리는 중...': 'Waiting for skill usage...',
+
+    // 세션 기록
+    '📚 세션 기록': '📚 Session History',
+    '대상 / 참가자 / 태그 검색': 'Search targets / participants / tags',
+    '시작': 'From',
+    '종료': 'To',
+    '모든 태그': 'All tags',
+    '고정만': 'Pinned only',
+    '최대': 'Keep up to',
+    '개': 'sessions',
+    '보관': 'Keep for',
+    '일': 'days',
+    '0은 제한 없음 · 고정한 세션은 정리되지 않습니다': '0 means no limit · pinned sessions are never removed',
+    '저장된 세션이 없습니다. 세션이 종료되면 자동으로 저장됩니다.': 'No saved sessions. Sessions are saved automatically when they end.',
+    '검색 조건에 맞는 세션이 없습니다.': 'No sessions match the search.',
+    '이 브라우저는 IndexedDB를 지원하지 않아 세션 기록을 저장할 수 없습니다.': 'This browser does not support IndexedDB, so session history cannot be saved.',
+    '세션 기록을 찾을 수 없습니다.': 'Session not found.',
+    '태그를 쉼표로 구분해 입력하세요.': 'Enter tags separated by commas.',
+    '이 세션 기록을 삭제하시겠습니까?': 'Delete this session from history?',
+    '{names} 외 {count}': '{names} and {count} more',
+    '대상 없음': 'No targets',
+    '참가자 {count}명: {names}': '{count} participants: {names}',
+    '열기': 'Open',
+    '고정 해제': 'Unpin',
+    '고정': 'Pin',
+    '태그': 'Tags',
+
+    // 프로필
+    '📁 프로필 관리': '📁 Profiles',
+    '프로필 이름 입력...': 'Enter profile name...',
+    '💾 저장': '💾 Save',
+    '비교할 프로필 선택': 'Select a profile to compare',
+    '비교 모드': 'Compare mode',
+    '📁 저장된 프로필': '📁 Saved Profiles',
+    '저장된 프로필이 없습니다.': 'No saved profiles.',
+    '🔄 프로필 비교': '🔄 Profile Comparison',
+    '비교할 세션': 'Session to compare',
+    '기준 프로필': 'Baseline profile',
+    '👤 사용자 / 스킬별 비교': '👤 By Player / Skill',
+    'DPS는 각 세션의 전투 시간(데이터 누락 구간 제외)으로 나눈 값입니다. 크리티컬 확률과 평균 데미지 변화의 ●●는 99%, ●는 95% 신뢰 수준에서 우연으로 보기 어려운 차이입니다.': 'DPS is divided by each session\'s combat time (excluding data gaps). ●● on crit rate and average damage changes marks a difference unlikely to be chance at 99% confidence, ● at 95%.',
+    '타격당 평균 데미지': 'Average damage per hit',
+    '비교할 사용자 데이터가 없습니다.': 'No player data to compare.',
+    '스킬': 'Skill',
+    '우연으로 보기 어려운 차이 (99% 신뢰 수준)': 'Unlikely to be chance (99% confidence)',
+    '우연이 아닐 가능성이 높은 차이 (95% 신뢰 수준)': 'Probably not chance (95% confidence)',
+    '타격 수가 적어 판단할 수 없음': 'Too few hits to tell',
+    '🆕 새 참가자': '🆕 New player',
+    '➖ 불참': '➖ Absent',
+    '🆕 새 스킬': '🆕 New skill',
+    '➖ 사용 안 함': '➖ Not used',
+    '사용자: {users}명, 로그: {logs}개': 'Players: {users}, logs: {logs}',
+    '불러오기': 'Load',
+    '삭제': 'Delete',
+    '현재 세션': 'Current session',
+    '동일': 'Same',
+    '기준값': 'Baseline',
+    '프로필 이름을 입력해주세요.': 'Please enter a profile name.',
+    '저장할 데이터가 없습니다.': 'There is no data to save.',
+    '프로필 "{name}"이 저장되었습니다.': 'Profile "{name}" saved.',
+    '프로필 저장 중 오류가 발생했습니다.': 'An error occurred while saving the profile.',
+    '프로필을 찾을 수 없습니다.': 'Profile not found.',
+    '프로필 "{name}"을 불러왔습니다.': 'Profile "{name}" loaded.',
+    '프로필 "{name}"을 삭제하시겠습니까?': 'Delete profile "{name}"?',
+    '프로필 "{name}"이 삭제되었습니다.': 'Profile "{name}" deleted.',
+    '비교할 프로필을 선택해주세요.': 'Please select a profile to compare.',
+    'JSON 파일에서 데이터가 불러와졌습니다.': 'Data loaded from the JSON file.',
+    '파일을 불러오는 중 오류가 발생했습니다.': 'An error occurred while loading the file.',
+    '📦 모두 내보내기': '📦 Export all',
+    '📥 가져오기': '📥 Import',
+    '모든 프로필을 파일 하나로 내보내기 (gzip 압축)': 'Export all profiles to a single file (gzip-compressed)',
+    '내보낸 프로필 파일 가져오기': 'Import an exported profile file',
+    '내보내기': 'Export',
+    '프로필 {count}개': '{count} profile(s)',
+    '저장 공간 {usage} / {quota} 사용 ({percent}%)': '{usage} of {quota} storage used ({percent}%)',
+    '저장 공간이 거의 찼습니다. 오래된 프로필을 내보낸 뒤 삭제해 주세요.': 'Storage is almost full. Export old profiles and then delete them.',
+    '저장 공간이 부족해 프로필을 저장하지 못했습니다. (사용 중 {usage} / {quota}) 오래된 프로필을 내보낸 뒤 삭제해 주세요.': 'Could not save the profile because storage is full ({usage} of {quota} used). Export old profiles and then delete them.',
+    '저장 공간이 부족해 프로필을 저장하지 못했습니다. 오래된 프로필을 내보낸 뒤 삭제해 주세요.': 'Could not save the profile because storage is full. Export old profiles and then delete them.',
+    '이 브라우저는 IndexedDB를 지원하지 않아 프로필을 localStorage(약 5MB)에 저장합니다.': 'This browser does not support IndexedDB, so profiles are stored in localStorage (about 5 MB).',
+    '내보낼 프로필이 없습니다.': 'There are no profiles to export.',
+    '프로필을 내보내는 중 오류가 발생했습니다.': 'An error occurred while exporting profiles.',
+    '프로필을 가져오지 못했습니다: {message}': 'Could not import profiles: {message}',
+    '같은 이름의 프로필 {count}개가 있습니다 ({names}). 덮어쓰시겠습니까? 취소하면 새 이름으로 가져옵니다.': '{count} profile(s) with the same name already exist ({names}). Overwrite them? Cancel to import them under new names.',
+    '프로필 {count}개를 가져왔습니다.': 'Imported {count} profile(s).',
+    '프로필 묶음 형식이 아닙니다': 'Not a profile bundle',
+    '더 새 버전에서 만든 프로필 묶음입니다': 'The bundle was created by a newer version',
+    '프로필 묶음에 프로필이 없습니다': 'The bundle contains no profiles',
+    '프로필 묶음에 올바르지 않은 프로필이 있습니다': 'The bundle contains an invalid profile',
+    '이 브라우저는 압축된 프로필 묶음을 읽을 수 없습니다': 'This browser cannot read compressed profile bundles',
+
+    // 세션 추이
+    '📈 세션 추이': '📈 Session Trends',
+    '표시할 지표': 'Metric to show',
+    '주력 스킬 비중': 'Top skill share',
+    '📤 CSV': '📤 CSV',
+    '추이 표를 CSV로 내보내기': 'Export the trend table as CSV',
+    '같은 대상을 잡은 저장된 프로필과 세션 기록을 시간순으로 비교합니다. 대상을 고르면 그 대상에 준 데미지와 그 대상과 싸운 시간만으로 계산합니다. 테두리가 있는 점과 ★는 각 플레이어의 최고 기록입니다.': 'Compares saved profiles and history sessions against the same target in chronological order. With a target selected, only damage to that target and the time spent fighting it are counted. Outlined points and ★ mark each player\'s personal best.',
+    '🗂️ 추이에 넣을 세션': '🗂️ Sessions in the trend',
+    '최근': 'Latest',
+    '개 자동 선택': 'selected automatically',
+    '저장된 프로필이나 세션 기록이 없습니다.': 'There are no saved profiles or history sessions.',
+    '모든 대상': 'All targets',
+    '프로필': 'Profile',
+    '세션 기록': 'Session history',
+    '추이에 넣을 세션을 선택하세요.': 'Select sessions to include in the trend.',
+    '세션 기록 {count}개를 불러오는 중...': 'Loading {count} history session(s)...',
+    '플레이어': 'Player',
+    '내보낼 추이 데이터가 없습니다.': 'There is no trend data to export.',
+
+    // 데이터 내보내기
+    '데이터': 'Data',
+    '원본 이벤트 (타격 1건당 1행)': 'Raw events (one row per hit)',
+    '플레이어/스킬 요약': 'Player/skill summary',
+    '타겟 요약': 'Target summary',
+    '파일 형식': 'File format',
+    '시각 표기': 'Timestamps',
+    'ISO 8601 (UTC)': 'ISO 8601 (UTC)',
+    '에포크 밀리초': 'Epoch milliseconds',
+    '구분자': 'Delimiter',
+    '쉼표 (,)': 'Comma (,)',
+    '세미콜론 (;)': 'Semicolon (;)',
+    '탭 (.tsv)': 'Tab (.tsv)',
+    'UTF-8 BOM 추가 (Excel에서 한글이 깨질 때)': 'Add UTF-8 BOM (if Excel garbles non-Latin text)',
+    '열 스키마(JSON) 함께 저장': 'Also save the column schema (JSON)',
+    '열 선택': 'Columns',
+    '전체 선택': 'Select all',
+    '전체 해제': 'Clear all',
+    '취소': 'Cancel',
+    '📤 내보내기': '📤 Export',
+    '현재 필터 기준 {rows}행 · 열 {columns}개': '{rows} rows with current filters · {columns} columns',
+    '내보낼 데이터가 없습니다.': 'There is no data to export.',
+    '내보낼 열을 하나 이상 선택하세요': 'Select at least one column to export',
+    '알 수 없는 내보내기 데이터입니다': 'Unknown export data',
+
+    // 전투 보고서
+    '📝 보고서 생성': '📝 Generate report',
+    '랭킹, 스킬, DPS 타임라인, 타겟을 HTML 파일 하나로 저장 (오프라인으로 열림)': 'Save the ranking, skills, DPS timeline and targets as one HTML file (opens offline)',
+    '보고서로 만들 전투 데이터가 없습니다.': 'There is no combat data to build a report from.',
+    '전투 보고서': 'Combat report',
+    '모바노기 데미지 미터 전투 보고서': 'Mabinogi Mobile Damage Meter combat report',
+    '생성 시각: {time}': 'Generated: {time}',
+    '시작 시각': 'Start time',
+    '종료 시각': 'End time',
+    '진행 중': 'In progress',
+    '참여 인원': 'Players',
+    '사용자': 'User',
+    '이름': 'Name',
+    '비중': 'Share',
+    '보스': 'Boss',
+    '받은 데미지': 'Damage taken',
+    '{seconds}초 이동 평균, 데미지 상위 10명': '{seconds}s moving average, top 10 by damage',
+    '⚔️ 스킬 요약': '⚔️ Skill summary',
+    '👤 플레이어별 스킬': '👤 Skills by player',
+    '🎯 타겟': '🎯 Targets',
+    '스킬 {count}개': '{count} skills',
+    '랭킹 데이터가 없습니다': 'No ranking data',
+    '스킬 데이터가 없습니다': 'No skill data',
+    '타겟 데이터가 없습니다': 'No target data',
+    'DPS 데이터가 없습니다': 'No DPS data',
+
+    // 스킬 이름 번역
+    '🌐 스킬 이름 번역': '🌐 Skill Name Translations',
+    '번역 없는 스킬': 'Untranslated skills',
+    '수집한 전체 스킬': 'All collected skills',
+    '내 번역': 'My translations',
+    '스킬 키 / 이름 검색': 'Search skill key / name',
+    '전투 중 받은 스킬 중 현재 언어의 번역이 없는 스킬이 여기에 모입니다. 표시 이름을 입력하고 Enter를 누르면 저장되며, 비우면 기본 번역으로 돌아갑니다.': 'Skills received in combat that have no translation for the current language are collected here. Type a display name and press Enter to save it; clear it to fall back to the built-in translation.',
+    '📤 번역 팩 내보내기': '📤 Export translation pack',
+    '📥 번역 팩 가져오기': '📥 Import translation pack',
+    '🧹 수집 목록 비우기': '🧹 Clear collected skills',
+    '기본 번역도 내보내기': 'Include built-in translations',
+    '수집한 스킬이 없습니다.': 'No skills collected yet.',
+    '{count}회': '{count}×',
+    '번역 입력': 'Enter translation',
+    '직접 입력한 번역 지우기': 'Remove my translation',
+    '표시할 스킬이 없습니다.': 'No skills to show.',
+    '수집한 스킬 {seen}개 · 번역 없음 {untranslated}개 · 직접 입력 {overrides}개': '{seen} collected · {untranslated} untranslated · {overrides} custom',
+    '처음 {count}개만 표시': 'showing first {count}',
+    '번역 팩을 가져왔습니다 ({locale}): 추가 {added}개, 변경 {updated}개': 'Translation pack imported ({locale}): {added} added, {updated} changed',
+    '번역 팩을 가져오지 못했습니다: {message}': 'Could not import the translation pack: {message}',
+    '수집한 스킬 목록을 지우시겠습니까? 직접 입력한 번역은 유지됩니다.': 'Clear the collected skill list? Your translations are kept.',
+    '스킬 번역 팩 형식이 아닙니다': 'Not a skill translation pack',
+    '번역 팩의 언어 코드가 올바르지 않습니다': 'The pack\'s language code is invalid',
+    '번역 팩에 번역 목록이 없습니다': 'The pack has no translations'
+});
@@ -0,0 +1,102 @@
+// ========== 세션 로그 저장소 ==========
+// 세션의 모든 타격 로그를 고정 크기 청크로 나눠 메모리에 보관합니다.
+// 배열 앞에 unshift하는 방식은 로그가 많아질수록 느려지므로, 시간순으로 청크 끝에 추가하고
+// 조회할 때 최신순 인덱스로 변환합니다.
+(function (global) {
+    const DEFAULT_CHUNK_SIZE = 1000;
+
+    class SessionLogStore {
+        constructor(chunkSize = DEFAULT_CHUNK_SIZE) {
+            this.chunkSize = chunkSize;
+            this.chunks = [];
+            this.size = 0;
+        }
+
+        /**
+         * 최신순으로 정렬된 로그 배열(기존 logData 형식)로 저장소를 만듭니다.
+         */
+        static fromArray(newestFirstLogs, chunkSize = DEFAULT_CHUNK_SIZE) {
+            const store = new SessionLogStore(chunkSize);
+            for (let i = newestFirstLogs.length - 1; i >= 0; i--) {
+                store.append(newestFirstLogs[i]);
+            }
+            return store;
+        }
+
+        get length() {
+            return this.size;
+        }
+
+        append(entry) {
+            let chunk = this.chunks[this.chunks.length - 1];
+            if (!chunk || chunk.length >= this.chunkSize) {
+                chunk = [];
+                this.chunks.push(chunk);
+            }
+            chunk.push(entry);
+            this.size++;
+        }
+
+        clear() {
+            this.chunks = [];
+            this.size = 0;
+        }
+
+        // 시간순 인덱스로 조회
+        getChronological(index) {
+            if (index < 0 || index >= this.size) return undefined;
+            return this.chunks[Math.floor(index / this.chunkSize)][index % this.chunkSize];
+        }
+
+        /**
+         * 최신순 인덱스로 조회합니다. (배열의 at()과 동일하게 음수 인덱스 지원)
+         */
+        at(index) {
+            const newestIndex = index < 0 ? this.size + index : index;
+            return this.getChronological(this.size - 1 - newestIndex);
+        }
+
+        /**
+         * 최신순 기준 [start, end) 구간을 배열로 반환합니다. 가상 스크롤에서 필요한 부분만 읽을 때 사용합니다.
+         */
+        slice(start = 0, end = this.size) {
+            const from = Math.max(0, start);
+            const to = Math.min(this.size, end);
+            const result = [];
+            for (let i = from; i < to; i++) {
+                result.push(this.at(i));
+            }
+            return result;
+        }
+
+        // 시간순 순회
+        forEach(callback) {
+            let index = 0;
+            for (const chunk of this.chunks) {
+                for (const entry of chunk) {
+                    callback(entry, index++);
+                }
+            }
+        }
+
+        /**
+         * 조건에 맞는 로그를 최신순 배열로 반환합니다.
+         */
+        filter(predicate) {
+            const result = [];
+            this.forEach(entry => {
+                if (predicate(entry)) result.push(entry);
+            });
+            return result.reverse();
+        }
+
+        /**
+         * 전체 로그를 최신순 배열로 반환합니다. (저장/내보내기용)
+         */
+        toArray() {
+            return this.filter(() => true);
+        }
+    }
+
+    global.SessionLogStore = SessionLogStore;
+})(typeof window !== 'undefined' ? window : globalThis);
@@ -0,0 +1,105 @@
+// ========== 타격 수식 플래그 집계 ==========
+// 무방비/브레이크/선타/파워/고속 등 타격 플래그별 횟수와 데미지를 집계하고,
+// 플래그가 붙은 타격이 그렇지 않은 타격보다 평균적으로 얼마나 강한지 계산합니다.
+// 집계 객체는 프로필에 그대로 저장될 수 있도록 일반 객체로만 구성합니다.
+(function (global) {
+    const FLAGS = [
+        { key: 'is_crit', label: '크리티컬' },
+        { key: 'is_add_hit', label: '추가타' },
+        { key: 'is_unguarded', label: '무방비' },
+        { key: 'is_break', label: '브레이크' },
+        { key: 'is_first_hit', label: '선타' },
+        { key: 'is_power', label: '파워' },
+        { key: 'is_fast', label: '고속' },
+        { key: 'is_default_attack', label: '기본 공격' },
+        { key: 'is_multi_attack', label: '다단 히트' }
+    ];
+
+    // 조합 집계에 포함할 수식 플래그 (공격 종류 플래그는 제외)
+    const COMBO_FLAGS = ['is_crit', 'is_add_hit', 'is_unguarded', 'is_break', 'is_first_hit', 'is_power', 'is_fast'];
+
+    const FLAG_LABELS = Object.fromEntries(FLAGS.map(flag => [flag.key, flag.label]));
+
+    function createFlagStats() {
+        return { entries: 0, damage: 0, flags: {}, combos: {} };
+    }
+
+    function addCount(bucket, key, damage, count = 1) {
+        if (!bucket[key]) bucket[key] = { hits: 0, damage: 0 };
+        bucket[key].hits += count;
+        bucket[key].damage += damage;
+    }
+
+    /**
+     * 타격 로그 하나의 플래그를 집계에 반영합니다.
+     */
+    function recordFlags(stats, entry) {
+        stats.entries++;
+        stats.damage += entry.damage;
+
+        FLAGS.forEach(flag => {
+            if (entry[flag.key]) addCount(stats.flags, flag.key, entry.damage);
+        });
+
+        // 두 개 이상의 수식 플래그가 함께 붙은 경우만 조합으로 기록
+        const comboKeys = COMBO_FLAGS.filter(key => entry[key]);
+        if (comboKeys.length >= 2) {
+            addCount(stats.combos, comboKeys.join('+'), entry.damage);
+        }
+    }
+
+    function mergeFlagStats(target, source) {
+        if (!source) return target;
+        target.entries += source.entries;
+        target.damage += source.damage;
+        Object.entries(source.flags).forEach(([key, value]) => addCount(target.flags, key, value.damage, value.hits));
+        Object.entries(source.combos).forEach(([key, value]) => addCount(target.combos, key, value.damage, value.hits));
+        return target;
+    }
+
+    function getComboLabel(comboKey) {
+        return comboKey.split('+').map(key => FLAG_LABELS[key] || key).join(' + ');
+    }
+
+    /**
+     * 플래그/조합별 표시 행을 계산합니다.
+     * uplift: 플래그가 붙은 타격의 평균 데미지 / 붙지 않은 타격의 평균 데미지 - 1
+     */
+    function buildBreakdown(stats, comboLimit = 8) {
+        const toRow = (key, label, value, isCombo) => {
+            const otherHits = stats.entries - value.hits;
+            const average = value.hits > 0 ? value.damage / value.hits : 0;
+            const otherAverage = otherHits > 0 ? (stats.damage - value.damage) / otherHits : 0;
+            return {
+                key,
+                label,
+                isCombo,
+                hits: value.hits,
+                damage: value.damage,
+                hitRate: stats.entries > 0 ? value.hits / stats.entries : 0,
+                damageShare: stats.damage > 0 ? value.damage / stats.damage : 0,
+                average,
+                uplift: otherAverage > 0 ? average / otherAverage - 1 : null
+            };
+        };
+
+        const flagRows = FLAGS
+            .filter(flag => stats.flags[flag.key])
+            .map(flag => toRow(flag.key, flag.label, stats.flags[flag.key], false));
+
+        const comboRows = Object.entries(stats.combos)
+            .sort(([, a], [, b]) => b.hits - a.hits)
+            .slice(0, comboLimit)
+            .map(([key, value]) => toRow(key, getComboLabel(key), value, true));
+
+        return flagRows.concat(comboRows);
+    }
+
+    global.ModifierFlags = {
+        FLAGS,
+        createFlagStats,
+        recordFlags,
+        mergeFlagStats,
+        buildBreakdown
+    };
+})(typeof window !== 'undefined' ? window : globalThis);
@@ -0,0 +1,166 @@
+// ========== 패널 렌더링 ==========
+// 화면 패널을 매초 통째로 다시 그리지 않도록 하는 도구입니다.
+//   - RenderScheduler: 패널별 변경(dirty) 표시를 모아 다음 애니메이션 프레임에 한 번에 그림
+//     보이지 않는 패널(다른 탭)과 브라우저 탭이 숨겨진 동안에는 그리지 않고 표시만 남겨 둠
+//   - patchList: 목록을 키(data-key) 기준으로 비교해 바뀐 항목만 교체 (스크롤/hover 상태 유지)
+(function (global) {
+    const ROW_HTML = Symbol('rowHtml'); // 항목 요소가 마지막으로 그린 HTML
+    const EMPTY_HTML = Symbol('emptyHtml'); // 목록이 비어 있을 때 마지막으로 그린 안내 HTML
+
+    class RenderScheduler {
+        /**
+         * @param {Object} panels 패널 이름 -> { render(), isVisible?() }
+         *   isVisible이 false를 반환하면 변경 표시를 유지한 채 건너뜀 (보이게 되면 request로 다시 그림)
+         * @param {Object} options
+         *   - requestFrame(callback): 프레임 예약 함수 (기본 requestAnimationFrame)
+         *   - isHidden(): 문서 전체가 숨겨졌는지 (기본 document.hidden)
+         */
+        constructor(panels, options = {}) {
+            this.panels = panels;
+            this.dirty = new Set();
+            this.frameRequested = false;
+            this.requestFrame = options.requestFrame || ((callback) =>
+                typeof requestAnimationFrame === 'function' ? requestAnimationFrame(callback) : setTimeout(callback, 16));
+            this.isHidden = options.isHidden || (() => typeof document !== 'undefined' && document.hidden);
+
+            // 브라우저 탭이 다시 보이면 숨겨져 있던 동안 쌓인 변경을 그림
+            if (!options.isHidden && typeof document !== 'undefined') {
+                document.addEventListener('visibilitychange', () => {
+                    if (!document.hidden) this.request();
+                });
+            }
+        }
+
+        /**
+         * 패널을 다시 그려야 한다고 표시합니다. (이름이 없으면 전체)
+         * 그리기는 예약하지 않으므로 데이터 수신처럼 자주 호출되는 곳에서 사용합니다.
+         */
+        markDirty(...names) {
+            (names.length > 0 ? names : Object.keys(this.panels)).forEach(name => this.dirty.add(name));
+        }
+
+        // 변경 표시된 패널을 다음 프레임에 그림 (한 프레임에 한 번만 예약)
+        request() {
+            if (this.frameRequested || this.dirty.size === 0) return;
+            this.frameRequested = true;
+            this.requestFrame(() => {
+                this.frameRequested = false;
+                this.flush();
+            });
+        }
+
+        // 표시 + 예약 (사용자 조작처럼 바로 반영해야 하는 변경)
+        invalidate(...names) {
+            this.markDirty(...names);
+            this.request();
+        }
+
+        isDirty(name) {
+            return this.dirty.has(name);
+        }
+
+        // 보이는 패널 중 변경 표시된 패널만 그림, 그린 패널 이름 목록 반환
+        flush() {
+            if (this.isHidden()) return [];
+
+            const rendered = [];
+            Object.entries(this.panels).forEach(([name, panel]) => {
+                if (!this.dirty.has(name)) return;
+                if (panel.isVisible && !panel.isVisible()) return;
+
+                this.dirty.delete(name);
+                panel.render();
+                rendered.push(name);
+            });
+            return rendered;
+        }
+    }
+
+    function createElement(html) {
+        const template = document.createElement('template');
+        template.innerHTML = html.trim();
+        return template.content.firstElementChild;
+    }
+
+    // 기존 요소를 유지한 채 속성과 내용만 새 HTML에 맞춤
+    function patchElement(element, html) {
+        const next = createElement(html);
+        Array.from(element.attributes).forEach(attribute => {
+            if (!next.hasAttribute(attribute.name) && attribute.name !== 'data-key') {
+                element.removeAttribute(attribute.name);
+            }
+        });
+        Array.from(next.attributes).forEach(attribute => {
+            if (element.getAttribute(attribute.name) !== attribute.value) {
+                element.setAttribute(attribute.name, attribute.value);
+            }
+        });
+        if (element.innerHTML !== next.innerHTML) {
+            element.innerHTML = next.innerHTML;
+        }
+    }
+
+    /**
+     * container의 자식 목록을 rows와 같게 맞춥니다.
+     * 같은 키의 요소는 재사용하고, HTML이 바뀐 항목만 갱신하며, 순서가 바뀐 항목만 옮깁니다.
+     * @param {Element} container
+     * @param {Array} rows [{ key, html }] html은 최상위 요소 하나
+     * @param {string} emptyHtml rows가 비었을 때 표시할 HTML
+     */
+    function patchList(container, rows, emptyHtml = '') {
+        if (!container) return;
+
+        if (rows.length === 0) {
+            if (container[EMPTY_HTML] !== emptyHtml) {
+                container.innerHTML = emptyHtml;
+                container[EMPTY_HTML] = emptyHtml;
+            }
+            return;
+        }
+        container[EMPTY_HTML] = null;
+
+        // 키가 없는 자식(빈 목록 안내 등)은 제거
+        const existing = new Map();
+        Array.from(container.children).forEach(child => {
+            if (child.dataset.key !== undefined) {
+                existing.set(child.dataset.key, child);
+            } else {
+                child.remove();
+            }
+        });
+
+        let cursor = container.firstElementChild;
+        rows.forEach(row => {
+            const key = String(row.key);
+            let element = existing.get(key);
+            if (element) {
+                existing.delete(key);
+                if (element[ROW_HTML] !== row.html) {
+                    patchElement(element, row.html);
+                }
+            } else {
+                element = createElement(row.html);
+                element.dataset.key = key;
+            }
+            element[ROW_HTML] = row.html;
+
+            if (element === cursor) {
+                cursor = cursor.nextElementSibling;
+            } else {
+                container.insertBefore(element, cursor);
+            }
+        });
+
+        existing.forEach(element => element.remove());
+    }
+
+    const PanelRender = {
+        RenderScheduler,
+        patchList
+    };
+
+    global.PanelRender = PanelRender;
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = PanelRender;
+    }
+})(typeof window !== 'undefined' ? window : globalThis);
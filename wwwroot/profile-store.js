@@ -0,0 +1,238 @@
+// ========== 프로필 저장소 ==========
+// 저장된 프로필을 IndexedDB에 프로필 하나당 레코드 하나(키 = 프로필 이름)로 보관합니다.
+// 예전에는 localStorage의 damageProfiles 키 하나에 모든 프로필을 전체 로그까지 넣어 두어
+// 레이드 몇 번이면 약 5MB 한도에 닿았습니다. 처음 열 때 그 키가 남아 있으면 IndexedDB로 옮기고 지웁니다.
+// 레코드는 DamageAnalysis.encodeProfiles 형식(JSON으로 그대로 저장 가능한 형태)입니다.
+//
+// 프로필 묶음은 여러 프로필을 한 파일로 옮기기 위한 형식입니다.
+//   { format: 'deus-profile-bundle', version: 1, exportedAt, profiles: { 이름: 프로필(encodeProfiles 형식) } }
+// 브라우저가 CompressionStream을 지원하면 gzip으로 압축하고(.json.gz), 가져올 때는 gzip과 일반 JSON을 모두 받습니다.
+(function (global) {
+    // Node에서는 의존 모듈을 직접 불러옴 (브라우저에서는 <script> 순서대로 이미 전역에 있음)
+    if (typeof module !== 'undefined' && module.exports) {
+        if (!global.DamageAnalysis) require('./analysis.js');
+        if (!global.IdbUtils) require('./idb-utils.js');
+    }
+    const { DamageAnalysis, IdbUtils } = global;
+    const { requestToPromise, transactionDone } = IdbUtils;
+
+    const DB_NAME = 'deusProfiles';
+    const DB_VERSION = 1;
+    const PROFILE_STORE = 'profiles';
+    const LEGACY_STORAGE_KEY = 'damageProfiles';
+
+    const BUNDLE_FORMAT = 'deus-profile-bundle';
+    const BUNDLE_VERSION = 1;
+
+    function encodeProfile(profile) {
+        return DamageAnalysis.encodeProfiles(new Map([[profile.name, profile]]))[profile.name];
+    }
+
+    /**
+     * 저장 공간 부족 오류인지 확인합니다. (브라우저마다 이름이 다름)
+     */
+    function isQuotaError(error) {
+        return !!error && (error.name === 'QuotaExceededError' || error.name === 'NS_ERROR_DOM_QUOTA_REACHED');
+    }
+
+    class ProfileStore {
+        constructor(options = {}) {
+            this.indexedDB = options.indexedDB || global.indexedDB || null;
+            this.storageManager = options.storageManager || (global.navigator && global.navigator.storage) || null;
+            this.dbPromise = null;
+        }
+
+        get isSupported() {
+            return !!this.indexedDB;
+        }
+
+        open() {
+            if (!this.isSupported) {
+                return Promise.reject(new Error('IndexedDB를 사용할 수 없습니다.'));
+            }
+            if (!this.dbPromise) {
+                const request = this.indexedDB.open(DB_NAME, DB_VERSION);
+                request.onupgradeneeded = () => {
+                    const db = request.result;
+                    if (!db.objectStoreNames.contains(PROFILE_STORE)) {
+                        db.createObjectStore(PROFILE_STORE);
+                    }
+                };
+                this.dbPromise = requestToPromise(request);
+            }
+            return this.dbPromise;
+        }
+
+        /**
+         * 모든 프로필을 Map(이름 -> 프로필)으로 불러옵니다.
+         */
+        async loadAll() {
+            const db = await this.open();
+            const store = db.transaction(PROFILE_STORE).objectStore(PROFILE_STORE);
+            const [names, records] = await Promise.all([
+                requestToPromise(store.getAllKeys()),
+                requestToPromise(store.getAll())
+            ]);
+            return DamageAnalysis.decodeProfiles(Object.fromEntries(names.map((name, i) => [name, records[i]])));
+        }
+
+        /**
+         * 프로필 저장과 삭제를 한 트랜잭션으로 반영합니다. 저장 공간이 부족하면 아무것도 바뀌지 않고
+         * QuotaExceededError로 실패합니다. (isQuotaError로 확인)
+         * @param {Array} profiles 저장할 프로필 (name 필드가 키)
+         * @param {string[]} removedNames 삭제할 프로필 이름
+         */
+        async write(profiles = [], removedNames = []) {
+            const db = await this.open();
+            const transaction = db.transaction(PROFILE_STORE, 'readwrite');
+            const store = transaction.objectStore(PROFILE_STORE);
+            removedNames.forEach(name => store.delete(name));
+            profiles.forEach(profile => store.put(encodeProfile(profile), profile.name));
+            await transactionDone(transaction);
+        }
+
+        /**
+         * localStorage의 예전 프로필(damageProfiles 키)을 옮기고 키를 지웁니다. 옮긴 개수를 반환합니다.
+         * IndexedDB에 이미 같은 이름이 있으면 IndexedDB 쪽을 유지합니다. (옮긴 뒤 키를 지우지 못한 경우)
+         */
+        async migrateFromLocalStorage(storage) {
+            const saved = storage.getItem(LEGACY_STORAGE_KEY);
+            if (!saved) return 0;
+
+            const legacy = DamageAnalysis.decodeProfiles(JSON.parse(saved));
+            const db = await this.open();
+            const transaction = db.transaction(PROFILE_STORE, 'readwrite');
+            const store = transaction.objectStore(PROFILE_STORE);
+            const existing = new Set(await requestToPromise(store.getAllKeys()));
+
+            let migrated = 0;
+            legacy.forEach((profile, name) => {
+                if (existing.has(name)) return;
+                store.put(encodeProfile({ ...profile, name }), name);
+                migrated++;
+            });
+            await transactionDone(transaction);
+
+            storage.removeItem(LEGACY_STORAGE_KEY);
+            return migrated;
+        }
+
+        /**
+         * 이 사이트가 쓰는 저장 공간 추정치 { usage, quota } (바이트, 지원하지 않으면 null)
+         */
+        async estimate() {
+            if (!this.storageManager || !this.storageManager.estimate) return null;
+            const { usage = 0, quota = 0 } = await this.storageManager.estimate();
+            return { usage, quota };
+        }
+
+        // 브라우저가 저장 공간이 부족할 때 데이터를 임의로 지우지 않도록 요청 (이미 허용됐거나 지원하지 않으면 그대로)
+        async requestPersistence() {
+            if (!this.storageManager || !this.storageManager.persist) return false;
+            if (this.storageManager.persisted && await this.storageManager.persisted()) return true;
+            return this.storageManager.persist();
+        }
+    }
+
+    // ========== 프로필 묶음 ==========
+    /**
+     * 프로필 Map(이름 -> 프로필)으로 묶음 객체를 만듭니다.
+     */
+    function createBundle(profiles, now = new Date()) {
+        return {
+            format: BUNDLE_FORMAT,
+            version: BUNDLE_VERSION,
+            exportedAt: now.toISOString(),
+            profiles: DamageAnalysis.encodeProfiles(profiles)
+        };
+    }
+
+    /**
+     * 묶음 객체를 검증하고 프로필 Map(이름 -> 프로필)으로 변환합니다. 형식이 맞지 않으면 Error를 던집니다.
+     */
+    function parseBundle(bundle) {
+        if (!bundle || bundle.format !== BUNDLE_FORMAT) {
+            throw new Error('프로필 묶음 형식이 아닙니다');
+        }
+        if (bundle.version > BUNDLE_VERSION) {
+            throw new Error('더 새 버전에서 만든 프로필 묶음입니다');
+        }
+        if (!bundle.profiles || typeof bundle.profiles !== 'object' || Object.keys(bundle.profiles).length === 0) {
+            throw new Error('프로필 묶음에 프로필이 없습니다');
+        }
+
+        const profiles = DamageAnalysis.decodeProfiles(bundle.profiles);
+        profiles.forEach((profile, name) => {
+            if (!Array.isArray(profile.logData) || (profile.damageData.size === 0 && profile.logData.length === 0)) {
+                throw new Error('프로필 묶음에 올바르지 않은 프로필이 있습니다');
+            }
+            profile.name = name;
+        });
+        return profiles;
+    }
+
+    /**
+     * 묶음을 파일로 저장할 Blob으로 만듭니다. 반환: { blob, compressed }
+     */
+    async function encodeBundle(bundle) {
+        const json = new Blob([JSON.stringify(bundle)], { type: 'application/json' });
+        if (typeof global.CompressionStream !== 'function') {
+            return { blob: json, compressed: false };
+        }
+        const stream = json.stream().pipeThrough(new global.CompressionStream('gzip'));
+        const blob = new Blob([await new Response(stream).arrayBuffer()], { type: 'application/gzip' });
+        return { blob, compressed: true };
+    }
+
+    /**
+     * 묶음 파일(Blob/File)을 읽어 프로필 Map으로 변환합니다. gzip(앞 2바이트 1f 8b)이면 압축을 풉니다.
+     */
+    async function decodeBundle(blob) {
+        const header = new Uint8Array(await blob.slice(0, 2).arrayBuffer());
+        const isGzip = header[0] === 0x1f && header[1] === 0x8b;
+
+        let text;
+        if (isGzip) {
+            if (typeof global.DecompressionStream !== 'function') {
+                throw new Error('이 브라우저는 압축된 프로필 묶음을 읽을 수 없습니다');
+            }
+            text = await new Response(blob.stream().pipeThrough(new global.DecompressionStream('gzip'))).text();
+        } else {
+            text = await blob.text();
+        }
+
+        let bundle;
+        try {
+            bundle = JSON.parse(text);
+        } catch (error) {
+            throw new Error('프로필 묶음 형식이 아닙니다');
+        }
+        return parseBundle(bundle);
+    }
+
+    /**
+     * 이미 있는 이름과 겹치지 않는 이름 ('보스 (2)', '보스 (3)' ...)
+     * @param {{ has(name): boolean }} existing Map 또는 Set
+     */
+    function getUniqueName(name, existing) {
+        if (!existing.has(name)) return name;
+        let index = 2;
+        while (existing.has(`${name} (${index})`)) index++;
+        return `${name} (${index})`;
+    }
+
+    ProfileStore.LEGACY_STORAGE_KEY = LEGACY_STORAGE_KEY;
+    ProfileStore.BUNDLE_FORMAT = BUNDLE_FORMAT;
+    ProfileStore.BUNDLE_VERSION = BUNDLE_VERSION;
+    ProfileStore.isQuotaError = isQuotaError;
+    ProfileStore.createBundle = createBundle;
+    ProfileStore.parseBundle = parseBundle;
+    ProfileStore.encodeBundle = encodeBundle;
+    ProfileStore.decodeBundle = decodeBundle;
+    ProfileStore.getUniqueName = getUniqueName;
+
+    global.ProfileStore = ProfileStore;
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = ProfileStore;
+    }
+})(typeof window !== 'undefined' ? window : globalThis);
@@ -0,0 +1,290 @@
+// ========== 데미지 메시지 프로토콜 ==========
+// 서버(DamageModel.ToLog)가 보내는 파이프 구분 메시지의 스키마 정의
+// app.js와 MDM.html이 같은 정의를 공유해서 필드 순서/개수 변경을 감지합니다.
+//
+// 메시지 형식
+//   v2 메시지: v2|kind|timestamp|user_name|...|skill_id (kind: 이벤트 종류, 나머지는 v1과 같음)
+//   v1 메시지: v1|timestamp|user_name|...|skill_id (모두 데미지 이벤트)
+//   레거시 메시지: timestamp|user_name|...|skill_id (버전 접두사 없음, v1 필드 구성과 동일)
+//
+// 이벤트 종류(kind)와 damage 열의 의미
+//   damage - 데미지 (user_name이 target_name에게 준 피해)
+//   heal   - 치유량 (target_name이 회복한 양, 비어 있으면 파티 전체)
+//   shield - 보호막 흡수량
+//   buff   - 버프 지속 시간(ms) (target_name에게 부여, 비어 있으면 파티 전체)
+// 목록에 없는 종류도 형식만 맞으면 받아들이므로, 서버가 새 이벤트를 추가해도 형식을 바꿀 필요가 없습니다.
+// (화면에서는 '기타 이벤트'로 집계)
+//
+// 같은 소켓으로 오는 제어 메시지(예: PacketReplayManager의 재생 상태 { Type: 'PlaybackState', ... })는
+// Type 필드가 있는 JSON 객체입니다. 데미지 메시지가 아니므로 거부로 세지 않고 따로 셉니다.
+(function (global) {
+    const FIELD_SEPARATOR = '|';
+    const VERSION_PREFIX = /^v(\d+)$/;
+    const CURRENT_VERSION = 2;
+    const LEGACY_VERSION = 1; // 버전 접두사가 없는 메시지의 필드 구성
+
+    // 이벤트 종류 -> 표시 이름
+    const EVENT_KINDS = {
+        damage: '데미지',
+        heal: '치유',
+        shield: '보호막',
+        buff: '버프'
+    };
+    const DEFAULT_KIND = 'damage';
+    const KIND_PATTERN = /^[a-z][a-z0-9_]*$/;
+
+    // 필드 타입
+    //   int    - 정수 (min 지정 시 최소값 검사)
+    //   string - 문자열 (required 지정 시 빈 문자열 거부)
+    //   flag   - '0' 또는 '1'만 허용
+    //   kind   - 이벤트 종류 (영문 소문자/숫자/_)
+    // default: 이전 버전 메시지에 없는 필드를 채울 값
+    const DAMAGE_FIELDS_V1 = [
+        { name: 'timestamp', type: 'int', min: 0 },
+        { name: 'user_name', type: 'string', required: true },
+        { name: 'target_name', type: 'string' },
+        { name: 'skill_name', type: 'string', required: true },
+        { name: 'damage', type: 'int', min: 0 },
+        { name: 'is_crit', type: 'flag' },
+        { name: 'is_add_hit', type: 'flag' },
+        { name: 'is_unguarded', type: 'flag' },
+        { name: 'is_break', type: 'flag' },
+        { name: 'is_first_hit', type: 'flag' },
+        { name: 'is_default_attack', type: 'flag' },
+        { name: 'is_multi_attack', type: 'flag' },
+        { name: 'is_power', type: 'flag' },
+        { name: 'is_fast', type: 'flag' },
+        { name: 'is_dot', type: 'flag' },
+        { name: 'is_ice', type: 'flag' },
+        { name: 'is_fire', type: 'flag' },
+        { name: 'is_electric', type: 'flag' },
+        { name: 'is_holy', type: 'flag' },
+        { name: 'is_dark', type: 'flag' },
+        { name: 'is_bleed', type: 'flag' },
+        { name: 'is_poison', type: 'flag' },
+        { name: 'is_mind', type: 'flag' },
+        { name: 'skill_id', type: 'int' }
+    ];
+
+    const EVENT_FIELDS_V2 = [
+        { name: 'kind', type: 'kind', default: DEFAULT_KIND },
+        ...DAMAGE_FIELDS_V1
+    ];
+
+    const SCHEMAS = {
+        1: DAMAGE_FIELDS_V1,
+        2: EVENT_FIELDS_V2
+    };
+
+    // 거부 사유 코드 -> 표시 이름
+    const REJECT_REASONS = {
+        empty: '빈 메시지',
+        unsupported_version: '지원하지 않는 버전',
+        field_count: '필드 수 불일치',
+        missing_value: '필수 값 누락',
+        invalid_int: '숫자 형식 오류',
+        out_of_range: '범위 초과',
+        invalid_flag: '알 수 없는 플래그 값',
+        invalid_kind: '이벤트 종류 형식 오류'
+    };
+
+    const INT_PATTERN = /^-?\d+$/;
+
+    /**
+     * 서버 제어 메시지(Type 필드가 있는 JSON 객체)를 인식합니다. 제어 메시지가 아니면 null
+     */
+    function parseControlMessage(raw) {
+        if (typeof raw !== 'string' || !raw.startsWith('{')) return null;
+        try {
+            const message = JSON.parse(raw);
+            return message && typeof message.Type === 'string' ? message : null;
+        } catch {
+            return null;
+        }
+    }
+
+    function reject(reason, detail = {}) {
+        return { ok: false, reason, ...detail };
+    }
+
+    function parseField(field, raw) {
+        switch (field.type) {
+            case 'int': {
+                if (!INT_PATTERN.test(raw)) {
+                    return { error: 'invalid_int' };
+                }
+                const value = parseInt(raw, 10);
+                if (field.min !== undefined && value < field.min) {
+                    return { error: 'out_of_range' };
+                }
+                return { value };
+            }
+            case 'flag':
+                if (raw !== '0' && raw !== '1') {
+                    return { error: 'invalid_flag' };
+                }
+                return { value: raw === '1' };
+            case 'kind':
+                if (!KIND_PATTERN.test(raw)) {
+                    return { error: 'invalid_kind' };
+                }
+                return { value: raw };
+            default:
+                if (field.required && raw === '') {
+                    return { error: 'missing_value' };
+                }
+                return { value: raw };
+        }
+    }
+
+    /**
+     * 원본 메시지 문자열을 스키마에 맞춰 파싱합니다.
+     * 성공 시 { ok: true, version, legacy, data }, 실패 시 { ok: false, reason, field?, value? },
+     * 제어 메시지면 { ok: false, control } (거부가 아님)
+     */
+    function parseMessage(raw) {
+        if (typeof raw !== 'string' || raw.trim() === '') {
+            return reject('empty');
+        }
+
+        const control = parseControlMessage(raw);
+        if (control) {
+            return { ok: false, control };
+        }
+
+        let parts = raw.split(FIELD_SEPARATOR);
+        let version = LEGACY_VERSION;
+        let legacy = true;
+
+        const versionMatch = VERSION_PREFIX.exec(parts[0]);
+        if (versionMatch) {
+            version = parseInt(versionMatch[1], 10);
+            legacy = false;
+            parts = parts.slice(1);
+        }
+
+        const schema = SCHEMAS[version];
+        if (!schema) {
+            return reject('unsupported_version', { version });
+        }
+
+        // 필드가 모자라거나 남으면 순서가 바뀌었을 가능성이 있으므로 전체를 거부
+        if (parts.length !== schema.length) {
+            return reject('field_count', { version, expected: schema.length, actual: parts.length });
+        }
+
+        const data = {};
+        for (let i = 0; i < schema.length; i++) {
+            const field = schema[i];
+            const result = parseField(field, parts[i]);
+            if (result.error) {
+                return reject(result.error, { version, field: field.name, value: parts[i] });
+            }
+            data[field.name] = result.value;
+        }
+
+        // 이전 버전 메시지에 없는 필드는 현재 스키마의 기본값으로 채움 (v1 -> kind: 'damage')
+        SCHEMAS[CURRENT_VERSION].forEach(field => {
+            if (!(field.name in data) && field.default !== undefined) {
+                data[field.name] = field.default;
+            }
+        });
+
+        return { ok: true, version, legacy, data };
+    }
+
+    /**
+     * 데이터 객체를 서버와 같은 형식의 메시지 문자열로 변환합니다. (parseMessage의 역변환)
+     * 플래그는 true/1이면 '1', 그 외에는 '0'으로 기록합니다.
+     */
+    function formatMessage(data, version = CURRENT_VERSION) {
+        const schema = SCHEMAS[version];
+        const values = schema.map(field => {
+            const value = data[field.name];
+            switch (field.type) {
+                case 'flag':
+                    return value ? '1' : '0';
+                case 'int':
+                    return String(Math.round(Number(value) || 0));
+                case 'kind':
+                    return value || field.default;
+                default:
+                    return value === undefined || value === null ? '' : String(value);
+            }
+        });
+        return [`v${version}`, ...values].join(FIELD_SEPARATOR);
+    }
+
+    /**
+     * 메시지/로그 항목의 이벤트 종류 (kind가 없는 예전 데이터는 데미지)
+     */
+    function getEventKind(data) {
+        return (data && data.kind) || DEFAULT_KIND;
+    }
+
+    function isDamageEvent(data) {
+        return getEventKind(data) === DEFAULT_KIND;
+    }
+
+    function getKindLabel(kind) {
+        return EVENT_KINDS[kind] || kind;
+    }
+
+    /**
+     * 거부 사유 코드를 표시용 문자열로 변환합니다.
+     */
+    function describeRejection(result) {
+        const label = REJECT_REASONS[result.reason] || result.reason;
+        return result.field ? `${label} (${result.field})` : label;
+    }
+
+    /**
+     * 거부된 메시지 통계를 관리하는 카운터를 생성합니다.
+     */
+    function createRejectionCounter() {
+        return {
+            accepted: 0,
+            rejected: 0,
+            control: 0, // 제어 메시지 수 (거부에 포함하지 않음)
+            reasons: {},
+            lastRejected: null,
+            record(result, raw) {
+                if (result.ok) {
+                    this.accepted++;
+                    return;
+                }
+                if (result.control) {
+                    this.control++;
+                    return;
+                }
+                this.rejected++;
+                const key = describeRejection(result);
+                this.reasons[key] = (this.reasons[key] || 0) + 1;
+                this.lastRejected = raw;
+            },
+            summary() {
+                return Object.entries(this.reasons)
+                    .sort(([, a], [, b]) => b - a)
+                    .map(([reason, count]) => `${reason}: ${count}`)
+                    .join('\n');
+            }
+        };
+    }
+
+    global.DamageProtocol = {
+        FIELD_SEPARATOR,
+        CURRENT_VERSION,
+        SCHEMAS,
+        EVENT_KINDS,
+        DEFAULT_KIND,
+        REJECT_REASONS,
+        parseMessage,
+        parseControlMessage,
+        formatMessage,
+        getEventKind,
+        isDamageEvent,
+        getKindLabel,
+        describeRejection,
+        createRejectionCounter
+    };
+})(typeof window !== 'undefined' ? window : globalThis);
@@ -0,0 +1,136 @@
+// ========== 세션 리플레이 ==========
+// 저장된 로그를 타임스탬프 순서대로 다시 흘려보내 전투가 진행된 과정을 재현합니다.
+// 리플레이 시계(position)는 로그와 같은 기준의 시각(ms)이며, 재생 속도만큼 빠르게 흐릅니다.
+// 앞으로 이동할 때는 남은 로그만 이어서 넣고, 뒤로 이동할 때는 처음부터 다시 집계합니다.
+(function (global) {
+    const SPEEDS = [1, 2, 5, 10, 20];
+    const TICK_INTERVAL = 200; // 재생 중 시계/화면 갱신 간격 (ms)
+
+    class SessionReplay {
+        /**
+         * @param {Array} logs 로그 목록 (순서 무관, 시간순으로 정렬해 사용)
+         * @param {Object} handlers
+         *   - onReset(): 집계 데이터를 비워야 할 때 (처음부터 다시 집계)
+         *   - onHit(log): 로그 한 건을 집계에 반영
+         *   - onUpdate(state): 시계가 움직였거나 재생 상태가 바뀌었을 때
+         * @param {Object} options { startTime, endTime } 재생 구간 (기본: 첫/마지막 로그 시각)
+         */
+        constructor(logs, handlers = {}, options = {}) {
+            // 같은 시각의 로그는 원래 순서를 유지 (Array.sort는 안정 정렬)
+            this.logs = logs.slice().sort((a, b) => a.timestamp - b.timestamp);
+            this.handlers = handlers;
+
+            const firstTime = this.logs.length > 0 ? this.logs[0].timestamp : 0;
+            const lastTime = this.logs.length > 0 ? this.logs[this.logs.length - 1].timestamp : 0;
+            this.startTime = Math.min(options.startTime ?? firstTime, firstTime);
+            this.endTime = Math.max(options.endTime ?? lastTime, lastTime);
+
+            this.index = 0; // 다음에 반영할 로그 위치
+            this.position = this.startTime;
+            this.speed = 1;
+            this.playing = false;
+            this.timer = null;
+            this.lastTick = 0;
+        }
+
+        get duration() {
+            return this.endTime - this.startTime;
+        }
+
+        play() {
+            if (this.playing) return;
+            // 끝에서 다시 재생하면 처음부터
+            if (this.position >= this.endTime) {
+                this.seek(this.startTime, false);
+            }
+            this.playing = true;
+            this.lastTick = Date.now();
+            this.timer = setInterval(() => this.tick(), TICK_INTERVAL);
+            this.notify();
+        }
+
+        pause() {
+            if (!this.playing) return;
+            this.playing = false;
+            clearInterval(this.timer);
+            this.timer = null;
+            this.notify();
+        }
+
+        toggle() {
+            if (this.playing) {
+                this.pause();
+            } else {
+                this.play();
+            }
+        }
+
+        setSpeed(speed) {
+            this.speed = Math.min(SPEEDS[SPEEDS.length - 1], Math.max(SPEEDS[0], Number(speed) || 1));
+            this.notify();
+        }
+
+        tick() {
+            const now = Date.now();
+            const elapsed = (now - this.lastTick) * this.speed;
+            this.lastTick = now;
+
+            this.seek(this.position + elapsed, false);
+            if (this.position >= this.endTime) {
+                this.pause();
+                return;
+            }
+            this.notify();
+        }
+
+        /**
+         * 리플레이 시계를 time(ms)으로 옮기고, 그 시각까지의 로그를 반영합니다.
+         */
+        seek(time, notify = true) {
+            const target = Math.min(this.endTime, Math.max(this.startTime, time));
+
+            if (target < this.position) {
+                this.index = 0;
+                this.handlers.onReset?.();
+            }
+            this.position = target;
+
+            while (this.index < this.logs.length && this.logs[this.index].timestamp <= target) {
+                this.handlers.onHit?.(this.logs[this.index]);
+                this.index++;
+            }
+
+            if (notify) this.notify();
+        }
+
+        // 재생 종료 (타이머 정리)
+        stop() {
+            this.playing = false;
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+
+        getState() {
+            return {
+                position: this.position,
+                startTime: this.startTime,
+                endTime: this.endTime,
+                elapsed: this.position - this.startTime,
+                duration: this.duration,
+                progress: this.duration > 0 ? (this.position - this.startTime) / this.duration : 1,
+                processed: this.index,
+                total: this.logs.length,
+                speed: this.speed,
+                playing: this.playing
+            };
+        }
+
+        notify() {
+            this.handlers.onUpdate?.(this.getState());
+        }
+    }
+
+    SessionReplay.SPEEDS = SPEEDS;
+
+    global.SessionReplay = SessionReplay;
+})(typeof window !== 'undefined' ? window : globalThis);
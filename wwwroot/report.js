@@ -0,0 +1,351 @@
+// ========== 전투 보고서 ==========
+// 현재 세션(또는 선택한 전투 구간)을 HTML 파일 하나로 만듭니다.
+// 스타일과 차트(SVG)를 모두 파일 안에 넣어 서버나 인터넷 연결 없이 브라우저로 열 수 있고,
+// 스크립트가 없으므로 메신저/메일로 주고받아도 그대로 보입니다.
+//
+// 보고서 데이터는 app.js가 랭킹/스킬 막대와 같은 집계(getRankingEntries, getSkillTotals, getTimelineSeries)로 만들고,
+// 이 모듈은 그 값을 HTML로 옮기기만 합니다. 모든 이름은 escapeHtml을 거칩니다.
+(function (global) {
+    // Node에서는 의존 모듈을 직접 불러옴 (브라우저에서는 <script> 순서대로 이미 전역에 있음)
+    if (typeof module !== 'undefined' && module.exports) {
+        if (!global.SafeHtml) require('./safe-html.js');
+    }
+    const { escapeHtml } = global.SafeHtml;
+
+    const CHART_WIDTH = 960;
+    const CHART_HEIGHT = 280;
+    const CHART_PADDING = { top: 16, right: 16, bottom: 28, left: 64 };
+    const MAX_CHART_POINTS = 600; // 긴 세션은 시리즈마다 이 개수 정도로 줄여서 그림 (파일 크기)
+
+    const STYLE = `
+        :root { --bg: #f8f9fa; --card: #fff; --text: #212529; --muted: #6c757d; --border: #dee2e6; --accent: #007bff; --gap: #ffc107; }
+        @media (prefers-color-scheme: dark) {
+            :root { --bg: #1a1d21; --card: #25292e; --text: #e9ecef; --muted: #adb5bd; --border: #3a3f45; --accent: #4dabf7; }
+        }
+        * { box-sizing: border-box; }
+        body { margin: 0; padding: 24px; background: var(--bg); color: var(--text); font: 14px/1.5 -apple-system, 'Segoe UI', 'Malgun Gothic', sans-serif; }
+        main { max-width: 1040px; margin: 0 auto; }
+        h1 { margin: 0 0 4px; font-size: 24px; }
+        h2 { margin: 0 0 12px; font-size: 18px; }
+        section { background: var(--card); border: 1px solid var(--border); border-radius: 8px; padding: 16px 20px; margin-bottom: 16px; }
+        .muted { color: var(--muted); }
+        .meta { display: grid; grid-template-columns: repeat(auto-fill, minmax(220px, 1fr)); gap: 8px 24px; margin: 0; }
+        .meta div { display: flex; justify-content: space-between; gap: 12px; border-bottom: 1px dashed var(--border); padding: 4px 0; }
+        .meta dt { color: var(--muted); }
+        .meta dd { margin: 0; font-weight: 600; text-align: right; }
+        table { width: 100%; border-collapse: collapse; }
+        th, td { padding: 6px 8px; border-bottom: 1px solid var(--border); text-align: right; white-space: nowrap; }
+        th:first-child, td:first-child, th.name, td.name { text-align: left; }
+        td.name { white-space: normal; }
+        th { color: var(--muted); font-weight: 600; }
+        .bar { position: relative; height: 6px; margin-top: 4px; background: var(--border); border-radius: 3px; overflow: hidden; }
+        .bar span { position: absolute; inset: 0 auto 0 0; background: var(--bar-color, var(--accent)); }
+        .class-color { display: inline-block; width: 10px; height: 10px; border-radius: 50%; margin-right: 6px; background: var(--class-color); }
+        .legend { display: flex; flex-wrap: wrap; gap: 8px 16px; margin-top: 8px; }
+        .legend span::before { content: ''; display: inline-block; width: 12px; height: 3px; margin-right: 6px; vertical-align: middle; background: var(--series-color); }
+        svg { width: 100%; height: auto; display: block; }
+        svg text { fill: var(--muted); font-size: 11px; }
+        svg .grid { stroke: var(--border); }
+        svg .gap { fill: var(--gap); opacity: 0.2; }
+        details { border-top: 1px solid var(--border); padding: 8px 0; }
+        details:first-of-type { border-top: none; }
+        summary { cursor: pointer; font-weight: 600; }
+        summary .muted { font-weight: normal; margin-left: 8px; }
+        details table { margin-top: 8px; }
+        .boss { color: var(--gap); }
+        footer { text-align: center; color: var(--muted); font-size: 12px; }
+        @media print { body { background: #fff; padding: 0; } section { break-inside: avoid; } details { display: block; } }
+    `;
+
+    // 기본 번역 함수: 키(한국어 원문)를 그대로 쓰고 {이름} 자리만 채움
+    function defaultTranslate(text, params = {}) {
+        return text.replace(/\{(\w+)\}/g, (match, name) => (name in params ? params[name] : match));
+    }
+
+    function percent(value, total) {
+        return total > 0 ? (value / total) * 100 : 0;
+    }
+
+    function niceMax(value) {
+        if (value <= 0) return 1;
+        const exponent = Math.pow(10, Math.floor(Math.log10(value)));
+        const fraction = value / exponent;
+        const niceFraction = fraction <= 1 ? 1 : fraction <= 2 ? 2 : fraction <= 5 ? 5 : 10;
+        return niceFraction * exponent;
+    }
+
+    // 점이 너무 많으면 구간마다 최댓값 하나씩만 남김 (순간 최고치가 사라지지 않도록)
+    function downsample(points) {
+        if (points.length <= MAX_CHART_POINTS) return points;
+        const step = Math.ceil(points.length / MAX_CHART_POINTS);
+        const result = [];
+        for (let i = 0; i < points.length; i += step) {
+            let peak = points[i];
+            for (let j = i + 1; j < Math.min(i + step, points.length); j++) {
+                if (points[j].y > peak.y) peak = points[j];
+            }
+            result.push(peak);
+        }
+        return result;
+    }
+
+    /**
+     * 시리즈 [{ label, color, points: [{ x, y }] }]를 SVG 꺾은선 그래프로 (MeterCharts.drawLineChart와 같은 배치)
+     * options: { formatX, formatY, bands: [{ from, to }], emptyMessage }
+     */
+    function renderLineChart(series, options = {}) {
+        const formatX = options.formatX || (x => String(x));
+        const formatY = options.formatY || (y => String(Math.round(y)));
+        const drawn = (series || []).filter(s => s.points.length > 0);
+        const { top, right, bottom, left } = CHART_PADDING;
+        const plotWidth = CHART_WIDTH - left - right;
+        const plotHeight = CHART_HEIGHT - top - bottom;
+        const open = `<svg viewBox="0 0 ${CHART_WIDTH} ${CHART_HEIGHT}" xmlns="http://www.w3.org/2000/svg" role="img">`;
+
+        if (drawn.length === 0) {
+            return `${open}<text x="${CHART_WIDTH / 2}" y="${CHART_HEIGHT / 2}" text-anchor="middle">${escapeHtml(options.emptyMessage || '')}</text></svg>`;
+        }
+
+        let minX = Infinity;
+        let maxX = -Infinity;
+        let maxY = 0;
+        drawn.forEach(s => s.points.forEach(p => {
+            if (p.x < minX) minX = p.x;
+            if (p.x > maxX) maxX = p.x;
+            if (p.y > maxY) maxY = p.y;
+        }));
+        if (maxX === minX) maxX = minX + 1;
+        maxY = niceMax(maxY);
+
+        const toX = x => (left + ((x - minX) / (maxX - minX)) * plotWidth).toFixed(1);
+        const toY = y => (top + plotHeight - (y / maxY) * plotHeight).toFixed(1);
+        const parts = [open];
+
+        const gridLines = 4;
+        for (let i = 0; i <= gridLines; i++) {
+            const value = (maxY / gridLines) * i;
+            const y = toY(value);
+            parts.push(`<line class="grid" x1="${left}" y1="${y}" x2="${CHART_WIDTH - right}" y2="${y}"/>`);
+            parts.push(`<text x="${left - 6}" y="${y}" text-anchor="end" dominant-baseline="middle">${escapeHtml(formatY(value))}</text>`);
+        }
+
+        const ticks = 6;
+        for (let i = 0; i <= ticks; i++) {
+            const value = minX + ((maxX - minX) / ticks) * i;
+            parts.push(`<text x="${toX(value)}" y="${CHART_HEIGHT - bottom + 16}" text-anchor="middle">${escapeHtml(formatX(value))}</text>`);
+        }
+
+        (options.bands || []).forEach(band => {
+            const from = Math.max(minX, band.from);
+            const to = Math.min(maxX, band.to);
+            if (to < from) return;
+            const width = Math.max(2, toX(to) - toX(from));
+            parts.push(`<rect class="gap" x="${toX(from)}" y="${top}" width="${width.toFixed(1)}" height="${plotHeight}"/>`);
+        });
+
+        drawn.forEach(s => {
+            const points = downsample(s.points).map(p => `${toX(p.x)},${toY(p.y)}`).join(' ');
+            parts.push(`<polyline fill="none" stroke="${escapeHtml(s.color)}" stroke-width="2" stroke-linejoin="round" points="${points}">` +
+                `<title>${escapeHtml(s.label)}</title></polyline>`);
+        });
+
+        parts.push('</svg>');
+        return parts.join('');
+    }
+
+    function renderMeta(report, t, formatNumber, formatTime) {
+        const { session } = report;
+        const rows = [
+            [t('시작 시각'), session.startTime ? formatTime(session.startTime) : '-'],
+            [t('종료 시각'), session.endTime ? formatTime(session.endTime) : t('진행 중')],
+            [t('전투 시간'), t('{seconds}초', { seconds: Math.round(session.duration) })],
+            [t('총 데미지'), formatNumber(session.totalDamage)],
+            [t('총 DPS'), formatNumber(session.duration > 0 ? Math.round(session.totalDamage / session.duration) : 0)],
+            [t('타격수'), formatNumber(session.hits)],
+            [t('크리티컬'), `${formatNumber(session.crits)} (${percent(session.crits, session.hits).toFixed(1)}%)`],
+            [t('데이터 누락'), session.gapCount > 0 ?
+                `${t('{count}회', { count: session.gapCount })} · ${t('{seconds}초', { seconds: Math.round(session.gapSeconds) })}` : t('없음')],
+            [t('참여 인원'), t('{count}명', { count: report.ranking.rows.length })],
+            [t('랭킹 기준'), report.ranking.scoreLabel]
+        ];
+        (session.filters || []).forEach(filter => rows.push([filter.label, filter.value]));
+
+        return `<dl class="meta">${rows.map(([label, value]) =>
+            `<div><dt>${escapeHtml(label)}</dt><dd>${escapeHtml(value)}</dd></div>`).join('')}</dl>`;
+    }
+
+    function renderRanking(report, t, formatNumber) {
+        const { rows, scoreLabel } = report.ranking;
+        if (rows.length === 0) return `<p class="muted">${escapeHtml(t('랭킹 데이터가 없습니다'))}</p>`;
+
+        const topScore = rows[0].score;
+        const totalScore = rows.reduce((sum, row) => sum + row.score, 0);
+        const hasHealing = rows.some(row => row.hps > 0);
+        const body = rows.map(row => `
+            <tr>
+                <td>${row.rank}</td>
+                <td class="name" style="--class-color: ${escapeHtml(row.color)}; --bar-color: ${escapeHtml(row.color)}">
+                    <span class="class-color"></span>${escapeHtml(row.name)} <span class="muted">${escapeHtml(row.className)}</span>
+                    <div class="bar"><span style="width: ${percent(row.score, topScore).toFixed(1)}%"></span></div>
+                </td>
+                <td>${formatNumber(row.score)}</td>
+                <td>${percent(row.score, totalScore).toFixed(1)}%</td>
+                <td>${formatNumber(Math.round(row.dps))}</td>
+                ${hasHealing ? `<td>${formatNumber(Math.round(row.hps))}</td>` : ''}
+                <td>${formatNumber(row.hits)}</td>
+                <td>${percent(row.crits, row.hits).toFixed(1)}%</td>
+            </tr>
+        `).join('');
+
+        return `<table>
+            <thead><tr>
+                <th>#</th><th class="name">${escapeHtml(t('이름'))}</th><th>${escapeHtml(scoreLabel)}</th><th>${escapeHtml(t('비중'))}</th>
+                <th>DPS</th>${hasHealing ? '<th>HPS</th>' : ''}<th>${escapeHtml(t('타격수'))}</th><th>${escapeHtml(t('크리티컬'))}</th>
+            </tr></thead>
+            <tbody>${body}</tbody>
+        </table>`;
+    }
+
+    // 스킬 목록 표 (전체 스킬 요약과 플레이어별 스킬에서 같이 사용)
+    function renderSkillTable(skills, t, formatNumber) {
+        const total = skills.reduce((sum, skill) => sum + skill.damage, 0);
+        const top = skills.reduce((max, skill) => Math.max(max, skill.damage), 0);
+        const body = skills.map(skill => `
+            <tr>
+                <td class="name">${escapeHtml(skill.label)}
+                    <div class="bar"><span style="width: ${percent(skill.damage, top).toFixed(1)}%"></span></div>
+                </td>
+                <td>${formatNumber(skill.damage)}</td>
+                <td>${percent(skill.damage, total).toFixed(1)}%</td>
+                <td>${formatNumber(skill.hits)}</td>
+                <td>${formatNumber(skill.hits > 0 ? Math.round(skill.damage / skill.hits) : 0)}</td>
+                <td>${formatNumber(skill.minDamage === Infinity ? 0 : skill.minDamage)} / ${formatNumber(skill.maxDamage)}</td>
+                <td>${percent(skill.crits, skill.hits).toFixed(1)}%</td>
+                <td>${percent(skill.addHits, skill.hits).toFixed(1)}%</td>
+            </tr>
+        `).join('');
+
+        return `<table>
+            <thead><tr>
+                <th class="name">${escapeHtml(t('스킬'))}</th><th>${escapeHtml(t('데미지'))}</th><th>${escapeHtml(t('비중'))}</th>
+                <th>${escapeHtml(t('타격수'))}</th><th>${escapeHtml(t('평균 데미지'))}</th><th>${escapeHtml(t('최소/최대'))}</th>
+                <th>${escapeHtml(t('크리티컬'))}</th><th>${escapeHtml(t('추가타'))}</th>
+            </tr></thead>
+            <tbody>${body}</tbody>
+        </table>`;
+    }
+
+    function renderPlayers(report, t, formatNumber) {
+        const players = report.players.filter(player => player.skills.length > 0);
+        if (players.length === 0) return `<p class="muted">${escapeHtml(t('스킬 데이터가 없습니다'))}</p>`;
+
+        // 상위 3명은 펼친 상태로 (인쇄할 때는 모두 펼쳐짐)
+        return players.map((player, index) => `
+            <details${index < 3 ? ' open' : ''}>
+                <summary>${escapeHtml(player.name)}<span class="muted">${formatNumber(player.damage)} · ${escapeHtml(t('스킬 {count}개', { count: player.skills.length }))}</span></summary>
+                ${renderSkillTable(player.skills, t, formatNumber)}
+            </details>
+        `).join('');
+    }
+
+    function renderTargets(report, t, formatNumber) {
+        const { targets } = report;
+        if (targets.length === 0) return `<p class="muted">${escapeHtml(t('타겟 데이터가 없습니다'))}</p>`;
+
+        const total = targets.reduce((sum, target) => sum + target.damage, 0);
+        const body = targets.map(target => `
+            <tr>
+                <td class="name">${target.boss ? `<span class="boss" title="${escapeHtml(t('보스'))}">★</span> ` : ''}${escapeHtml(target.name)}</td>
+                <td>${formatNumber(target.damage)}</td>
+                <td>${percent(target.damage, total).toFixed(1)}%</td>
+            </tr>
+        `).join('');
+
+        return `<table>
+            <thead><tr><th class="name">${escapeHtml(t('타겟'))}</th><th>${escapeHtml(t('받은 데미지'))}</th><th>${escapeHtml(t('비중'))}</th></tr></thead>
+            <tbody>${body}</tbody>
+        </table>`;
+    }
+
+    /**
+     * 보고서 HTML 문서 전체를 만듭니다.
+     * @param {Object} report {
+     *   title, generatedAt (ms), locale,
+     *   session: { startTime, endTime, duration (초), totalDamage, hits, crits, gapCount, gapSeconds, filters: [{ label, value }] },
+     *   ranking: { scoreLabel, rows: [{ rank, name, className, color, score, damage, dps, hps, hits, crits }] },
+     *   skills: [스킬], players: [{ name, damage, skills: [스킬] }],
+     *   timeline: { series: getTimelineSeries 결과, bands: [{ from, to }], windowSize },
+     *   targets: [{ name, damage, boss }]
+     * }
+     * 스킬: { label, damage, hits, crits, addHits, minDamage, maxDamage }
+     * @param {Object} options { t: 번역 함수, formatNumber, formatTime (ms -> 문자열) }
+     */
+    function build(report, options = {}) {
+        const t = options.t || defaultTranslate;
+        const formatNumber = options.formatNumber || (value => Number(value).toLocaleString());
+        const formatTime = options.formatTime || (time => new Date(time).toISOString());
+        const { timeline } = report;
+
+        const chart = renderLineChart(timeline.series, {
+            bands: timeline.bands,
+            formatX: x => t('{seconds}초', { seconds: Math.round(x) }),
+            formatY: y => formatNumber(Math.round(y)),
+            emptyMessage: t('DPS 데이터가 없습니다')
+        });
+        const legend = timeline.series.map(s =>
+            `<span style="--series-color: ${escapeHtml(s.color)}">${escapeHtml(s.label)}</span>`).join('');
+
+        return `<!DOCTYPE html>
+<html lang="${escapeHtml(report.locale || 'ko')}">
+<head>
+<meta charset="UTF-8">
+<meta name="viewport" content="width=device-width, initial-scale=1.0">
+<title>${escapeHtml(report.title)}</title>
+<style>${STYLE}</style>
+</head>
+<body>
+<main>
+    <section>
+        <h1>${escapeHtml(report.title)}</h1>
+        <p class="muted">${escapeHtml(t('생성 시각: {time}', { time: formatTime(report.generatedAt) }))}</p>
+        ${renderMeta(report, t, formatNumber, formatTime)}
+    </section>
+    <section>
+        <h2>${escapeHtml(t('🏆 랭킹'))}</h2>
+        ${renderRanking(report, t, formatNumber)}
+    </section>
+    <section>
+        <h2>${escapeHtml(t('📈 DPS 타임라인'))}</h2>
+        <p class="muted">${escapeHtml(t('{seconds}초 이동 평균, 데미지 상위 10명', { seconds: timeline.windowSize }))}</p>
+        ${chart}
+        <div class="legend">${legend}</div>
+    </section>
+    <section>
+        <h2>${escapeHtml(t('⚔️ 스킬 요약'))}</h2>
+        ${report.skills.length > 0 ? renderSkillTable(report.skills, t, formatNumber) : `<p class="muted">${escapeHtml(t('스킬 데이터가 없습니다'))}</p>`}
+    </section>
+    <section>
+        <h2>${escapeHtml(t('👤 플레이어별 스킬'))}</h2>
+        ${renderPlayers(report, t, formatNumber)}
+    </section>
+    <section>
+        <h2>${escapeHtml(t('🎯 타겟'))}</h2>
+        ${renderTargets(report, t, formatNumber)}
+    </section>
+    <footer>${escapeHtml(t('모바노기 데미지 미터 전투 보고서'))}</footer>
+</main>
+</body>
+</html>
+`;
+    }
+
+    const FightReport = {
+        build,
+        renderLineChart
+    };
+
+    global.FightReport = FightReport;
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = FightReport;
+    }
+})(typeof window !== 'undefined' ? window : globalThis);
@@ -0,0 +1,74 @@
+// ========== 스킬 로테이션 분석 ==========
+// 타격 로그를 시전 단위로 묶어 플레이어별 스킬 사용 순서를 복원합니다.
+// 다단 히트 스킬(is_multi_attack)과 _1/_2/_3 처럼 번호가 붙은 연계 단계는 하나의 시전으로 합칩니다.
+(function (global) {
+    const DEFAULT_CAST_GAP = 1500; // 같은 시전으로 볼 최대 타격 간격 (ms)
+
+    // 연계 단계 번호 제거: RapidSlash_2 -> RapidSlash, SpinSlash_1_Strong -> SpinSlash_Strong
+    const STEP_SUFFIX = /_\d+(?=(_Strong|_Enhanced)?$)/;
+
+    function getBaseSkillName(skillName) {
+        return skillName.replace(STEP_SUFFIX, '');
+    }
+
+    function isNumberedStep(skillName) {
+        return STEP_SUFFIX.test(skillName);
+    }
+
+    /**
+     * 시간순 로그를 사용자별 시전 목록으로 변환합니다.
+     * 지속 피해 틱은 시전이 아니므로 제외합니다.
+     * 반환: Map(userName -> [{ user, skill, skillNames, start, end, hits, damage, crits }])
+     */
+    function buildCasts(chronologicalLogs, options = {}) {
+        const castGap = options.castGap || DEFAULT_CAST_GAP;
+        const castsByUser = new Map();
+
+        chronologicalLogs.forEach(log => {
+            if (log.is_dot) return;
+
+            if (!castsByUser.has(log.user_name)) {
+                castsByUser.set(log.user_name, []);
+            }
+            const casts = castsByUser.get(log.user_name);
+            const baseSkill = getBaseSkillName(log.skill_name);
+            const lastCast = casts[casts.length - 1];
+
+            // 다단 히트/연계 단계/추가타는 직전 시전과 같은 스킬이고 간격이 짧으면 같은 시전
+            const canMerge = lastCast &&
+                lastCast.skill === baseSkill &&
+                log.timestamp - lastCast.end <= castGap &&
+                (log.is_multi_attack || log.is_add_hit || isNumberedStep(log.skill_name));
+
+            if (canMerge) {
+                lastCast.end = log.timestamp;
+                lastCast.hits++;
+                lastCast.damage += log.damage;
+                if (log.is_crit) lastCast.crits++;
+                if (!lastCast.skillNames.includes(log.skill_name)) {
+                    lastCast.skillNames.push(log.skill_name);
+                }
+                return;
+            }
+
+            casts.push({
+                user: log.user_name,
+                skill: baseSkill,
+                skillNames: [log.skill_name],
+                start: log.timestamp,
+                end: log.timestamp,
+                hits: 1,
+                damage: log.damage,
+                crits: log.is_crit ? 1 : 0
+            });
+        });
+
+        return castsByUser;
+    }
+
+    global.RotationAnalysis = {
+        DEFAULT_CAST_GAP,
+        getBaseSkillName,
+        buildCasts
+    };
+})(typeof window !== 'undefined' ? window : globalThis);
@@ -0,0 +1,56 @@
+// ========== 안전한 HTML 렌더링 ==========
+// 사용자/타겟/스킬 이름은 네트워크에서, 프로필/태그/서버 주소는 사용자 입력에서 오므로
+// innerHTML 템플릿에 넣을 때는 항상 escapeHtml을 거칩니다. (따옴표도 변환하므로 속성 값에도 사용 가능)
+// 클릭 동작은 onclick 문자열 대신 data-action 속성과 data-* 값으로 지정하고,
+// 컨테이너 하나에 bindActions로 위임 핸들러를 등록합니다.
+//
+//   <div data-action="select-user" data-user="${escapeHtml(user.name)}">
+//   SafeHtml.bindActions(container, { 'select-user': (data) => selectUser(data.user) });
+(function (global) {
+    const ESCAPE_MAP = {
+        '&': '&amp;',
+        '<': '&lt;',
+        '>': '&gt;',
+        '"': '&quot;',
+        "'": '&#39;',
+        '`': '&#96;'
+    };
+
+    /**
+     * 텍스트/속성 값으로 넣을 문자열을 HTML 이스케이프합니다. (null/undefined는 빈 문자열)
+     */
+    function escapeHtml(value) {
+        if (value === null || value === undefined) return '';
+        return String(value).replace(/[&<>"'`]/g, (char) => ESCAPE_MAP[char]);
+    }
+
+    /**
+     * root 안에서 발생한 이벤트를 가장 가까운 [data-action] 요소의 핸들러로 전달합니다.
+     * 중첩된 경우 안쪽 요소의 동작만 실행됩니다. (바깥 동작을 막으려고 stopPropagation할 필요 없음)
+     * @param {Element} root 위임 대상 컨테이너 (내용이 다시 그려져도 유지되는 요소)
+     * @param {Object} handlers action 이름 -> handler(dataset, event, element)
+     * @param {string} eventType 기본 'click'
+     */
+    function bindActions(root, handlers, eventType = 'click') {
+        if (!root) return;
+        root.addEventListener(eventType, (event) => {
+            const element = event.target.closest?.('[data-action]');
+            if (!element || !root.contains(element)) return;
+
+            const handler = handlers[element.dataset.action];
+            if (handler) {
+                handler(element.dataset, event, element);
+            }
+        });
+    }
+
+    const SafeHtml = {
+        escapeHtml,
+        bindActions
+    };
+
+    global.SafeHtml = SafeHtml;
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = SafeHtml;
+    }
+})(typeof window !== 'undefined' ? window : globalThis);
@@ -0,0 +1,199 @@
+// ========== 세션 기록 저장소 ==========
+// 종료된 세션을 IndexedDB에 자동 저장합니다.
+//   - sessions: 목록/검색용 요약 (대상, 참가자, 태그, 고정 여부)
+//   - sessionDetails: 다시 열기용 전체 데이터 (사용자/스킬 집계, 전체 로그)
+// 목록 화면은 요약만 읽으므로 기록이 많아도 전체 로그를 불러오지 않습니다.
+(function (global) {
+    // Node에서는 의존 모듈을 직접 불러옴 (브라우저에서는 <script> 순서대로 이미 전역에 있음)
+    if (typeof module !== 'undefined' && module.exports) {
+        if (!global.IdbUtils) require('./idb-utils.js');
+    }
+    const { IdbUtils } = global;
+    const { requestToPromise, transactionDone } = IdbUtils;
+
+    const DB_NAME = 'deusAnalyzer';
+    const DB_VERSION = 1;
+    const SUMMARY_STORE = 'sessions';
+    const DETAIL_STORE = 'sessionDetails';
+
+    const DEFAULT_RETENTION = {
+        maxSessions: 100, // 고정하지 않은 세션 최대 개수 (0 = 제한 없음)
+        maxAgeDays: 30 // 고정하지 않은 세션 보관 기간 (0 = 제한 없음)
+    };
+
+    /**
+     * 세션 스냅샷(직렬화된 damageData/logData 등)으로 목록용 요약을 만듭니다.
+     */
+    function buildSummary(snapshot) {
+        const logs = snapshot.logData || [];
+        const targets = new Map();
+        let startTime = snapshot.sessionStartTime || Infinity;
+        let endTime = snapshot.sessionEndTime || 0;
+
+        logs.forEach(log => {
+            targets.set(log.target_name, (targets.get(log.target_name) || 0) + log.damage);
+            if (log.timestamp < startTime) startTime = log.timestamp;
+            if (log.timestamp > endTime) endTime = log.timestamp;
+        });
+        if (startTime === Infinity) startTime = Date.now();
+        if (endTime < startTime) endTime = startTime;
+
+        const participants = (snapshot.damageData || [])
+            .map(([name, userData]) => ({ name, damage: userData.totalDamage }))
+            .sort((a, b) => b.damage - a.damage);
+
+        return {
+            startTime,
+            endTime,
+            duration: Math.max(1, (endTime - startTime) / 1000),
+            totalDamage: snapshot.statistics?.totalDamage || 0,
+            logCount: logs.length,
+            targets: Array.from(targets.entries())
+                .sort(([, a], [, b]) => b - a)
+                .map(([name]) => name),
+            participants,
+            tags: [],
+            pinned: false,
+            savedAt: Date.now()
+        };
+    }
+
+    /**
+     * 검색 조건에 맞는 요약인지 확인합니다.
+     * query: { text, from, to, tag, pinnedOnly } - text는 대상/참가자/태그 이름에서 검색
+     */
+    function matchesQuery(summary, query = {}) {
+        if (query.pinnedOnly && !summary.pinned) return false;
+        if (query.from && summary.endTime < query.from) return false;
+        if (query.to && summary.startTime > query.to) return false;
+        if (query.tag && !summary.tags.includes(query.tag)) return false;
+
+        const text = (query.text || '').trim().toLowerCase();
+        if (!text) return true;
+
+        const haystack = [
+            ...summary.targets,
+            ...summary.participants.map(participant => participant.name),
+            ...summary.tags
+        ];
+        return haystack.some(value => String(value).toLowerCase().includes(text));
+    }
+
+    class SessionHistoryStore {
+        constructor(options = {}) {
+            this.indexedDB = options.indexedDB || global.indexedDB || null;
+            this.dbPromise = null;
+        }
+
+        get isSupported() {
+            return !!this.indexedDB;
+        }
+
+        open() {
+            if (!this.isSupported) {
+                return Promise.reject(new Error('IndexedDB를 사용할 수 없습니다.'));
+            }
+            if (!this.dbPromise) {
+                const request = this.indexedDB.open(DB_NAME, DB_VERSION);
+                request.onupgradeneeded = () => {
+                    const db = request.result;
+                    if (!db.objectStoreNames.contains(SUMMARY_STORE)) {
+                        const store = db.createObjectStore(SUMMARY_STORE, { keyPath: 'id', autoIncrement: true });
+                        store.createIndex('startTime', 'startTime');
+                    }
+                    if (!db.objectStoreNames.contains(DETAIL_STORE)) {
+                        db.createObjectStore(DETAIL_STORE, { keyPath: 'id' });
+                    }
+                };
+                this.dbPromise = requestToPromise(request);
+            }
+            return this.dbPromise;
+        }
+
+        /**
+         * 세션 스냅샷을 저장하고 요약(id 포함)을 반환합니다.
+         */
+        async save(snapshot) {
+            const db = await this.open();
+            const summary = buildSummary(snapshot);
+            const transaction = db.transaction([SUMMARY_STORE, DETAIL_STORE], 'readwrite');
+            const idRequest = transaction.objectStore(SUMMARY_STORE).add(summary);
+            idRequest.onsuccess = () => {
+                transaction.objectStore(DETAIL_STORE).put({ id: idRequest.result, snapshot });
+            };
+            await transactionDone(transaction);
+            return { ...summary, id: idRequest.result };
+        }
+
+        // 시작 시간 최신순 요약 목록
+        async list() {
+            const db = await this.open();
+            const summaries = await requestToPromise(db.transaction(SUMMARY_STORE).objectStore(SUMMARY_STORE).getAll());
+            return summaries.sort((a, b) => b.startTime - a.startTime);
+        }
+
+        async getSnapshot(id) {
+            const db = await this.open();
+            const record = await requestToPromise(db.transaction(DETAIL_STORE).objectStore(DETAIL_STORE).get(id));
+            return record ? record.snapshot : null;
+        }
+
+        // 요약의 태그/고정 여부 등 일부 필드 변경
+        async update(id, changes) {
+            const db = await this.open();
+            const transaction = db.transaction(SUMMARY_STORE, 'readwrite');
+            const store = transaction.objectStore(SUMMARY_STORE);
+            const summary = await requestToPromise(store.get(id));
+            if (!summary) return null;
+            const updated = { ...summary, ...changes, id };
+            store.put(updated);
+            await transactionDone(transaction);
+            return updated;
+        }
+
+        async delete(ids) {
+            const idList = Array.isArray(ids) ? ids : [ids];
+            if (idList.length === 0) return;
+            const db = await this.open();
+            const transaction = db.transaction([SUMMARY_STORE, DETAIL_STORE], 'readwrite');
+            idList.forEach(id => {
+                transaction.objectStore(SUMMARY_STORE).delete(id);
+                transaction.objectStore(DETAIL_STORE).delete(id);
+            });
+            await transactionDone(transaction);
+        }
+
+        /**
+         * 보관 정책에 따라 오래된 세션을 삭제하고 삭제한 개수를 반환합니다.
+         * 고정(pinned)된 세션은 개수/기간 제한에서 제외됩니다.
+         */
+        async applyRetention(retention = DEFAULT_RETENTION, now = Date.now()) {
+            const summaries = await this.list();
+            const unpinned = summaries.filter(summary => !summary.pinned);
+            const expired = new Set();
+
+            if (retention.maxAgeDays > 0) {
+                const cutoff = now - retention.maxAgeDays * 24 * 60 * 60 * 1000;
+                unpinned.forEach(summary => {
+                    if (summary.endTime < cutoff) expired.add(summary.id);
+                });
+            }
+            if (retention.maxSessions > 0) {
+                // list()가 최신순이므로 앞에서부터 maxSessions개만 유지
+                unpinned.slice(retention.maxSessions).forEach(summary => expired.add(summary.id));
+            }
+
+            await this.delete(Array.from(expired));
+            return expired.size;
+        }
+    }
+
+    SessionHistoryStore.DEFAULT_RETENTION = DEFAULT_RETENTION;
+    SessionHistoryStore.buildSummary = buildSummary;
+    SessionHistoryStore.matchesQuery = matchesQuery;
+
+    global.SessionHistoryStore = SessionHistoryStore;
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = SessionHistoryStore;
+    }
+})(typeof window !== 'undefined' ? window : globalThis);
@@ -0,0 +1,319 @@
+// ========== 스킬 이름 번역 관리 ==========
+// 스킬 키(skill_name)의 표시 이름을 언어별로 관리합니다.
+//   - 기본 번역: translation.js의 SKILL_MAPPINGS (한국어)
+//   - 사용자 번역: 번역 탭에서 입력한 이름을 언어별로 localStorage에 저장하며 기본 번역보다 우선
+//   - 수집 목록: 수신한 스킬 키를 스킬 ID/횟수와 함께 기록해 두고, 번역이 없는 것을 번역 탭에 보여 줌
+// 번역 팩(JSON)으로 한 언어의 번역을 내보내고 가져와 다른 사람과 공유할 수 있습니다.
+//   { "format": "damage-meter-skill-pack", "version": 1, "locale": "en", "exportedAt": ..., "mappings": { "스킬 키": "표시 이름" } }
+// 번역이 없는 스킬은 스킬 키를 그대로 표시합니다. 메인 대시보드(app.js)와 MDM.html이 공유합니다.
+(function (global) {
+    const OVERRIDES_KEY = 'skillTranslationOverrides';
+    const SEEN_KEY = 'skillTranslationSeen';
+    const PACK_FORMAT = 'damage-meter-skill-pack';
+    const PACK_VERSION = 1;
+    const MAX_SEEN = 1000; // 수집 목록 최대 스킬 수 (넘으면 가장 오래 안 보인 스킬부터 제거)
+    const MAX_SKILL_IDS = 5; // 스킬 하나에 기록할 스킬 ID 수
+
+    class SkillTranslations {
+        /**
+         * @param {Object} options
+         *   - storage: 저장소 (기본 localStorage, 없으면 저장하지 않음)
+         *   - builtIn: 언어 -> { 스킬 키: 표시 이름 } 기본 번역 (기본 { ko: SKILL_MAPPINGS })
+         *   - locale: 처음 사용할 언어 (기본 'ko')
+         */
+        constructor(options = {}) {
+            this.storage = options.storage !== undefined ? options.storage : global.localStorage || null;
+            this.builtIn = new Map(Object.entries(options.builtIn || { ko: global.SKILL_MAPPINGS || {} }));
+            this.locale = options.locale || 'ko';
+            this.overrides = new Map(); // 언어 -> Map(스킬 키 -> 표시 이름)
+            this.seen = new Map(); // 스킬 키 -> { skillName, skillIds, count, firstSeen, lastSeen }
+            this.seenDirty = false; // 저장하지 않은 횟수/시각 변경이 있는지
+            this.mappingCache = null;
+            this.load();
+        }
+
+        load() {
+            const overrides = this.readJson(OVERRIDES_KEY);
+            if (overrides && typeof overrides === 'object') {
+                Object.entries(overrides).forEach(([locale, mappings]) => {
+                    this.overrides.set(locale, new Map(Object.entries(sanitizeMappings(mappings))));
+                });
+            }
+            const seen = this.readJson(SEEN_KEY);
+            if (Array.isArray(seen)) {
+                seen.filter(item => item && typeof item.skillName === 'string').forEach(item => {
+                    this.seen.set(item.skillName, {
+                        skillName: item.skillName,
+                        skillIds: Array.isArray(item.skillIds) ? item.skillIds.slice(0, MAX_SKILL_IDS) : [],
+                        count: item.count || 0,
+                        firstSeen: item.firstSeen || 0,
+                        lastSeen: item.lastSeen || 0
+                    });
+                });
+            }
+        }
+
+        readJson(key) {
+            if (!this.storage) return null;
+            try {
+                const saved = this.storage.getItem(key);
+                return saved ? JSON.parse(saved) : null;
+            } catch (error) {
+                console.warn('스킬 번역 데이터 로드 실패:', key, error);
+                return null;
+            }
+        }
+
+        writeJson(key, value) {
+            if (!this.storage) return;
+            try {
+                this.storage.setItem(key, JSON.stringify(value));
+            } catch (error) {
+                console.warn('스킬 번역 데이터 저장 실패:', key, error);
+            }
+        }
+
+        saveOverrides() {
+            const data = {};
+            this.overrides.forEach((mappings, locale) => {
+                if (mappings.size > 0) data[locale] = Object.fromEntries(mappings);
+            });
+            this.writeJson(OVERRIDES_KEY, data);
+            this.mappingCache = null;
+        }
+
+        saveSeen() {
+            this.writeJson(SEEN_KEY, Array.from(this.seen.values()));
+        }
+
+        // ========== 언어 ==========
+        setLocale(locale) {
+            if (locale === this.locale) return;
+            this.locale = locale;
+            this.mappingCache = null;
+        }
+
+        getLocale() {
+            return this.locale;
+        }
+
+        // 기본 번역이나 사용자 번역이 있는 언어 목록
+        getLocales() {
+            return Array.from(new Set([...this.builtIn.keys(), ...this.overrides.keys()]));
+        }
+
+        registerBuiltIn(locale, mappings) {
+            this.builtIn.set(locale, { ...this.builtIn.get(locale), ...sanitizeMappings(mappings) });
+            this.mappingCache = null;
+        }
+
+        // ========== 조회 ==========
+        /**
+         * 현재 언어의 전체 번역 (기본 번역 + 사용자 번역). IngestCore/EncounterTracker 등에 넘기는 용도.
+         */
+        getMappings(locale = this.locale) {
+            if (locale === this.locale && this.mappingCache) return this.mappingCache;
+            const mappings = { ...this.builtIn.get(locale) };
+            (this.overrides.get(locale) || new Map()).forEach((displayName, skillName) => {
+                mappings[skillName] = displayName;
+            });
+            if (locale === this.locale) this.mappingCache = mappings;
+            return mappings;
+        }
+
+        getDisplayName(skillName) {
+            if (!skillName) return skillName;
+            const override = this.overrides.get(this.locale)?.get(skillName);
+            if (override) return override;
+            return this.builtIn.get(this.locale)?.[skillName] || skillName;
+        }
+
+        hasMapping(skillName, locale = this.locale) {
+            return !!(this.overrides.get(locale)?.has(skillName) || this.builtIn.get(locale)?.[skillName]);
+        }
+
+        getBuiltInName(skillName, locale = this.locale) {
+            return this.builtIn.get(locale)?.[skillName] || null;
+        }
+
+        getOverride(skillName, locale = this.locale) {
+            return this.overrides.get(locale)?.get(skillName) || null;
+        }
+
+        // 사용자 번역 [{ skillName, displayName }] (스킬 키 순)
+        getOverrides(locale = this.locale) {
+            return Array.from(this.overrides.get(locale) || new Map(), ([skillName, displayName]) => ({ skillName, displayName }))
+                .sort((a, b) => a.skillName.localeCompare(b.skillName));
+        }
+
+        // ========== 사용자 번역 ==========
+        /**
+         * 사용자 번역을 저장합니다. 빈 이름이면 사용자 번역을 지우고 기본 번역으로 돌아갑니다.
+         */
+        setOverride(skillName, displayName, locale = this.locale) {
+            if (!skillName) return;
+            const name = String(displayName ?? '').trim();
+            if (!this.overrides.has(locale)) this.overrides.set(locale, new Map());
+            if (name) {
+                this.overrides.get(locale).set(skillName, name);
+            } else {
+                this.overrides.get(locale).delete(skillName);
+            }
+            this.saveOverrides();
+        }
+
+        clearOverrides(locale = this.locale) {
+            this.overrides.delete(locale);
+            this.saveOverrides();
+        }
+
+        // ========== 수집 목록 ==========
+        /**
+         * 수신한 스킬을 기록합니다. 처음 보는 스킬이면 true (이때만 바로 저장하고, 횟수는 flush로 저장).
+         */
+        noteSkill(skillName, skillId = null, timestamp = Date.now()) {
+            if (!skillName) return false;
+
+            let item = this.seen.get(skillName);
+            const isNew = !item;
+            if (isNew) {
+                if (this.seen.size >= MAX_SEEN) this.evictOldest();
+                item = { skillName, skillIds: [], count: 0, firstSeen: timestamp, lastSeen: timestamp };
+                this.seen.set(skillName, item);
+            }
+            item.count++;
+            item.firstSeen = Math.min(item.firstSeen, timestamp);
+            item.lastSeen = Math.max(item.lastSeen, timestamp);
+            if (skillId && !item.skillIds.includes(skillId) && item.skillIds.length < MAX_SKILL_IDS) {
+                item.skillIds.push(skillId);
+            }
+
+            if (isNew) {
+                this.saveSeen();
+            } else {
+                this.seenDirty = true;
+            }
+            return isNew;
+        }
+
+        // 횟수/시각 변경분 저장 (페이지를 떠날 때 등)
+        flush() {
+            if (!this.seenDirty) return;
+            this.seenDirty = false;
+            this.saveSeen();
+        }
+
+        evictOldest() {
+            let oldest = null;
+            this.seen.forEach(item => {
+                if (!oldest || item.lastSeen < oldest.lastSeen) oldest = item;
+            });
+            if (oldest) this.seen.delete(oldest.skillName);
+        }
+
+        /**
+         * 수집한 스킬 목록 (많이 쓰인 순)
+         * @param {Object} options { untranslatedOnly, locale }
+         */
+        getSeenSkills(options = {}) {
+            const locale = options.locale || this.locale;
+            return Array.from(this.seen.values())
+                .filter(item => !options.untranslatedOnly || !this.hasMapping(item.skillName, locale))
+                .sort((a, b) => b.count - a.count || a.skillName.localeCompare(b.skillName));
+        }
+
+        getUntranslated(locale = this.locale) {
+            return this.getSeenSkills({ untranslatedOnly: true, locale });
+        }
+
+        clearSeen() {
+            this.seen.clear();
+            this.seenDirty = false;
+            this.saveSeen();
+        }
+
+        // ========== 번역 팩 ==========
+        /**
+         * 한 언어의 번역을 팩으로 만듭니다.
+         * @param {Object} options { locale, includeBuiltIn: 기본 번역도 포함 (기본 false: 사용자 번역만) }
+         */
+        exportPack(options = {}) {
+            const locale = options.locale || this.locale;
+            const mappings = options.includeBuiltIn ?
+                this.getMappings(locale) :
+                Object.fromEntries(this.overrides.get(locale) || new Map());
+            return {
+                format: PACK_FORMAT,
+                version: PACK_VERSION,
+                locale,
+                exportedAt: Date.now(),
+                mappings
+            };
+        }
+
+        /**
+         * 번역 팩을 사용자 번역으로 가져옵니다. 기본 번역과 같은 이름은 건너뜁니다.
+         * @param {Object} pack exportPack 형식 (JSON.parse 결과)
+         * @param {Object} options { replace: 그 언어의 기존 사용자 번역을 지우고 가져옴 }
+         * 반환: { locale, added, updated, unchanged }. 형식이 잘못되면 Error
+         */
+        importPack(pack, options = {}) {
+            const { locale, mappings } = validatePack(pack);
+
+            if (options.replace) this.overrides.delete(locale);
+            if (!this.overrides.has(locale)) this.overrides.set(locale, new Map());
+            const target = this.overrides.get(locale);
+
+            const result = { locale, added: 0, updated: 0, unchanged: 0 };
+            Object.entries(mappings).forEach(([skillName, displayName]) => {
+                const current = target.get(skillName);
+                if (current === displayName || (!current && this.getBuiltInName(skillName, locale) === displayName)) {
+                    result.unchanged++;
+                    return;
+                }
+                result[current ? 'updated' : 'added']++;
+                target.set(skillName, displayName);
+            });
+
+            this.saveOverrides();
+            return result;
+        }
+    }
+
+    // 문자열 -> 문자열 항목만 남김 (빈 이름 제외)
+    function sanitizeMappings(mappings) {
+        const result = {};
+        if (!mappings || typeof mappings !== 'object') return result;
+        Object.entries(mappings).forEach(([skillName, displayName]) => {
+            if (skillName && typeof displayName === 'string' && displayName.trim()) {
+                result[skillName] = displayName.trim();
+            }
+        });
+        return result;
+    }
+
+    function validatePack(pack) {
+        if (!pack || typeof pack !== 'object' || pack.format !== PACK_FORMAT) {
+            throw new Error('스킬 번역 팩 형식이 아닙니다');
+        }
+        if (pack.version > PACK_VERSION) {
+            throw new Error(`지원하지 않는 번역 팩 버전입니다: ${pack.version}`);
+        }
+        if (typeof pack.locale !== 'string' || !/^[a-z]{2,3}(-[A-Za-z0-9]+)*$/.test(pack.locale)) {
+            throw new Error('번역 팩의 언어 코드가 올바르지 않습니다');
+        }
+        if (!pack.mappings || typeof pack.mappings !== 'object' || Array.isArray(pack.mappings)) {
+            throw new Error('번역 팩에 번역 목록이 없습니다');
+        }
+        return { locale: pack.locale, mappings: sanitizeMappings(pack.mappings) };
+    }
+
+    SkillTranslations.PACK_FORMAT = PACK_FORMAT;
+    SkillTranslations.PACK_VERSION = PACK_VERSION;
+    SkillTranslations.MAX_SEEN = MAX_SEEN;
+
+    global.SkillTranslations = SkillTranslations;
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = SkillTranslations;
+    }
+})(typeof window !== 'undefined' ? window : globalThis);
@@ -0,0 +1,86 @@
+// ========== 다중 서버 스트림 병합 ==========
+// 여러 캡처 서버에서 들어오는 타격을 하나로 합치면서, 다른 서버가 이미 보낸 같은 타격은 걸러냅니다.
+// 같은 타격 판단: 이벤트 종류/사용자/대상/스킬/데미지가 같고 타임스탬프 차이가 허용 오차 이내
+// 같은 서버에서 온 동일 값 타격(다단 히트 등)은 중복으로 보지 않으며,
+// 다른 서버의 타격과는 1:1로만 짝지어 실제로 여러 번 들어간 타격이 사라지지 않게 합니다.
+(function (global) {
+    const DEFAULT_TOLERANCE = 500; // ms
+    const RETENTION = 10000; // 비교 대상으로 보관할 최근 타격 범위 (ms)
+
+    function getHitKey(data) {
+        return `${data.kind}|${data.user_name}|${data.target_name}|${data.skill_name}|${data.damage}`;
+    }
+
+    class StreamMerger {
+        constructor(options = {}) {
+            this.tolerance = options.tolerance ?? DEFAULT_TOLERANCE;
+            this.clear();
+        }
+
+        clear() {
+            this.recent = new Map(); // 키 -> [{ timestamp, sourceId, matched }]
+            this.recentQueue = []; // 정리용 (들어온 순서)
+            this.latestTimestamp = 0;
+            this.accepted = 0;
+            this.duplicates = 0;
+            this.bySource = new Map(); // sourceId -> { accepted, duplicates }
+        }
+
+        /**
+         * 타격을 받아들일지 판단합니다. 다른 서버에서 이미 받은 타격이면 false.
+         */
+        accept(data, sourceId) {
+            if (!this.bySource.has(sourceId)) {
+                this.bySource.set(sourceId, { accepted: 0, duplicates: 0 });
+            }
+            const sourceStats = this.bySource.get(sourceId);
+
+            this.latestTimestamp = Math.max(this.latestTimestamp, data.timestamp);
+            this.prune();
+
+            const key = getHitKey(data);
+            const candidates = this.recent.get(key) || [];
+            const match = candidates.find(hit =>
+                !hit.matched &&
+                hit.sourceId !== sourceId &&
+                Math.abs(hit.timestamp - data.timestamp) <= this.tolerance
+            );
+
+            if (match) {
+                match.matched = true;
+                this.duplicates++;
+                sourceStats.duplicates++;
+                return false;
+            }
+
+            const hit = { key, timestamp: data.timestamp, sourceId, matched: false };
+            candidates.push(hit);
+            this.recent.set(key, candidates);
+            this.recentQueue.push(hit);
+            this.accepted++;
+            sourceStats.accepted++;
+            return true;
+        }
+
+        // 비교 범위를 벗어난 오래된 타격 정리
+        prune() {
+            const cutoff = this.latestTimestamp - RETENTION;
+            while (this.recentQueue.length > 0 && this.recentQueue[0].timestamp < cutoff) {
+                const hit = this.recentQueue.shift();
+                const candidates = this.recent.get(hit.key);
+                if (!candidates) continue;
+                const index = candidates.indexOf(hit);
+                if (index >= 0) candidates.splice(index, 1);
+                if (candidates.length === 0) this.recent.delete(hit.key);
+            }
+        }
+    }
+
+    StreamMerger.DEFAULT_TOLERANCE = DEFAULT_TOLERANCE;
+    StreamMerger.getHitKey = getHitKey;
+
+    global.StreamMerger = StreamMerger;
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = StreamMerger;
+    }
+})(typeof window !== 'undefined' ? window : globalThis);
@@ -0,0 +1,213 @@
+// ========== 치유/지원 기여 분석 ==========
+// 프로토콜 v2의 데미지 외 이벤트(치유/보호막/버프)로 힐러·서포터의 기여를 집계합니다.
+//   heal   - damage 열이 치유량, target_name이 치유받은 대상 (비어 있으면 파티 전체)
+//   shield - damage 열이 보호막 흡수량
+//   buff   - damage 열이 지속 시간(ms), target_name이 버프를 받은 대상 (비어 있으면 파티 전체)
+// 모르는 종류의 이벤트는 시전자별 '기타 이벤트' 수로만 셉니다.
+//
+// 버프 기여는 추정치입니다. 버프를 받은 사람의 초당 데미지를 버프 구간과 나머지 구간으로 나누고,
+// (버프 구간 데미지 - 버프 구간 길이 × 버프 없는 구간의 초당 데미지)를 버프 덕분에 늘어난 데미지로 봅니다.
+// 버프 없는 구간이 없으면 비교 기준이 없으므로 null입니다.
+(function (global) {
+    const KINDS = {
+        HEAL: 'heal',
+        SHIELD: 'shield',
+        BUFF: 'buff'
+    };
+
+    function createSupporterStats(name) {
+        return {
+            name,
+            healing: 0,
+            heals: 0,
+            crits: 0,
+            shielding: 0,
+            shields: 0,
+            buffs: 0, // 버프 부여 횟수
+            buffContribution: 0, // 추정 가능한 버프의 기여 합계
+            otherEvents: 0,
+            hps: 0
+        };
+    }
+
+    // 구간 목록을 [rangeStart, rangeEnd]로 자르고 겹치는 구간을 합침
+    function mergeIntervals(intervals, rangeStart, rangeEnd) {
+        const clipped = intervals
+            .map(({ start, end }) => ({ start: Math.max(start, rangeStart), end: Math.min(end, rangeEnd) }))
+            .filter(interval => interval.end > interval.start)
+            .sort((a, b) => a.start - b.start);
+
+        const merged = [];
+        clipped.forEach(interval => {
+            const last = merged[merged.length - 1];
+            if (last && interval.start <= last.end) {
+                last.end = Math.max(last.end, interval.end);
+            } else {
+                merged.push({ ...interval });
+            }
+        });
+        return merged;
+    }
+
+    function isCovered(intervals, time) {
+        return intervals.some(interval => time >= interval.start && time < interval.end);
+    }
+
+    // 타임라인 -> Map(userName -> Map(초 -> 데미지)) (구간 안의 초만)
+    function buildUserSeconds(damageTimeline, firstSecond, lastSecond) {
+        const users = new Map();
+        damageTimeline.forEach((bucket, second) => {
+            if (second < firstSecond || second > lastSecond) return;
+            bucket.forEach((targets, userName) => {
+                let damage = 0;
+                targets.forEach(value => { damage += value; });
+                if (!users.has(userName)) users.set(userName, new Map());
+                users.get(userName).set(second, damage);
+            });
+        });
+        return users;
+    }
+
+    // 버프를 받은 한 사람의 추정 기여 (버프 구간 데미지 - 버프 구간 초 × 버프 없는 구간 초당 데미지)
+    function estimateContribution(seconds, intervals, firstSecond, lastSecond) {
+        let buffedDamage = 0;
+        let buffedSeconds = 0;
+        let baseDamage = 0;
+        let baseSeconds = 0;
+
+        for (let second = firstSecond; second <= lastSecond; second++) {
+            const damage = (seconds && seconds.get(second)) || 0;
+            if (isCovered(intervals, second * 1000 + 500)) {
+                buffedDamage += damage;
+                buffedSeconds++;
+            } else {
+                baseDamage += damage;
+                baseSeconds++;
+            }
+        }
+
+        if (buffedSeconds === 0) return 0;
+        if (baseSeconds === 0) return null;
+        return Math.max(0, Math.round(buffedDamage - buffedSeconds * (baseDamage / baseSeconds)));
+    }
+
+    /**
+     * 시간순 지원 이벤트 목록으로 시전자별 치유/보호막/버프 기여와 버프 유지율을 계산합니다.
+     * @param {Array} chronologicalEvents 로그 항목 (kind가 damage가 아닌 것)
+     * @param {Map} damageTimeline 세션 타임라인 (버프 기여 추정용, 없으면 기여는 null)
+     * @param {Object} options { rangeStart, rangeEnd } 분석 구간 (기본값은 첫/마지막 이벤트)
+     * 반환: { rangeStart, rangeEnd, duration, users, buffs, totals, otherKinds }
+     */
+    function analyze(chronologicalEvents, damageTimeline = null, options = {}) {
+        const rangeStart = options.rangeStart ?? (chronologicalEvents[0]?.timestamp || 0);
+        const rangeEnd = options.rangeEnd ?? (chronologicalEvents[chronologicalEvents.length - 1]?.timestamp || rangeStart);
+        const duration = Math.max(1, rangeEnd - rangeStart);
+
+        const users = new Map();
+        const buffGroups = new Map(); // 시전자|스킬|대상 -> { source, skill, target, applications, intervals }
+        const otherKinds = new Map(); // 모르는 이벤트 종류 -> 횟수
+        const totals = { healing: 0, shielding: 0, buffs: 0 };
+
+        const getUser = (name) => {
+            if (!users.has(name)) users.set(name, createSupporterStats(name));
+            return users.get(name);
+        };
+
+        chronologicalEvents.forEach(event => {
+            const kind = event.kind;
+            if (kind === KINDS.BUFF) {
+                // 구간 전에 걸린 버프도 구간 안까지 유지되면 포함
+                if (event.timestamp > rangeEnd || event.timestamp + event.damage < rangeStart) return;
+            } else if (event.timestamp < rangeStart || event.timestamp > rangeEnd) {
+                return;
+            }
+
+            const user = getUser(event.user_name);
+            switch (kind) {
+                case KINDS.HEAL:
+                    user.healing += event.damage;
+                    user.heals++;
+                    if (event.is_crit) user.crits++;
+                    totals.healing += event.damage;
+                    break;
+                case KINDS.SHIELD:
+                    user.shielding += event.damage;
+                    user.shields++;
+                    totals.shielding += event.damage;
+                    break;
+                case KINDS.BUFF: {
+                    const key = `${event.user_name}|${event.skill_name}|${event.target_name}`;
+                    if (!buffGroups.has(key)) {
+                        buffGroups.set(key, {
+                            source: event.user_name,
+                            skill: event.skill_name,
+                            target: event.target_name,
+                            applications: 0,
+                            intervals: []
+                        });
+                    }
+                    const group = buffGroups.get(key);
+                    group.applications++;
+                    group.intervals.push({ start: event.timestamp, end: event.timestamp + event.damage });
+                    user.buffs++;
+                    totals.buffs++;
+                    break;
+                }
+                default:
+                    user.otherEvents++;
+                    otherKinds.set(kind, (otherKinds.get(kind) || 0) + 1);
+            }
+        });
+
+        const firstSecond = Math.floor(rangeStart / 1000);
+        const lastSecond = Math.floor(rangeEnd / 1000);
+        const userSeconds = damageTimeline ? buildUserSeconds(damageTimeline, firstSecond, lastSecond) : null;
+
+        const buffs = Array.from(buffGroups.values()).map(group => {
+            const intervals = mergeIntervals(group.intervals, rangeStart, rangeEnd);
+            const uptime = intervals.reduce((sum, interval) => sum + (interval.end - interval.start), 0);
+
+            // 대상이 비어 있으면 파티 전체(구간 안에 데미지를 넣은 모든 사람)가 받은 것으로 봄
+            let contribution = null;
+            if (userSeconds) {
+                const recipients = group.target ? [group.target] : Array.from(userSeconds.keys());
+                recipients.forEach(recipient => {
+                    const estimate = estimateContribution(userSeconds.get(recipient), intervals, firstSecond, lastSecond);
+                    if (estimate !== null) contribution = (contribution || 0) + estimate;
+                });
+            }
+            if (contribution !== null) {
+                getUser(group.source).buffContribution += contribution;
+            }
+
+            return {
+                source: group.source,
+                skill: group.skill,
+                target: group.target,
+                applications: group.applications,
+                uptime,
+                uptimeRate: Math.min(1, uptime / duration),
+                contribution
+            };
+        });
+        buffs.sort((a, b) => b.uptimeRate - a.uptimeRate || (b.contribution || 0) - (a.contribution || 0));
+
+        users.forEach(user => {
+            user.hps = Math.round(user.healing / (duration / 1000));
+        });
+
+        return { rangeStart, rangeEnd, duration, users, buffs, totals, otherKinds };
+    }
+
+    const SupportAnalysis = {
+        KINDS,
+        createSupporterStats,
+        mergeIntervals,
+        analyze
+    };
+
+    global.SupportAnalysis = SupportAnalysis;
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = SupportAnalysis;
+    }
+})(typeof window !== 'undefined' ? window : globalThis);
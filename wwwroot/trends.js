@@ -0,0 +1,174 @@
+// ========== 세션 추이 ==========
+// 저장된 프로필/세션 기록 여러 개를 시간순으로 놓고 플레이어별 DPS, 크리티컬 확률, 주력 스킬 비중의 변화를 계산합니다.
+// 같은 대상(보스)을 반복해서 잡은 기록을 골라 주 단위 성장을 보는 용도입니다.
+//
+// 세션 요약은 comparison.js의 ProfileComparison.summarize 결과 형태를 받으므로
+// DPS는 비교 화면과 같이 전투 시간(데이터 누락 구간 제외)으로 나눈 값입니다.
+// 대상을 고르면 summarizeTarget으로 그 대상에 준 타격만 모아 요약하고, 전투 시간도 그 대상과 싸운 시간으로 봅니다.
+// 플레이어마다 고른 세션 중 DPS와 크리티컬 확률의 최고 기록(개인 최고)을 표시합니다.
+// 크리티컬 확률은 타격이 ProfileComparison.MIN_SAMPLES 이상인 세션만 최고 기록 후보로 봅니다.
+(function (global) {
+    // Node에서는 의존 모듈을 직접 불러옴 (브라우저에서는 <script> 순서대로 이미 전역에 있음)
+    if (typeof module !== 'undefined' && module.exports) {
+        if (!global.DamageAnalysis) require('./analysis.js');
+        if (!global.ProfileComparison) require('./comparison.js');
+    }
+    const { DamageAnalysis, ProfileComparison } = global;
+
+    const METRICS = ['dps', 'critRate', 'topSkillShare'];
+    const BEST_METRICS = ['dps', 'critRate'];
+
+    const CSV_COLUMNS = [
+        'Session', 'Start_Time', 'Duration_Sec', 'Player', 'Damage', 'DPS', 'Hits', 'Crit_Rate',
+        'Top_Skill', 'Top_Skill_Share', 'Best_DPS', 'Best_Crit_Rate'
+    ];
+
+    /**
+     * 세션 스냅샷(프로필 또는 기록)의 대상 이름 목록 (받은 데미지 큰 순)
+     */
+    function getTargets(snapshot) {
+        const targets = new Map();
+        (snapshot.logData || []).forEach(log => {
+            targets.set(log.target_name, (targets.get(log.target_name) || 0) + log.damage);
+        });
+        return Array.from(targets.entries())
+            .sort(([, a], [, b]) => b - a)
+            .map(([name]) => name);
+    }
+
+    /**
+     * 세션 스냅샷에서 대상 하나에 준 타격만으로 만든 요약 (ProfileComparison.summarize 결과와 같은 형태)
+     * 전투 시간은 그 대상을 처음 때린 시각부터 마지막으로 때린 시각까지이며 데이터 누락 구간은 뺍니다.
+     */
+    function summarizeTarget(snapshot, target) {
+        const logs = (snapshot.logData || []).filter(log => log.target_name === target);
+        const users = new Map();
+        // logData는 최신순이므로 거꾸로 (스킬의 마지막 타격 값이 실제 마지막 타격이 되도록)
+        for (let i = logs.length - 1; i >= 0; i--) {
+            DamageAnalysis.recordUserHit(users, logs[i]);
+        }
+        const duration = ProfileComparison.getSnapshotDuration({ logData: logs, dataGaps: snapshot.dataGaps });
+        return ProfileComparison.summarize({ damageData: users }, duration);
+    }
+
+    // 비교용 사용자 요약 -> 추이 지점 하나
+    function toPoint(user) {
+        let topSkill = null;
+        user.skills.forEach(skill => {
+            if (!topSkill || skill.damage > topSkill.damage) topSkill = skill;
+        });
+        return {
+            damage: user.damage,
+            dps: user.dps,
+            hits: user.hits,
+            critRate: user.critRate,
+            topSkill: topSkill ? topSkill.name : null,
+            topSkillShare: topSkill && user.damage > 0 ? topSkill.damage / user.damage : 0,
+            best: { dps: false, critRate: false }
+        };
+    }
+
+    // 지표별 최고 기록 지점에 best 표시 (같은 값이면 먼저 낸 기록)
+    function markBests(points) {
+        BEST_METRICS.forEach(metric => {
+            let best = null;
+            points.forEach(point => {
+                if (!point || point[metric] <= 0) return;
+                if (metric === 'critRate' && point.hits < ProfileComparison.MIN_SAMPLES) return;
+                if (!best || point[metric] > best[metric]) best = point;
+            });
+            if (best) best.best[metric] = true;
+        });
+    }
+
+    /**
+     * 여러 세션의 플레이어별 추이를 만듭니다.
+     * @param {Array} entries [{ key, label, time, summary }] - summary는 ProfileComparison.summarize 또는 summarizeTarget 결과
+     * 반환: {
+     *   sessions: [{ key, label, time, duration }] (시간순),
+     *   players: [{ name, sessionCount, totalDamage, points: [지점 또는 null (세션 순서와 같음)] }] (총 데미지 큰 순)
+     * }
+     * 지점: { damage, dps, hits, critRate, topSkill, topSkillShare, best: { dps, critRate } }
+     */
+    function build(entries) {
+        const sorted = entries.slice().sort((a, b) => a.time - b.time);
+        const sessions = sorted.map(entry => ({
+            key: entry.key,
+            label: entry.label,
+            time: entry.time,
+            duration: entry.summary.duration
+        }));
+
+        const players = new Map();
+        sorted.forEach((entry, index) => {
+            entry.summary.users.forEach((user, name) => {
+                if (!players.has(name)) {
+                    players.set(name, { name, sessionCount: 0, totalDamage: 0, points: new Array(sorted.length).fill(null) });
+                }
+                const player = players.get(name);
+                player.points[index] = toPoint(user);
+                player.sessionCount++;
+                player.totalDamage += user.damage;
+            });
+        });
+        players.forEach(player => markBests(player.points));
+
+        return {
+            sessions,
+            players: Array.from(players.values()).sort((a, b) => b.totalDamage - a.totalDamage)
+        };
+    }
+
+    function escapeCsv(value) {
+        const text = value === null || value === undefined ? '' : String(value);
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }
+
+    /**
+     * 추이 표를 CSV로 (세션 x 플레이어 한 행씩, 세션이 없는 플레이어 행은 제외)
+     * options.formatTime: 시작 시각 표시 (기본 ISO 8601)
+     * options.getSkillName: 주력 스킬 표시 이름 (기본 스킬 키 그대로)
+     */
+    function toCSV(trend, options = {}) {
+        const formatTime = options.formatTime || (time => new Date(time).toISOString());
+        const getSkillName = options.getSkillName || (name => name);
+
+        const lines = [CSV_COLUMNS.join(',')];
+        trend.sessions.forEach((session, index) => {
+            trend.players.forEach(player => {
+                const point = player.points[index];
+                if (!point) return;
+                lines.push([
+                    session.label,
+                    formatTime(session.time),
+                    session.duration.toFixed(1),
+                    player.name,
+                    point.damage,
+                    point.dps.toFixed(1),
+                    point.hits,
+                    point.critRate.toFixed(4),
+                    point.topSkill ? getSkillName(point.topSkill) : '',
+                    point.topSkillShare.toFixed(4),
+                    point.best.dps ? 1 : 0,
+                    point.best.critRate ? 1 : 0
+                ].map(escapeCsv).join(','));
+            });
+        });
+        return lines.join('\n') + '\n';
+    }
+
+    const SessionTrends = {
+        METRICS,
+        BEST_METRICS,
+        CSV_COLUMNS,
+        getTargets,
+        summarizeTarget,
+        build,
+        toCSV
+    };
+
+    global.SessionTrends = SessionTrends;
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = SessionTrends;
+    }
+})(typeof window !== 'undefined' ? window : globalThis);
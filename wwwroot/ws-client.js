@@ -0,0 +1,184 @@
+// ========== 재연결 WebSocket 클라이언트 ==========
+// 연결이 끊기면 지수 백오프 + 지터로 재연결하고, ping/pong으로 연결 상태와 지연 시간을 확인합니다.
+// 서버(ModernWebSocketServer)는 "ping" 메시지에 "pong"으로 응답합니다.
+(function (global) {
+    const DEFAULT_OPTIONS = {
+        minDelay: 1000, // 첫 재연결 대기 시간 (ms)
+        maxDelay: 30000, // 최대 재연결 대기 시간 (ms)
+        backoffFactor: 2,
+        jitter: 0.3, // 대기 시간의 ±30% 무작위 변동
+        pingInterval: 5000, // ping 전송 주기 (ms)
+        pongTimeout: 15000 // 이 시간 동안 응답이 없으면 연결이 죽은 것으로 판단 (ms)
+    };
+
+    const PING_MESSAGE = 'ping';
+    const PONG_MESSAGE = 'pong';
+
+    /**
+     * attempt번째(0부터) 재연결 대기 시간을 계산합니다.
+     */
+    function computeBackoff(attempt, options = DEFAULT_OPTIONS, random = Math.random) {
+        const base = Math.min(options.maxDelay, options.minDelay * Math.pow(options.backoffFactor, attempt));
+        const spread = base * options.jitter;
+        return Math.max(0, Math.round(base - spread + random() * spread * 2));
+    }
+
+    class ReconnectingSocket {
+        /**
+         * handlers: { onOpen(info), onClose(info), onMessage(data), onStatusChange(state) }
+         *   onOpen의 info.reconnected는 이전에 연결된 적이 있는지 여부
+         */
+        constructor(url, handlers = {}, options = {}) {
+            this.url = url;
+            this.handlers = handlers;
+            this.options = { ...DEFAULT_OPTIONS, ...options };
+
+            this.ws = null;
+            this.status = 'idle'; // idle | connecting | open | waiting | stopped
+            this.attempt = 0; // 연속 재연결 시도 횟수 (연결되면 0으로 초기화)
+            this.reconnectCount = 0; // 성공한 재연결 횟수
+            this.hasConnected = false;
+            this.latency = null; // 마지막 ping 왕복 시간 (ms)
+            this.nextRetryAt = null;
+            this.lastPingAt = null;
+            this.lastMessageAt = null;
+
+            this.retryTimer = null;
+            this.pingTimer = null;
+        }
+
+        connect() {
+            clearTimeout(this.retryTimer);
+            this.retryTimer = null;
+            this.nextRetryAt = null;
+            this.setStatus('connecting');
+
+            let ws;
+            try {
+                ws = new WebSocket(this.url);
+            } catch (error) {
+                console.error('WebSocket 연결 실패:', error);
+                this.scheduleReconnect();
+                return;
+            }
+            this.ws = ws;
+
+            ws.onopen = () => {
+                const reconnected = this.hasConnected;
+                this.hasConnected = true;
+                this.attempt = 0;
+                if (reconnected) this.reconnectCount++;
+                this.lastMessageAt = Date.now();
+                this.setStatus('open');
+                this.startHeartbeat();
+                this.handlers.onOpen?.({ reconnected });
+            };
+
+            ws.onmessage = (event) => {
+                this.lastMessageAt = Date.now();
+                if (event.data === PONG_MESSAGE) {
+                    if (this.lastPingAt) {
+                        this.latency = this.lastMessageAt - this.lastPingAt;
+                        this.lastPingAt = null;
+                        this.setStatus('open');
+                    }
+                    return;
+                }
+                this.handlers.onMessage?.(event.data);
+            };
+
+            ws.onclose = () => {
+                if (this.ws === ws) this.handleDisconnect();
+            };
+
+            ws.onerror = (error) => {
+                console.error('WebSocket 오류:', error);
+            };
+        }
+
+        send(message) {
+            if (this.ws && this.status === 'open') {
+                this.ws.send(message);
+            }
+        }
+
+        // 재연결하지 않고 연결 종료
+        stop() {
+            this.setStatus('stopped');
+            this.stopHeartbeat();
+            clearTimeout(this.retryTimer);
+            this.retryTimer = null;
+            if (this.ws) {
+                const ws = this.ws;
+                this.ws = null;
+                ws.close();
+            }
+        }
+
+        handleDisconnect() {
+            const wasOpen = this.status === 'open';
+            this.ws = null;
+            this.stopHeartbeat();
+            this.latency = null;
+            if (this.status === 'stopped') return;
+
+            this.handlers.onClose?.({ wasOpen });
+            this.scheduleReconnect();
+        }
+
+        scheduleReconnect() {
+            const delay = computeBackoff(this.attempt, this.options);
+            this.attempt++;
+            this.nextRetryAt = Date.now() + delay;
+            this.setStatus('waiting');
+            this.retryTimer = setTimeout(() => this.connect(), delay);
+        }
+
+        startHeartbeat() {
+            this.stopHeartbeat();
+            this.lastPingAt = null;
+            this.pingTimer = setInterval(() => {
+                const now = Date.now();
+                // ping 응답도, 다른 메시지도 오지 않으면 죽은 연결로 보고 강제로 끊고 재연결
+                if (now - this.lastMessageAt > this.options.pongTimeout) {
+                    console.warn('WebSocket 응답 없음, 재연결합니다');
+                    const ws = this.ws;
+                    this.handleDisconnect();
+                    ws?.close();
+                    return;
+                }
+                // 응답을 받지 못한 ping이 오래되면 다시 전송
+                if (!this.lastPingAt || now - this.lastPingAt > this.options.pingInterval * 2) {
+                    this.lastPingAt = now;
+                    this.ws?.send(PING_MESSAGE);
+                }
+            }, this.options.pingInterval);
+        }
+
+        stopHeartbeat() {
+            clearInterval(this.pingTimer);
+            this.pingTimer = null;
+            this.lastPingAt = null;
+        }
+
+        setStatus(status) {
+            this.status = status;
+            this.handlers.onStatusChange?.(this.getState());
+        }
+
+        getState() {
+            return {
+                status: this.status,
+                latency: this.latency,
+                attempt: this.attempt,
+                reconnectCount: this.reconnectCount,
+                nextRetryAt: this.nextRetryAt
+            };
+        }
+    }
+
+    ReconnectingSocket.DEFAULT_OPTIONS = DEFAULT_OPTIONS;
+    ReconnectingSocket.computeBackoff = computeBackoff;
+
+    global.ReconnectingSocket = ReconnectingSocket;
+})(typeof window !== 'undefined' ? window : globalThis);